@@ -5,11 +5,13 @@
 -- Row Level Security (RLS) policies are applied to enforce multi-tenant isolation.
 --
 -- Prerequisites:
--- - Supabase project or PostgreSQL with pgcrypto extension.
+-- - Supabase project or PostgreSQL with the pgcrypto and pgvector (vector) extensions.
 -- - Supabase Auth enabled (references auth.users).
 
 -- 1. Extensions
 create extension if not exists pgcrypto;
+-- pgvector, for knowledge base embeddings
+create extension if not exists vector;
 
 -- 2. Helper Functions
 -- Function to get the current authenticated user ID.
@@ -49,7 +51,59 @@ create table if not exists conversations (
   org_id uuid not null references organizations(id) on delete cascade,
   user_id uuid not null references auth.users(id) on delete cascade,
   title text,
-  created_at timestamptz default now()
+  archived boolean not null default false,
+  pinned boolean not null default false,
+  -- Topic slugs assigned by automatic classification (built-in topics or org topic tags)
+  topics text[] not null default '{}',
+  topics_classified_at timestamptz,
+  -- Set while a classification runs, so concurrent replies do not classify twice
+  topics_claimed_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- Assistant Settings
+-- Organization-wide system instruction injected into every model call.
+create table if not exists assistant_settings (
+  org_id uuid primary key references organizations(id) on delete cascade,
+  company_context text,
+  tone text,
+  forbidden_topics text[] not null default '{}',
+  updated_by uuid references auth.users(id) on delete set null,
+  updated_at timestamptz default now()
+);
+
+-- Personas
+-- Named assistant roles (e.g. "CFO advisor") a conversation can be created with.
+create table if not exists personas (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references organizations(id) on delete cascade,
+  name text not null,
+  description text,
+  instructions text not null,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  unique (org_id, name)
+);
+
+alter table conversations
+  add column if not exists persona_id uuid references personas(id) on delete set null;
+
+-- Topic Tags
+-- Organization-defined topics used alongside the built-in ones (pricing, hiring,
+-- fundraising, marketing, operations) when classifying conversations.
+create table if not exists topic_tags (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references organizations(id) on delete cascade,
+  -- Value stored in conversations.topics
+  slug text not null,
+  name text not null,
+  -- Tells the classifier what belongs under this topic
+  description text,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz default now(),
+  unique (org_id, slug)
 );
 
 -- Messages
@@ -59,17 +113,409 @@ create table if not exists messages (
   conversation_id uuid not null references conversations(id) on delete cascade,
   org_id uuid not null references organizations(id) on delete cascade,
   user_id uuid references auth.users(id) on delete set null,
+  -- Previous message on the same branch; edits and regenerations create siblings
+  parent_id uuid references messages(id) on delete cascade,
   role text check (role in ('user', 'assistant', 'system')) not null,
   content text not null,
+  -- Model that produced an assistant message
+  model text,
+  -- Free-form annotations, e.g. { "type": "summary", "covers_message_id": "<uuid>" }
+  -- on a running conversation summary stored as a 'system' message (one per branch point).
+  metadata jsonb not null default '{}'::jsonb,
+  -- Full-text search vector, maintained by Postgres
+  search_vector tsvector generated always as (to_tsvector('english', content)) stored,
+  created_at timestamptz default now()
+);
+
+-- Message Feedback
+-- Thumbs up/down ratings on assistant messages, one per user and message.
+create table if not exists message_feedback (
+  id uuid primary key default gen_random_uuid(),
+  message_id uuid not null references messages(id) on delete cascade,
+  org_id uuid not null references organizations(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  rating smallint not null check (rating in (-1, 1)),
+  reason text check (reason in (
+    'helpful', 'accurate', 'actionable',
+    'inaccurate', 'irrelevant', 'incomplete', 'too_generic', 'other'
+  )),
+  comment text,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  unique (message_id, user_id)
+);
+
+-- LLM Usage
+-- One row per model call (chat replies, summary refreshes, digests, topic classification,
+-- artifacts, forecast narratives, action item extraction) for cost reporting.
+-- Cost is priced when the call is recorded, so later price changes do not rewrite history.
+create table if not exists llm_usage (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references organizations(id) on delete cascade,
+  -- Null for calls made by background jobs
+  user_id uuid references auth.users(id) on delete set null,
+  conversation_id uuid references conversations(id) on delete set null,
+  message_id uuid references messages(id) on delete set null,
+  purpose text not null check (purpose in ('reply', 'summary', 'digest', 'topics', 'artifact', 'forecast', 'action_items')),
+  provider text not null,
+  model text not null,
+  prompt_tokens integer not null default 0 check (prompt_tokens >= 0),
+  completion_tokens integer not null default 0 check (completion_tokens >= 0),
+  total_tokens integer not null default 0 check (total_tokens >= 0),
+  -- True when the provider did not report usage and tokens were estimated from text length
+  tokens_estimated boolean not null default false,
+  latency_ms integer,
+  -- 'pending' rows are quota reservations for calls in progress (see reserve_chat_quota)
+  status text not null check (status in ('pending', 'ok', 'error', 'aborted')),
+  error text,
+  -- Null when the model has no configured price
+  cost_usd numeric(12, 6) check (cost_usd >= 0),
+  created_at timestamptz default now()
+);
+
+-- Organization Plans
+-- Subscription plan that decides an organization's chat quotas. `overrides` replaces
+-- individual plan limits for one organization, e.g. { "org_messages_per_day": 2000 }.
+-- Organizations without a row are on the 'free' plan. Managed with the service role only.
+create table if not exists org_plans (
+  org_id uuid primary key references organizations(id) on delete cascade,
+  plan text not null default 'free' check (plan in ('free', 'pro', 'enterprise')),
+  overrides jsonb not null default '{}'::jsonb,
+  updated_at timestamptz default now()
+);
+
+-- Organization Digests
+-- LLM-written summaries of what an organization discussed over a period (weekly by
+-- default), with usage stats computed from the data. Re-generating a period replaces it.
+create table if not exists org_digests (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references organizations(id) on delete cascade,
+  period_start timestamptz not null,
+  period_end timestamptz not null,
+  -- Markdown: top themes, notable recommendations, open action items and usage
+  content text not null,
+  stats jsonb not null default '{}'::jsonb,
+  model text,
+  -- Admin who requested the digest; null for scheduled digests
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz default now(),
+  unique (org_id, period_start, period_end)
+);
+
+-- Artifacts
+-- Structured strategy documents (SWOT, five forces, lean canvas, executive summary)
+-- generated from a conversation and refined by the team. Owned by the organization, so
+-- they outlive the conversation they came from.
+create table if not exists artifacts (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references organizations(id) on delete cascade,
+  conversation_id uuid references conversations(id) on delete set null,
+  type text not null check (type in ('swot', 'porter_five_forces', 'lean_canvas', 'executive_summary')),
+  title text not null,
+  -- Validated against the type's JSON Schema by the API
+  content jsonb not null,
+  -- Model that generated the first version
+  model text,
+  -- Incremented by trigger whenever title or content change
+  version integer not null default 1,
+  created_by uuid references auth.users(id) on delete set null,
+  updated_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- Artifact Versions
+-- Immutable history of every artifact version, written by trigger.
+create table if not exists artifact_versions (
+  id uuid primary key default gen_random_uuid(),
+  artifact_id uuid not null references artifacts(id) on delete cascade,
+  version integer not null,
+  title text not null,
+  content jsonb not null,
+  source text not null check (source in ('generated', 'edited')),
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz default now(),
+  unique (artifact_id, version)
+);
+
+-- Objectives
+-- Organization goals (the "O" in OKRs), measured by their key results.
+create table if not exists objectives (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references organizations(id) on delete cascade,
+  title text not null,
+  description text,
+  owner_id uuid references profiles(id) on delete set null,
+  -- Free-form planning period label, e.g. '2026-Q4'
+  period text,
+  start_date date,
+  due_date date,
+  status text not null default 'active' check (status in ('active', 'achieved', 'missed', 'cancelled')),
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- Key Results
+-- Measurable targets of an objective. Progress is (current - start) / (target - start),
+-- so targets can go down as well as up.
+create table if not exists key_results (
+  id uuid primary key default gen_random_uuid(),
+  objective_id uuid not null references objectives(id) on delete cascade,
+  org_id uuid not null references organizations(id) on delete cascade,
+  title text not null,
+  owner_id uuid references profiles(id) on delete set null,
+  -- Display unit, e.g. '%', 'USD', 'customers'
+  unit text,
+  start_value numeric not null default 0,
+  target_value numeric not null,
+  -- Latest check-in value, maintained by trigger
+  current_value numeric not null default 0,
+  due_date date,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  check (target_value <> start_value)
+);
+
+-- Goal Check-ins
+-- Periodic progress updates on a key result.
+create table if not exists goal_checkins (
+  id uuid primary key default gen_random_uuid(),
+  key_result_id uuid not null references key_results(id) on delete cascade,
+  org_id uuid not null references organizations(id) on delete cascade,
+  value numeric not null,
+  confidence text check (confidence in ('on_track', 'at_risk', 'off_track')),
+  note text,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz default now()
+);
+
+-- KPI Datasets
+-- Uploaded spreadsheets of metrics over time (revenue, churn, CAC, pipeline, ...).
+-- Column types and per-metric summary statistics are computed by the API on upload.
+create table if not exists kpi_datasets (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references organizations(id) on delete cascade,
+  name text not null,
+  description text,
+  source_format text not null check (source_format in ('csv', 'json')),
+  time_column text not null,
+  -- [{ name, type: date|number|string, role: time|metric|dimension, unit, aggregation }]
+  columns jsonb not null,
+  stats jsonb not null,
+  row_count integer not null default 0,
+  created_by uuid references auth.users(id) on delete set null,
+  updated_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now(),
+  unique (org_id, name)
+);
+
+-- KPI Points
+-- One value per dataset row and metric; text columns (e.g. region) are kept as labels.
+create table if not exists kpi_points (
+  id uuid primary key default gen_random_uuid(),
+  dataset_id uuid not null references kpi_datasets(id) on delete cascade,
+  org_id uuid not null references organizations(id) on delete cascade,
+  ts timestamptz not null,
+  metric text not null,
+  value numeric not null,
+  labels jsonb not null default '{}'
+);
+
+-- Documents
+-- Internal documents (markdown, plain text, text extracted from PDFs) in the organization's
+-- knowledge base. The full text is kept so documents can be re-indexed with another
+-- embedding provider.
+create table if not exists documents (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references organizations(id) on delete cascade,
+  title text not null,
+  source_type text not null check (source_type in ('markdown', 'text', 'pdf_text')),
+  content text not null,
+  chunk_count integer not null default 0,
+  -- Vector space of the chunks, e.g. 'openai:text-embedding-3-small'
+  embedding_model text,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- Document Chunks
+-- Passages of a document with their embedding. The vector has no fixed dimension because
+-- it depends on the embedding provider; chunks are only compared within one embedding_model.
+create table if not exists document_chunks (
+  id uuid primary key default gen_random_uuid(),
+  document_id uuid not null references documents(id) on delete cascade,
+  org_id uuid not null references organizations(id) on delete cascade,
+  chunk_index integer not null,
+  -- Markdown heading path ('Pricing > Enterprise') or PDF page the passage comes from
+  heading text,
+  page integer,
+  content text not null,
+  token_count integer not null,
+  embedding vector not null,
+  embedding_model text not null,
+  unique (document_id, chunk_index)
+);
+
+-- Message Tool Calls
+-- Audit trail of the server-side tools (KPI series, goals, search, ...) the model called
+-- while writing an assistant message, with arguments and results. Append-only.
+create table if not exists message_tool_calls (
+  id uuid primary key default gen_random_uuid(),
+  message_id uuid not null references messages(id) on delete cascade,
+  conversation_id uuid not null references conversations(id) on delete cascade,
+  org_id uuid not null references organizations(id) on delete cascade,
+  user_id uuid references auth.users(id) on delete set null,
+  -- Provider-assigned call id, and the model round and position within it
+  call_id text,
+  round integer not null,
+  call_index integer not null,
+  tool_name text not null,
+  arguments jsonb not null default '{}',
+  result jsonb,
+  status text not null check (status in ('ok', 'error')),
+  error text,
+  duration_ms integer,
+  created_at timestamptz default now()
+);
+
+-- Prompt Templates
+-- Reusable prompts with typed `{variables}`, rendered by the API when a message is sent.
+-- Shared with the organization or personal to their owner.
+create table if not exists prompt_templates (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references organizations(id) on delete cascade,
+  owner_id uuid references auth.users(id) on delete set null,
+  visibility text not null default 'personal' check (visibility in ('org', 'personal')),
+  name text not null,
+  description text,
+  body text not null,
+  -- [{ name, type: string|text|number|integer|boolean|date|enum, label, description, required, default, options }]
+  variables jsonb not null default '[]',
+  usage_count integer not null default 0,
+  last_used_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- Forecasts
+-- Growth projections computed by the API from a baseline and named scenarios. The inputs
+-- are kept next to the results so a forecast can be explained and rerun.
+create table if not exists forecasts (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references organizations(id) on delete cascade,
+  name text not null,
+  description text,
+  months integer not null check (months between 1 and 60),
+  start_month date not null,
+  -- Resolved drivers: { customers, revenue, price, churn_rate, cac, marketing_spend, ... }
+  baseline jsonb not null,
+  -- [{ name, drivers, multipliers }]
+  scenarios jsonb not null,
+  sensitivity jsonb,
+  -- { scenarios: [{ name, drivers, months, summary }], comparison, sensitivity }
+  results jsonb not null,
+  narrative text,
+  narrative_model text,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- Tasks
+-- Action items extracted from a conversation by the model (or added by hand), assignable
+-- to members of the organization.
+create table if not exists tasks (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references organizations(id) on delete cascade,
+  conversation_id uuid references conversations(id) on delete set null,
+  -- Message the action item was extracted from
+  source_message_id uuid references messages(id) on delete set null,
+  description text not null,
+  -- Owner named by the model; assignee_id is set when it matches a member
+  suggested_owner text,
+  assignee_id uuid references profiles(id) on delete set null,
+  due_date date,
+  status text not null default 'open' check (status in ('open', 'in_progress', 'done')),
+  completed_at timestamptz,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+-- Organization Invitations
+-- Admin-issued invitations to join an organization. Only a SHA-256 hash of the token is
+-- stored; the token itself is shown once to the admin who created the invitation.
+-- An invitation is pending until it is accepted, revoked or past expires_at.
+create table if not exists org_invitations (
+  id uuid primary key default gen_random_uuid(),
+  org_id uuid not null references organizations(id) on delete cascade,
+  email text not null,
+  role text not null default 'member' check (role in ('admin', 'member')),
+  token_hash text not null unique,
+  invited_by uuid references auth.users(id) on delete set null,
+  expires_at timestamptz not null,
+  accepted_at timestamptz,
+  accepted_by uuid references auth.users(id) on delete set null,
+  revoked_at timestamptz,
   created_at timestamptz default now()
 );
 
+-- Tip of the branch currently shown for each conversation
+alter table conversations
+  add column if not exists active_leaf_id uuid references messages(id) on delete set null;
+
+-- Objective a conversation is grounded in; its OKRs are added to the system prompt
+alter table conversations
+  add column if not exists goal_id uuid references objectives(id) on delete set null;
+
+-- KPI dataset whose summary statistics are added to the system prompt
+alter table conversations
+  add column if not exists dataset_id uuid references kpi_datasets(id) on delete set null;
+
 -- 4. Indexes
 create index if not exists idx_profiles_org_id on profiles(org_id);
 create index if not exists idx_conversations_org_id on conversations(org_id);
 create index if not exists idx_conversations_user_id on conversations(user_id);
+create index if not exists idx_conversations_listing on conversations(user_id, archived, pinned desc, created_at desc);
 create index if not exists idx_messages_conversation_id on messages(conversation_id);
 create index if not exists idx_messages_org_id on messages(org_id);
+create index if not exists idx_messages_org_created_at on messages(org_id, created_at);
+create index if not exists idx_conversations_org_created_at on conversations(org_id, created_at);
+create index if not exists idx_messages_search_vector on messages using gin(search_vector);
+create index if not exists idx_messages_parent_id on messages(parent_id);
+-- One running summary per covered message, i.e. per branch point
+create unique index if not exists idx_messages_summary_covers on messages(conversation_id, (metadata->>'covers_message_id')) where role = 'system';
+create index if not exists idx_personas_org_id on personas(org_id);
+create index if not exists idx_conversations_topics on conversations using gin(topics);
+create index if not exists idx_topic_tags_org_id on topic_tags(org_id);
+create index if not exists idx_message_feedback_org_id on message_feedback(org_id, created_at);
+create index if not exists idx_llm_usage_org_created_at on llm_usage(org_id, created_at);
+create index if not exists idx_llm_usage_user_id on llm_usage(user_id);
+create index if not exists idx_llm_usage_user_created_at on llm_usage(user_id, created_at);
+create index if not exists idx_org_digests_org_created_at on org_digests(org_id, created_at desc);
+create index if not exists idx_artifacts_org_updated_at on artifacts(org_id, updated_at desc);
+create index if not exists idx_artifacts_conversation_id on artifacts(conversation_id);
+create index if not exists idx_objectives_org_created_at on objectives(org_id, created_at desc);
+create index if not exists idx_key_results_objective_id on key_results(objective_id);
+create index if not exists idx_goal_checkins_key_result_created_at on goal_checkins(key_result_id, created_at desc);
+create index if not exists idx_kpi_datasets_org_updated_at on kpi_datasets(org_id, updated_at desc);
+create index if not exists idx_kpi_points_dataset_metric_ts on kpi_points(dataset_id, metric, ts);
+create index if not exists idx_documents_org_created_at on documents(org_id, created_at desc);
+-- Retrieval scans an organization's chunks for one model exactly; the varying dimension
+-- rules out an ANN index, which is fine at knowledge-base sizes
+create index if not exists idx_document_chunks_org_model on document_chunks(org_id, embedding_model);
+-- One row per call; also makes retried writes of a reply's calls idempotent
+create unique index if not exists idx_message_tool_calls_call on message_tool_calls(message_id, round, call_index);
+create index if not exists idx_prompt_templates_org_updated_at on prompt_templates(org_id, updated_at desc);
+create index if not exists idx_forecasts_org_created_at on forecasts(org_id, created_at desc);
+create index if not exists idx_tasks_org_created_at on tasks(org_id, created_at desc);
+create index if not exists idx_tasks_org_status_due_date on tasks(org_id, status, due_date);
+create index if not exists idx_tasks_assignee_id on tasks(assignee_id);
+create index if not exists idx_tasks_conversation_id on tasks(conversation_id);
+create index if not exists idx_org_invitations_org_created_at on org_invitations(org_id, created_at desc);
 
 -- 5. Row Level Security (RLS)
 
@@ -77,6 +523,27 @@ alter table organizations enable row level security;
 alter table profiles enable row level security;
 alter table conversations enable row level security;
 alter table messages enable row level security;
+alter table assistant_settings enable row level security;
+alter table personas enable row level security;
+alter table topic_tags enable row level security;
+alter table message_feedback enable row level security;
+alter table llm_usage enable row level security;
+alter table org_plans enable row level security;
+alter table org_digests enable row level security;
+alter table artifacts enable row level security;
+alter table artifact_versions enable row level security;
+alter table objectives enable row level security;
+alter table key_results enable row level security;
+alter table goal_checkins enable row level security;
+alter table kpi_datasets enable row level security;
+alter table kpi_points enable row level security;
+alter table documents enable row level security;
+alter table document_chunks enable row level security;
+alter table message_tool_calls enable row level security;
+alter table prompt_templates enable row level security;
+alter table forecasts enable row level security;
+alter table tasks enable row level security;
+alter table org_invitations enable row level security;
 
 -- Policies
 
@@ -136,15 +603,24 @@ create policy "Users can view profiles in their organization"
     )
   );
 
--- Insert: Users can create their own profile.
-create policy "Users can insert their own profile"
-  on profiles for insert
-  with check (auth.uid() = id);
+-- Insert: none for clients. Profiles are created by the API with the service role, or by
+-- accept_org_invitation, so nobody can put themselves into an organization.
+drop policy if exists "Users can insert their own profile" on profiles;
 
--- Update (Self): Users can update their own profile.
+-- Update (Self): Users can update their own profile, but not their organization or role.
+-- The subquery reads the row as it was before the update.
 create policy "Users can update their own profile"
   on profiles for update
-  using (auth.uid() = id);
+  using (auth.uid() = id)
+  with check (
+    auth.uid() = id
+    and exists (
+      select 1 from profiles as old_profile
+      where old_profile.id = auth.uid()
+      and old_profile.org_id is not distinct from profiles.org_id
+      and old_profile.role = profiles.role
+    )
+  );
 
 -- Update (Admin): Admins can update profiles within their organization (e.g., changing roles).
 create policy "Admins can update profiles in their organization"
@@ -252,11 +728,13 @@ create policy "View messages"
   );
 
 -- Insert: Authenticated users can insert if it matches their org and conversation visibility.
+-- System messages (running summaries) are written with the service role only.
 create policy "Create messages"
   on messages for insert
   to authenticated
   with check (
-    exists (
+    messages.role <> 'system'
+    and exists (
       select 1 from profiles
       where profiles.id = auth.uid()
       and profiles.org_id = messages.org_id
@@ -277,11 +755,22 @@ create policy "Create messages"
     )
   );
 
--- Update: Admin only (for simplicity).
+-- Update: Admin only (for simplicity). System messages (running summaries) are updated
+-- with the service role only.
 create policy "Admin update messages"
   on messages for update
   using (
-    exists (
+    messages.role <> 'system'
+    and exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = messages.org_id
+      and profiles.role = 'admin'
+    )
+  )
+  with check (
+    messages.role <> 'system'
+    and exists (
       select 1 from profiles
       where profiles.id = auth.uid()
       and profiles.org_id = messages.org_id
@@ -302,6 +791,1765 @@ create policy "Admin delete messages"
   );
 
 
+-- TABLES: assistant_settings, personas
+-- Select: All members of the organization (needed to build prompts for their chats).
+create policy "View assistant settings"
+  on assistant_settings for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = assistant_settings.org_id
+    )
+  );
+
+-- Insert/Update/Delete: Admins only.
+create policy "Admins manage assistant settings"
+  on assistant_settings for all
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = assistant_settings.org_id
+      and profiles.role = 'admin'
+    )
+  )
+  with check (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = assistant_settings.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+create policy "View personas"
+  on personas for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = personas.org_id
+    )
+  );
+
+create policy "Admins manage personas"
+  on personas for all
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = personas.org_id
+      and profiles.role = 'admin'
+    )
+  )
+  with check (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = personas.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+
+-- TABLE: topic_tags
+-- Select: Members see their organization's topics. Manage: Admins only.
+create policy "View topic tags"
+  on topic_tags for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = topic_tags.org_id
+    )
+  );
+
+create policy "Admins manage topic tags"
+  on topic_tags for all
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = topic_tags.org_id
+      and profiles.role = 'admin'
+    )
+  )
+  with check (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = topic_tags.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+
+-- TABLE: message_feedback
+-- Select: Users see their own feedback; admins see all feedback in their organization.
+create policy "View message feedback"
+  on message_feedback for select
+  using (
+    user_id = auth.uid()
+    or exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = message_feedback.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+-- Insert: Users rate assistant messages they can see, in their own organization.
+create policy "Create message feedback"
+  on message_feedback for insert
+  to authenticated
+  with check (
+    user_id = auth.uid()
+    and exists (
+      select 1 from messages
+      where messages.id = message_feedback.message_id
+      and messages.org_id = message_feedback.org_id
+      and messages.role = 'assistant'
+    )
+  );
+
+-- Update/Delete: Users manage their own feedback. Updated rows must still pass the
+-- insert rules, so feedback cannot be moved to another message or organization.
+create policy "Update own message feedback"
+  on message_feedback for update
+  using (user_id = auth.uid())
+  with check (
+    user_id = auth.uid()
+    and exists (
+      select 1 from messages
+      where messages.id = message_feedback.message_id
+      and messages.org_id = message_feedback.org_id
+      and messages.role = 'assistant'
+    )
+  );
+
+create policy "Delete own message feedback"
+  on message_feedback for delete
+  using (user_id = auth.uid());
+
+
+-- TABLE: llm_usage
+-- Select: Users see usage of their own calls; admins see all usage in their organization.
+create policy "View LLM usage"
+  on llm_usage for select
+  using (
+    user_id = auth.uid()
+    or exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = llm_usage.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+-- Insert: none. Usage feeds quotas and billing, so only the API writes it, with the
+-- service role. Rows are append-only (no update/delete policies).
+
+
+-- TABLE: org_plans
+-- Select: Members can see their organization's plan. There are no write policies;
+-- plans are changed with the service role (billing, support).
+create policy "View organization plan"
+  on org_plans for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = org_plans.org_id
+    )
+  );
+
+
+-- TABLE: org_digests
+-- Digests cover the whole organization, so only admins can read or request them.
+-- Scheduled digests are written with the service role.
+create policy "Admins view organization digests"
+  on org_digests for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = org_digests.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+create policy "Admins create organization digests"
+  on org_digests for insert
+  to authenticated
+  with check (
+    created_by = auth.uid()
+    and exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = org_digests.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+create policy "Admins replace organization digests"
+  on org_digests for update
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = org_digests.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+
+-- TABLES: artifacts, artifact_versions
+-- Artifacts are shared within the organization: every member can read and refine them.
+create policy "View organization artifacts"
+  on artifacts for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = artifacts.org_id
+    )
+  );
+
+create policy "Create organization artifacts"
+  on artifacts for insert
+  to authenticated
+  with check (
+    created_by = auth.uid()
+    and exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = artifacts.org_id
+    )
+  );
+
+create policy "Update organization artifacts"
+  on artifacts for update
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = artifacts.org_id
+    )
+  )
+  with check (
+    updated_by = auth.uid()
+    and org_id = (select org_id from profiles where id = auth.uid())
+  );
+
+-- Versions are visible with their artifact and only written by the versioning trigger.
+create policy "View artifact versions"
+  on artifact_versions for select
+  using (
+    exists (
+      select 1 from artifacts
+      where artifacts.id = artifact_versions.artifact_id
+    )
+  );
+
+
+-- TABLES: objectives, key_results, goal_checkins
+-- Goals are visible to the whole organization and managed by admins. Check-ins can be
+-- added by admins and by the owner of the key result or of its objective.
+create policy "View objectives"
+  on objectives for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = objectives.org_id
+    )
+  );
+
+create policy "Admins manage objectives"
+  on objectives for all
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = objectives.org_id
+      and profiles.role = 'admin'
+    )
+  )
+  with check (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = objectives.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+create policy "View key results"
+  on key_results for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = key_results.org_id
+    )
+  );
+
+create policy "Admins manage key results"
+  on key_results for all
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = key_results.org_id
+      and profiles.role = 'admin'
+    )
+  )
+  with check (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = key_results.org_id
+      and profiles.role = 'admin'
+    )
+    and exists (
+      select 1 from objectives
+      where objectives.id = key_results.objective_id
+      and objectives.org_id = key_results.org_id
+    )
+  );
+
+create policy "View goal check-ins"
+  on goal_checkins for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = goal_checkins.org_id
+    )
+  );
+
+create policy "Owners and admins add goal check-ins"
+  on goal_checkins for insert
+  to authenticated
+  with check (
+    created_by = auth.uid()
+    and exists (
+      select 1 from key_results
+      join objectives on objectives.id = key_results.objective_id
+      join profiles on profiles.id = auth.uid()
+      where key_results.id = goal_checkins.key_result_id
+      and key_results.org_id = goal_checkins.org_id
+      and profiles.org_id = goal_checkins.org_id
+      and (
+        profiles.role = 'admin'
+        or key_results.owner_id = auth.uid()
+        or objectives.owner_id = auth.uid()
+      )
+    )
+  );
+
+
+-- TABLES: kpi_datasets, kpi_points
+-- Datasets are shared within the organization. Any member can upload; only the uploader
+-- and admins can replace or delete a dataset. Points follow their dataset.
+create policy "View KPI datasets"
+  on kpi_datasets for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = kpi_datasets.org_id
+    )
+  );
+
+create policy "Upload KPI datasets"
+  on kpi_datasets for insert
+  to authenticated
+  with check (
+    created_by = auth.uid()
+    and exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = kpi_datasets.org_id
+    )
+  );
+
+create policy "Uploaders and admins update KPI datasets"
+  on kpi_datasets for update
+  using (
+    created_by = auth.uid()
+    or exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = kpi_datasets.org_id
+      and profiles.role = 'admin'
+    )
+  )
+  with check (org_id = (select org_id from profiles where id = auth.uid()));
+
+create policy "Uploaders and admins delete KPI datasets"
+  on kpi_datasets for delete
+  using (
+    created_by = auth.uid()
+    or exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = kpi_datasets.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+create policy "View KPI points"
+  on kpi_points for select
+  using (
+    exists (
+      select 1 from kpi_datasets
+      where kpi_datasets.id = kpi_points.dataset_id
+    )
+  );
+
+create policy "Uploaders and admins write KPI points"
+  on kpi_points for all
+  using (
+    exists (
+      select 1 from kpi_datasets
+      join profiles on profiles.id = auth.uid()
+      where kpi_datasets.id = kpi_points.dataset_id
+      and profiles.org_id = kpi_datasets.org_id
+      and (kpi_datasets.created_by = auth.uid() or profiles.role = 'admin')
+    )
+  )
+  with check (
+    exists (
+      select 1 from kpi_datasets
+      join profiles on profiles.id = auth.uid()
+      where kpi_datasets.id = kpi_points.dataset_id
+      and kpi_datasets.org_id = kpi_points.org_id
+      and profiles.org_id = kpi_datasets.org_id
+      and (kpi_datasets.created_by = auth.uid() or profiles.role = 'admin')
+    )
+  );
+
+
+
+-- TABLES: documents, document_chunks
+-- The knowledge base is shared within the organization. Any member can upload; only the
+-- uploader and admins can re-index or delete a document. Chunks follow their document.
+create policy "View documents"
+  on documents for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = documents.org_id
+    )
+  );
+
+create policy "Upload documents"
+  on documents for insert
+  to authenticated
+  with check (
+    created_by = auth.uid()
+    and exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = documents.org_id
+    )
+  );
+
+create policy "Uploaders and admins update documents"
+  on documents for update
+  using (
+    created_by = auth.uid()
+    or exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = documents.org_id
+      and profiles.role = 'admin'
+    )
+  )
+  with check (org_id = (select org_id from profiles where id = auth.uid()));
+
+create policy "Uploaders and admins delete documents"
+  on documents for delete
+  using (
+    created_by = auth.uid()
+    or exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = documents.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+create policy "View document chunks"
+  on document_chunks for select
+  using (
+    exists (
+      select 1 from documents
+      where documents.id = document_chunks.document_id
+    )
+  );
+
+create policy "Uploaders and admins write document chunks"
+  on document_chunks for all
+  using (
+    exists (
+      select 1 from documents
+      join profiles on profiles.id = auth.uid()
+      where documents.id = document_chunks.document_id
+      and profiles.org_id = documents.org_id
+      and (documents.created_by = auth.uid() or profiles.role = 'admin')
+    )
+  )
+  with check (
+    exists (
+      select 1 from documents
+      join profiles on profiles.id = auth.uid()
+      where documents.id = document_chunks.document_id
+      and documents.org_id = document_chunks.org_id
+      and profiles.org_id = documents.org_id
+      and (documents.created_by = auth.uid() or profiles.role = 'admin')
+    )
+  );
+
+
+-- TABLE: message_tool_calls
+-- Visible with the message they belong to (owner and org admins). Written by the API with
+-- the service role when the reply is stored, so users cannot forge their audit trail;
+-- there are no insert, update or delete policies.
+create policy "View message tool calls"
+  on message_tool_calls for select
+  using (
+    exists (
+      select 1 from messages
+      where messages.id = message_tool_calls.message_id
+    )
+  );
+
+
+-- TABLE: prompt_templates
+-- Shared templates are visible to the organization, personal ones only to their owner.
+-- Owners manage their templates; admins can also edit and delete shared ones.
+create policy "View prompt templates"
+  on prompt_templates for select
+  using (
+    owner_id = auth.uid()
+    or (
+      visibility = 'org'
+      and exists (
+        select 1 from profiles
+        where profiles.id = auth.uid()
+        and profiles.org_id = prompt_templates.org_id
+      )
+    )
+  );
+
+create policy "Create prompt templates"
+  on prompt_templates for insert
+  to authenticated
+  with check (
+    owner_id = auth.uid()
+    and exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = prompt_templates.org_id
+    )
+  );
+
+create policy "Owners and admins update prompt templates"
+  on prompt_templates for update
+  using (
+    owner_id = auth.uid()
+    or (
+      visibility = 'org'
+      and exists (
+        select 1 from profiles
+        where profiles.id = auth.uid()
+        and profiles.org_id = prompt_templates.org_id
+        and profiles.role = 'admin'
+      )
+    )
+  )
+  -- Templates stay in the caller's organization, and admins cannot take over or
+  -- unshare others' templates: a template that is not the caller's must remain shared
+  with check (
+    org_id = (select org_id from profiles where id = auth.uid())
+    and (
+      owner_id = auth.uid()
+      or (
+        visibility = 'org'
+        and exists (
+          select 1 from profiles
+          where profiles.id = auth.uid()
+          and profiles.org_id = prompt_templates.org_id
+          and profiles.role = 'admin'
+        )
+      )
+    )
+  );
+
+create policy "Owners and admins delete prompt templates"
+  on prompt_templates for delete
+  using (
+    owner_id = auth.uid()
+    or (
+      visibility = 'org'
+      and exists (
+        select 1 from profiles
+        where profiles.id = auth.uid()
+        and profiles.org_id = prompt_templates.org_id
+        and profiles.role = 'admin'
+      )
+    )
+  );
+
+
+-- TABLE: forecasts
+-- Shared within the organization. Any member can run a forecast; the author and admins
+-- can update its narrative or delete it.
+create policy "View forecasts"
+  on forecasts for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = forecasts.org_id
+    )
+  );
+
+create policy "Create forecasts"
+  on forecasts for insert
+  to authenticated
+  with check (
+    created_by = auth.uid()
+    and exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = forecasts.org_id
+    )
+  );
+
+create policy "Authors and admins update forecasts"
+  on forecasts for update
+  using (
+    created_by = auth.uid()
+    or exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = forecasts.org_id
+      and profiles.role = 'admin'
+    )
+  )
+  with check (org_id = (select org_id from profiles where id = auth.uid()));
+
+create policy "Authors and admins delete forecasts"
+  on forecasts for delete
+  using (
+    created_by = auth.uid()
+    or exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = forecasts.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+
+-- TABLE: tasks
+-- Shared within the organization. Members add tasks and can only assign them to members
+-- of the same organization. The creator, the assignee and admins update a task; the
+-- creator and admins delete it.
+create policy "View tasks"
+  on tasks for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = tasks.org_id
+    )
+  );
+
+create policy "Create tasks"
+  on tasks for insert
+  to authenticated
+  with check (
+    created_by = auth.uid()
+    and exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = tasks.org_id
+    )
+    and (
+      assignee_id is null
+      or exists (
+        select 1 from profiles as assignee
+        where assignee.id = tasks.assignee_id
+        and assignee.org_id = tasks.org_id
+      )
+    )
+  );
+
+create policy "Creators, assignees and admins update tasks"
+  on tasks for update
+  using (
+    created_by = auth.uid()
+    or assignee_id = auth.uid()
+    or exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = tasks.org_id
+      and profiles.role = 'admin'
+    )
+  )
+  with check (
+    org_id = (select org_id from profiles where id = auth.uid())
+    and (
+      assignee_id is null
+      or exists (
+        select 1 from profiles as assignee
+        where assignee.id = tasks.assignee_id
+        and assignee.org_id = tasks.org_id
+      )
+    )
+  );
+
+create policy "Creators and admins delete tasks"
+  on tasks for delete
+  using (
+    created_by = auth.uid()
+    or exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = tasks.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+-- TABLE: org_invitations
+-- Admins manage their organization's invitations. There is no delete policy: invitations
+-- are revoked, not deleted. Invitees never read this table; accepting goes through
+-- accept_org_invitation with the service role.
+create policy "Admins view invitations"
+  on org_invitations for select
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = org_invitations.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+create policy "Admins create invitations"
+  on org_invitations for insert
+  to authenticated
+  with check (
+    invited_by = auth.uid()
+    and exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = org_invitations.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+create policy "Admins revoke invitations"
+  on org_invitations for update
+  using (
+    exists (
+      select 1 from profiles
+      where profiles.id = auth.uid()
+      and profiles.org_id = org_invitations.org_id
+      and profiles.role = 'admin'
+    )
+  );
+
+-- 6. Search
+-- Full-text search over user and assistant messages.
+-- Runs as the caller (security invoker), so the "View messages" and "View conversations"
+-- policies apply: members only find their own threads, admins find the whole org.
+-- Snippets are HTML-escaped message text with matches wrapped in <mark>...</mark>, so they
+-- can be rendered as HTML.
+create or replace function public.search_messages(
+  search_query text,
+  from_ts timestamptz default null,
+  to_ts timestamptz default null,
+  author_id uuid default null,
+  message_role text default null,
+  result_limit int default 20,
+  result_offset int default 0
+)
+returns table (
+  message_id uuid,
+  conversation_id uuid,
+  conversation_title text,
+  conversation_owner_id uuid,
+  role text,
+  snippet text,
+  rank real,
+  created_at timestamptz
+)
+language sql stable
+as $$
+  with q as (
+    select websearch_to_tsquery('english', search_query) as query
+  )
+  select
+    m.id,
+    m.conversation_id,
+    c.title,
+    c.user_id,
+    m.role,
+    ts_headline('english',
+      replace(replace(replace(replace(replace(m.content,
+        '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;'),
+      q.query,
+      'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2'),
+    ts_rank(m.search_vector, q.query),
+    m.created_at
+  from messages m
+  join conversations c on c.id = m.conversation_id
+  cross join q
+  where m.search_vector @@ q.query
+    and m.role in ('user', 'assistant')
+    and (from_ts is null or m.created_at >= from_ts)
+    and (to_ts is null or m.created_at < to_ts)
+    and (author_id is null or c.user_id = author_id)
+    and (message_role is null or m.role = message_role)
+  order by 7 desc, m.created_at desc
+  limit least(greatest(result_limit, 1), 50)
+  offset greatest(result_offset, 0);
+$$;
+
+
+-- 7. Message Branches
+-- Returns the branch ending at leaf_id: the leaf and its ancestors via parent_id.
+-- The walk stops at the first message in stop_ids it reaches, including it but going no
+-- further (used to skip turns already folded into a running summary; each branch point
+-- can have its own summary).
+-- Runs as the caller, so RLS on messages applies.
+create or replace function public.message_branch(leaf_id uuid, stop_ids uuid[] default null)
+returns setof messages
+language sql stable
+as $$
+  with recursive branch as (
+    select m.* from messages m where m.id = leaf_id
+    union all
+    select p.*
+    from messages p
+    join branch b on p.id = b.parent_id
+    where stop_ids is null or not (b.id = any(stop_ids))
+  )
+  select * from branch;
+$$;
+
+-- Returns the leaf reached from start_id by following the newest child at each step
+-- (the most recent continuation of an alternative). Runs as the caller.
+create or replace function public.latest_leaf(start_id uuid)
+returns uuid
+language sql stable
+as $$
+  with recursive walk as (
+    select m.id, 0 as depth from messages m where m.id = start_id
+    union all
+    select child.id, walk.depth + 1
+    from walk
+    cross join lateral (
+      select c.id from messages c
+      where c.parent_id = walk.id
+      and c.role in ('user', 'assistant')
+      order by c.created_at desc, c.id desc
+      limit 1
+    ) child
+  )
+  select id from walk order by depth desc limit 1;
+$$;
+
+-- Backfill for conversations created before branching existed:
+-- link each message to the one before it and point the conversation at its last message.
+with ordered as (
+  select id, conversation_id,
+    lag(id) over (partition by conversation_id order by created_at, id) as prev_id
+  from messages
+  where role in ('user', 'assistant')
+)
+update messages m
+set parent_id = ordered.prev_id
+from ordered
+where m.id = ordered.id
+  and m.parent_id is null
+  and ordered.prev_id is not null
+  and not exists (select 1 from conversations c where c.id = m.conversation_id and c.active_leaf_id is not null);
+
+update conversations c
+set active_leaf_id = (
+  select m.id from messages m
+  where m.conversation_id = c.id and m.role in ('user', 'assistant')
+  order by m.created_at desc, m.id desc
+  limit 1
+)
+where c.active_leaf_id is null;
+
+
+-- 8. Feedback Analytics
+-- Satisfaction aggregated by persona, model or time bucket ('day', 'week', 'month').
+-- Runs as the caller: members aggregate their own feedback, admins their whole organization.
+create or replace function public.feedback_summary(
+  group_by text default 'period',
+  bucket text default 'week',
+  from_ts timestamptz default null,
+  to_ts timestamptz default null
+)
+returns table (
+  group_key text,
+  group_label text,
+  positive bigint,
+  negative bigint,
+  total bigint,
+  satisfaction numeric
+)
+language sql stable
+as $$
+  select
+    case group_by
+      when 'persona' then coalesce(c.persona_id::text, 'none')
+      when 'model' then coalesce(m.model, 'unknown')
+      else to_char(date_trunc(bucket, f.created_at), 'YYYY-MM-DD')
+    end,
+    case group_by
+      when 'persona' then coalesce(p.name, 'No persona')
+      when 'model' then coalesce(m.model, 'unknown')
+      else to_char(date_trunc(bucket, f.created_at), 'YYYY-MM-DD')
+    end,
+    count(*) filter (where f.rating = 1),
+    count(*) filter (where f.rating = -1),
+    count(*),
+    round(count(*) filter (where f.rating = 1)::numeric / nullif(count(*), 0), 4)
+  from message_feedback f
+  join messages m on m.id = f.message_id
+  join conversations c on c.id = m.conversation_id
+  left join personas p on p.id = c.persona_id
+  where (from_ts is null or f.created_at >= from_ts)
+    and (to_ts is null or f.created_at < to_ts)
+  group by 1, 2
+  order by 1;
+$$;
+
+
+-- 9. Dashboard Analytics
+-- Activity totals for [from_ts, to_ts) and the equally long period right before it,
+-- plus per-day message counts. Admins get the whole organization; members only
+-- their own conversations.
+create or replace function public.dashboard_summary(from_ts timestamptz, to_ts timestamptz)
+returns jsonb
+language plpgsql stable
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_org uuid;
+  v_role text;
+  v_scope_user uuid;
+  v_prev_from timestamptz := from_ts - (to_ts - from_ts);
+  v_result jsonb;
+begin
+  select org_id, role into v_org, v_role from profiles where id = v_user;
+  if v_org is null then
+    return null;
+  end if;
+  v_scope_user := case when v_role = 'admin' then null else v_user end;
+
+  with conv as (
+    select c.created_at
+    from conversations c
+    where c.org_id = v_org
+      and (v_scope_user is null or c.user_id = v_scope_user)
+      and c.created_at >= v_prev_from and c.created_at < to_ts
+  ),
+  msg as (
+    select m.created_at, m.role, m.user_id
+    from messages m
+    join conversations c on c.id = m.conversation_id
+    where m.org_id = v_org
+      and (v_scope_user is null or c.user_id = v_scope_user)
+      and m.role in ('user', 'assistant')
+      and m.created_at >= v_prev_from and m.created_at < to_ts
+  ),
+  daily as (
+    select date_trunc('day', created_at) as day, count(*) as cnt
+    from msg
+    where created_at >= from_ts
+    group by 1
+  )
+  select jsonb_build_object(
+    'scope', case when v_scope_user is null then 'org' else 'user' end,
+    'current', jsonb_build_object(
+      'conversations', (select count(*) from conv where created_at >= from_ts),
+      'messages', (select count(*) from msg where created_at >= from_ts),
+      'user_messages', (select count(*) from msg where created_at >= from_ts and role = 'user'),
+      'assistant_messages', (select count(*) from msg where created_at >= from_ts and role = 'assistant'),
+      'active_users', (select count(distinct user_id) from msg where created_at >= from_ts and role = 'user')
+    ),
+    'previous', jsonb_build_object(
+      'conversations', (select count(*) from conv where created_at < from_ts),
+      'messages', (select count(*) from msg where created_at < from_ts),
+      'user_messages', (select count(*) from msg where created_at < from_ts and role = 'user'),
+      'assistant_messages', (select count(*) from msg where created_at < from_ts and role = 'assistant'),
+      'active_users', (select count(distinct user_id) from msg where created_at < from_ts and role = 'user')
+    ),
+    'all_time_conversations', (
+      select count(*) from conversations c
+      where c.org_id = v_org and (v_scope_user is null or c.user_id = v_scope_user)
+    ),
+    'members', case
+      when v_scope_user is null then (select count(*) from profiles where org_id = v_org)
+      else 1
+    end,
+    'daily', coalesce((
+      select jsonb_agg(jsonb_build_object('date', to_char(d, 'YYYY-MM-DD'), 'count', coalesce(daily.cnt, 0)) order by d)
+      from generate_series(date_trunc('day', from_ts), to_ts - interval '1 microsecond', interval '1 day') d
+      left join daily on daily.day = d
+    ), '[]'::jsonb)
+  ) into v_result;
+
+  return v_result;
+end;
+$$;
+
+
+-- 10. Dashboard Time Series
+-- One metric ('messages', 'conversations' or 'active_users') per time bucket, bucketed in
+-- the caller's timezone and zero-filled across [from_ts, to_ts). With a breakdown ('user'
+-- or 'persona') there is one series per conversation owner or persona. Same scoping as
+-- dashboard_summary. Returns jsonb so large breakdowns are not cut off by the API row limit.
+create or replace function public.dashboard_timeseries(
+  metric text,
+  granularity text,
+  from_ts timestamptz,
+  to_ts timestamptz,
+  tz text default 'UTC',
+  breakdown text default null
+)
+returns jsonb
+language plpgsql stable
+as $$
+declare
+  v_user uuid := auth.uid();
+  v_org uuid;
+  v_role text;
+  v_scope_user uuid;
+  v_result jsonb;
+begin
+  select org_id, role into v_org, v_role from profiles where id = v_user;
+  if v_org is null then
+    return null;
+  end if;
+  v_scope_user := case when v_role = 'admin' then null else v_user end;
+
+  with events as (
+    select c.created_at as ts, c.user_id as actor_id, c.user_id as owner_id, c.persona_id
+    from conversations c
+    where metric = 'conversations'
+      and c.org_id = v_org
+      and (v_scope_user is null or c.user_id = v_scope_user)
+      and c.created_at >= from_ts and c.created_at < to_ts
+    union all
+    select m.created_at, m.user_id, c.user_id, c.persona_id
+    from messages m
+    join conversations c on c.id = m.conversation_id
+    where metric in ('messages', 'active_users')
+      and m.org_id = v_org
+      and (v_scope_user is null or c.user_id = v_scope_user)
+      and m.role in ('user', 'assistant')
+      and (metric = 'messages' or m.role = 'user')
+      and m.created_at >= from_ts and m.created_at < to_ts
+  ),
+  tagged as (
+    select
+      date_trunc(granularity, ts at time zone tz)::date as bucket,
+      case breakdown
+        when 'user' then owner_id::text
+        when 'persona' then coalesce(persona_id::text, 'none')
+        else 'all'
+      end as group_key,
+      actor_id
+    from events
+  ),
+  series as (
+    select distinct t.group_key from tagged t
+    union
+    select 'all' where breakdown is null
+  ),
+  labelled as (
+    select
+      s.group_key,
+      case breakdown
+        when 'user' then coalesce(pr.full_name, 'User')
+        when 'persona' then coalesce(pe.name, 'No persona')
+        else 'All'
+      end as label
+    from series s
+    left join profiles pr on breakdown = 'user' and pr.id::text = s.group_key
+    left join personas pe on breakdown = 'persona' and pe.id::text = s.group_key
+  ),
+  buckets as (
+    select d::date as bucket
+    from generate_series(
+      date_trunc(granularity, from_ts at time zone tz),
+      date_trunc(granularity, (to_ts - interval '1 microsecond') at time zone tz),
+      ('1 ' || granularity)::interval
+    ) d
+  ),
+  points as (
+    select
+      l.group_key,
+      l.label,
+      b.bucket,
+      case
+        when metric = 'active_users' then count(distinct t.actor_id)
+        else count(t.bucket)
+      end as value
+    from labelled l
+    cross join buckets b
+    left join tagged t on t.group_key = l.group_key and t.bucket = b.bucket
+    group by l.group_key, l.label, b.bucket
+  )
+  select coalesce(jsonb_agg(series_json order by total desc, label), '[]'::jsonb)
+  into v_result
+  from (
+    select
+      p.label,
+      sum(p.value) as total,
+      jsonb_build_object(
+        'key', p.group_key,
+        'label', p.label,
+        'total', sum(p.value),
+        'points', jsonb_agg(
+          jsonb_build_object('bucket', to_char(p.bucket, 'YYYY-MM-DD'), 'value', p.value)
+          order by p.bucket
+        )
+      ) as series_json
+    from points p
+    group by p.group_key, p.label
+  ) grouped;
+
+  return v_result;
+end;
+$$;
+
+
+-- 11. Usage and Cost Reporting
+-- Model call counts, tokens, latency and cost grouped by day (UTC), user or model.
+-- Runs as the caller: members aggregate their own calls, admins their whole organization.
+create or replace function public.usage_summary(
+  group_by text default 'day',
+  from_ts timestamptz default null,
+  to_ts timestamptz default null
+)
+returns table (
+  group_key text,
+  group_label text,
+  requests bigint,
+  errors bigint,
+  prompt_tokens bigint,
+  completion_tokens bigint,
+  total_tokens bigint,
+  cost_usd numeric,
+  unpriced_requests bigint,
+  avg_latency_ms numeric
+)
+language sql stable
+as $$
+  select
+    case group_by
+      when 'user' then coalesce(u.user_id::text, 'none')
+      when 'model' then u.model
+      else to_char(date_trunc('day', u.created_at at time zone 'UTC'), 'YYYY-MM-DD')
+    end,
+    case group_by
+      when 'user' then coalesce(p.full_name, 'Unknown user')
+      when 'model' then u.model
+      else to_char(date_trunc('day', u.created_at at time zone 'UTC'), 'YYYY-MM-DD')
+    end,
+    count(*),
+    count(*) filter (where u.status = 'error'),
+    coalesce(sum(u.prompt_tokens), 0),
+    coalesce(sum(u.completion_tokens), 0),
+    coalesce(sum(u.total_tokens), 0),
+    coalesce(sum(u.cost_usd), 0),
+    count(*) filter (where u.cost_usd is null),
+    round(avg(u.latency_ms), 1)
+  from llm_usage u
+  left join profiles p on p.id = u.user_id
+  where u.status <> 'pending'
+    and (from_ts is null or u.created_at >= from_ts)
+    and (to_ts is null or u.created_at < to_ts)
+  group by 1, 2
+  order by 1;
+$$;
+
+
+-- 12. Chat Quotas
+-- Current quota consumption of a user and their organization, in fixed UTC windows.
+-- Model calls made on a user's request (replies, artifacts, forecast narratives and
+-- action item extraction, including pending reservations) count as messages; tokens
+-- are summed across all calls. Returns null for users without an organization.
+-- Internal: clients use quota_usage(), the API reserve_chat_quota().
+create or replace function public.quota_usage_for(p_user_id uuid)
+returns jsonb
+language plpgsql stable security definer
+set search_path = public
+as $$
+declare
+  v_org uuid;
+  v_now timestamptz := now();
+  v_plan org_plans%rowtype;
+  -- Purposes of the calls that reserve_chat_quota admits
+  v_purposes text[] := array['reply', 'artifact', 'forecast', 'action_items'];
+begin
+  select org_id into v_org from profiles where id = p_user_id;
+  if v_org is null then
+    return null;
+  end if;
+  select * into v_plan from org_plans where org_id = v_org;
+
+  return jsonb_build_object(
+    'plan', coalesce(v_plan.plan, 'free'),
+    'overrides', coalesce(v_plan.overrides, '{}'::jsonb),
+    'user_messages_minute', (
+      select count(*) from llm_usage
+      where user_id = p_user_id and purpose = any(v_purposes)
+        and created_at >= date_trunc('minute', v_now, 'UTC')
+    ),
+    'user_messages_day', (
+      select count(*) from llm_usage
+      where user_id = p_user_id and purpose = any(v_purposes)
+        and created_at >= date_trunc('day', v_now, 'UTC')
+    ),
+    'org_messages_day', (
+      select count(*) from llm_usage
+      where org_id = v_org and purpose = any(v_purposes)
+        and created_at >= date_trunc('day', v_now, 'UTC')
+    ),
+    'org_tokens_month', (
+      select coalesce(sum(total_tokens), 0) from llm_usage
+      where org_id = v_org
+        and created_at >= date_trunc('month', v_now, 'UTC')
+    )
+  );
+end;
+$$;
+
+revoke execute on function public.quota_usage_for(uuid) from public, anon, authenticated;
+
+-- The caller's quota consumption. Security definer because members cannot see other
+-- members' usage rows; it only ever reports on the caller's own organization.
+create or replace function public.quota_usage()
+returns jsonb
+language sql stable security definer
+set search_path = public
+as $$
+  select public.quota_usage_for(auth.uid());
+$$;
+
+-- Checks the user's quotas and reserves one model call in the same transaction: a
+-- 'pending' llm_usage row that counts as a reply until the API replaces it with the
+-- call's actual usage, or deletes it when no call was made. The organization row is
+-- locked, so concurrent requests of an organization are checked one after another.
+-- `p_plans` maps plan names to limits (null = unlimited); the org's overrides apply on
+-- top. Tokens are only known once a call completes, so the token quota is checked
+-- against finished calls. Returns the consumption before this request, plus
+-- `reservation_id`, which is null when a quota is used up; null for users without an
+-- organization. Called by the API with the service role; clients cannot call it.
+create or replace function public.reserve_chat_quota(
+  p_user_id uuid,
+  p_plans jsonb,
+  p_provider text,
+  p_model text
+)
+returns jsonb
+language plpgsql security definer
+set search_path = public
+as $$
+declare
+  v_org uuid;
+  v_usage jsonb;
+  v_limits jsonb;
+  v_reservation uuid;
+begin
+  select org_id into v_org from profiles where id = p_user_id;
+  if v_org is null then
+    return null;
+  end if;
+  perform 1 from organizations where id = v_org for update;
+
+  v_usage := public.quota_usage_for(p_user_id);
+  v_limits := coalesce(p_plans -> (v_usage ->> 'plan'), p_plans -> 'free', '{}'::jsonb)
+    || (v_usage -> 'overrides');
+
+  if exists (
+    select 1
+    from (values
+      ('user_messages_per_minute', 'user_messages_minute'),
+      ('user_messages_per_day', 'user_messages_day'),
+      ('org_messages_per_day', 'org_messages_day'),
+      ('org_tokens_per_month', 'org_tokens_month')
+    ) as q(limit_key, usage_key)
+    where jsonb_typeof(v_limits -> q.limit_key) = 'number'
+    and (v_usage ->> q.usage_key)::numeric >= (v_limits ->> q.limit_key)::numeric
+  ) then
+    return v_usage || jsonb_build_object('reservation_id', null);
+  end if;
+
+  insert into llm_usage (org_id, user_id, purpose, provider, model, status, cost_usd)
+  values (v_org, p_user_id, 'reply', p_provider, p_model, 'pending', 0)
+  returning id into v_reservation;
+
+  return v_usage || jsonb_build_object('reservation_id', v_reservation);
+end;
+$$;
+
+revoke execute on function public.reserve_chat_quota(uuid, jsonb, text, text) from public, anon, authenticated;
+
+
+-- 13. Digest Stats
+-- Activity and usage totals for one organization over [from_ts, to_ts).
+-- Runs as the caller, so it is only complete for org admins and the service role.
+create or replace function public.digest_stats(p_org_id uuid, from_ts timestamptz, to_ts timestamptz)
+returns jsonb
+language sql stable
+as $$
+  with msg as (
+    select m.conversation_id, m.user_id, m.role
+    from messages m
+    where m.org_id = p_org_id
+      and m.role in ('user', 'assistant')
+      and m.created_at >= from_ts and m.created_at < to_ts
+  ),
+  calls as (
+    select u.total_tokens, u.cost_usd
+    from llm_usage u
+    where u.org_id = p_org_id
+      and u.status <> 'pending'
+      and u.created_at >= from_ts and u.created_at < to_ts
+  )
+  select jsonb_build_object(
+    'messages', (select count(*) from msg),
+    'user_messages', (select count(*) from msg where role = 'user'),
+    'active_conversations', (select count(distinct conversation_id) from msg),
+    'new_conversations', (
+      select count(*) from conversations c
+      where c.org_id = p_org_id and c.created_at >= from_ts and c.created_at < to_ts
+    ),
+    'active_users', (select count(distinct user_id) from msg where role = 'user'),
+    'model_calls', (select count(*) from calls),
+    'tokens', (select coalesce(sum(total_tokens), 0) from calls),
+    'cost_usd', (select coalesce(sum(cost_usd), 0) from calls)
+  );
+$$;
+
+
+-- 14. Topic Distribution
+-- Attention per topic over time: for each bucket (in the caller's timezone), the number
+-- of conversations with user messages in it and the number of those messages. Conversations
+-- without topics count as 'untagged'. Zero-filled across [from_ts, to_ts).
+-- Runs as the caller: members see their own conversations, admins their organization.
+create or replace function public.topic_distribution(
+  granularity text,
+  from_ts timestamptz,
+  to_ts timestamptz,
+  tz text default 'UTC'
+)
+returns jsonb
+language sql stable
+as $$
+  with activity as (
+    select m.conversation_id, date_trunc(granularity, m.created_at at time zone tz)::date as bucket
+    from messages m
+    where m.role = 'user'
+      and m.created_at >= from_ts and m.created_at < to_ts
+  ),
+  tagged as (
+    select a.bucket, a.conversation_id, t.topic
+    from activity a
+    join conversations c on c.id = a.conversation_id
+    cross join lateral unnest(
+      case when cardinality(c.topics) = 0 then array['untagged'] else c.topics end
+    ) as t(topic)
+  ),
+  buckets as (
+    select d::date as bucket
+    from generate_series(
+      date_trunc(granularity, from_ts at time zone tz),
+      date_trunc(granularity, (to_ts - interval '1 microsecond') at time zone tz),
+      ('1 ' || granularity)::interval
+    ) d
+  ),
+  points as (
+    select
+      tp.topic,
+      b.bucket,
+      count(distinct t.conversation_id) as conversations,
+      count(t.conversation_id) as user_messages
+    from (select distinct topic from tagged) tp
+    cross join buckets b
+    left join tagged t on t.topic = tp.topic and t.bucket = b.bucket
+    group by tp.topic, b.bucket
+  )
+  select coalesce(jsonb_agg(series order by user_messages desc, topic), '[]'::jsonb)
+  from (
+    select
+      p.topic,
+      sum(p.user_messages) as user_messages,
+      jsonb_build_object(
+        'topic', p.topic,
+        'conversations', (select count(distinct t.conversation_id) from tagged t where t.topic = p.topic),
+        'user_messages', sum(p.user_messages),
+        'points', jsonb_agg(
+          jsonb_build_object(
+            'bucket', to_char(p.bucket, 'YYYY-MM-DD'),
+            'conversations', p.conversations,
+            'user_messages', p.user_messages
+          )
+          order by p.bucket
+        )
+      ) as series
+    from points p
+    group by p.topic
+  ) per_topic;
+$$;
+
+
+-- 15. Artifact Versioning
+-- Bumps the version on every title/content change, then records each version in
+-- artifact_versions. The recording function is security definer so history can be
+-- written without an insert policy. An artifact's organization cannot change.
+create or replace function public.artifact_keep_org()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.org_id is distinct from old.org_id then
+    raise exception 'An artifact cannot be moved to another organization';
+  end if;
+  return new;
+end;
+$$;
+
+create or replace function public.artifact_bump_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.title is distinct from old.title or new.content is distinct from old.content then
+    new.version := old.version + 1;
+    new.updated_at := now();
+  else
+    new.version := old.version;
+  end if;
+  return new;
+end;
+$$;
+
+create or replace function public.artifact_record_version()
+returns trigger
+language plpgsql security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'UPDATE' and new.version = old.version then
+    return null;
+  end if;
+
+  insert into artifact_versions (artifact_id, version, title, content, source, created_by)
+  values (
+    new.id,
+    new.version,
+    new.title,
+    new.content,
+    case when tg_op = 'INSERT' then 'generated' else 'edited' end,
+    coalesce(new.updated_by, new.created_by)
+  );
+  return null;
+end;
+$$;
+
+drop trigger if exists artifacts_keep_org on artifacts;
+create trigger artifacts_keep_org
+  before update of org_id on artifacts
+  for each row execute function public.artifact_keep_org();
+
+drop trigger if exists artifacts_bump_version on artifacts;
+create trigger artifacts_bump_version
+  before update on artifacts
+  for each row execute function public.artifact_bump_version();
+
+drop trigger if exists artifacts_record_version on artifacts;
+create trigger artifacts_record_version
+  after insert or update on artifacts
+  for each row execute function public.artifact_record_version();
+
+
+-- 16. Goal Check-in Progress
+-- Copies each check-in's value to key_results.current_value. Security definer because
+-- key result owners may check in without being allowed to edit the key result itself.
+create or replace function public.apply_goal_checkin()
+returns trigger
+language plpgsql security definer
+set search_path = public
+as $$
+begin
+  update key_results
+  set current_value = new.value,
+      updated_at = now()
+  where id = new.key_result_id;
+  return null;
+end;
+$$;
+
+drop trigger if exists goal_checkins_apply on goal_checkins;
+create trigger goal_checkins_apply
+  after insert on goal_checkins
+  for each row execute function public.apply_goal_checkin();
+
+
+-- 17. Replace KPI Dataset
+-- Swaps a dataset's points and metadata in one transaction, so readers never see a
+-- half-replaced dataset. `p_fields` may rename it or change its description in the same
+-- transaction ({ name, description }; a duplicate name fails with a unique violation and
+-- changes nothing). Runs as the caller: RLS limits it to the uploader and admins.
+create or replace function public.replace_kpi_dataset(
+  p_dataset_id uuid,
+  p_source_format text,
+  p_time_column text,
+  p_columns jsonb,
+  p_stats jsonb,
+  p_row_count integer,
+  p_points jsonb,
+  p_fields jsonb default '{}'
+)
+returns void
+language plpgsql
+as $$
+declare
+  v_org_id uuid;
+begin
+  update kpi_datasets
+  set name = coalesce(p_fields ->> 'name', name),
+      description = case when p_fields ? 'description' then p_fields ->> 'description' else description end,
+      source_format = p_source_format,
+      time_column = p_time_column,
+      columns = p_columns,
+      stats = p_stats,
+      row_count = p_row_count,
+      updated_by = auth.uid(),
+      updated_at = now()
+  where id = p_dataset_id
+  returning org_id into v_org_id;
+
+  if v_org_id is null then
+    raise exception 'KPI dataset % not found', p_dataset_id;
+  end if;
+
+  delete from kpi_points where dataset_id = p_dataset_id;
+
+  insert into kpi_points (dataset_id, org_id, ts, metric, value, labels)
+  select p_dataset_id, v_org_id, point.ts, point.metric, point.value, coalesce(point.labels, '{}')
+  from jsonb_to_recordset(p_points) as point(ts timestamptz, metric text, value numeric, labels jsonb);
+end;
+$$;
+
+-- 18. Replace Document Chunks
+-- Swaps a document's chunks in one transaction (first indexing and re-indexing), so
+-- retrieval never sees a half-indexed document. Runs as the caller: RLS limits it to the
+-- uploader and admins. Embeddings arrive as JSON arrays, which pgvector parses as text.
+create or replace function public.replace_document_chunks(
+  p_document_id uuid,
+  p_embedding_model text,
+  p_chunks jsonb
+)
+returns void
+language plpgsql
+as $$
+declare
+  v_org_id uuid;
+begin
+  update documents
+  set chunk_count = jsonb_array_length(p_chunks),
+      embedding_model = p_embedding_model,
+      updated_at = now()
+  where id = p_document_id
+  returning org_id into v_org_id;
+
+  if v_org_id is null then
+    raise exception 'Document % not found', p_document_id;
+  end if;
+
+  delete from document_chunks where document_id = p_document_id;
+
+  insert into document_chunks (
+    document_id, org_id, chunk_index, heading, page, content, token_count, embedding, embedding_model
+  )
+  select p_document_id, v_org_id, chunk.chunk_index, chunk.heading, chunk.page, chunk.content,
+         chunk.token_count, chunk.embedding::vector, p_embedding_model
+  from jsonb_to_recordset(p_chunks) as chunk(
+    chunk_index integer, heading text, page integer, content text, token_count integer, embedding text
+  );
+end;
+$$;
+
+-- 19. Match Document Chunks
+-- The caller's organization's chunks most similar to a query embedding (cosine similarity),
+-- compared only with chunks embedded by the same model. Runs as the caller (security
+-- invoker), so the document policies apply. Zero vectors have a NaN similarity, which
+-- Postgres sorts above every number, so they are filtered out explicitly.
+create or replace function public.match_document_chunks(
+  p_query_embedding vector,
+  p_embedding_model text,
+  p_match_count integer default 5,
+  p_min_similarity double precision default 0
+)
+returns table (
+  chunk_id uuid,
+  document_id uuid,
+  document_title text,
+  chunk_index integer,
+  heading text,
+  page integer,
+  content text,
+  similarity double precision
+)
+language sql stable
+as $$
+  select *
+  from (
+    select
+      c.id,
+      c.document_id,
+      d.title,
+      c.chunk_index,
+      c.heading,
+      c.page,
+      c.content,
+      1 - (c.embedding <=> p_query_embedding) as similarity
+    from document_chunks c
+    join documents d on d.id = c.document_id
+    where c.org_id = (select org_id from profiles where id = auth.uid())
+    and c.embedding_model = p_embedding_model
+  ) matches
+  where matches.similarity >= p_min_similarity
+  and matches.similarity <> 'NaN'
+  order by matches.similarity desc
+  limit least(greatest(p_match_count, 1), 20);
+$$;
+
+-- 20. Record Template Use
+-- Counts a use of a prompt template. Security definer so members can count uses of shared
+-- templates they may not edit; it only touches templates visible to the caller.
+create or replace function public.record_template_use(p_template_id uuid)
+returns void
+language plpgsql security definer
+set search_path = public
+as $$
+begin
+  update prompt_templates t
+  set usage_count = t.usage_count + 1,
+      last_used_at = now()
+  where t.id = p_template_id
+  and (
+    t.owner_id = auth.uid()
+    or (
+      t.visibility = 'org'
+      and t.org_id = (select org_id from profiles where id = auth.uid())
+    )
+  );
+end;
+$$;
+
+-- A template keeps its owner and organization; sharing is changed through `visibility`.
+-- The owner only goes away with their account (owner_id is set null on delete).
+create or replace function public.prompt_template_keep_owner()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.owner_id is distinct from old.owner_id and new.owner_id is not null)
+    or new.org_id is distinct from old.org_id then
+    raise exception 'A template''s owner and organization cannot be changed';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists prompt_templates_keep_owner on prompt_templates;
+create trigger prompt_templates_keep_owner
+  before update of owner_id, org_id on prompt_templates
+  for each row execute function public.prompt_template_keep_owner();
+
+-- 21. Accept Organization Invitation
+-- Uses up a pending invitation and creates the invitee's profile in its organization with
+-- the invited role, in one transaction: a token can only be used once, and it is not used
+-- up if the profile cannot be created (e.g. the user already has one). Returns no row when
+-- the token is unknown, expired, revoked, already used or issued to another email.
+-- Called by the API with the service role and by the signup trigger; clients cannot call it.
+create or replace function public.accept_org_invitation(
+  p_token_hash text,
+  p_user_id uuid,
+  p_email text,
+  p_full_name text default null
+)
+returns setof org_invitations
+language plpgsql security definer
+set search_path = public
+as $$
+declare
+  v_invitation org_invitations;
+begin
+  update org_invitations
+  set accepted_at = now(),
+      accepted_by = p_user_id
+  where token_hash = p_token_hash
+  and accepted_at is null
+  and revoked_at is null
+  and expires_at > now()
+  and lower(email) = lower(trim(p_email))
+  returning * into v_invitation;
+
+  if not found then
+    return;
+  end if;
+
+  insert into profiles (id, org_id, role, full_name)
+  values (p_user_id, v_invitation.org_id, v_invitation.role, p_full_name);
+
+  return next v_invitation;
+end;
+$$;
+
+revoke execute on function public.accept_org_invitation(text, uuid, text, text) from public, anon, authenticated;
+
+-- 22. Task Creator
+-- A task keeps its creator: the creator's rights (edit, delete) cannot be handed over
+-- by rewriting created_by. It only goes away with their account (set null on delete).
+create or replace function public.task_keep_creator()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.created_by is distinct from old.created_by and new.created_by is not null then
+    raise exception 'A task''s creator cannot be changed';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists tasks_keep_creator on tasks;
+create trigger tasks_keep_creator
+  before update of created_by on tasks
+  for each row execute function public.task_keep_creator();
+
+
 -- Seed Helper Instructions (Commented Out)
 /*
   -- Example: Create an Organization and Link Initial User
@@ -1,7 +1,10 @@
 -- Automatic User Onboarding Trigger
 --
 -- This trigger automatically creates an organization and profile for new users.
--- It fires when a new user is inserted into auth.users.
+-- It fires when a new user is inserted into auth.users, and when a user's email is confirmed.
+-- Users who sign up with an `invite_token` in their metadata join the invitation's
+-- organization instead, once their email address is confirmed (invitations are bound to
+-- it); everyone else gets a new organization and is its admin.
 --
 -- IMPORTANT: This is a backup mechanism. The primary method is via webhook.
 -- This trigger ensures that even if the webhook fails, users get onboarded.
@@ -21,8 +24,14 @@ AS $$
 DECLARE
   v_org_id uuid;
   v_org_name text;
+  v_invite_token text;
   v_existing_profile_count int;
 BEGIN
+  -- On updates, only a new email confirmation is of interest
+  IF TG_OP = 'UPDATE' AND (OLD.email_confirmed_at IS NOT NULL OR NEW.email_confirmed_at IS NULL) THEN
+    RETURN NEW;
+  END IF;
+
   -- Check if profile already exists (prevent duplicate inserts)
   SELECT COUNT(*) INTO v_existing_profile_count
   FROM public.profiles
@@ -33,6 +42,36 @@ BEGIN
     RETURN NEW;
   END IF;
 
+  v_invite_token := COALESCE(
+    NEW.raw_user_meta_data->>'invite_token',
+    NEW.raw_user_meta_data->>'inviteToken'
+  );
+
+  -- Invited users join the invitation's organization (requires accept_org_invitation
+  -- from schema.sql). Only the token's hash is stored, so hash it the same way as the API.
+  IF v_invite_token IS NOT NULL THEN
+    -- Until then anyone could claim an invitation by signing up with the invitee's address
+    IF NEW.email_confirmed_at IS NULL THEN
+      RAISE NOTICE 'User % has an invitation token; it is accepted once their email is confirmed', NEW.id;
+      RETURN NEW;
+    END IF;
+
+    IF NOT EXISTS (
+      SELECT 1 FROM public.accept_org_invitation(
+        encode(sha256(convert_to(v_invite_token, 'UTF8')), 'hex'),
+        NEW.id,
+        NEW.email,
+        NEW.raw_user_meta_data->>'full_name'
+      )
+    ) THEN
+      -- Leave the user without a profile so they can accept a valid invitation later
+      RAISE NOTICE 'Invitation token for user % is invalid, expired, revoked or used', NEW.id;
+    ELSE
+      RAISE NOTICE 'User % joined an organization by invitation', NEW.id;
+    END IF;
+    RETURN NEW;
+  END IF;
+
   -- Extract organization name from user metadata
   -- Check both raw_user_meta_data and user_metadata
   v_org_name := COALESCE(
@@ -43,30 +82,21 @@ BEGIN
 
   RAISE NOTICE 'Onboarding user % with organization name: %', NEW.id, v_org_name;
 
-  -- Find or create organization
-  SELECT id INTO v_org_id
-  FROM public.organizations
-  WHERE LOWER(TRIM(name)) = LOWER(TRIM(v_org_name))
-  LIMIT 1;
-
-  IF v_org_id IS NULL THEN
-    -- Create new organization
-    INSERT INTO public.organizations (name)
-    VALUES (TRIM(v_org_name))
-    RETURNING id INTO v_org_id;
-    
-    RAISE NOTICE 'Created new organization % with id %', v_org_name, v_org_id;
-  ELSE
-    RAISE NOTICE 'Found existing organization % with id %', v_org_name, v_org_id;
-  END IF;
+  -- Always create a new organization: existing organizations are only joined by invitation,
+  -- never by name
+  INSERT INTO public.organizations (name)
+  VALUES (TRIM(v_org_name))
+  RETURNING id INTO v_org_id;
+
+  RAISE NOTICE 'Created new organization % with id %', v_org_name, v_org_id;
 
-  -- Create profile for the user
+  -- Create profile for the user; whoever creates an organization administers it
   INSERT INTO public.profiles (id, org_id, role, full_name)
   VALUES (
     NEW.id,
     v_org_id,
-    'member',
-    NULL
+    'admin',
+    NEW.raw_user_meta_data->>'full_name'
   );
 
   RAISE NOTICE 'Created profile for user % in organization %', NEW.id, v_org_id;
@@ -85,13 +115,13 @@ DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
 
 -- Create trigger on auth.users
 CREATE TRIGGER on_auth_user_created
-  AFTER INSERT ON auth.users
+  AFTER INSERT OR UPDATE OF email_confirmed_at ON auth.users
   FOR EACH ROW
   EXECUTE FUNCTION public.handle_new_user_onboarding();
 
 -- Add comment to document the trigger
 COMMENT ON TRIGGER on_auth_user_created ON auth.users IS 
-  'Automatically creates organization and profile records when a new user signs up';
+  'Automatically creates organization and profile records when a new user signs up or confirms their email';
 
 COMMENT ON FUNCTION public.handle_new_user_onboarding() IS
-  'Handles automatic onboarding of new users by creating/finding an organization and creating a profile record';
+  'Handles automatic onboarding of new users by accepting their invitation or creating a new organization, and creating a profile record';
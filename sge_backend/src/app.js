@@ -29,7 +29,10 @@ const corsOptions = {
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
-  exposedHeaders: ['Content-Length', 'X-Request-Id'],
+  exposedHeaders: [
+    'Content-Length', 'X-Request-Id',
+    'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'
+  ],
   credentials: true,
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -63,6 +66,22 @@ app.use('/docs', swaggerUi.serve, (req, res, next) => {
   swaggerUi.setup(dynamicSpec)(req, res, next);
 });
 
+// KPI dataset uploads (CSV or JSON) may be much larger than other request bodies
+const datasetUploadLimit = process.env.DATASET_UPLOAD_LIMIT || '5mb';
+app.use(
+  '/api/datasets',
+  express.json({ limit: datasetUploadLimit }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: datasetUploadLimit })
+);
+
+// Knowledge base documents are sent as JSON or as the raw markdown/text
+const documentUploadLimit = process.env.DOCUMENT_UPLOAD_LIMIT || '2mb';
+app.use(
+  '/api/documents',
+  express.json({ limit: documentUploadLimit }),
+  express.text({ type: ['text/markdown', 'text/plain'], limit: documentUploadLimit })
+);
+
 // Parse JSON request body
 app.use(express.json());
 
@@ -71,6 +90,10 @@ app.use('/', routes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Body parser errors carry their own status, e.g. 400 for malformed JSON or 413 for oversized uploads
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
   console.error(err.stack);
   res.status(500).json({
     status: 'error',
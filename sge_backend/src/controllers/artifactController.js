@@ -0,0 +1,182 @@
+const asyncHandler = require('express-async-handler');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const { parsePageParams, fetchPage } = require('../utils/pagination');
+const { getProvider } = require('../services/llm');
+const chatService = require('../services/chatService');
+const artifactService = require('../services/artifactService');
+const ARTIFACT_TYPES = require('../services/artifactTypes');
+
+const ARTIFACT_KEYS = ['updated_at', 'id'];
+const VERSION_KEYS = ['version'];
+const MAX_TITLE_LENGTH = 200;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+
+const validateTitle = (title) =>
+  typeof title === 'string' && title.trim() !== '' && title.length <= MAX_TITLE_LENGTH;
+
+const listTypes = asyncHandler(async (req, res) => {
+  res.json(artifactService.listTypes());
+});
+
+// Generates an artifact from the conversation's active branch
+const createArtifact = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { type, title, instructions } = req.body || {};
+
+  if (!artifactService.isSupportedType(type)) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(ARTIFACT_TYPES).join(', ')}` });
+  }
+  if (title !== undefined && !validateTitle(title)) {
+    return res.status(400).json({ error: `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters` });
+  }
+  if (instructions !== undefined && (typeof instructions !== 'string' || instructions.length > MAX_INSTRUCTIONS_LENGTH)) {
+    return res.status(400).json({ error: `instructions must be a string of at most ${MAX_INSTRUCTIONS_LENGTH} characters` });
+  }
+
+  const conversation = await chatService.getConversation(supabase, req.params.id);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  if (!conversation.active_leaf_id) {
+    return res.status(400).json({ error: 'The conversation has no messages' });
+  }
+
+  let result;
+  try {
+    result = await artifactService.generateContent(
+      supabase, req.user, conversation, type, instructions?.trim(), req.quotaReservation
+    );
+  } catch (err) {
+    console.error('Artifact generation failed:', err);
+    return res.status(502).json({ error: 'Failed to generate the artifact' });
+  }
+  if (result.errors) {
+    return res.status(502).json({ error: 'The model did not produce a valid artifact', details: result.errors });
+  }
+
+  const { data, error } = await supabase
+    .from('artifacts')
+    .insert({
+      org_id: req.user.org_id,
+      conversation_id: conversation.id,
+      type,
+      title: title?.trim() || `${ARTIFACT_TYPES[type].name}: ${conversation.title}`.substring(0, MAX_TITLE_LENGTH),
+      content: result.content,
+      model: getProvider().model,
+      created_by: req.user.id,
+      updated_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  res.status(201).json(data);
+});
+
+const listArtifacts = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { type, conversation_id } = req.query;
+
+  if (type !== undefined && !artifactService.isSupportedType(type)) {
+    return res.status(400).json({ error: `type must be one of: ${Object.keys(ARTIFACT_TYPES).join(', ')}` });
+  }
+  const page = parsePageParams(req.query, ARTIFACT_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  let query = supabase
+    .from('artifacts')
+    .select('id, conversation_id, type, title, version, model, created_by, updated_by, created_at, updated_at')
+    .eq('org_id', req.user.org_id);
+  if (type) query = query.eq('type', type);
+  if (conversation_id) query = query.eq('conversation_id', conversation_id);
+
+  res.json(await fetchPage(query, ARTIFACT_KEYS, page));
+});
+
+const getArtifact = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const artifact = await artifactService.getArtifact(supabase, req.params.id);
+  if (!artifact) {
+    return res.status(404).json({ error: 'Artifact not found' });
+  }
+  res.json(artifact);
+});
+
+// Saves an edit as a new version. Passing the `version` being edited rejects the
+// update with 409 if someone else saved a newer version in the meantime.
+const updateArtifact = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { title, content, version } = req.body || {};
+
+  if (title === undefined && content === undefined) {
+    return res.status(400).json({ error: 'Provide at least one of title or content' });
+  }
+  if (title !== undefined && !validateTitle(title)) {
+    return res.status(400).json({ error: `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters` });
+  }
+  if (version !== undefined && (!Number.isInteger(version) || version < 1)) {
+    return res.status(400).json({ error: 'version must be a positive integer' });
+  }
+
+  const artifact = await artifactService.getArtifact(supabase, req.params.id);
+  if (!artifact) {
+    return res.status(404).json({ error: 'Artifact not found' });
+  }
+  if (content !== undefined) {
+    const errors = artifactService.validateContent(artifact.type, content);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'content does not match the artifact schema', details: errors });
+    }
+  }
+
+  const changes = { updated_by: req.user.id };
+  if (title !== undefined) changes.title = title.trim();
+  if (content !== undefined) changes.content = content;
+
+  const { data, error } = await supabase
+    .from('artifacts')
+    .update(changes)
+    .eq('id', artifact.id)
+    .eq('version', version ?? artifact.version)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!data) {
+    return res.status(409).json({ error: 'The artifact was changed by someone else; reload it and try again' });
+  }
+  res.json(data);
+});
+
+const listVersions = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const page = parsePageParams(req.query, VERSION_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  const artifact = await artifactService.getArtifact(supabase, req.params.id);
+  if (!artifact) {
+    return res.status(404).json({ error: 'Artifact not found' });
+  }
+
+  const query = supabase
+    .from('artifact_versions')
+    .select('*')
+    .eq('artifact_id', artifact.id);
+
+  res.json(await fetchPage(query, VERSION_KEYS, page));
+});
+
+module.exports = {
+  listTypes,
+  createArtifact,
+  listArtifacts,
+  getArtifact,
+  updateArtifact,
+  listVersions
+};
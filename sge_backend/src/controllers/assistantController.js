@@ -0,0 +1,157 @@
+const asyncHandler = require('express-async-handler');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const assistantService = require('../services/assistantService');
+
+const MAX_TEXT_LENGTH = 8000;
+
+const isOptionalText = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.length <= MAX_TEXT_LENGTH);
+
+const getSettings = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const settings = await assistantService.getSettings(supabase, req.user.org_id);
+
+  res.json(settings || {
+    org_id: req.user.org_id,
+    company_context: null,
+    tone: null,
+    forbidden_topics: []
+  });
+});
+
+const updateSettings = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { company_context, tone, forbidden_topics } = req.body;
+  const updates = {};
+
+  if (!isOptionalText(company_context) || !isOptionalText(tone)) {
+    return res.status(400).json({ error: `company_context and tone must be strings of at most ${MAX_TEXT_LENGTH} characters` });
+  }
+  if (company_context !== undefined) updates.company_context = company_context || null;
+  if (tone !== undefined) updates.tone = tone || null;
+
+  if (forbidden_topics !== undefined) {
+    if (!Array.isArray(forbidden_topics) || !forbidden_topics.every(topic => typeof topic === 'string')) {
+      return res.status(400).json({ error: 'forbidden_topics must be an array of strings' });
+    }
+    updates.forbidden_topics = forbidden_topics.map(topic => topic.trim()).filter(Boolean);
+  }
+
+  const settings = await assistantService.saveSettings(supabase, req.user.org_id, req.user.id, updates);
+  res.json(settings);
+});
+
+const listPersonas = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const { data, error } = await supabase
+    .from('personas')
+    .select('*')
+    .order('name', { ascending: true });
+
+  if (error) throw new Error(error.message);
+  res.json(data);
+});
+
+// Validates persona fields; `partial` allows omitting required fields (for PATCH)
+const validatePersona = (body, partial) => {
+  const { name, description, instructions } = body;
+  const persona = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 80) {
+      return { error: 'name is required and must be at most 80 characters' };
+    }
+    persona.name = name.trim();
+  }
+  if (instructions !== undefined || !partial) {
+    if (typeof instructions !== 'string' || instructions.trim() === '' || instructions.length > MAX_TEXT_LENGTH) {
+      return { error: `instructions is required and must be at most ${MAX_TEXT_LENGTH} characters` };
+    }
+    persona.instructions = instructions.trim();
+  }
+  if (description !== undefined) {
+    if (!isOptionalText(description)) {
+      return { error: 'description must be a string' };
+    }
+    persona.description = description || null;
+  }
+  return { persona };
+};
+
+const createPersona = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { persona, error: validationError } = validatePersona(req.body, false);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { data, error } = await supabase
+    .from('personas')
+    .insert({
+      ...persona,
+      org_id: req.user.org_id,
+      created_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error?.code === '23505') {
+    return res.status(409).json({ error: 'A persona with this name already exists' });
+  }
+  if (error) throw new Error(error.message);
+  res.status(201).json(data);
+});
+
+const updatePersona = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { persona, error: validationError } = validatePersona(req.body, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (Object.keys(persona).length === 0) {
+    return res.status(400).json({ error: 'Provide at least one of name, description or instructions' });
+  }
+
+  const { data, error } = await supabase
+    .from('personas')
+    .update({ ...persona, updated_at: new Date().toISOString() })
+    .eq('id', req.params.id)
+    .select()
+    .maybeSingle();
+
+  if (error?.code === '23505') {
+    return res.status(409).json({ error: 'A persona with this name already exists' });
+  }
+  if (error) throw new Error(error.message);
+  if (!data) {
+    return res.status(404).json({ error: 'Persona not found' });
+  }
+  res.json(data);
+});
+
+const deletePersona = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  // Conversations using the persona keep working without it (persona_id is set to null)
+  const { data, error } = await supabase
+    .from('personas')
+    .delete()
+    .eq('id', req.params.id)
+    .select('id');
+
+  if (error) throw new Error(error.message);
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Persona not found' });
+  }
+  res.status(204).send();
+});
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  listPersonas,
+  createPersona,
+  updatePersona,
+  deletePersona
+};
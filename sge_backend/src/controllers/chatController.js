@@ -1,148 +1,655 @@
 const asyncHandler = require('express-async-handler');
 const { getAuthenticatedSupabase } = require('../utils/supabase');
-const geminiService = require('../services/geminiService');
+const { getProvider } = require('../services/llm');
+const contextService = require('../services/contextService');
+const chatService = require('../services/chatService');
+const assistantService = require('../services/assistantService');
+const usageService = require('../services/usageService');
+const topicService = require('../services/topicService');
+const goalService = require('../services/goalService');
+const datasetService = require('../services/datasetService');
+const knowledgeService = require('../services/knowledgeService');
+const toolService = require('../services/toolService');
+const templateService = require('../services/templateService');
+const { wantsEventStream, openEventStream, sendEvent } = require('../utils/sse');
+const { parsePageParams, fetchPage } = require('../utils/pagination');
+const { isUuid } = require('../utils/uuid');
+const { estimateTokens } = require('../utils/tokens');
+
+// Keyset pagination sort keys; pinned conversations sort ahead of the rest
+const CONVERSATION_KEYS = ['pinned', 'created_at', 'id'];
+const MESSAGE_KEYS = ['created_at', 'id'];
+
+// Name of the first id field in `body` that is set but not a uuid, if any
+const invalidIdField = (body, fields) =>
+  fields.find(field => body[field] !== undefined && body[field] !== null && !isUuid(body[field]));
 
 const createConversation = asyncHandler(async (req, res) => {
   const supabase = getAuthenticatedSupabase(req.token);
-  const { title } = req.body;
+  const { title, persona_id, goal_id, dataset_id } = req.body;
   
   if (!req.user.org_id) {
     return res.status(400).json({ error: 'User does not belong to an organization' });
   }
+  const badId = invalidIdField(req.body, ['persona_id', 'goal_id', 'dataset_id']);
+  if (badId) {
+    return res.status(400).json({ error: `${badId} must be a valid id` });
+  }
 
-  const { data, error } = await supabase
-    .from('conversations')
-    .insert({
-      user_id: req.user.id,
-      org_id: req.user.org_id,
-      title: title || 'New Conversation'
-    })
-    .select()
-    .single();
+  if (persona_id && !(await assistantService.getPersona(supabase, persona_id))) {
+    return res.status(400).json({ error: 'Persona not found' });
+  }
+  if (goal_id && !(await goalService.getObjective(supabase, goal_id))) {
+    return res.status(400).json({ error: 'Goal not found' });
+  }
+  if (dataset_id && !(await datasetService.getDataset(supabase, dataset_id))) {
+    return res.status(400).json({ error: 'Dataset not found' });
+  }
 
-  if (error) throw new Error(error.message);
+  const data = await chatService.createConversation(supabase, req.user, {
+    title: title || 'New Conversation',
+    persona_id: persona_id || null,
+    goal_id: goal_id || null,
+    dataset_id: dataset_id || null
+  });
   res.status(201).json(data);
 });
 
 const listConversations = asyncHandler(async (req, res) => {
   const supabase = getAuthenticatedSupabase(req.token);
+  // Archived threads are hidden unless explicitly requested with ?archived=true
+  const archived = req.query.archived === 'true';
+  const { topic } = req.query;
+
+  const page = parsePageParams(req.query, CONVERSATION_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+  if (topic !== undefined && !isNonEmptyString(topic)) {
+    return res.status(400).json({ error: 'topic must be a non-empty string' });
+  }
   
-  const { data, error } = await supabase
+  let query = supabase
     .from('conversations')
     .select('*')
-    .order('created_at', { ascending: false });
+    .eq('archived', archived);
+  if (topic) query = query.contains('topics', [topic.toLowerCase()]);
+
+  res.json(await fetchPage(query, CONVERSATION_KEYS, page));
+});
+
+const updateConversation = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { id } = req.params;
+  const { title, archived, pinned, goal_id, dataset_id } = req.body;
+  const updates = {};
+
+  const badId = invalidIdField(req.body, ['goal_id', 'dataset_id']);
+  if (badId) {
+    return res.status(400).json({ error: `${badId} must be a valid id` });
+  }
+
+  if (title !== undefined) {
+    if (typeof title !== 'string' || title.trim() === '') {
+      return res.status(400).json({ error: 'title must be a non-empty string' });
+    }
+    updates.title = title.trim();
+  }
+  if (archived !== undefined) {
+    if (typeof archived !== 'boolean') {
+      return res.status(400).json({ error: 'archived must be a boolean' });
+    }
+    updates.archived = archived;
+  }
+  if (pinned !== undefined) {
+    if (typeof pinned !== 'boolean') {
+      return res.status(400).json({ error: 'pinned must be a boolean' });
+    }
+    updates.pinned = pinned;
+  }
+  if (goal_id !== undefined) {
+    if (goal_id !== null && !(await goalService.getObjective(supabase, goal_id))) {
+      return res.status(400).json({ error: 'Goal not found' });
+    }
+    updates.goal_id = goal_id;
+  }
+  if (dataset_id !== undefined) {
+    if (dataset_id !== null && !(await datasetService.getDataset(supabase, dataset_id))) {
+      return res.status(400).json({ error: 'Dataset not found' });
+    }
+    updates.dataset_id = dataset_id;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'Provide at least one of title, archived, pinned, goal_id or dataset_id' });
+  }
+  updates.updated_at = new Date().toISOString();
+
+  // RLS only lets the owner or an org admin update; anything else matches no rows
+  const { data, error } = await supabase
+    .from('conversations')
+    .update(updates)
+    .eq('id', id)
+    .select()
+    .maybeSingle();
 
   if (error) throw new Error(error.message);
+  if (!data) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
   res.json(data);
 });
 
-const listMessages = asyncHandler(async (req, res) => {
+const deleteConversation = asyncHandler(async (req, res) => {
   const supabase = getAuthenticatedSupabase(req.token);
   const { id } = req.params;
 
+  // Messages are removed by the ON DELETE CASCADE on messages.conversation_id
   const { data, error } = await supabase
-    .from('messages')
-    .select('*')
-    .eq('conversation_id', id)
-    .order('created_at', { ascending: true });
+    .from('conversations')
+    .delete()
+    .eq('id', id)
+    .select('id');
 
   if (error) throw new Error(error.message);
-  res.json(data);
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  res.status(204).send();
 });
 
-const sendMessage = asyncHandler(async (req, res) => {
+const listMessages = asyncHandler(async (req, res) => {
   const supabase = getAuthenticatedSupabase(req.token);
-  const { conversation_id, content } = req.body;
-  
-  if (!req.user.org_id) {
-    return res.status(400).json({ error: 'User does not belong to an organization' });
+  const { id } = req.params;
+
+  const page = parsePageParams(req.query, MESSAGE_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
   }
 
-  let chatId = conversation_id;
+  const conversation = await chatService.getConversation(supabase, id);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  if (!conversation.active_leaf_id) {
+    return res.json({ data: [], next_cursor: null });
+  }
+
+  // Only the active branch, newest first, so clients can scroll upward through history with `before`
+  const query = chatService.branchQuery(supabase, conversation.active_leaf_id);
+  const result = await fetchPage(query, MESSAGE_KEYS, page);
+
+  res.json({
+    ...result,
+    data: await chatService.attachSiblings(supabase, id, result.data)
+  });
+});
+
+const SEARCH_MAX_LIMIT = 50;
+
+const searchMessages = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { q, from, to, author, role } = req.query;
+
+  if (!q || typeof q !== 'string' || q.trim().length < 2) {
+    return res.status(400).json({ error: 'q is required and must be at least 2 characters' });
+  }
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${name} must be a valid date` });
+    }
+  }
+  if (role !== undefined && !['user', 'assistant'].includes(role)) {
+    return res.status(400).json({ error: 'role must be one of: user, assistant' });
+  }
+  if (author !== undefined && !isUuid(author)) {
+    return res.status(400).json({ error: 'author must be a user id' });
+  }
+
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 20;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+  if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${SEARCH_MAX_LIMIT}` });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'offset must be a non-negative integer' });
+  }
+
+  // search_messages runs with the caller's RLS, so visibility matches the conversation listing
+  const { data, error } = await supabase.rpc('search_messages', {
+    search_query: q.trim(),
+    from_ts: from ? new Date(from).toISOString() : null,
+    to_ts: to ? new Date(to).toISOString() : null,
+    author_id: author || null,
+    message_role: role || null,
+    result_limit: limit,
+    result_offset: offset
+  });
+
+  if (error) throw new Error(error.message);
+  res.json({
+    data,
+    next_offset: data.length === limit ? offset + limit : null
+  });
+});
+
+const FALLBACK_REPLY = 'I\'m sorry, I couldn\'t process that request right now.';
+
+const isNonEmptyString = (value) =>
+  typeof value === 'string' && value.trim() !== '';
+
+// Full model context for a turn: the system prompt (org instruction, persona, linked goal,
+// KPI dataset and knowledge base passages relevant to `question`) followed by the branch
+// history leading up to `parentId`. `sources` are the passages, in citation order, and
+// `prompt` is `question` as sent to the model. The prompt and the passages count against
+// the context token budget, so the history is built once they are known.
+const buildModelContext = async (supabase, req, conversation, parentId, question) => {
+  const [assistantPrompt, goalPrompt, datasetPrompt, retrieved] = await Promise.all([
+    assistantService.buildSystemPrompt(supabase, conversation),
+    conversation.goal_id ? goalService.describeForPrompt(supabase, conversation.goal_id) : null,
+    conversation.dataset_id ? datasetService.describeForPrompt(supabase, conversation.dataset_id) : null,
+    knowledgeService.retrieve(supabase, req.user.org_id, question)
+  ]);
+
+  const prompt = contextService.fitMessage(question);
+  const sources = contextService.fitPassages(retrieved);
+  const knowledgePrompt = knowledgeService.describeForPrompt(sources);
+  const history = await contextService.buildContext(supabase, {
+    conversationId: conversation.id,
+    orgId: req.user.org_id,
+    userId: req.user.id,
+    parentId,
+    reservedTokens: estimateTokens(prompt) + (knowledgePrompt ? estimateTokens(knowledgePrompt) : 0)
+  });
+  const systemPrompt = [assistantPrompt, goalPrompt, datasetPrompt, knowledgePrompt].filter(Boolean).join('\n\n');
+  return {
+    contextHistory: systemPrompt ? [{ role: 'system', content: systemPrompt }, ...history] : history,
+    sources,
+    prompt
+  };
+};
+
+// Stores a user message under `parentId` and builds the model context leading up to it
+const prepareTurn = async (supabase, req, { conversation, parentId, content, metadata }) => {
+  const chatId = conversation.id;
+  const userMsg = await chatService.insertMessage(supabase, {
+    conversation_id: chatId,
+    org_id: req.user.org_id,
+    user_id: req.user.id,
+    parent_id: parentId,
+    role: 'user',
+    content,
+    ...(metadata && { metadata })
+  });
+
+  const { contextHistory, sources, prompt } = await buildModelContext(supabase, req, conversation, parentId, content);
+
+  return { chatId, userMsg, contextHistory, sources, prompt };
+};
+
+// Stores the reply as a child of the user message and makes it the conversation's active leaf.
+// Knowledge base passages the reply was grounded in are kept as `metadata.citations`.
+const saveAssistantMessage = async (supabase, req, { chatId, userMsg, sources }, content) => {
+  const assistantMsg = await chatService.insertMessage(supabase, {
+    conversation_id: chatId,
+    org_id: req.user.org_id,
+    parent_id: userMsg.id,
+    role: 'assistant',
+    model: getProvider().model,
+    content,
+    ...(sources.length > 0 && { metadata: { citations: knowledgeService.buildCitations(sources, content) } })
+  });
+
+  await chatService.setActiveLeaf(supabase, chatId, assistantMsg.id);
+
+  // Not awaited: tagging needs another model call and must not delay the reply
+  topicService.classifyIfDue(supabase, req.user, chatId);
+
+  return assistantMsg;
+};
+
+const recordReplyUsage = (req, turn, call, { status, error, output, messageId }) =>
+  usageService.record(call, {
+    orgId: req.user.org_id,
+    userId: req.user.id,
+    conversationId: turn.chatId,
+    messageId,
+    purpose: 'reply',
+    status,
+    error: error?.message,
+    input: [...turn.contextHistory, { content: turn.prompt }],
+    output,
+    reservationId: req.quotaReservation
+  });
+
+// SSE event for a reply event from toolService.streamReply; tool results are announced
+// without their data, which is returned in full by the `done` event
+const toStreamEvent = (event) => {
+  if (event.type === 'text') return ['token', { text: event.text }];
+  if (event.type === 'tool_call') return ['tool_call', event.call];
+  const { id, name, status, error } = event.call;
+  return ['tool_result', { id, name, status, error }];
+};
+
+// Streams model output as SSE `token` events (plus `tool_call`/`tool_result` events while the
+// model looks up data), then a final `done` event with the stored rows.
+// If the client disconnects mid-stream, whatever was generated so far is still persisted.
+const streamReply = async (supabase, req, res, turn) => {
+  const { chatId, userMsg, contextHistory, prompt } = turn;
+  let clientGone = false;
+  res.on('close', () => {
+    if (!res.writableEnded) clientGone = true;
+  });
+
+  openEventStream(res);
+  sendEvent(res, 'start', { conversation_id: chatId, userMessage: userMsg });
 
-  // 1. If no conversation_id, create new conversation
-  if (!chatId) {
-    const title = content.substring(0, 30) + (content.length > 30 ? '...' : '');
-    const { data: conv, error: convError } = await supabase
-      .from('conversations')
-      .insert({
-        user_id: req.user.id,
-        org_id: req.user.org_id,
-        title
-      })
-      .select()
-      .single();
-    
-    if (convError) throw new Error(convError.message);
-    chatId = conv.id;
-  }
-
-  // 2. Store user message
-  const { data: userMsg, error: msgError } = await supabase
-    .from('messages')
-    .insert({
-      conversation_id: chatId,
-      org_id: req.user.org_id,
-      user_id: req.user.id,
-      role: 'user',
-      content
-    })
-    .select()
-    .single();
-
-  if (msgError) throw new Error(msgError.message);
-
-  // 3. Fetch history for context (exclude current message)
-  // We fetch last 21 messages to get 20 previous ones + the current one
-  const { data: history } = await supabase
-    .from('messages')
-    .select('role, content')
-    .eq('conversation_id', chatId)
-    .order('created_at', { ascending: true });
-    
-  // Filter out the message we just added based on content or assume it's the last one
-  // Simple approach: exclude the very last one if it matches our insertion
-  const previousHistory = history.filter(msg => 
-      // This is a naive check; ideally use ID but we didn't select ID in history query
-      // Re-fetching or just taking all except last
-      msg.content !== userMsg.content || msg.role !== userMsg.role
-  ); 
-  // Better: just slice. If we just inserted, it's at the end.
-  const contextHistory = history.slice(0, -1);
-
-  // 4. Generate reply
   let replyContent = '';
+  let streamError = null;
+  const toolCalls = [];
+  const call = usageService.startCall();
   try {
-    replyContent = await geminiService.generateReply(content, contextHistory);
+    const events = toolService.streamReply(supabase, req.user, prompt, contextHistory, { onUsage: call.onUsage });
+    for await (const event of events) {
+      if (event.type === 'text') replyContent += event.text;
+      if (event.type === 'tool_result') toolCalls.push(event.call);
+      if (clientGone) break;
+      sendEvent(res, ...toStreamEvent(event));
+    }
   } catch (err) {
-    console.error('Gemini error:', err);
-    replyContent = 'I\'m sorry, I couldn\'t process that request right now.';
-  }
-
-  // 5. Store assistant message
-  const { data: assistantMsg, error: replyError } = await supabase
-    .from('messages')
-    .insert({
-      conversation_id: chatId,
-      org_id: req.user.org_id,
-      role: 'assistant',
-      content: replyContent
-    })
-    .select()
-    .single();
+    console.error('LLM stream error:', err);
+    streamError = err;
+  }
 
-  if (replyError) throw new Error(replyError.message);
+  const generated = replyContent;
+  if (!replyContent) {
+    replyContent = FALLBACK_REPLY;
+  }
 
-  res.json({
+  let assistantMsg;
+  let storedCalls = [];
+  try {
+    assistantMsg = await saveAssistantMessage(supabase, req, turn, replyContent);
+    storedCalls = await toolService.saveCalls(assistantMsg, req.user.id, toolCalls);
+  } catch (err) {
+    console.error('Failed to store streamed reply:', err);
+    sendEvent(res, 'error', { error: assistantMsg ? 'Failed to store the reply\'s tool calls' : 'Failed to store assistant reply' });
+    return res.end();
+  } finally {
+    await recordReplyUsage(req, turn, call, {
+      status: streamError ? 'error' : clientGone ? 'aborted' : 'ok',
+      error: streamError,
+      output: generated,
+      messageId: assistantMsg?.id
+    });
+  }
+
+  if (clientGone) return;
+
+  if (streamError) {
+    sendEvent(res, 'error', { error: 'Reply generation was interrupted' });
+  }
+  sendEvent(res, 'done', {
     conversation_id: chatId,
     userMessage: userMsg,
-    assistantMessage: assistantMsg
+    assistantMessage: assistantMsg,
+    citations: assistantMsg.metadata?.citations || [],
+    toolCalls: storedCalls
+  });
+  res.end();
+};
+
+// Generates and stores the reply for a prepared turn, streamed or as a single JSON response
+const respond = async (supabase, req, res, turn) => {
+  if (wantsEventStream(req)) {
+    return streamReply(supabase, req, res, turn);
+  }
+
+  let replyContent = '';
+  let replyError = null;
+  const toolCalls = [];
+  const call = usageService.startCall();
+  try {
+    const events = toolService.streamReply(supabase, req.user, turn.prompt, turn.contextHistory, { onUsage: call.onUsage });
+    for await (const event of events) {
+      if (event.type === 'text') replyContent += event.text;
+      if (event.type === 'tool_result') toolCalls.push(event.call);
+    }
+  } catch (err) {
+    console.error('LLM error:', err);
+    replyError = err;
+    replyContent = FALLBACK_REPLY;
+  }
+
+  let assistantMsg;
+  let storedCalls;
+  try {
+    assistantMsg = await saveAssistantMessage(supabase, req, turn, replyContent);
+    storedCalls = await toolService.saveCalls(assistantMsg, req.user.id, toolCalls);
+  } finally {
+    // The model call is billed even if the reply or its audit trail could not be stored
+    await recordReplyUsage(req, turn, call, {
+      status: replyError ? 'error' : 'ok',
+      error: replyError,
+      output: replyError ? '' : replyContent,
+      messageId: assistantMsg?.id
+    });
+  }
+
+  res.json({
+    conversation_id: turn.chatId,
+    userMessage: turn.userMsg,
+    assistantMessage: assistantMsg,
+    citations: assistantMsg.metadata?.citations || [],
+    toolCalls: storedCalls
+  });
+};
+
+const sendMessage = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { conversation_id, persona_id, goal_id, dataset_id, template_id, variables } = req.body;
+  let { content } = req.body;
+  
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  const badId = invalidIdField(req.body, ['conversation_id', 'persona_id', 'goal_id', 'dataset_id', 'template_id']);
+  if (badId) {
+    return res.status(400).json({ error: `${badId} must be a valid id` });
+  }
+
+  // A template is rendered into the message content here, so the model and the
+  // stored message see the same text
+  let template = null;
+  let metadata;
+  if (template_id) {
+    if (content !== undefined) {
+      return res.status(400).json({ error: 'Send either content or template_id, not both' });
+    }
+    template = await templateService.getTemplate(supabase, template_id);
+    if (!template) {
+      return res.status(400).json({ error: 'Template not found' });
+    }
+    const rendered = templateService.render(template, variables);
+    if (rendered.errors) {
+      return res.status(400).json({ error: 'Invalid template variables', details: rendered.errors });
+    }
+    content = rendered.content;
+    metadata = { template: { id: template.id, name: template.name, variables: rendered.values } };
+  } else if (variables !== undefined) {
+    return res.status(400).json({ error: 'variables requires template_id' });
+  }
+
+  if (!isNonEmptyString(content)) {
+    return res.status(400).json({ error: 'content is required and must be a non-empty string' });
+  }
+
+  if (goal_id && !(await goalService.getObjective(supabase, goal_id))) {
+    return res.status(400).json({ error: 'Goal not found' });
+  }
+  if (dataset_id && !(await datasetService.getDataset(supabase, dataset_id))) {
+    return res.status(400).json({ error: 'Dataset not found' });
+  }
+
+  let conversation;
+  if (conversation_id) {
+    conversation = await chatService.getConversation(supabase, conversation_id);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    // Referencing a goal or dataset links it to the conversation for this and later turns
+    const links = {};
+    if (goal_id && goal_id !== conversation.goal_id) links.goal_id = goal_id;
+    if (dataset_id && dataset_id !== conversation.dataset_id) links.dataset_id = dataset_id;
+    if (Object.keys(links).length > 0) {
+      await chatService.setContextLinks(supabase, conversation.id, links);
+      conversation = { ...conversation, ...links };
+    }
+  } else {
+    if (persona_id && !(await assistantService.getPersona(supabase, persona_id))) {
+      return res.status(400).json({ error: 'Persona not found' });
+    }
+    const title = content.substring(0, 30) + (content.length > 30 ? '...' : '');
+    conversation = await chatService.createConversation(supabase, req.user, {
+      title,
+      persona_id: persona_id || null,
+      goal_id: goal_id || null,
+      dataset_id: dataset_id || null
+    });
+  }
+
+  // New messages continue the branch the user is looking at
+  const turn = await prepareTurn(supabase, req, {
+    conversation,
+    parentId: conversation.active_leaf_id || null,
+    content,
+    metadata
+  });
+  if (template) await templateService.recordUse(supabase, template.id);
+
+  await respond(supabase, req, res, turn);
+});
+
+const regenerateReply = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { id } = req.params;
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+
+  const conversation = await chatService.getConversation(supabase, id);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  if (!conversation.active_leaf_id) {
+    return res.status(400).json({ error: 'Conversation has no messages to regenerate' });
+  }
+
+  // Answer the user message again: the parent of the latest reply, or the leaf itself
+  // if the previous reply was never stored
+  const leaf = await chatService.getMessage(supabase, conversation.active_leaf_id);
+  if (!leaf) {
+    return res.status(404).json({ error: 'Latest message not found' });
+  }
+  const userMsg = leaf.role === 'assistant'
+    ? await chatService.getMessage(supabase, leaf.parent_id)
+    : leaf;
+  if (!userMsg || userMsg.role !== 'user') {
+    return res.status(400).json({ error: 'No user message to regenerate a reply for' });
+  }
+  // Same rule as editing: admins can read other members' threads but not change their branches
+  if (userMsg.user_id !== req.user.id) {
+    return res.status(403).json({ error: 'Only the author of a message can regenerate its reply' });
+  }
+
+  const context = await buildModelContext(supabase, req, conversation, userMsg.parent_id, userMsg.content);
+
+  await respond(supabase, req, res, { chatId: id, userMsg, ...context });
+});
+
+const editMessage = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { id } = req.params;
+  const { content } = req.body;
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  if (!isNonEmptyString(content)) {
+    return res.status(400).json({ error: 'content is required and must be a non-empty string' });
+  }
+
+  const original = await chatService.getMessage(supabase, id);
+  if (!original) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  if (original.role !== 'user') {
+    return res.status(400).json({ error: 'Only user messages can be edited' });
+  }
+  // Admins can read other members' threads, but only the author rewrites their message
+  if (original.user_id !== req.user.id) {
+    return res.status(403).json({ error: 'Only the author of a message can edit it' });
+  }
+
+  const conversation = await chatService.getConversation(supabase, original.conversation_id);
+
+  // The edited message becomes a sibling of the original, starting a new branch
+  const turn = await prepareTurn(supabase, req, {
+    conversation,
+    parentId: original.parent_id,
+    content
   });
+
+  await respond(supabase, req, res, turn);
+});
+
+const switchBranch = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { id } = req.params;
+  const { message_id } = req.body;
+
+  if (message_id === undefined || message_id === null || message_id === '') {
+    return res.status(400).json({ error: 'message_id is required' });
+  }
+  if (!isUuid(message_id)) {
+    return res.status(400).json({ error: 'message_id must be a valid id' });
+  }
+
+  const message = await chatService.getMessage(supabase, message_id);
+  if (!message || message.conversation_id !== id) {
+    return res.status(404).json({ error: 'Message not found in this conversation' });
+  }
+
+  // Show the most recent continuation of the chosen alternative
+  const leafId = await chatService.findLatestLeaf(supabase, message_id);
+  await chatService.setActiveLeaf(supabase, id, leafId);
+
+  res.json({ conversation_id: id, active_leaf_id: leafId });
+});
+
+// Tool calls the model made while writing an assistant message, with arguments and results
+const listToolCalls = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const message = await chatService.getMessage(supabase, req.params.id);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  res.json({ data: await toolService.listCalls(supabase, message.id) });
 });
 
 module.exports = {
   createConversation,
   listConversations,
+  updateConversation,
+  deleteConversation,
   listMessages,
-  sendMessage
+  searchMessages,
+  sendMessage,
+  regenerateReply,
+  editMessage,
+  switchBranch,
+  listToolCalls
 };
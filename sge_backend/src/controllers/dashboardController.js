@@ -0,0 +1,455 @@
+const asyncHandler = require('express-async-handler');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const { parsePageParams, fetchPage } = require('../utils/pagination');
+const digestService = require('../services/digestService');
+const topicService = require('../services/topicService');
+const goalService = require('../services/goalService');
+const taskService = require('../services/taskService');
+
+const FEEDBACK_GROUPS = ['persona', 'model', 'period'];
+const USAGE_GROUPS = ['day', 'user', 'model'];
+const DIGEST_KEYS = ['created_at', 'id'];
+const PERIODS = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const TIMESERIES_METRICS = ['messages', 'conversations', 'active_users'];
+const BREAKDOWNS = ['user', 'persona'];
+// Goals read for the goal dashboard; far more than an organization tracks at once.
+// Responses say when an organization has more (`truncated`).
+const MAX_DASHBOARD_GOALS = 500;
+// Default window per granularity: 30 days, 12 weeks, 12 months
+const DEFAULT_SERIES_DAYS = { day: 30, week: 84, month: 365 };
+
+const isValidTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Parses optional ISO `from`/`to` query parameters; returns { error } on invalid input
+const parseDateRange = (query) => {
+  const range = {};
+  for (const name of ['from', 'to']) {
+    if (query[name] === undefined) continue;
+    const time = Date.parse(query[name]);
+    if (Number.isNaN(time)) {
+      return { error: `${name} must be a valid date` };
+    }
+    range[name] = new Date(time).toISOString();
+  }
+  if (range.from && range.to && range.from >= range.to) {
+    return { error: 'from must be before to' };
+  }
+  return range;
+};
+
+// Percentage change from previous to current, null when there is no baseline
+const growthPercent = (current, previous) =>
+  previous ? Number((((current - previous) / previous) * 100).toFixed(1)) : null;
+
+const getSummary = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  // Defaults to the 30 days up to `to` (or now)
+  const to = range.to ? new Date(range.to) : new Date();
+  const from = range.from ? new Date(range.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (from >= to) {
+    return res.status(400).json({ error: 'from must be before to' });
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return res.status(400).json({ error: `The date range cannot exceed ${MAX_RANGE_DAYS} days` });
+  }
+
+  // Admins get org-wide numbers, members only their own (decided in the database function)
+  const { data, error } = await supabase.rpc('dashboard_summary', {
+    from_ts: from.toISOString(),
+    to_ts: to.toISOString()
+  });
+
+  if (error) throw new Error(error.message);
+  if (!data) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+
+  const growth = {};
+  for (const metric of Object.keys(data.current)) {
+    growth[metric] = growthPercent(data.current[metric], data.previous[metric]);
+  }
+
+  res.json({
+    scope: data.scope,
+    period: { from: from.toISOString(), to: to.toISOString() },
+    totalConversations: data.all_time_conversations,
+    activeUsers: data.current.active_users,
+    messagesCount: data.current.messages,
+    growth: growth.messages,
+    current: data.current,
+    previous: data.previous,
+    growthByMetric: growth,
+    members: data.members,
+    recentActivity: data.daily
+  });
+});
+
+const getFeedbackSummary = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const groupBy = req.query.group_by || 'period';
+  const period = req.query.period || 'week';
+
+  if (!FEEDBACK_GROUPS.includes(groupBy)) {
+    return res.status(400).json({ error: `group_by must be one of: ${FEEDBACK_GROUPS.join(', ')}` });
+  }
+  if (!PERIODS.includes(period)) {
+    return res.status(400).json({ error: `period must be one of: ${PERIODS.join(', ')}` });
+  }
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  // Runs with the caller's RLS: members get their own feedback, admins the whole org
+  const { data, error } = await supabase.rpc('feedback_summary', {
+    group_by: groupBy,
+    bucket: period,
+    from_ts: range.from || null,
+    to_ts: range.to || null
+  });
+
+  if (error) throw new Error(error.message);
+
+  const totals = data.reduce((acc, row) => ({
+    positive: acc.positive + Number(row.positive),
+    negative: acc.negative + Number(row.negative),
+    total: acc.total + Number(row.total)
+  }), { positive: 0, negative: 0, total: 0 });
+
+  res.json({
+    group_by: groupBy,
+    period: groupBy === 'period' ? period : undefined,
+    totals: {
+      ...totals,
+      satisfaction: totals.total ? Number((totals.positive / totals.total).toFixed(4)) : null
+    },
+    groups: data.map(row => ({
+      key: row.group_key,
+      label: row.group_label,
+      positive: Number(row.positive),
+      negative: Number(row.negative),
+      total: Number(row.total),
+      satisfaction: row.satisfaction === null ? null : Number(row.satisfaction)
+    }))
+  });
+});
+
+const getTimeseries = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const metric = req.query.metric || 'messages';
+  const granularity = req.query.granularity || 'day';
+  const tz = req.query.tz || 'UTC';
+  const breakdown = req.query.breakdown || null;
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  if (!TIMESERIES_METRICS.includes(metric)) {
+    return res.status(400).json({ error: `metric must be one of: ${TIMESERIES_METRICS.join(', ')}` });
+  }
+  if (!PERIODS.includes(granularity)) {
+    return res.status(400).json({ error: `granularity must be one of: ${PERIODS.join(', ')}` });
+  }
+  if (breakdown && !BREAKDOWNS.includes(breakdown)) {
+    return res.status(400).json({ error: `breakdown must be one of: ${BREAKDOWNS.join(', ')}` });
+  }
+  if (!isValidTimeZone(tz)) {
+    return res.status(400).json({ error: 'tz must be an IANA time zone such as Europe/Berlin' });
+  }
+
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const to = range.to ? new Date(range.to) : new Date();
+  const from = range.from
+    ? new Date(range.from)
+    : new Date(to.getTime() - DEFAULT_SERIES_DAYS[granularity] * DAY_MS);
+  if (from >= to) {
+    return res.status(400).json({ error: 'from must be before to' });
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return res.status(400).json({ error: `The date range cannot exceed ${MAX_RANGE_DAYS} days` });
+  }
+
+  // Buckets are computed in `tz`, so the first and last bucket may only be partially covered
+  const { data, error } = await supabase.rpc('dashboard_timeseries', {
+    metric,
+    granularity,
+    from_ts: from.toISOString(),
+    to_ts: to.toISOString(),
+    tz,
+    breakdown
+  });
+
+  if (error) throw new Error(error.message);
+  if (!data) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+
+  res.json({
+    metric,
+    granularity,
+    tz,
+    breakdown,
+    period: { from: from.toISOString(), to: to.toISOString() },
+    series: data
+  });
+});
+
+const toUsageTotals = (row) => ({
+  requests: Number(row.requests),
+  errors: Number(row.errors),
+  prompt_tokens: Number(row.prompt_tokens),
+  completion_tokens: Number(row.completion_tokens),
+  total_tokens: Number(row.total_tokens),
+  cost_usd: Number(row.cost_usd),
+  unpriced_requests: Number(row.unpriced_requests)
+});
+
+const getUsage = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const groupBy = req.query.group_by || 'day';
+
+  if (!USAGE_GROUPS.includes(groupBy)) {
+    return res.status(400).json({ error: `group_by must be one of: ${USAGE_GROUPS.join(', ')}` });
+  }
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const to = range.to ? new Date(range.to) : new Date();
+  const from = range.from ? new Date(range.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  // Runs with the caller's RLS: members get their own usage, admins the whole org
+  const { data, error } = await supabase.rpc('usage_summary', {
+    group_by: groupBy,
+    from_ts: from.toISOString(),
+    to_ts: to.toISOString()
+  });
+
+  if (error) throw new Error(error.message);
+
+  const groups = data.map(row => ({
+    key: row.group_key,
+    label: row.group_label,
+    ...toUsageTotals(row),
+    avg_latency_ms: row.avg_latency_ms === null ? null : Number(row.avg_latency_ms)
+  }));
+
+  const totals = groups.reduce((acc, group) => {
+    for (const key of Object.keys(acc)) acc[key] += group[key];
+    return acc;
+  }, toUsageTotals({
+    requests: 0, errors: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0, unpriced_requests: 0
+  }));
+  totals.cost_usd = Number(totals.cost_usd.toFixed(6));
+
+  res.json({
+    group_by: groupBy,
+    period: { from: from.toISOString(), to: to.toISOString() },
+    currency: 'USD',
+    totals,
+    groups
+  });
+});
+
+const listDigests = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const page = parsePageParams(req.query, DIGEST_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  const query = supabase
+    .from('org_digests')
+    .select('*')
+    .eq('org_id', req.user.org_id);
+
+  res.json(await fetchPage(query, DIGEST_KEYS, page));
+});
+
+const getDigest = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const { data, error } = await supabase
+    .from('org_digests')
+    .select('*')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!data) {
+    return res.status(404).json({ error: 'Digest not found' });
+  }
+  res.json(data);
+});
+
+// Generates a digest on demand, by default for the last 7 days
+const createDigest = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const range = parseDateRange(req.body || {});
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const to = range.to ? new Date(range.to) : new Date();
+  const from = range.from ? new Date(range.from) : new Date(to.getTime() - 7 * DAY_MS);
+  if (from >= to) {
+    return res.status(400).json({ error: 'from must be before to' });
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return res.status(400).json({ error: `The date range cannot exceed ${MAX_RANGE_DAYS} days` });
+  }
+
+  let digest;
+  try {
+    digest = await digestService.generate(supabase, req.user.org_id, { from, to, createdBy: req.user.id });
+  } catch (err) {
+    console.error('Digest generation failed:', err);
+    return res.status(502).json({ error: 'Failed to generate the digest' });
+  }
+  res.status(201).json(digest);
+});
+
+const getTopicDistribution = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const granularity = req.query.granularity || 'week';
+  const tz = req.query.tz || 'UTC';
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  if (!PERIODS.includes(granularity)) {
+    return res.status(400).json({ error: `granularity must be one of: ${PERIODS.join(', ')}` });
+  }
+  if (!isValidTimeZone(tz)) {
+    return res.status(400).json({ error: 'tz must be an IANA time zone such as Europe/Berlin' });
+  }
+
+  const range = parseDateRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const to = range.to ? new Date(range.to) : new Date();
+  const from = range.from
+    ? new Date(range.from)
+    : new Date(to.getTime() - DEFAULT_SERIES_DAYS[granularity] * DAY_MS);
+  if (from >= to) {
+    return res.status(400).json({ error: 'from must be before to' });
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return res.status(400).json({ error: `The date range cannot exceed ${MAX_RANGE_DAYS} days` });
+  }
+
+  const [{ data, error }, topics] = await Promise.all([
+    supabase.rpc('topic_distribution', {
+      granularity,
+      from_ts: from.toISOString(),
+      to_ts: to.toISOString(),
+      tz
+    }),
+    topicService.listTopics(supabase, req.user.org_id)
+  ]);
+  if (error) throw new Error(error.message);
+
+  // Slugs of deleted custom topics have no name any more and are shown as-is
+  const names = new Map(topics.map(topic => [topic.slug, topic.name]));
+  names.set('untagged', 'Untagged');
+
+  res.json({
+    granularity,
+    tz,
+    period: { from: from.toISOString(), to: to.toISOString() },
+    topics: data.map(series => ({ ...series, name: names.get(series.topic) || series.topic }))
+  });
+});
+
+// Progress roll-up of the organization's goals, optionally for one planning period
+const getGoalProgress = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { period } = req.query;
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+
+  let query = supabase
+    .from('objectives')
+    .select('*', { count: 'exact' })
+    .eq('org_id', req.user.org_id)
+    .order('due_date', { ascending: true, nullsFirst: false })
+    .limit(MAX_DASHBOARD_GOALS);
+  if (period) query = query.eq('period', period);
+
+  const { data, error, count } = await query;
+  if (error) throw new Error(error.message);
+
+  const goals = await goalService.attachKeyResults(supabase, data);
+  res.json({
+    period: period || null,
+    ...goalService.summarize(goals),
+    // Counts and averages only cover the first MAX_DASHBOARD_GOALS objectives by due date
+    truncated: count > data.length,
+    goals: goals
+      .filter(goal => goal.status === 'active')
+      .map(({ id, title, owner_id, period: goalPeriod, due_date, progress, health, key_results }) => ({
+        id,
+        title,
+        owner_id,
+        period: goalPeriod,
+        due_date,
+        progress,
+        health,
+        keyResults: key_results.length
+      }))
+  });
+});
+
+// Task counts by status plus overdue ones, as of today (UTC)
+const getTaskSummary = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+
+  const date = new Date().toISOString().substring(0, 10);
+  res.json({
+    date,
+    ...(await taskService.summarize(supabase, req.user.org_id, req.user.id, date))
+  });
+});
+
+module.exports = {
+  getSummary,
+  getTimeseries,
+  getTopicDistribution,
+  getGoalProgress,
+  getTaskSummary,
+  getUsage,
+  getFeedbackSummary,
+  listDigests,
+  getDigest,
+  createDigest
+};
@@ -0,0 +1,249 @@
+const asyncHandler = require('express-async-handler');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const { parsePageParams, fetchPage } = require('../utils/pagination');
+const { parseCsv } = require('../utils/csv');
+const datasetService = require('../services/datasetService');
+
+const DATASET_KEYS = ['updated_at', 'id'];
+const POINT_KEYS = ['ts', 'id'];
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const LIST_COLUMNS = 'id, name, description, source_format, time_column, row_count, created_by, updated_by, created_at, updated_at';
+
+/**
+ * Read an upload from the request: a CSV body (`Content-Type: text/csv`) with name,
+ * description and time_column in the query string, or a JSON body
+ * `{ name, description, time_column, rows: [{...}, ...] }`.
+ * @returns {{format: string, header: string[], records: Array<object>, fields: object} | {error: string}}
+ */
+const readUpload = (req) => {
+  if (req.is('text/csv') || req.is('text/plain')) {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return { error: 'The CSV body is empty' };
+    }
+    const parsed = parseCsv(req.body);
+    if (parsed.error) return { error: parsed.error };
+    const { name, description, time_column } = req.query;
+    return { format: 'csv', header: parsed.header, records: parsed.records, lines: parsed.lines, fields: { name, description, time_column } };
+  }
+
+  const { name, description, time_column, rows } = req.body || {};
+  if (!Array.isArray(rows)) {
+    return { error: 'Send CSV with Content-Type: text/csv, or JSON with a rows array' };
+  }
+  const header = [];
+  for (const [i, row] of rows.entries()) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      return { error: `rows[${i}] must be an object` };
+    }
+    for (const [key, value] of Object.entries(row)) {
+      if (value !== null && typeof value === 'object') {
+        return { error: `rows[${i}].${key} must be a number, string or null` };
+      }
+      if (!header.includes(key)) header.push(key);
+    }
+  }
+  return { format: 'json', header, records: rows, fields: { name, description, time_column } };
+};
+
+// Validates name and description; `partial` allows omitting the name (for PUT)
+const validateFields = ({ name, description, time_column }, partial) => {
+  const fields = {};
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+      return { error: `name is required and must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    fields.name = name.trim();
+  }
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      return { error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    fields.description = description || null;
+  }
+  if (time_column !== undefined && typeof time_column !== 'string') {
+    return { error: 'time_column must be a column name' };
+  }
+  return { fields };
+};
+
+const canManage = (user, dataset) => user.role === 'admin' || dataset.created_by === user.id;
+
+const listDatasets = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  const page = parsePageParams(req.query, DATASET_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  const query = supabase
+    .from('kpi_datasets')
+    .select(LIST_COLUMNS)
+    .eq('org_id', req.user.org_id);
+
+  res.json(await fetchPage(query, DATASET_KEYS, page));
+});
+
+const getDataset = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const dataset = await datasetService.getDataset(supabase, req.params.id);
+  if (!dataset) {
+    return res.status(404).json({ error: 'Dataset not found' });
+  }
+  res.json(dataset);
+});
+
+const createDataset = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  const upload = readUpload(req);
+  if (upload.error) {
+    return res.status(400).json({ error: upload.error });
+  }
+  const { fields, error: validationError } = validateFields(upload.fields, false);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const parsed = datasetService.parseRecords(upload.header, upload.records, {
+    timeColumn: upload.fields.time_column,
+    lines: upload.lines
+  });
+  if (parsed.errors) {
+    return res.status(400).json({ error: 'The dataset is invalid', details: parsed.errors });
+  }
+
+  const { data: dataset, error } = await supabase
+    .from('kpi_datasets')
+    .insert({
+      ...fields,
+      org_id: req.user.org_id,
+      source_format: upload.format,
+      time_column: parsed.timeColumn,
+      columns: parsed.columns,
+      stats: parsed.stats,
+      row_count: parsed.rowCount,
+      created_by: req.user.id,
+      updated_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error?.code === '23505') {
+    return res.status(409).json({ error: 'A dataset with this name already exists' });
+  }
+  if (error) throw new Error(error.message);
+
+  try {
+    await datasetService.replaceData(supabase, dataset.id, parsed, upload.format);
+  } catch (err) {
+    await supabase.from('kpi_datasets').delete().eq('id', dataset.id);
+    throw err;
+  }
+  res.status(201).json(dataset);
+});
+
+// Replaces a dataset's data with a new upload, keeping its id (and conversations linked to it)
+const replaceDataset = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const upload = readUpload(req);
+  if (upload.error) {
+    return res.status(400).json({ error: upload.error });
+  }
+  const { fields, error: validationError } = validateFields(upload.fields, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const dataset = await datasetService.getDataset(supabase, req.params.id);
+  if (!dataset) {
+    return res.status(404).json({ error: 'Dataset not found' });
+  }
+  if (!canManage(req.user, dataset)) {
+    return res.status(403).json({ error: 'Only the uploader and admins can replace this dataset' });
+  }
+
+  const parsed = datasetService.parseRecords(upload.header, upload.records, {
+    timeColumn: upload.fields.time_column,
+    lines: upload.lines
+  });
+  if (parsed.errors) {
+    return res.status(400).json({ error: 'The dataset is invalid', details: parsed.errors });
+  }
+
+  const replaced = await datasetService.replaceData(supabase, dataset.id, parsed, upload.format, fields);
+  if (replaced.duplicateName) {
+    return res.status(409).json({ error: 'A dataset with this name already exists' });
+  }
+
+  res.json(await datasetService.getDataset(supabase, dataset.id));
+});
+
+const deleteDataset = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const dataset = await datasetService.getDataset(supabase, req.params.id);
+  if (!dataset) {
+    return res.status(404).json({ error: 'Dataset not found' });
+  }
+  if (!canManage(req.user, dataset)) {
+    return res.status(403).json({ error: 'Only the uploader and admins can delete this dataset' });
+  }
+
+  // Points are removed by ON DELETE CASCADE; linked conversations are unlinked
+  const { error } = await supabase
+    .from('kpi_datasets')
+    .delete()
+    .eq('id', dataset.id);
+
+  if (error) throw new Error(error.message);
+  res.status(204).send();
+});
+
+const listPoints = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { metric, from, to } = req.query;
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${name} must be a valid date` });
+    }
+  }
+  const page = parsePageParams(req.query, POINT_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  const dataset = await datasetService.getDataset(supabase, req.params.id);
+  if (!dataset) {
+    return res.status(404).json({ error: 'Dataset not found' });
+  }
+
+  let query = supabase
+    .from('kpi_points')
+    .select('id, ts, metric, value, labels')
+    .eq('dataset_id', dataset.id);
+  if (metric) query = query.eq('metric', metric);
+  if (from) query = query.gte('ts', new Date(from).toISOString());
+  if (to) query = query.lt('ts', new Date(to).toISOString());
+
+  res.json(await fetchPage(query, POINT_KEYS, page));
+});
+
+module.exports = {
+  listDatasets,
+  getDataset,
+  createDataset,
+  replaceDataset,
+  deleteDataset,
+  listPoints
+};
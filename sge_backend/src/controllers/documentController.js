@@ -0,0 +1,226 @@
+const asyncHandler = require('express-async-handler');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const { parsePageParams, fetchPage } = require('../utils/pagination');
+const knowledgeService = require('../services/knowledgeService');
+
+const DOCUMENT_KEYS = ['created_at', 'id'];
+const MAX_TITLE_LENGTH = 200;
+const MAX_CONTENT_LENGTH = 500000;
+const MAX_SEARCH_RESULTS = 20;
+const LIST_COLUMNS = 'id, title, source_type, chunk_count, embedding_model, created_by, created_at, updated_at';
+const CHUNK_COLUMNS = 'id, document_id, chunk_index, heading, page, content, token_count, embedding_model';
+
+/**
+ * Read an upload from the request: a text body (`Content-Type: text/markdown` or
+ * `text/plain`) with title and format in the query string, or a JSON body
+ * `{ title, content, format }`. The format defaults to markdown for text/markdown
+ * bodies and to plain text otherwise.
+ * @returns {{title: string, content: string, format: string} | {error: string}}
+ */
+const readUpload = (req) => {
+  if (req.is('text/markdown') || req.is('text/plain')) {
+    const format = req.query.format || (req.is('text/markdown') ? 'markdown' : 'text');
+    return { title: req.query.title, content: req.body, format };
+  }
+  const { title, content, format = 'text' } = req.body || {};
+  return { title, content, format };
+};
+
+const validateUpload = ({ title, content, format }) => {
+  if (typeof title !== 'string' || title.trim() === '' || title.length > MAX_TITLE_LENGTH) {
+    return `title is required and must be at most ${MAX_TITLE_LENGTH} characters`;
+  }
+  if (!knowledgeService.isSupportedSourceType(format)) {
+    return 'format must be one of: markdown, text, pdf_text';
+  }
+  if (typeof content !== 'string' || content.trim() === '') {
+    return 'content is required';
+  }
+  if (content.length > MAX_CONTENT_LENGTH) {
+    return `content must be at most ${MAX_CONTENT_LENGTH} characters`;
+  }
+  return null;
+};
+
+const canManage = (user, document) => user.role === 'admin' || document.created_by === user.id;
+
+// Chunks and embeds a document; null when the embedding provider failed
+const embed = async (document) => {
+  try {
+    return await knowledgeService.embedDocument(document);
+  } catch (err) {
+    console.error('Document embedding failed:', err);
+    return null;
+  }
+};
+
+const listDocuments = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  const page = parsePageParams(req.query, DOCUMENT_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  const query = supabase
+    .from('documents')
+    .select(LIST_COLUMNS)
+    .eq('org_id', req.user.org_id);
+
+  res.json(await fetchPage(query, DOCUMENT_KEYS, page));
+});
+
+const getDocument = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const document = await knowledgeService.getDocument(supabase, req.params.id);
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  res.json(document);
+});
+
+const createDocument = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  const upload = readUpload(req);
+  const validationError = validateUpload(upload);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { data: document, error } = await supabase
+    .from('documents')
+    .insert({
+      org_id: req.user.org_id,
+      title: upload.title.trim(),
+      source_type: upload.format,
+      content: upload.content,
+      created_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+
+  const embedded = await embed(document);
+  if (!embedded) {
+    await supabase.from('documents').delete().eq('id', document.id);
+    return res.status(502).json({ error: 'Failed to index the document' });
+  }
+  try {
+    await knowledgeService.replaceChunks(supabase, document.id, embedded);
+  } catch (err) {
+    await supabase.from('documents').delete().eq('id', document.id);
+    throw err;
+  }
+
+  res.status(201).json(await knowledgeService.getDocument(supabase, document.id));
+});
+
+// Re-chunks and re-embeds a document, e.g. after switching EMBEDDING_PROVIDER
+const reindexDocument = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const document = await knowledgeService.getDocument(supabase, req.params.id);
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  if (!canManage(req.user, document)) {
+    return res.status(403).json({ error: 'Only the uploader and admins can re-index this document' });
+  }
+
+  const embedded = await embed(document);
+  if (!embedded) {
+    return res.status(502).json({ error: 'Failed to index the document' });
+  }
+  await knowledgeService.replaceChunks(supabase, document.id, embedded);
+
+  res.json(await knowledgeService.getDocument(supabase, document.id));
+});
+
+const deleteDocument = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const document = await knowledgeService.getDocument(supabase, req.params.id);
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  if (!canManage(req.user, document)) {
+    return res.status(403).json({ error: 'Only the uploader and admins can delete this document' });
+  }
+
+  // Chunks are removed by ON DELETE CASCADE; citations in past replies keep their excerpt
+  const { error } = await supabase
+    .from('documents')
+    .delete()
+    .eq('id', document.id);
+
+  if (error) throw new Error(error.message);
+  res.status(204).send();
+});
+
+// A single chunk, the target of a citation
+const getChunk = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const chunkIndex = Number(req.params.chunkIndex);
+
+  if (!Number.isInteger(chunkIndex) || chunkIndex < 0) {
+    return res.status(400).json({ error: 'chunkIndex must be a non-negative integer' });
+  }
+
+  const { data: chunk, error } = await supabase
+    .from('document_chunks')
+    .select(CHUNK_COLUMNS)
+    .eq('document_id', req.params.id)
+    .eq('chunk_index', chunkIndex)
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!chunk) {
+    return res.status(404).json({ error: 'Chunk not found' });
+  }
+  res.json(chunk);
+});
+
+// Retrieval preview: the passages a chat message with this text would be grounded in
+const searchDocuments = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { q } = req.query;
+  const limit = req.query.limit === undefined ? 5 : Number(req.query.limit);
+
+  if (typeof q !== 'string' || q.trim() === '') {
+    return res.status(400).json({ error: 'q is required' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_SEARCH_RESULTS}` });
+  }
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+
+  let results;
+  try {
+    results = await knowledgeService.search(supabase, q.trim(), { limit });
+  } catch (err) {
+    console.error('Knowledge base search failed:', err);
+    return res.status(502).json({ error: 'Failed to search the knowledge base' });
+  }
+  res.json({ data: results });
+});
+
+module.exports = {
+  listDocuments,
+  getDocument,
+  createDocument,
+  reindexDocument,
+  deleteDocument,
+  getChunk,
+  searchDocuments
+};
@@ -0,0 +1,83 @@
+const asyncHandler = require('express-async-handler');
+const archiver = require('archiver');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const chatService = require('../services/chatService');
+const exportService = require('../services/exportService');
+
+const parseFormat = (req, res) => {
+  const format = req.query.format || 'md';
+  if (!exportService.isSupportedFormat(format)) {
+    res.status(400).json({ error: 'format must be one of: md, json, html' });
+    return null;
+  }
+  return format;
+};
+
+const exportConversation = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const format = parseFormat(req, res);
+  if (!format) return;
+
+  const conversation = await chatService.getConversation(supabase, req.params.id);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+
+  const doc = await exportService.buildDocument(supabase, conversation);
+
+  // attachment() guesses a type from the extension, so set the exact one afterwards
+  res.attachment(exportService.fileName(doc, format));
+  res.set('Content-Type', exportService.getFormat(format).contentType);
+  res.send(exportService.render(doc, format));
+});
+
+// Zips every conversation visible to the caller: their own, or the whole org for admins with scope=org
+const exportAllConversations = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const format = parseFormat(req, res);
+  if (!format) return;
+
+  const scope = req.query.scope || 'mine';
+  if (!['mine', 'org'].includes(scope)) {
+    return res.status(400).json({ error: 'scope must be one of: mine, org' });
+  }
+  if (scope === 'org' && req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Only organization admins can export all conversations' });
+  }
+
+  let query = supabase
+    .from('conversations')
+    .select('*')
+    .order('created_at', { ascending: true });
+  if (scope === 'mine') query = query.eq('user_id', req.user.id);
+
+  const { data: conversations, error } = await query;
+  if (error) throw new Error(error.message);
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', (err) => {
+    console.error('Export archive error:', err);
+    res.destroy(err);
+  });
+
+  res.attachment(`conversations-${scope}-${new Date().toISOString().substring(0, 10)}.zip`);
+  archive.pipe(res);
+
+  // Headers are already sent once streaming starts, so failures can only abort the download
+  try {
+    for (const conversation of conversations) {
+      const doc = await exportService.buildDocument(supabase, conversation);
+      archive.append(exportService.render(doc, format), { name: exportService.fileName(doc, format) });
+    }
+    await archive.finalize();
+  } catch (err) {
+    console.error('Bulk export failed:', err);
+    archive.abort();
+    res.destroy(err);
+  }
+});
+
+module.exports = {
+  exportConversation,
+  exportAllConversations
+};
@@ -0,0 +1,72 @@
+const asyncHandler = require('express-async-handler');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const chatService = require('../services/chatService');
+
+const RATINGS = { up: 1, down: -1 };
+const REASONS = ['helpful', 'accurate', 'actionable', 'inaccurate', 'irrelevant', 'incomplete', 'too_generic', 'other'];
+const MAX_COMMENT_LENGTH = 2000;
+
+const submitFeedback = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { id } = req.params;
+  const { rating, reason, comment } = req.body;
+
+  if (!Object.prototype.hasOwnProperty.call(RATINGS, rating)) {
+    return res.status(400).json({ error: 'rating must be one of: up, down' });
+  }
+  if (reason !== undefined && reason !== null && !REASONS.includes(reason)) {
+    return res.status(400).json({ error: `reason must be one of: ${REASONS.join(', ')}` });
+  }
+  if (comment !== undefined && comment !== null &&
+      (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+    return res.status(400).json({ error: `comment must be a string of at most ${MAX_COMMENT_LENGTH} characters` });
+  }
+
+  const message = await chatService.getMessage(supabase, id);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  if (message.role !== 'assistant') {
+    return res.status(400).json({ error: 'Only assistant messages can be rated' });
+  }
+
+  // One rating per user and message; rating again replaces the previous one
+  const { data, error } = await supabase
+    .from('message_feedback')
+    .upsert({
+      message_id: id,
+      org_id: message.org_id,
+      user_id: req.user.id,
+      rating: RATINGS[rating],
+      reason: reason || null,
+      comment: comment?.trim() || null,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'message_id,user_id' })
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  res.json(data);
+});
+
+const deleteFeedback = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const { data, error } = await supabase
+    .from('message_feedback')
+    .delete()
+    .eq('message_id', req.params.id)
+    .eq('user_id', req.user.id)
+    .select('id');
+
+  if (error) throw new Error(error.message);
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Feedback not found' });
+  }
+  res.status(204).send();
+});
+
+module.exports = {
+  submitFeedback,
+  deleteFeedback
+};
@@ -0,0 +1,213 @@
+const asyncHandler = require('express-async-handler');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const { parsePageParams, fetchPage } = require('../utils/pagination');
+const { isUuid } = require('../utils/uuid');
+const forecastService = require('../services/forecastService');
+
+const FORECAST_KEYS = ['created_at', 'id'];
+const MAX_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_COMPARED = 5;
+const LIST_COLUMNS = 'id, name, description, months, start_month, scenarios, created_by, created_at, updated_at';
+
+const canManage = (user, forecast) => user.role === 'admin' || forecast.created_by === user.id;
+
+// Writes the narrative onto the forecast; the error message when the model call failed
+const addNarrative = async (supabase, req, forecast) => {
+  let generated;
+  try {
+    generated = await forecastService.generateNarrative(supabase, req.user, forecast, req.quotaReservation);
+  } catch (err) {
+    console.error('Forecast narrative failed:', err);
+    return { error: 'Failed to generate the narrative' };
+  }
+
+  const { data, error } = await supabase
+    .from('forecasts')
+    .update({
+      narrative: generated.narrative,
+      narrative_model: generated.model,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', forecast.id)
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  return { forecast: data };
+};
+
+const listDrivers = asyncHandler(async (req, res) => {
+  res.json(forecastService.listDrivers());
+});
+
+const listForecasts = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  const page = parsePageParams(req.query, FORECAST_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  const query = supabase
+    .from('forecasts')
+    .select(LIST_COLUMNS)
+    .eq('org_id', req.user.org_id);
+
+  res.json(await fetchPage(query, FORECAST_KEYS, page));
+});
+
+const getForecast = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const forecast = await forecastService.getForecast(supabase, req.params.id);
+  if (!forecast) {
+    return res.status(404).json({ error: 'Forecast not found' });
+  }
+  res.json(forecast);
+});
+
+// Runs the projection for every scenario and saves it with its results
+const createForecast = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { name, description, narrative, ...input } = req.body || {};
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+    return res.status(400).json({ error: `name is required and must be at most ${MAX_NAME_LENGTH} characters` });
+  }
+  if (description !== undefined && description !== null &&
+      (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return res.status(400).json({ error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` });
+  }
+  if (narrative !== undefined && typeof narrative !== 'boolean') {
+    return res.status(400).json({ error: 'narrative must be true or false' });
+  }
+  const { spec, errors } = forecastService.validateSpec(input);
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid forecast', details: errors });
+  }
+
+  const { data, error } = await supabase
+    .from('forecasts')
+    .insert({
+      org_id: req.user.org_id,
+      name: name.trim(),
+      description: description || null,
+      months: spec.months,
+      start_month: `${spec.start_month}-01`,
+      baseline: spec.baseline,
+      scenarios: spec.scenarios,
+      sensitivity: spec.sensitivity,
+      results: forecastService.run(spec),
+      created_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  if (!narrative) {
+    return res.status(201).json(data);
+  }
+
+  // The forecast is kept even if the narrative fails; it can be retried on its own
+  const result = await addNarrative(supabase, req, data);
+  if (result.error) {
+    return res.status(201).json({ ...data, narrative_error: result.error });
+  }
+  res.status(201).json(result.forecast);
+});
+
+// (Re)writes the narrative of a saved forecast
+const createNarrative = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const forecast = await forecastService.getForecast(supabase, req.params.id);
+  if (!forecast) {
+    return res.status(404).json({ error: 'Forecast not found' });
+  }
+  if (!canManage(req.user, forecast)) {
+    return res.status(403).json({ error: 'Only the author and admins can change this forecast' });
+  }
+
+  const result = await addNarrative(supabase, req, forecast);
+  if (result.error) {
+    return res.status(502).json({ error: result.error });
+  }
+  res.json(result.forecast);
+});
+
+// Summary metrics of every scenario of several forecasts, side by side
+const compareForecasts = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+  if (ids.length === 0 || ids.length > MAX_COMPARED) {
+    return res.status(400).json({ error: `ids must list 1 to ${MAX_COMPARED} forecast ids, separated by commas` });
+  }
+  const malformed = ids.find(id => !isUuid(id));
+  if (malformed) {
+    return res.status(400).json({ error: `"${malformed}" is not a forecast id` });
+  }
+
+  const { data, error } = await supabase
+    .from('forecasts')
+    .select('id, name, months, start_month, results')
+    .eq('org_id', req.user.org_id)
+    .in('id', ids);
+
+  if (error) throw new Error(error.message);
+  if (data.length < ids.length) {
+    return res.status(404).json({ error: 'Forecast not found' });
+  }
+
+  const forecasts = ids.map(id => data.find(forecast => forecast.id === id));
+  const columns = forecasts.flatMap(forecast => forecast.results.scenarios.map(scenario => ({
+    forecast_id: forecast.id,
+    forecast_name: forecast.name,
+    months: forecast.months,
+    start_month: forecast.start_month,
+    scenario: scenario.name,
+    summary: scenario.summary
+  })));
+
+  res.json({
+    columns: columns.map(({ summary, ...column }) => column),
+    rows: forecastService.compare(columns)
+  });
+});
+
+const deleteForecast = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const forecast = await forecastService.getForecast(supabase, req.params.id);
+  if (!forecast) {
+    return res.status(404).json({ error: 'Forecast not found' });
+  }
+  if (!canManage(req.user, forecast)) {
+    return res.status(403).json({ error: 'Only the author and admins can delete this forecast' });
+  }
+
+  const { error } = await supabase
+    .from('forecasts')
+    .delete()
+    .eq('id', forecast.id);
+
+  if (error) throw new Error(error.message);
+  res.status(204).send();
+});
+
+module.exports = {
+  listDrivers,
+  listForecasts,
+  getForecast,
+  createForecast,
+  createNarrative,
+  compareForecasts,
+  deleteForecast
+};
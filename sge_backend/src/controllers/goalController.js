@@ -0,0 +1,454 @@
+const asyncHandler = require('express-async-handler');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const { parsePageParams, fetchPage } = require('../utils/pagination');
+const goalService = require('../services/goalService');
+
+const OBJECTIVE_KEYS = ['created_at', 'id'];
+const CHECKIN_KEYS = ['created_at', 'id'];
+const STATUSES = ['active', 'achieved', 'missed', 'cancelled'];
+const CONFIDENCES = ['on_track', 'at_risk', 'off_track'];
+const MAX_TITLE_LENGTH = 200;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_KEY_RESULTS = 10;
+
+const isDate = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isText = (value, maxLength) =>
+  typeof value === 'string' && value.trim() !== '' && value.length <= maxLength;
+
+// Validates objective fields; `partial` allows omitting the title (for PATCH)
+const validateObjective = (body, partial) => {
+  const { title, description, owner_id, period, start_date, due_date, status } = body;
+  const objective = {};
+
+  if (title !== undefined || !partial) {
+    if (!isText(title, MAX_TITLE_LENGTH)) {
+      return { error: `title is required and must be at most ${MAX_TITLE_LENGTH} characters` };
+    }
+    objective.title = title.trim();
+  }
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > MAX_TEXT_LENGTH)) {
+      return { error: `description must be a string of at most ${MAX_TEXT_LENGTH} characters` };
+    }
+    objective.description = description || null;
+  }
+  if (owner_id !== undefined) {
+    if (owner_id !== null && typeof owner_id !== 'string') {
+      return { error: 'owner_id must be a user id or null' };
+    }
+    objective.owner_id = owner_id;
+  }
+  if (period !== undefined) {
+    if (period !== null && !isText(period, 40)) {
+      return { error: 'period must be a short label such as 2026-Q4' };
+    }
+    objective.period = period ? period.trim() : null;
+  }
+  for (const [name, value] of [['start_date', start_date], ['due_date', due_date]]) {
+    if (value === undefined) continue;
+    if (value !== null && !isDate(value)) {
+      return { error: `${name} must be a date (YYYY-MM-DD)` };
+    }
+    objective[name] = value;
+  }
+  if (objective.start_date && objective.due_date && objective.start_date > objective.due_date) {
+    return { error: 'start_date must not be after due_date' };
+  }
+  if (status !== undefined) {
+    if (!STATUSES.includes(status)) {
+      return { error: `status must be one of: ${STATUSES.join(', ')}` };
+    }
+    objective.status = status;
+  }
+  return { objective };
+};
+
+// Validates key result fields; `partial` allows omitting title and target (for PATCH)
+const validateKeyResult = (body, partial) => {
+  const { title, owner_id, unit, start_value, target_value, due_date } = body;
+  const keyResult = {};
+
+  if (title !== undefined || !partial) {
+    if (!isText(title, MAX_TITLE_LENGTH)) {
+      return { error: `key result title is required and must be at most ${MAX_TITLE_LENGTH} characters` };
+    }
+    keyResult.title = title.trim();
+  }
+  if (owner_id !== undefined) {
+    if (owner_id !== null && typeof owner_id !== 'string') {
+      return { error: 'owner_id must be a user id or null' };
+    }
+    keyResult.owner_id = owner_id;
+  }
+  if (unit !== undefined) {
+    if (unit !== null && !isText(unit, 20)) {
+      return { error: 'unit must be a string of at most 20 characters' };
+    }
+    keyResult.unit = unit ? unit.trim() : null;
+  }
+  if (start_value !== undefined) {
+    if (!isNumber(start_value)) return { error: 'start_value must be a number' };
+    keyResult.start_value = start_value;
+  }
+  if (target_value !== undefined || !partial) {
+    if (!isNumber(target_value)) return { error: 'target_value is required and must be a number' };
+    keyResult.target_value = target_value;
+  }
+  if (due_date !== undefined) {
+    if (due_date !== null && !isDate(due_date)) {
+      return { error: 'due_date must be a date (YYYY-MM-DD)' };
+    }
+    keyResult.due_date = due_date;
+  }
+  return { keyResult };
+};
+
+// Owners must be members of the caller's organization (profiles RLS hides everyone else)
+const findInvalidOwner = async (supabase, orgId, ownerIds) => {
+  const ids = [...new Set(ownerIds.filter(Boolean))];
+  if (ids.length === 0) return null;
+
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id')
+    .eq('org_id', orgId)
+    .in('id', ids);
+
+  if (error) throw new Error(error.message);
+  const found = new Set(data.map(profile => profile.id));
+  return ids.find(id => !found.has(id)) || null;
+};
+
+const listGoals = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { status, owner_id, period } = req.query;
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  if (status !== undefined && !STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+  }
+  const page = parsePageParams(req.query, OBJECTIVE_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  let query = supabase
+    .from('objectives')
+    .select('*')
+    .eq('org_id', req.user.org_id);
+  if (status) query = query.eq('status', status);
+  if (owner_id) query = query.eq('owner_id', owner_id);
+  if (period) query = query.eq('period', period);
+
+  const result = await fetchPage(query, OBJECTIVE_KEYS, page);
+  res.json({
+    ...result,
+    data: await goalService.attachKeyResults(supabase, result.data)
+  });
+});
+
+const getGoal = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const objective = await goalService.getObjective(supabase, req.params.id);
+  if (!objective) {
+    return res.status(404).json({ error: 'Goal not found' });
+  }
+  const [goal] = await goalService.attachKeyResults(supabase, [objective]);
+  res.json(goal);
+});
+
+// Creates an objective, optionally with its key results in the same request
+const createGoal = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const body = req.body || {};
+
+  const { objective, error: validationError } = validateObjective(body, false);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const keyResultInput = body.key_results || [];
+  if (!Array.isArray(keyResultInput) || keyResultInput.length > MAX_KEY_RESULTS) {
+    return res.status(400).json({ error: `key_results must be an array of at most ${MAX_KEY_RESULTS} items` });
+  }
+  const keyResults = [];
+  for (const input of keyResultInput) {
+    const { keyResult, error } = validateKeyResult(input || {}, false);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if ((keyResult.start_value ?? 0) === keyResult.target_value) {
+      return res.status(400).json({ error: 'target_value must differ from start_value' });
+    }
+    keyResults.push(keyResult);
+  }
+
+  const invalidOwner = await findInvalidOwner(supabase, req.user.org_id, [
+    objective.owner_id,
+    ...keyResults.map(keyResult => keyResult.owner_id)
+  ]);
+  if (invalidOwner) {
+    return res.status(400).json({ error: `Owner ${invalidOwner} is not a member of the organization` });
+  }
+
+  const { data: created, error } = await supabase
+    .from('objectives')
+    .insert({ ...objective, org_id: req.user.org_id, created_by: req.user.id })
+    .select()
+    .single();
+  if (error) throw new Error(error.message);
+
+  if (keyResults.length > 0) {
+    const { error: keyResultError } = await supabase
+      .from('key_results')
+      .insert(keyResults.map(keyResult => ({
+        ...keyResult,
+        current_value: keyResult.start_value ?? 0,
+        objective_id: created.id,
+        org_id: req.user.org_id
+      })));
+    if (keyResultError) {
+      await supabase.from('objectives').delete().eq('id', created.id);
+      throw new Error(keyResultError.message);
+    }
+  }
+
+  const [goal] = await goalService.attachKeyResults(supabase, [created]);
+  res.status(201).json(goal);
+});
+
+const updateGoal = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const { objective, error: validationError } = validateObjective(req.body || {}, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (Object.keys(objective).length === 0) {
+    return res.status(400).json({ error: 'Provide at least one field to update' });
+  }
+
+  const existing = await goalService.getObjective(supabase, req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Goal not found' });
+  }
+  const startDate = objective.start_date !== undefined ? objective.start_date : existing.start_date;
+  const dueDate = objective.due_date !== undefined ? objective.due_date : existing.due_date;
+  if (startDate && dueDate && startDate > dueDate) {
+    return res.status(400).json({ error: 'start_date must not be after due_date' });
+  }
+  const invalidOwner = await findInvalidOwner(supabase, req.user.org_id, [objective.owner_id]);
+  if (invalidOwner) {
+    return res.status(400).json({ error: `Owner ${invalidOwner} is not a member of the organization` });
+  }
+
+  const { data, error } = await supabase
+    .from('objectives')
+    .update({ ...objective, updated_at: new Date().toISOString() })
+    .eq('id', existing.id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!data) {
+    return res.status(404).json({ error: 'Goal not found' });
+  }
+  const [goal] = await goalService.attachKeyResults(supabase, [data]);
+  res.json(goal);
+});
+
+const deleteGoal = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  // Key results and check-ins are removed by ON DELETE CASCADE; linked conversations are unlinked
+  const { data, error } = await supabase
+    .from('objectives')
+    .delete()
+    .eq('id', req.params.id)
+    .select('id');
+
+  if (error) throw new Error(error.message);
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Goal not found' });
+  }
+  res.status(204).send();
+});
+
+const createKeyResult = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const { keyResult, error: validationError } = validateKeyResult(req.body || {}, false);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if ((keyResult.start_value ?? 0) === keyResult.target_value) {
+    return res.status(400).json({ error: 'target_value must differ from start_value' });
+  }
+
+  const objective = await goalService.getObjective(supabase, req.params.id);
+  if (!objective) {
+    return res.status(404).json({ error: 'Goal not found' });
+  }
+  const invalidOwner = await findInvalidOwner(supabase, req.user.org_id, [keyResult.owner_id]);
+  if (invalidOwner) {
+    return res.status(400).json({ error: `Owner ${invalidOwner} is not a member of the organization` });
+  }
+
+  const { data, error } = await supabase
+    .from('key_results')
+    .insert({
+      ...keyResult,
+      current_value: keyResult.start_value ?? 0,
+      objective_id: objective.id,
+      org_id: objective.org_id
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  res.status(201).json({ ...data, progress: goalService.keyResultProgress(data) });
+});
+
+const updateKeyResult = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { id, keyResultId } = req.params;
+
+  const { keyResult, error: validationError } = validateKeyResult(req.body || {}, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (Object.keys(keyResult).length === 0) {
+    return res.status(400).json({ error: 'Provide at least one field to update' });
+  }
+
+  const existing = await goalService.getKeyResult(supabase, id, keyResultId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Key result not found' });
+  }
+  const start = keyResult.start_value ?? Number(existing.start_value);
+  const target = keyResult.target_value ?? Number(existing.target_value);
+  if (start === target) {
+    return res.status(400).json({ error: 'target_value must differ from start_value' });
+  }
+  const invalidOwner = await findInvalidOwner(supabase, req.user.org_id, [keyResult.owner_id]);
+  if (invalidOwner) {
+    return res.status(400).json({ error: `Owner ${invalidOwner} is not a member of the organization` });
+  }
+
+  const { data, error } = await supabase
+    .from('key_results')
+    .update({ ...keyResult, updated_at: new Date().toISOString() })
+    .eq('id', existing.id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!data) {
+    return res.status(404).json({ error: 'Key result not found' });
+  }
+  res.json({ ...data, progress: goalService.keyResultProgress(data) });
+});
+
+const deleteKeyResult = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const { data, error } = await supabase
+    .from('key_results')
+    .delete()
+    .eq('id', req.params.keyResultId)
+    .eq('objective_id', req.params.id)
+    .select('id');
+
+  if (error) throw new Error(error.message);
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Key result not found' });
+  }
+  res.status(204).send();
+});
+
+// Records progress on a key result; its current_value is updated by a database trigger
+const createCheckin = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { id, keyResultId } = req.params;
+  const { value, confidence, note } = req.body || {};
+
+  if (!isNumber(value)) {
+    return res.status(400).json({ error: 'value is required and must be a number' });
+  }
+  if (confidence !== undefined && confidence !== null && !CONFIDENCES.includes(confidence)) {
+    return res.status(400).json({ error: `confidence must be one of: ${CONFIDENCES.join(', ')}` });
+  }
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_TEXT_LENGTH)) {
+    return res.status(400).json({ error: `note must be a string of at most ${MAX_TEXT_LENGTH} characters` });
+  }
+
+  const [objective, keyResult] = await Promise.all([
+    goalService.getObjective(supabase, id),
+    goalService.getKeyResult(supabase, id, keyResultId)
+  ]);
+  if (!objective || !keyResult) {
+    return res.status(404).json({ error: 'Key result not found' });
+  }
+  const isOwner = [keyResult.owner_id, objective.owner_id].includes(req.user.id);
+  if (req.user.role !== 'admin' && !isOwner) {
+    return res.status(403).json({ error: 'Only admins and the goal\'s owners can check in' });
+  }
+
+  const { data, error } = await supabase
+    .from('goal_checkins')
+    .insert({
+      key_result_id: keyResult.id,
+      org_id: objective.org_id,
+      value,
+      confidence: confidence || null,
+      note: note || null,
+      created_by: req.user.id
+    })
+    .select()
+    .single();
+  if (error) throw new Error(error.message);
+
+  const updated = await goalService.getKeyResult(supabase, id, keyResultId);
+  res.status(201).json({
+    ...data,
+    key_result: { ...updated, progress: goalService.keyResultProgress(updated) }
+  });
+});
+
+const listCheckins = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { id, keyResultId } = req.params;
+
+  const page = parsePageParams(req.query, CHECKIN_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+  const keyResult = await goalService.getKeyResult(supabase, id, keyResultId);
+  if (!keyResult) {
+    return res.status(404).json({ error: 'Key result not found' });
+  }
+
+  const query = supabase
+    .from('goal_checkins')
+    .select('*')
+    .eq('key_result_id', keyResult.id);
+
+  res.json(await fetchPage(query, CHECKIN_KEYS, page));
+});
+
+module.exports = {
+  listGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+  createKeyResult,
+  updateKeyResult,
+  deleteKeyResult,
+  createCheckin,
+  listCheckins
+};
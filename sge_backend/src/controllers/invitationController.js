@@ -0,0 +1,63 @@
+const asyncHandler = require('express-async-handler');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const { parsePageParams, fetchPage } = require('../utils/pagination');
+const invitationService = require('../services/invitationService');
+
+const INVITATION_KEYS = ['created_at', 'id'];
+const ROLES = ['member', 'admin'];
+const MAX_EMAIL_LENGTH = 254;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const listInvitations = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const page = parsePageParams(req.query, INVITATION_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  res.json(await fetchPage(invitationService.pendingQuery(supabase, req.user.org_id), INVITATION_KEYS, page));
+});
+
+// Creates an invitation; the token is only ever shown in this response
+const createInvitation = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { email, role = 'member' } = req.body || {};
+
+  if (typeof email !== 'string' || email.length > MAX_EMAIL_LENGTH || !EMAIL.test(email.trim())) {
+    return res.status(400).json({ error: 'email must be a valid email address' });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  const { invitation, token } = await invitationService.create(supabase, req.user, {
+    email: email.trim().toLowerCase(),
+    role
+  });
+  res.status(201).json({
+    ...invitation,
+    token,
+    accept_url: invitationService.acceptUrl(token)
+  });
+});
+
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const invitation = await invitationService.getInvitation(supabase, req.params.id);
+  if (!invitation) {
+    return res.status(404).json({ error: 'Invitation not found' });
+  }
+
+  const revoked = await invitationService.revoke(supabase, invitation.id);
+  if (!revoked) {
+    return res.status(409).json({ error: `The invitation is no longer pending (${invitationService.status(invitation)})` });
+  }
+  res.json(revoked);
+});
+
+module.exports = {
+  listInvitations,
+  createInvitation,
+  revokeInvitation
+};
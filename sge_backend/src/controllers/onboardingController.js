@@ -1,5 +1,6 @@
 const asyncHandler = require('express-async-handler');
 const userOnboardingService = require('../services/userOnboardingService');
+const invitationService = require('../services/invitationService');
 const { supabaseAdmin } = require('../utils/supabase');
 
 /**
@@ -14,7 +15,7 @@ class OnboardingController {
    * 
    * @param {object} req - Express request object
    * @param {object} req.body - Request body
-   * @param {string} req.body.organization_name - Organization name to join or create
+   * @param {string} req.body.organization_name - Name of the organization to create
    * @param {object} req.user - Authenticated user from middleware
    * @returns {object} Response with organization and profile data
    * 
@@ -24,8 +25,9 @@ class OnboardingController {
    *     summary: Complete user onboarding
    *     description: |
    *       Authenticates the user via Supabase JWT from Authorization header,
-   *       accepts organization_name in JSON body, finds or creates the organization
-   *       (case-insensitive), and creates a profile with role='member' if it doesn't exist.
+   *       accepts organization_name in JSON body, creates a new organization with that
+   *       name and a profile with role='admin' if it doesn't exist. Existing organizations
+   *       are never joined by name; use /api/onboarding/accept-invite with an invitation.
    *       This endpoint is idempotent - safe to call multiple times.
    *     tags:
    *       - Onboarding
@@ -42,7 +44,7 @@ class OnboardingController {
    *             properties:
    *               organization_name:
    *                 type: string
-   *                 description: Name of the organization to join or create
+   *                 description: Name of the organization to create
    *                 example: "Acme Corporation"
    *     responses:
    *       200:
@@ -77,7 +79,7 @@ class OnboardingController {
    *                       format: uuid
    *                     role:
    *                       type: string
-   *                       example: "member"
+   *                       example: "admin"
    *                     full_name:
    *                       type: string
    *                       nullable: true
@@ -188,6 +190,102 @@ class OnboardingController {
       });
     }
   });
+
+  /**
+   * PUBLIC_INTERFACE
+   * Join an organization with an invitation token
+   * POST /api/onboarding/accept-invite
+   *
+   * @param {object} req - Express request object
+   * @param {string} req.body.token - Invitation token
+   * @param {string} [req.body.full_name] - Optional full name
+   * @param {object} req.user - Authenticated user from middleware
+   * @returns {object} Response with organization and profile data
+   *
+   * @swagger
+   * /api/onboarding/accept-invite:
+   *   post:
+   *     summary: Accept an organization invitation
+   *     description: |
+   *       Joins the organization of an invitation created by one of its admins, with the
+   *       invited role. The token is single use, expires, and only works for the email
+   *       address it was issued to, once the user has confirmed that address. Users who
+   *       already belong to an organization cannot accept invitations.
+   *     tags:
+   *       - Onboarding
+   *     security:
+   *       - bearerAuth: []
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required:
+   *               - token
+   *             properties:
+   *               token:
+   *                 type: string
+   *                 description: The invitation token
+   *               full_name:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Joined the organization; returns `org` and `profile`
+   *       400:
+   *         description: Missing token
+   *       403:
+   *         description: The email address is not confirmed, or the invitation was issued to a different one
+   *       404:
+   *         description: Invitation not found
+   *       409:
+   *         description: The user already belongs to an organization
+   *       410:
+   *         description: The invitation has expired, was revoked or was already used
+   */
+  acceptInvitation = asyncHandler(async (req, res) => {
+    const { token, full_name } = req.body || {};
+    const userId = req.user?.id;
+
+    console.log('[OnboardingController] acceptInvitation called');
+    console.log(`[OnboardingController] User ID: ${userId}`);
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'token is required' });
+    }
+    if (full_name !== undefined && full_name !== null && typeof full_name !== 'string') {
+      return res.status(400).json({ error: 'full_name must be a string' });
+    }
+
+    if (!req.user.email_confirmed) {
+      console.log(`[OnboardingController] User ${userId} has not confirmed their email`);
+      return res.status(403).json({ error: 'Confirm your email address before accepting the invitation' });
+    }
+
+    if (await userOnboardingService.isUserOnboarded(userId)) {
+      console.log(`[OnboardingController] User ${userId} is already onboarded`);
+      return res.status(409).json({ error: 'User already belongs to an organization' });
+    }
+
+    const result = await invitationService.accept(userId, req.user.email, token.trim(), full_name?.trim() || null);
+    if (result.error) {
+      console.log(`[OnboardingController] Invitation not accepted: ${result.reason}`);
+      const status = {
+        not_found: 404,
+        email_mismatch: 403,
+        already_onboarded: 409
+      }[result.reason] || 410;
+      return res.status(status).json({ error: result.error });
+    }
+
+    console.log(`[OnboardingController] User ${userId} joined organization ${result.organization.id}`);
+    return res.status(200).json({
+      success: true,
+      message: 'Invitation accepted',
+      org: result.organization,
+      profile: result.profile
+    });
+  });
 }
 
 module.exports = new OnboardingController();
@@ -0,0 +1,19 @@
+const asyncHandler = require('express-async-handler');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const quotaService = require('../services/quotaService');
+
+const getQuota = asyncHandler(async (req, res) => {
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+
+  const status = await quotaService.getStatus(getAuthenticatedSupabase(req.token));
+  if (!status) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  res.json(status);
+});
+
+module.exports = {
+  getQuota
+};
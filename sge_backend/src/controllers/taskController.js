@@ -0,0 +1,254 @@
+const asyncHandler = require('express-async-handler');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const { parsePageParams, fetchPage } = require('../utils/pagination');
+const chatService = require('../services/chatService');
+const taskService = require('../services/taskService');
+
+const TASK_KEYS = ['created_at', 'id'];
+const STATUSES = ['open', 'in_progress', 'done'];
+const MAX_DESCRIPTION_LENGTH = 1000;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isDate = (value) => typeof value === 'string' && DATE.test(value) && !Number.isNaN(Date.parse(value));
+const today = () => new Date().toISOString().substring(0, 10);
+
+// Creator, assignee and admins can update a task; only creator and admins delete it
+const canUpdate = (user, task) => user.role === 'admin' || task.created_by === user.id || task.assignee_id === user.id;
+const canDelete = (user, task) => user.role === 'admin' || task.created_by === user.id;
+
+const withOverdue = (task, date = today()) => ({
+  ...task,
+  overdue: task.status !== 'done' && !!task.due_date && task.due_date < date
+});
+
+// Validates task fields; `partial` allows omitting the description (for PATCH)
+const validateTask = (body, partial) => {
+  const { description, assignee_id, due_date, status } = body;
+  const task = {};
+
+  if (description !== undefined || !partial) {
+    if (typeof description !== 'string' || description.trim() === '' || description.length > MAX_DESCRIPTION_LENGTH) {
+      return { error: `description is required and must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    task.description = description.trim();
+  }
+  if (assignee_id !== undefined) {
+    if (assignee_id !== null && typeof assignee_id !== 'string') {
+      return { error: 'assignee_id must be a user id or null' };
+    }
+    task.assignee_id = assignee_id;
+  }
+  if (due_date !== undefined) {
+    if (due_date !== null && !isDate(due_date)) {
+      return { error: 'due_date must be a date (YYYY-MM-DD) or null' };
+    }
+    task.due_date = due_date;
+  }
+  if (status !== undefined) {
+    if (!STATUSES.includes(status)) {
+      return { error: `status must be one of: ${STATUSES.join(', ')}` };
+    }
+    task.status = status;
+  }
+  return { task };
+};
+
+const listTasks = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { status, assignee, conversation_id, overdue, due_before } = req.query;
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  const statuses = status ? String(status).split(',') : [];
+  if (!statuses.every(value => STATUSES.includes(value))) {
+    return res.status(400).json({ error: `status must be one or more of: ${STATUSES.join(', ')}` });
+  }
+  if (overdue !== undefined && overdue !== 'true' && overdue !== 'false') {
+    return res.status(400).json({ error: 'overdue must be true or false' });
+  }
+  if (due_before !== undefined && !isDate(due_before)) {
+    return res.status(400).json({ error: 'due_before must be a date (YYYY-MM-DD)' });
+  }
+  const page = parsePageParams(req.query, TASK_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  let query = supabase
+    .from('tasks')
+    .select('*')
+    .eq('org_id', req.user.org_id);
+  if (statuses.length > 0) query = query.in('status', statuses);
+  // `assignee=me` for the caller's tasks, `assignee=none` for unassigned ones
+  if (assignee === 'me') query = query.eq('assignee_id', req.user.id);
+  else if (assignee === 'none') query = query.is('assignee_id', null);
+  else if (assignee) query = query.eq('assignee_id', assignee);
+  if (conversation_id) query = query.eq('conversation_id', conversation_id);
+  if (due_before) query = query.lt('due_date', due_before);
+
+  const date = today();
+  if (overdue === 'true') {
+    query = query.neq('status', 'done').lt('due_date', date);
+  } else if (overdue === 'false') {
+    query = query.or(`status.eq.done,due_date.is.null,due_date.gte.${date}`);
+  }
+
+  const result = await fetchPage(query, TASK_KEYS, page);
+  res.json({ ...result, data: result.data.map(task => withOverdue(task, date)) });
+});
+
+const getTask = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const task = await taskService.getTask(supabase, req.params.id);
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  res.json(withOverdue(task));
+});
+
+const createTask = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  const { task, error: validationError } = validateTask(req.body || {}, false);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (task.assignee_id && !(await taskService.getMember(supabase, req.user.org_id, task.assignee_id))) {
+    return res.status(400).json({ error: 'The assignee is not a member of the organization' });
+  }
+
+  const { data, error } = await supabase
+    .from('tasks')
+    .insert({
+      ...task,
+      org_id: req.user.org_id,
+      completed_at: task.status === 'done' ? new Date().toISOString() : null,
+      created_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  res.status(201).json(withOverdue(data));
+});
+
+const updateTask = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { task: changes, error: validationError } = validateTask(req.body || {}, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'Provide at least one of description, assignee_id, due_date or status' });
+  }
+
+  const task = await taskService.getTask(supabase, req.params.id);
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  if (!canUpdate(req.user, task)) {
+    return res.status(403).json({ error: 'Only the creator, the assignee and admins can update this task' });
+  }
+  if (changes.assignee_id && !(await taskService.getMember(supabase, task.org_id, changes.assignee_id))) {
+    return res.status(400).json({ error: 'The assignee is not a member of the organization' });
+  }
+  // completed_at records when the task was last moved to done
+  if (changes.status && changes.status !== task.status) {
+    changes.completed_at = changes.status === 'done' ? new Date().toISOString() : null;
+  }
+
+  const { data, error } = await supabase
+    .from('tasks')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', task.id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!data) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  res.json(withOverdue(data));
+});
+
+const deleteTask = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const task = await taskService.getTask(supabase, req.params.id);
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  if (!canDelete(req.user, task)) {
+    return res.status(403).json({ error: 'Only the creator and admins can delete this task' });
+  }
+
+  const { error } = await supabase
+    .from('tasks')
+    .delete()
+    .eq('id', task.id);
+
+  if (error) throw new Error(error.message);
+  res.status(204).send();
+});
+
+// Extracts the conversation's action items and stores the new ones as open tasks
+const extractActionItems = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  const conversation = await chatService.getConversation(supabase, req.params.id);
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  if (!conversation.active_leaf_id) {
+    return res.status(400).json({ error: 'The conversation has no messages' });
+  }
+
+  let result;
+  try {
+    result = await taskService.extractActionItems(supabase, req.user, conversation, req.quotaReservation);
+  } catch (err) {
+    console.error('Action item extraction failed:', err);
+    return res.status(502).json({ error: 'Failed to extract action items' });
+  }
+  if (result.errors) {
+    return res.status(502).json({ error: 'The model did not produce valid action items', details: result.errors });
+  }
+
+  const items = await taskService.filterNew(supabase, conversation.id, result.items);
+  if (items.length === 0) {
+    return res.json({ tasks: [], duplicates: result.items.length });
+  }
+
+  const { data, error } = await supabase
+    .from('tasks')
+    .insert(items.map(item => ({
+      ...item,
+      org_id: req.user.org_id,
+      conversation_id: conversation.id,
+      created_by: req.user.id
+    })))
+    .select();
+
+  if (error) throw new Error(error.message);
+  res.status(201).json({
+    tasks: data.map(task => withOverdue(task)),
+    duplicates: result.items.length - items.length
+  });
+});
+
+module.exports = {
+  listTasks,
+  getTask,
+  createTask,
+  updateTask,
+  deleteTask,
+  extractActionItems
+};
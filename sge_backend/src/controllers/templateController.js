@@ -0,0 +1,200 @@
+const asyncHandler = require('express-async-handler');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const { parsePageParams, fetchPage } = require('../utils/pagination');
+const templateService = require('../services/templateService');
+
+const TEMPLATE_KEYS = ['updated_at', 'id'];
+const VISIBILITIES = ['org', 'personal'];
+const MAX_NAME_LENGTH = 120;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_BODY_LENGTH = 8000;
+
+const canManage = (user, template) =>
+  template.owner_id === user.id || (template.visibility === 'org' && user.role === 'admin');
+
+// Validates template fields; `partial` allows omitting required fields (for PATCH).
+// `current` is the stored template, so a PATCH of only the body or only the variables
+// is checked against the other half.
+const validateTemplate = (body, partial, current = null) => {
+  const { name, description, visibility, variables } = body;
+  const template = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+      return { error: `name is required and must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    template.name = name.trim();
+  }
+  if (body.body !== undefined || !partial) {
+    if (typeof body.body !== 'string' || body.body.trim() === '' || body.body.length > MAX_BODY_LENGTH) {
+      return { error: `body is required and must be at most ${MAX_BODY_LENGTH} characters` };
+    }
+    template.body = body.body.trim();
+  }
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      return { error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    template.description = description || null;
+  }
+  if (visibility !== undefined) {
+    if (!VISIBILITIES.includes(visibility)) {
+      return { error: 'visibility must be org or personal' };
+    }
+    template.visibility = visibility;
+  }
+
+  if (template.body !== undefined || variables !== undefined) {
+    const definition = templateService.validateDefinition(
+      template.body ?? current.body,
+      variables ?? current?.variables ?? []
+    );
+    if (definition.errors) {
+      return { error: 'Invalid template variables', details: definition.errors };
+    }
+    template.variables = definition.variables;
+  }
+  return { template };
+};
+
+const listTemplates = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  const { visibility } = req.query;
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    return res.status(400).json({ error: 'visibility must be org or personal' });
+  }
+  const page = parsePageParams(req.query, TEMPLATE_KEYS);
+  if (page.error) {
+    return res.status(400).json({ error: page.error });
+  }
+
+  // RLS limits personal templates to their owner
+  let query = supabase
+    .from('prompt_templates')
+    .select('*')
+    .eq('org_id', req.user.org_id);
+  if (visibility) query = query.eq('visibility', visibility);
+
+  res.json(await fetchPage(query, TEMPLATE_KEYS, page));
+});
+
+const getTemplate = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const template = await templateService.getTemplate(supabase, req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.json(template);
+});
+
+const createTemplate = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  if (!req.user.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  const { template, error: validationError, details } = validateTemplate(req.body, false);
+  if (validationError) {
+    return res.status(400).json({ error: validationError, details });
+  }
+
+  const { data, error } = await supabase
+    .from('prompt_templates')
+    .insert({
+      visibility: 'personal',
+      ...template,
+      org_id: req.user.org_id,
+      owner_id: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(error.message);
+  res.status(201).json(data);
+});
+
+const updateTemplate = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const current = await templateService.getTemplate(supabase, req.params.id);
+  if (!current) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  if (!canManage(req.user, current)) {
+    return res.status(403).json({ error: 'Only the owner and admins can edit this template' });
+  }
+  const { template, error: validationError, details } = validateTemplate(req.body, true, current);
+  if (validationError) {
+    return res.status(400).json({ error: validationError, details });
+  }
+  if (Object.keys(template).length === 0) {
+    return res.status(400).json({ error: 'Provide at least one of name, description, body, variables or visibility' });
+  }
+  // Making someone else's template personal would hide it from its owner's team and from the admin
+  if (template.visibility === 'personal' && current.owner_id !== req.user.id) {
+    return res.status(403).json({ error: 'Only the owner can make a template personal' });
+  }
+
+  const { data, error } = await supabase
+    .from('prompt_templates')
+    .update({ ...template, updated_at: new Date().toISOString() })
+    .eq('id', req.params.id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!data) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.json(data);
+});
+
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const template = await templateService.getTemplate(supabase, req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  if (!canManage(req.user, template)) {
+    return res.status(403).json({ error: 'Only the owner and admins can delete this template' });
+  }
+
+  // Messages sent from the template keep their text; their metadata still names the template
+  const { error } = await supabase
+    .from('prompt_templates')
+    .delete()
+    .eq('id', req.params.id);
+
+  if (error) throw new Error(error.message);
+  res.status(204).send();
+});
+
+// Renders a template without sending it, so clients can preview the prompt
+const renderTemplate = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  const template = await templateService.getTemplate(supabase, req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  const rendered = templateService.render(template, req.body?.variables);
+  if (rendered.errors) {
+    return res.status(400).json({ error: 'Invalid template variables', details: rendered.errors });
+  }
+  res.json({ content: rendered.content, variables: rendered.values });
+});
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  renderTemplate
+};
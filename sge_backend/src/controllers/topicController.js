@@ -0,0 +1,113 @@
+const asyncHandler = require('express-async-handler');
+const { getAuthenticatedSupabase } = require('../utils/supabase');
+const topicService = require('../services/topicService');
+
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const listTopics = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  res.json(await topicService.listTopics(supabase, req.user.org_id));
+});
+
+// Validates topic fields; `partial` allows omitting the name (for PATCH)
+const validateTopic = (body, partial) => {
+  const { name, description } = body;
+  const topic = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_NAME_LENGTH) {
+      return { error: `name is required and must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    topic.name = name.trim();
+  }
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      return { error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    topic.description = description || null;
+  }
+  return { topic };
+};
+
+const createTopic = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { topic, error: validationError } = validateTopic(req.body, false);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  // The slug is what conversations store, so it is derived once and never changes
+  const slug = topicService.slugify(topic.name);
+  if (!slug) {
+    return res.status(400).json({ error: 'name must contain letters or digits' });
+  }
+  if (topicService.isBuiltIn(slug)) {
+    return res.status(409).json({ error: `"${slug}" is a built-in topic` });
+  }
+
+  const { data, error } = await supabase
+    .from('topic_tags')
+    .insert({
+      ...topic,
+      slug,
+      org_id: req.user.org_id,
+      created_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (error?.code === '23505') {
+    return res.status(409).json({ error: 'A topic with this name already exists' });
+  }
+  if (error) throw new Error(error.message);
+  res.status(201).json(data);
+});
+
+const updateTopic = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+  const { topic, error: validationError } = validateTopic(req.body, true);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  if (Object.keys(topic).length === 0) {
+    return res.status(400).json({ error: 'Provide at least one of name or description' });
+  }
+
+  const { data, error } = await supabase
+    .from('topic_tags')
+    .update(topic)
+    .eq('id', req.params.id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw new Error(error.message);
+  if (!data) {
+    return res.status(404).json({ error: 'Topic not found' });
+  }
+  res.json(data);
+});
+
+const deleteTopic = asyncHandler(async (req, res) => {
+  const supabase = getAuthenticatedSupabase(req.token);
+
+  // Conversations already tagged keep the slug; it is just no longer offered to the classifier
+  const { data, error } = await supabase
+    .from('topic_tags')
+    .delete()
+    .eq('id', req.params.id)
+    .select('id');
+
+  if (error) throw new Error(error.message);
+  if (!data || data.length === 0) {
+    return res.status(404).json({ error: 'Topic not found' });
+  }
+  res.status(204).send();
+});
+
+module.exports = {
+  listTopics,
+  createTopic,
+  updateTopic,
+  deleteTopic
+};
@@ -45,7 +45,7 @@ const handleAuthWebhook = asyncHandler(async (req, res) => {
       });
     }
 
-    // Perform onboarding
+    // Perform onboarding; an invite_token in the metadata joins the invitation's organization
     const result = await userOnboardingService.onboardUser(userId, userMetadata);
 
     res.status(200).json({
@@ -71,14 +71,18 @@ const handleAuthWebhook = asyncHandler(async (req, res) => {
 /**
  * PUBLIC_INTERFACE
  * Manual onboarding endpoint for testing or fixing missing profiles
- * This can be called manually to onboard a user if the webhook failed
+ * This can be called manually to onboard a user if the webhook failed.
+ * Users can only onboard themselves.
  */
 const manualOnboard = asyncHandler(async (req, res) => {
-  const { userId, organizationName } = req.body;
+  const { userId, organizationName, inviteToken } = req.body;
 
   if (!userId) {
     return res.status(400).json({ error: 'userId is required' });
   }
+  if (userId !== req.user.id) {
+    return res.status(403).json({ error: 'Users can only onboard themselves' });
+  }
 
   // Check if user is already onboarded
   const isOnboarded = await userOnboardingService.isUserOnboarded(userId);
@@ -90,7 +94,8 @@ const manualOnboard = asyncHandler(async (req, res) => {
   }
 
   const result = await userOnboardingService.onboardUser(userId, {
-    organization_name: organizationName
+    organization_name: organizationName,
+    invite_token: inviteToken
   });
 
   res.status(200).json({
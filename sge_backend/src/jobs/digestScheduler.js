@@ -0,0 +1,100 @@
+const { supabaseAdmin } = require('../utils/supabase');
+const digestService = require('../services/digestService');
+
+// How often the scheduler checks for organizations missing last week's digest
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Organizations are loaded in pages of this size, ordered by id
+const ORG_PAGE_SIZE = 100;
+
+/**
+ * PUBLIC_INTERFACE
+ * Generate last week's digest for every organization that had activity and does not
+ * have one yet. Safe to run repeatedly; organizations are processed one at a time, and
+ * a failure for one organization is logged and counted without stopping the run.
+ * @param {Date} [now]
+ * @returns {Promise<{generated: number, skipped: number, failed: number}>}
+ */
+const runWeeklyDigests = async (now = new Date()) => {
+  if (!supabaseAdmin) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to generate scheduled digests');
+  }
+
+  const { from, to } = digestService.lastWeek(now);
+  const result = { generated: 0, skipped: 0, failed: 0 };
+  let lastId = null;
+  for (;;) {
+    let query = supabaseAdmin
+      .from('organizations')
+      .select('id')
+      .order('id', { ascending: true })
+      .limit(ORG_PAGE_SIZE);
+    if (lastId) query = query.gt('id', lastId);
+    const { data: orgs, error } = await query;
+    if (error) throw new Error(error.message);
+
+    for (const org of orgs) {
+      try {
+        if (await digestService.hasDigest(supabaseAdmin, org.id, from, to)) {
+          result.skipped += 1;
+          continue;
+        }
+        const digest = await digestService.generate(supabaseAdmin, org.id, { from, to, skipEmpty: true });
+        result[digest ? 'generated' : 'skipped'] += 1;
+      } catch (err) {
+        console.error(`Weekly digest failed for organization ${org.id}:`, err);
+        result.failed += 1;
+      }
+    }
+
+    if (orgs.length < ORG_PAGE_SIZE) break;
+    lastId = orgs[orgs.length - 1].id;
+  }
+  return result;
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Run runWeeklyDigests now and then every hour in this process.
+ * With several server instances, enable it on one only to avoid duplicate model calls.
+ * @returns {NodeJS.Timeout} Interval handle (pass to clearInterval to stop)
+ */
+const startDigestScheduler = () => {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await runWeeklyDigests();
+      if (result.generated || result.failed) {
+        console.log('Weekly digests:', result);
+      }
+    } catch (err) {
+      console.error('Weekly digest run failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, CHECK_INTERVAL_MS);
+  timer.unref();
+  tick();
+  return timer;
+};
+
+// `npm run digests` generates missing digests once and exits
+if (require.main === module) {
+  runWeeklyDigests()
+    .then((result) => {
+      console.log('Weekly digests:', result);
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error(err);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runWeeklyDigests,
+  startDigestScheduler
+};
@@ -51,6 +51,8 @@ const authMiddleware = async (req, res, next) => {
     req.user = {
       id: user.id,
       email: user.email,
+      // Invitations are bound to the email, so they can only be accepted once it is confirmed
+      email_confirmed: !!user.email_confirmed_at,
       org_id: profile?.org_id,
       role: profile?.role
     };
@@ -1,4 +1,10 @@
 // This file will export middleware as the application grows
+const authMiddleware = require('./auth');
+const requireAdmin = require('./requireAdmin');
+const enforceChatQuota = require('./quota');
+
 module.exports = {
-  // Add your middleware here
+  authMiddleware,
+  requireAdmin,
+  enforceChatQuota
 };
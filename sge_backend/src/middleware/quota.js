@@ -0,0 +1,53 @@
+const asyncHandler = require('express-async-handler');
+const quotaService = require('../services/quotaService');
+
+// Rejects requests that would call the model once a plan quota is used up (429 with
+// Retry-After). RateLimit-* headers describe the quota closest to running out, with this
+// request counted when it is admitted. Must run after authMiddleware.
+//
+// Admitted requests hold a reservation (req.quotaReservation) that counts against the
+// quotas while the model is called; recording the call's usage with it replaces the
+// reservation, and whatever is left when the response closes is released.
+const enforceChatQuota = asyncHandler(async (req, res, next) => {
+  // Requests without an organization are rejected by the controller
+  if (!req.user?.org_id) return next();
+
+  const status = await quotaService.reserve(req.user);
+  if (status?.reservationId) {
+    req.quotaReservation = status.reservationId;
+    res.on('close', () => quotaService.release(status.reservationId));
+  }
+  const limited = status ? status.quotas.filter(quota => quota.limit !== null) : [];
+  if (limited.length === 0) return next();
+
+  const now = Date.now();
+  const secondsUntilReset = (quota) => Math.max(Math.ceil((Date.parse(quota.reset_at) - now) / 1000), 1);
+
+  // A rejected request found at least one quota used up; when several are, the client has
+  // to wait for the one that resets last. An admitted request may have used up the last call.
+  const exceeded = status.reservationId ? [] : limited.filter(quota => quota.remaining === 0);
+  const reported = exceeded.length
+    ? exceeded.reduce((a, b) => (secondsUntilReset(b) > secondsUntilReset(a) ? b : a))
+    : limited.reduce((a, b) => (b.remaining / b.limit < a.remaining / a.limit ? b : a));
+
+  res.set({
+    'RateLimit-Policy': limited
+      .map(quota => `${quota.limit};w=${quotaService.windowSeconds(quota.window)}`)
+      .join(', '),
+    'RateLimit-Limit': String(reported.limit),
+    'RateLimit-Remaining': String(reported.remaining),
+    'RateLimit-Reset': String(secondsUntilReset(reported))
+  });
+
+  if (exceeded.length) {
+    res.set('Retry-After', String(secondsUntilReset(reported)));
+    return res.status(429).json({
+      error: `Quota exceeded: ${reported.name} (limit ${reported.limit}, ${status.plan} plan)`,
+      quota: reported.name,
+      reset_at: reported.reset_at
+    });
+  }
+  next();
+});
+
+module.exports = enforceChatQuota;
@@ -0,0 +1,13 @@
+// Allows the request through only for organization admins.
+// Must run after authMiddleware, which sets req.user.role from the profile.
+const requireAdmin = (req, res, next) => {
+  if (!req.user?.org_id) {
+    return res.status(400).json({ error: 'User does not belong to an organization' });
+  }
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+module.exports = requireAdmin;
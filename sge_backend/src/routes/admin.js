@@ -0,0 +1,356 @@
+const express = require('express');
+const router = express.Router();
+const assistantController = require('../controllers/assistantController');
+const topicController = require('../controllers/topicController');
+const invitationController = require('../controllers/invitationController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Organization administration (admins only)
+ */
+
+/**
+ * @swagger
+ * /api/admin/assistant:
+ *   get:
+ *     summary: Get the organization-wide assistant instruction
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Assistant settings
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/assistant', assistantController.getSettings);
+
+/**
+ * @swagger
+ * /api/admin/assistant:
+ *   put:
+ *     summary: Update the organization-wide assistant instruction
+ *     description: Injected as a system instruction on every model call for the organization.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               company_context:
+ *                 type: string
+ *                 nullable: true
+ *                 description: What the company does, its market, stage and priorities
+ *               tone:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Concise, data-driven, no jargon
+ *               forbidden_topics:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Updated settings
+ *       400:
+ *         description: Invalid settings
+ *       403:
+ *         description: Admin access required
+ */
+router.put('/assistant', assistantController.updateSettings);
+
+/**
+ * @swagger
+ * /api/admin/personas:
+ *   get:
+ *     summary: List assistant personas
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: List of personas
+ */
+router.get('/personas', assistantController.listPersonas);
+
+/**
+ * @swagger
+ * /api/admin/personas:
+ *   post:
+ *     summary: Create an assistant persona
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - instructions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CFO advisor
+ *               description:
+ *                 type: string
+ *               instructions:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Created persona
+ *       400:
+ *         description: Invalid persona
+ *       409:
+ *         description: A persona with this name already exists
+ */
+router.post('/personas', assistantController.createPersona);
+
+/**
+ * @swagger
+ * /api/admin/personas/{id}:
+ *   patch:
+ *     summary: Update an assistant persona
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               instructions:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated persona
+ *       404:
+ *         description: Persona not found
+ */
+router.patch('/personas/:id', assistantController.updatePersona);
+
+/**
+ * @swagger
+ * /api/admin/personas/{id}:
+ *   delete:
+ *     summary: Delete an assistant persona
+ *     description: Conversations created with the persona continue without it.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Persona deleted
+ *       404:
+ *         description: Persona not found
+ */
+router.delete('/personas/:id', assistantController.deletePersona);
+
+/**
+ * @swagger
+ * /api/admin/topics:
+ *   get:
+ *     summary: List conversation topics (built-in and custom)
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: List of topics; custom ones have an `id` and `builtin = false`
+ */
+router.get('/topics', topicController.listTopics);
+
+/**
+ * @swagger
+ * /api/admin/topics:
+ *   post:
+ *     summary: Create a custom topic tag
+ *     description: |
+ *       Custom topics are offered to the classifier alongside the built-in ones. The slug
+ *       stored on conversations is derived from the name and does not change on rename.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Partnerships
+ *               description:
+ *                 type: string
+ *                 description: What belongs under this topic, used by the classifier
+ *     responses:
+ *       201:
+ *         description: Created topic
+ *       400:
+ *         description: Invalid topic
+ *       409:
+ *         description: The topic already exists or is built in
+ */
+router.post('/topics', topicController.createTopic);
+
+/**
+ * @swagger
+ * /api/admin/topics/{id}:
+ *   patch:
+ *     summary: Rename or re-describe a custom topic
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated topic
+ *       404:
+ *         description: Topic not found
+ */
+router.patch('/topics/:id', topicController.updateTopic);
+
+/**
+ * @swagger
+ * /api/admin/topics/{id}:
+ *   delete:
+ *     summary: Delete a custom topic
+ *     description: Conversations already tagged with it keep the tag.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Topic deleted
+ *       404:
+ *         description: Topic not found
+ */
+router.delete('/topics/:id', topicController.deleteTopic);
+
+/**
+ * @swagger
+ * /api/admin/invitations:
+ *   get:
+ *     summary: List pending invitations
+ *     description: Invitations that were not accepted, revoked or expired, newest first. Paginate with `before`/`after` cursors.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of invitations with `data` and `next_cursor`
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/invitations', invitationController.listInvitations);
+
+/**
+ * @swagger
+ * /api/admin/invitations:
+ *   post:
+ *     summary: Invite someone to the organization
+ *     description: |
+ *       Creates a single-use invitation for an email address that expires after
+ *       INVITATION_TTL_DAYS (default 7). The invitee signs up with that email and joins with
+ *       POST /api/onboarding/accept-invite (or `invite_token` in their signup metadata).
+ *       The `token` is only returned here; send it (or `accept_url`, when
+ *       INVITATION_ACCEPT_URL is configured) to the invitee. Inviting the same email again
+ *       revokes its earlier pending invitation.
+ *     tags: [Admin]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: dana@example.com
+ *               role:
+ *                 type: string
+ *                 enum: [member, admin]
+ *                 default: member
+ *     responses:
+ *       201:
+ *         description: The invitation with its `token` and `accept_url`
+ *       400:
+ *         description: Invalid email or role
+ *       403:
+ *         description: Admin access required
+ */
+router.post('/invitations', invitationController.createInvitation);
+
+/**
+ * @swagger
+ * /api/admin/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     description: The invitation's token stops working. Revoked invitations are kept.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The revoked invitation
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: The invitation was already accepted or revoked
+ */
+router.delete('/invitations/:id', invitationController.revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const artifactController = require('../controllers/artifactController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Artifacts
+ *   description: Structured strategy artifacts generated from conversations and shared within the organization
+ */
+
+/**
+ * @swagger
+ * /api/artifacts/types:
+ *   get:
+ *     summary: List artifact types and their JSON Schemas
+ *     tags: [Artifacts]
+ *     responses:
+ *       200:
+ *         description: Artifact types with name, description and the schema their content must match
+ */
+router.get('/types', artifactController.listTypes);
+
+/**
+ * @swagger
+ * /api/artifacts:
+ *   get:
+ *     summary: List the organization's artifacts
+ *     description: Most recently updated first, without content. Paginate with `before`/`after` cursors.
+ *     tags: [Artifacts]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [swot, porter_five_forces, lean_canvas, executive_summary]
+ *       - in: query
+ *         name: conversation_id
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of artifacts with `data` and `next_cursor`
+ *       400:
+ *         description: Invalid type, limit or cursor
+ */
+router.get('/', artifactController.listArtifacts);
+
+/**
+ * @swagger
+ * /api/artifacts/{id}:
+ *   get:
+ *     summary: Get an artifact with its current content
+ *     tags: [Artifacts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The artifact
+ *       404:
+ *         description: Artifact not found
+ */
+router.get('/:id', artifactController.getArtifact);
+
+/**
+ * @swagger
+ * /api/artifacts/{id}:
+ *   patch:
+ *     summary: Edit an artifact
+ *     description: |
+ *       Saves the new title and/or content as the next version. Content must match the schema
+ *       of the artifact's type. Send the `version` you edited to get a 409 instead of
+ *       overwriting a newer version saved by someone else.
+ *     tags: [Artifacts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: object
+ *               version:
+ *                 type: integer
+ *                 description: Version the edit is based on
+ *     responses:
+ *       200:
+ *         description: Updated artifact
+ *       400:
+ *         description: Invalid title, or content that does not match the schema (see `details`)
+ *       404:
+ *         description: Artifact not found
+ *       409:
+ *         description: The artifact has a newer version
+ */
+router.patch('/:id', artifactController.updateArtifact);
+
+/**
+ * @swagger
+ * /api/artifacts/{id}/versions:
+ *   get:
+ *     summary: List an artifact's version history
+ *     description: Newest version first; each entry holds the full title and content of that version.
+ *     tags: [Artifacts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of versions with `data` and `next_cursor`
+ *       404:
+ *         description: Artifact not found
+ */
+router.get('/:id/versions', artifactController.listVersions);
+
+module.exports = router;
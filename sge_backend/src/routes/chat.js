@@ -1,6 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chatController');
+const exportController = require('../controllers/exportController');
+const assistantController = require('../controllers/assistantController');
+const feedbackController = require('../controllers/feedbackController');
+const quotaController = require('../controllers/quotaController');
+const topicController = require('../controllers/topicController');
+const artifactController = require('../controllers/artifactController');
+const taskController = require('../controllers/taskController');
+const enforceChatQuota = require('../middleware/quota');
 
 /**
  * @swagger
@@ -14,10 +22,61 @@ const chatController = require('../controllers/chatController');
  * /api/chat/conversations:
  *   get:
  *     summary: List all conversations for the user
+ *     description: |
+ *       Pinned conversations are listed first, then the rest by newest. Archived conversations are excluded unless `archived=true`.
+ *       Each conversation has `topics`, assigned automatically after its third user message.
  *     tags: [Chat]
+ *     parameters:
+ *       - in: query
+ *         name: archived
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: List archived conversations instead of active ones
+ *       - in: query
+ *         name: topic
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only conversations tagged with this topic slug (see /api/chat/topics)
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Cursor; return rows further down the listing (older). Pass the previous `next_cursor`.
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Cursor; return rows further up the listing (newer)
  *     responses:
  *       200:
- *         description: List of conversations
+ *         description: Page of conversations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor to continue in the same direction, null when there are no more rows
+ *       400:
+ *         description: Invalid limit or cursor
  */
 router.get('/conversations', chatController.listConversations);
 
@@ -36,17 +95,192 @@ router.get('/conversations', chatController.listConversations);
  *             properties:
  *               title:
  *                 type: string
+ *               persona_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Persona the assistant takes on for this conversation
+ *               goal_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Goal (objective) the assistant grounds its answers in
+ *               dataset_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: KPI dataset whose summary statistics are shared with the assistant
  *     responses:
  *       201:
  *         description: Created conversation
+ *       400:
+ *         description: Malformed id, persona not found or user has no organization
  */
 router.post('/conversations', chatController.createConversation);
 
+/**
+ * @swagger
+ * /api/chat/personas:
+ *   get:
+ *     summary: List the assistant personas available in the organization
+ *     tags: [Chat]
+ *     responses:
+ *       200:
+ *         description: List of personas
+ */
+router.get('/personas', assistantController.listPersonas);
+
+/**
+ * @swagger
+ * /api/chat/topics:
+ *   get:
+ *     summary: List the topics conversations can be tagged with
+ *     description: Built-in topics (pricing, hiring, fundraising, marketing, operations) followed by the organization's custom ones.
+ *     tags: [Chat]
+ *     responses:
+ *       200:
+ *         description: List of topics
+ */
+router.get('/topics', topicController.listTopics);
+
+/**
+ * @swagger
+ * /api/chat/conversations/{id}:
+ *   patch:
+ *     summary: Rename, archive or pin a conversation
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               archived:
+ *                 type: boolean
+ *               pinned:
+ *                 type: boolean
+ *               goal_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Link the conversation to a goal, or null to unlink it
+ *               dataset_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Link the conversation to a KPI dataset, or null to unlink it
+ *     responses:
+ *       200:
+ *         description: Updated conversation
+ *       400:
+ *         description: Invalid or empty update
+ *       404:
+ *         description: Conversation not found
+ */
+router.patch('/conversations/:id', chatController.updateConversation);
+
+/**
+ * @swagger
+ * /api/chat/conversations/{id}:
+ *   delete:
+ *     summary: Delete a conversation and its messages
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Conversation deleted
+ *       404:
+ *         description: Conversation not found
+ */
+router.delete('/conversations/:id', chatController.deleteConversation);
+
+/**
+ * @swagger
+ * /api/chat/export:
+ *   get:
+ *     summary: Export all conversations as a zip archive
+ *     description: |
+ *       Bundles one file per conversation (active branch) in the requested format.
+ *       `scope=mine` exports the caller's conversations; `scope=org` exports every conversation
+ *       in the organization and is limited to admins.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [md, json, html]
+ *           default: md
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [mine, org]
+ *           default: mine
+ *     responses:
+ *       200:
+ *         description: Zip archive of exported conversations
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format or scope
+ *       403:
+ *         description: scope=org requested by a non-admin
+ */
+router.get('/export', exportController.exportAllConversations);
+
+/**
+ * @swagger
+ * /api/chat/conversations/{id}/export:
+ *   get:
+ *     summary: Export a conversation as Markdown, JSON or standalone HTML
+ *     description: The document contains the title, participants, timestamps and role-labelled messages of the active branch.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [md, json, html]
+ *           default: md
+ *     responses:
+ *       200:
+ *         description: Exported document as a file download
+ *       400:
+ *         description: Unsupported format
+ *       404:
+ *         description: Conversation not found
+ */
+router.get('/conversations/:id/export', exportController.exportConversation);
+
 /**
  * @swagger
  * /api/chat/conversations/{id}/messages:
  *   get:
  *     summary: Get messages for a conversation
+ *     description: |
+ *       Returns the conversation's active branch, newest first; page back through history with
+ *       `before=<next_cursor>`. Each message carries `sibling_ids`, the ids of the alternative
+ *       versions at the same point in the thread (from edits and regenerations), oldest first.
  *     tags: [Chat]
  *     parameters:
  *       - in: path
@@ -54,18 +288,494 @@ router.post('/conversations', chatController.createConversation);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Cursor; return rows further down the listing (older). Pass the previous `next_cursor`.
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Cursor; return rows further up the listing (newer)
  *     responses:
  *       200:
- *         description: List of messages
+ *         description: Page of messages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 next_cursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor to continue in the same direction, null when there are no more rows
+ *       400:
+ *         description: Invalid limit or cursor
  */
 router.get('/conversations/:id/messages', chatController.listMessages);
 
+/**
+ * @swagger
+ * /api/chat/conversations/{id}/regenerate:
+ *   post:
+ *     summary: Regenerate the latest assistant reply
+ *     description: |
+ *       Generates a new reply to the last user message on the active branch. The new reply is
+ *       stored as a sibling of the previous one and becomes the active branch. Supports the
+ *       same `?stream=true` / `Accept: text/event-stream` streaming as `/api/chat/message`.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: stream
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: The user message and the new assistant reply
+ *       400:
+ *         description: Nothing to regenerate
+ *       403:
+ *         description: The user message was written by someone else
+ *       404:
+ *         description: Conversation or its latest message not found
+ *       429:
+ *         description: Plan quota exceeded; see the Retry-After and RateLimit-* headers
+ */
+router.post('/conversations/:id/regenerate', enforceChatQuota, chatController.regenerateReply);
+
+/**
+ * @swagger
+ * /api/chat/conversations/{id}/active-branch:
+ *   post:
+ *     summary: Switch the conversation to another branch
+ *     description: Makes the most recent continuation of `message_id` the active branch, e.g. after picking one of a message's `sibling_ids`.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message_id
+ *             properties:
+ *               message_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: The new active leaf
+ *       400:
+ *         description: Missing or malformed message_id
+ *       404:
+ *         description: Message not found in this conversation
+ */
+router.post('/conversations/:id/active-branch', chatController.switchBranch);
+
+/**
+ * @swagger
+ * /api/chat/conversations/{id}/artifacts:
+ *   post:
+ *     summary: Generate a strategy artifact from the conversation
+ *     description: |
+ *       Turns the conversation's active branch into structured JSON of the given type (see
+ *       /api/artifacts/types for the schemas). The artifact is owned by the organization and
+ *       can then be edited through /api/artifacts.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [swot, porter_five_forces, lean_canvas, executive_summary]
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the artifact type and conversation title
+ *               instructions:
+ *                 type: string
+ *                 example: Focus on the European market
+ *     responses:
+ *       201:
+ *         description: Created artifact (version 1)
+ *       400:
+ *         description: Invalid type, title or instructions, or the conversation has no messages
+ *       404:
+ *         description: Conversation not found
+ *       429:
+ *         description: Plan quota exceeded; see the Retry-After and RateLimit-* headers
+ *       502:
+ *         description: The model failed or did not produce content matching the schema
+ */
+router.post('/conversations/:id/artifacts', enforceChatQuota, artifactController.createArtifact);
+
+/**
+ * @swagger
+ * /api/chat/conversations/{id}/action-items:
+ *   post:
+ *     summary: Extract action items from the conversation as tasks
+ *     description: |
+ *       The model lists the follow-ups of the conversation's active branch with a
+ *       description, a suggested owner and a due date. Each new item is stored as an open
+ *       task (see /api/tasks) linked to the conversation and the message it comes from.
+ *       Suggested owners matching a member's name are assigned; the name is kept in
+ *       `suggested_owner` either way. Items already tracked for the conversation are skipped.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: No new action items; `duplicates` counts the ones already tracked
+ *       201:
+ *         description: "`tasks` created and the number of `duplicates` skipped"
+ *       400:
+ *         description: The conversation has no messages
+ *       404:
+ *         description: Conversation not found
+ *       429:
+ *         description: Plan quota exceeded; see the Retry-After and RateLimit-* headers
+ *       502:
+ *         description: The model failed or did not produce valid action items
+ */
+router.post('/conversations/:id/action-items', enforceChatQuota, taskController.extractActionItems);
+
+/**
+ * @swagger
+ * /api/chat/messages/{id}/edit:
+ *   post:
+ *     summary: Edit a user message and resend it
+ *     description: |
+ *       Stores the edited text as a new sibling of the original user message, generates a reply
+ *       and makes that the active branch. The original message and its replies are kept.
+ *       Supports `?stream=true` / `Accept: text/event-stream`.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: stream
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The edited user message and the new assistant reply
+ *       400:
+ *         description: Missing content or not a user message
+ *       403:
+ *         description: The message was written by someone else
+ *       404:
+ *         description: Message not found
+ *       429:
+ *         description: Plan quota exceeded; see the Retry-After and RateLimit-* headers
+ */
+router.post('/messages/:id/edit', enforceChatQuota, chatController.editMessage);
+
+/**
+ * @swagger
+ * /api/chat/messages/{id}/feedback:
+ *   post:
+ *     summary: Rate an assistant message
+ *     description: Each user has one rating per message; submitting again replaces it.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: string
+ *                 enum: [up, down]
+ *               reason:
+ *                 type: string
+ *                 enum: [helpful, accurate, actionable, inaccurate, irrelevant, incomplete, too_generic, other]
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Stored feedback
+ *       400:
+ *         description: Invalid feedback or not an assistant message
+ *       404:
+ *         description: Message not found
+ */
+router.post('/messages/:id/feedback', feedbackController.submitFeedback);
+
+/**
+ * @swagger
+ * /api/chat/messages/{id}/feedback:
+ *   delete:
+ *     summary: Remove your rating from a message
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Feedback removed
+ *       404:
+ *         description: Feedback not found
+ */
+router.delete('/messages/:id/feedback', feedbackController.deleteFeedback);
+
+/**
+ * @swagger
+ * /api/chat/messages/{id}/tool-calls:
+ *   get:
+ *     summary: List the tool calls behind an assistant message
+ *     description: Every lookup the model made while writing the reply, in order, with its arguments, result, status and duration.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tool calls in `data`; empty for replies written without tools
+ *       404:
+ *         description: Message not found
+ */
+router.get('/messages/:id/tool-calls', chatController.listToolCalls);
+
+/**
+ * @swagger
+ * /api/chat/search:
+ *   get:
+ *     summary: Full-text search across conversations and messages
+ *     description: |
+ *       Returns ranked matching messages with highlighted snippets (matches wrapped in `<mark>`)
+ *       and their conversation titles. Members search their own conversations; admins search
+ *       the whole organization.
+ *     tags: [Chat]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search terms (supports quoted phrases, OR and -exclusions)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages created at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only messages created before this time
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only conversations owned by this user id
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, assistant]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Ranked search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       message_id:
+ *                         type: string
+ *                       conversation_id:
+ *                         type: string
+ *                       conversation_title:
+ *                         type: string
+ *                       conversation_owner_id:
+ *                         type: string
+ *                       role:
+ *                         type: string
+ *                       snippet:
+ *                         type: string
+ *                         description: HTML-escaped excerpt with matches wrapped in <mark>...</mark>
+ *                       rank:
+ *                         type: number
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *                 next_offset:
+ *                   type: integer
+ *                   nullable: true
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/search', chatController.searchMessages);
+
+/**
+ * @swagger
+ * /api/chat/quota:
+ *   get:
+ *     summary: Get the organization's plan and current quota usage
+ *     description: |
+ *       Quotas are counted in fixed UTC windows: replies per user per minute and per day,
+ *       replies per organization per day and tokens per organization per month.
+ *       A null limit means unlimited.
+ *     tags: [Chat]
+ *     responses:
+ *       200:
+ *         description: Plan and quota states
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 plan:
+ *                   type: string
+ *                   enum: [free, pro, enterprise]
+ *                 quotas:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       scope:
+ *                         type: string
+ *                         enum: [user, org]
+ *                       window:
+ *                         type: string
+ *                         enum: [minute, day, month]
+ *                       limit:
+ *                         type: integer
+ *                         nullable: true
+ *                       used:
+ *                         type: integer
+ *                       remaining:
+ *                         type: integer
+ *                         nullable: true
+ *                       reset_at:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: User has no organization
+ */
+router.get('/quota', quotaController.getQuota);
+
 /**
  * @swagger
  * /api/chat/message:
  *   post:
  *     summary: Send a message to the chat
+ *     description: |
+ *       Returns the stored user and assistant messages as JSON, with the knowledge base
+ *       `citations` and the `toolCalls` the model made to look up organization data
+ *       (KPI series, goals, past conversations, documents). When called with
+ *       `?stream=true` or `Accept: text/event-stream`, the reply is streamed as
+ *       Server-Sent Events instead: a `start` event, one `token` event per chunk
+ *       (`{ text }`), `tool_call` (`{ id, name, arguments }`) and `tool_result`
+ *       (`{ id, name, status, error }`) events around each lookup, then a `done` event
+ *       with `userMessage`, `assistantMessage`, `citations` and `toolCalls`.
+ *       Partial output is still stored if the client disconnects mid-stream.
+ *
+ *       With `template_id`, the template is rendered with `variables` and sent as the
+ *       message; the user message's `metadata.template` records the template and values.
  *     tags: [Chat]
+ *     parameters:
+ *       - in: query
+ *         name: stream
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Stream the reply over Server-Sent Events
  *     requestBody:
  *       required: true
  *       content:
@@ -75,12 +785,47 @@ router.get('/conversations/:id/messages', chatController.listMessages);
  *             properties:
  *               conversation_id:
  *                 type: string
+ *                 format: uuid
  *               content:
  *                 type: string
+ *                 description: Message text; required unless template_id is given
+ *               template_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Prompt template to render as the message instead of sending content
+ *               variables:
+ *                 type: object
+ *                 description: Values for the template's variables
+ *                 example: { "product": "Acme Analytics", "region": "DACH" }
+ *               persona_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Persona for the new conversation (ignored when conversation_id is set)
+ *               goal_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Goal to ground the answer in; stays linked to the conversation for later turns
+ *               dataset_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: KPI dataset to ground the answer in; stays linked to the conversation for later turns
  *     responses:
  *       200:
  *         description: Message sent and reply received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: |
+ *           Missing content, malformed id, user has no organization, or template variables that are
+ *           missing or invalid (listed in `details`)
+ *       429:
+ *         description: Plan quota exceeded; see the Retry-After and RateLimit-* headers
  */
-router.post('/message', chatController.sendMessage);
+router.post('/message', enforceChatQuota, chatController.sendMessage);
 
 module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const router = express.Router();
+const dashboardController = require('../controllers/dashboardController');
+const requireAdmin = require('../middleware/requireAdmin');
 
 /**
  * @swagger
@@ -13,24 +15,405 @@ const router = express.Router();
  * /api/dashboard/summary:
  *   get:
  *     summary: Get dashboard summary metrics
+ *     description: |
+ *       Activity for the requested period (default: the last 30 days) compared with the
+ *       equally long period before it. Admins see the whole organization; members see
+ *       only their own conversations.
  *     tags: [Dashboard]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
  *     responses:
  *       200:
  *         description: Summary metrics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 scope:
+ *                   type: string
+ *                   enum: [org, user]
+ *                 period:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                 totalConversations:
+ *                   type: integer
+ *                   description: All-time conversations in scope
+ *                 activeUsers:
+ *                   type: integer
+ *                 messagesCount:
+ *                   type: integer
+ *                 growth:
+ *                   type: number
+ *                   nullable: true
+ *                   description: Message count change versus the previous period, in percent
+ *                 current:
+ *                   type: object
+ *                 previous:
+ *                   type: object
+ *                 growthByMetric:
+ *                   type: object
+ *                 members:
+ *                   type: integer
+ *                 recentActivity:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *       400:
+ *         description: Invalid date range
  */
-router.get('/summary', (req, res) => {
-    // Mock aggregated analytics
-    res.json({
-        totalConversations: 12,
-        activeUsers: 4,
-        messagesCount: 145,
-        growth: 15.5,
-        recentActivity: [
-            { date: '2023-10-25', count: 20 },
-            { date: '2023-10-26', count: 35 },
-            { date: '2023-10-27', count: 12 }
-        ]
-    });
-});
+router.get('/summary', dashboardController.getSummary);
+
+/**
+ * @swagger
+ * /api/dashboard/timeseries:
+ *   get:
+ *     summary: Get a metric over time
+ *     description: |
+ *       Zero-filled buckets for one metric, optionally split into one series per
+ *       conversation owner or persona. Admins see the whole organization; members see
+ *       only their own conversations.
+ *     tags: [Dashboard]
+ *     parameters:
+ *       - in: query
+ *         name: metric
+ *         schema:
+ *           type: string
+ *           enum: [messages, conversations, active_users]
+ *           default: messages
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: breakdown
+ *         schema:
+ *           type: string
+ *           enum: [user, persona]
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *         description: IANA time zone used for bucket boundaries
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 30 days, 12 weeks or 12 months before `to`, depending on granularity
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: One or more series of buckets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 metric:
+ *                   type: string
+ *                 granularity:
+ *                   type: string
+ *                 tz:
+ *                   type: string
+ *                 breakdown:
+ *                   type: string
+ *                   nullable: true
+ *                 period:
+ *                   type: object
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       total:
+ *                         type: integer
+ *                       points:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             bucket:
+ *                               type: string
+ *                               description: Bucket start date (YYYY-MM-DD) in the requested time zone
+ *                             value:
+ *                               type: integer
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/timeseries', dashboardController.getTimeseries);
+
+/**
+ * @swagger
+ * /api/dashboard/topics:
+ *   get:
+ *     summary: Get topic distribution over time
+ *     description: |
+ *       For each topic and bucket, the number of conversations with user messages in the
+ *       bucket and the number of those messages. A conversation with several topics counts
+ *       toward each; conversations not yet classified appear as `untagged`. Admins see the
+ *       whole organization; members see only their own conversations.
+ *     tags: [Dashboard]
+ *     parameters:
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *       - in: query
+ *         name: tz
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: |
+ *           `topics`: one entry per topic with `topic` (slug), `name`, `conversations`,
+ *           `user_messages` and zero-filled `points` ({ bucket, conversations, user_messages }),
+ *           busiest topic first
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/topics', dashboardController.getTopicDistribution);
+
+/**
+ * @swagger
+ * /api/dashboard/goals:
+ *   get:
+ *     summary: Get goal progress for the organization
+ *     description: |
+ *       Objective counts by status and, for active objectives, average progress, health
+ *       (`on_track`, `at_risk`, `off_track`, `unscheduled` without a due date) and the number
+ *       of overdue key results. Health compares progress with the share of time elapsed.
+ *     tags: [Dashboard]
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: 2026-Q4
+ *     responses:
+ *       200:
+ *         description: |
+ *           `objectives`, `byStatus`, `active` ({ averageProgress, health, overdueKeyResults }) and
+ *           `goals`: active objectives with `progress` and `health`, earliest due date first.
+ *           `truncated` is true when the organization has more than 500 objectives (for the
+ *           period); only the 500 earliest due are counted then.
+ */
+router.get('/goals', dashboardController.getGoalProgress);
+
+/**
+ * @swagger
+ * /api/dashboard/tasks:
+ *   get:
+ *     summary: Get task counts for the organization
+ *     description: |
+ *       Tasks by status, and open or in-progress tasks that are overdue (due date before
+ *       today, UTC), overdue and assigned to the caller, or due in the next seven days.
+ *     tags: [Dashboard]
+ *     responses:
+ *       200:
+ *         description: "`date`, `byStatus`, `overdue`, `overdueAssignedToMe` and `dueNextWeek`"
+ */
+router.get('/tasks', dashboardController.getTaskSummary);
+
+/**
+ * @swagger
+ * /api/dashboard/usage:
+ *   get:
+ *     summary: Report model usage and estimated cost
+ *     description: |
+ *       Model calls (chat replies and summary refreshes) with token counts, errors,
+ *       average latency and estimated cost, grouped by UTC day, user or model.
+ *       Members see their own usage; admins see the whole organization.
+ *     tags: [Dashboard]
+ *     parameters:
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *           enum: [day, user, model]
+ *           default: day
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 30 days before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: |
+ *           Totals and per-group requests, errors, prompt/completion tokens, cost_usd and
+ *           avg_latency_ms. unpriced_requests counts calls to models without a configured price.
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/usage', dashboardController.getUsage);
+
+/**
+ * @swagger
+ * /api/dashboard/feedback:
+ *   get:
+ *     summary: Aggregate satisfaction from assistant message ratings
+ *     description: Members see their own ratings; admins see the whole organization.
+ *     tags: [Dashboard]
+ *     parameters:
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *           enum: [period, persona, model]
+ *           default: period
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *         description: Bucket size when group_by=period
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Totals and per-group positive/negative counts with satisfaction ratio
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/feedback', dashboardController.getFeedbackSummary);
+
+/**
+ * @swagger
+ * /api/dashboard/digests:
+ *   get:
+ *     summary: List the organization's digests (admin only)
+ *     description: |
+ *       Weekly digests are generated automatically when the server runs with
+ *       DIGEST_SCHEDULER_ENABLED=true (or via `npm run digests`). Newest first, cursor-paginated.
+ *     tags: [Dashboard]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor from `next_cursor`
+ *     responses:
+ *       200:
+ *         description: Page of digests (`{ data, next_cursor }`) with Markdown `content` and `stats`
+ *       403:
+ *         description: Admin access required
+ *   post:
+ *     summary: Generate a digest now (admin only)
+ *     description: |
+ *       Summarizes the organization's conversations in the period with the LLM and stores
+ *       the result. Defaults to the last 7 days. Re-generating the same period replaces it.
+ *     tags: [Dashboard]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: The stored digest
+ *       400:
+ *         description: Invalid date range
+ *       403:
+ *         description: Admin access required
+ *       502:
+ *         description: The model call failed
+ */
+router.get('/digests', requireAdmin, dashboardController.listDigests);
+router.post('/digests', requireAdmin, dashboardController.createDigest);
+
+/**
+ * @swagger
+ * /api/dashboard/digests/{id}:
+ *   get:
+ *     summary: Get a digest (admin only)
+ *     tags: [Dashboard]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The digest
+ *       404:
+ *         description: Digest not found
+ */
+router.get('/digests/:id', requireAdmin, dashboardController.getDigest);
 
 module.exports = router;
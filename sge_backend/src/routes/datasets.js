@@ -0,0 +1,261 @@
+const express = require('express');
+const router = express.Router();
+const datasetController = require('../controllers/datasetController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Datasets
+ *   description: KPI time series (revenue, churn, CAC, pipeline, ...) uploaded as CSV or JSON
+ */
+
+/**
+ * @swagger
+ * /api/datasets:
+ *   get:
+ *     summary: List the organization's KPI datasets
+ *     description: Most recently updated first, without columns and statistics. Paginate with `before`/`after` cursors.
+ *     tags: [Datasets]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of datasets with `data` and `next_cursor`
+ */
+router.get('/', datasetController.listDatasets);
+
+/**
+ * @swagger
+ * /api/datasets:
+ *   post:
+ *     summary: Upload a KPI dataset
+ *     description: |
+ *       Send a CSV file with `Content-Type: text/csv` (name in the query string), or JSON with
+ *       a `rows` array of objects. Columns are detected automatically: one date column (e.g.
+ *       `2026-01`, `2026-01-31`, `2026-Q1`, `Jan 2026`) is the time axis, numeric columns
+ *       (currency symbols, thousands separators and `%` allowed) become metrics, and up to 3
+ *       text columns become labels such as region. Up to 10,000 rows.
+ *     tags: [Datasets]
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         description: Dataset name (CSV uploads)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: description
+ *         description: Dataset description (CSV uploads)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: time_column
+ *         description: Time column to use instead of the detected one (CSV uploads)
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               month,region,revenue,churn
+ *               2026-01,EU,"$120,000",2.1%
+ *               2026-02,EU,"$126,500",1.9%
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - rows
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Monthly revenue
+ *               description:
+ *                 type: string
+ *               time_column:
+ *                 type: string
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Created dataset with detected `columns` and per-metric `stats`
+ *       400:
+ *         description: Unreadable or invalid data; row-level problems are listed in `details`
+ *       409:
+ *         description: A dataset with this name already exists
+ *       413:
+ *         description: Upload too large
+ */
+router.post('/', datasetController.createDataset);
+
+/**
+ * @swagger
+ * /api/datasets/{id}:
+ *   get:
+ *     summary: Get a dataset with its columns and summary statistics
+ *     tags: [Datasets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: |
+ *           The dataset. `stats` holds the covered period and, per metric, first, last, min,
+ *           max, mean, change and the most recent values.
+ *       404:
+ *         description: Dataset not found
+ */
+router.get('/:id', datasetController.getDataset);
+
+/**
+ * @swagger
+ * /api/datasets/{id}:
+ *   put:
+ *     summary: Replace a dataset's data
+ *     description: |
+ *       Same body formats as the upload; `name` and `description` are optional and update the
+ *       dataset when given. Only the uploader and admins can replace a dataset.
+ *     tags: [Datasets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rows
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               time_column:
+ *                 type: string
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Updated dataset
+ *       400:
+ *         description: Unreadable or invalid data
+ *       403:
+ *         description: Not the uploader or an admin
+ *       404:
+ *         description: Dataset not found
+ *       409:
+ *         description: A dataset with this name already exists
+ */
+router.put('/:id', datasetController.replaceDataset);
+
+/**
+ * @swagger
+ * /api/datasets/{id}:
+ *   delete:
+ *     summary: Delete a dataset
+ *     description: Only the uploader and admins can delete a dataset. Conversations using it continue without it.
+ *     tags: [Datasets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Dataset deleted
+ *       403:
+ *         description: Not the uploader or an admin
+ *       404:
+ *         description: Dataset not found
+ */
+router.delete('/:id', datasetController.deleteDataset);
+
+/**
+ * @swagger
+ * /api/datasets/{id}/points:
+ *   get:
+ *     summary: List a dataset's values, newest first
+ *     tags: [Datasets]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: metric
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of points ({ ts, metric, value, labels }) with `data` and `next_cursor`
+ *       400:
+ *         description: Invalid date, limit or cursor
+ *       404:
+ *         description: Dataset not found
+ */
+router.get('/:id/points', datasetController.listPoints);
+
+module.exports = router;
@@ -0,0 +1,231 @@
+const express = require('express');
+const router = express.Router();
+const documentController = require('../controllers/documentController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Documents
+ *   description: Organization knowledge base of internal documents that chat replies are grounded in and cite
+ */
+
+/**
+ * @swagger
+ * /api/documents:
+ *   get:
+ *     summary: List the organization's documents
+ *     description: Newest first, without content. Paginate with `before`/`after` cursors.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of documents with `data` and `next_cursor`
+ */
+router.get('/', documentController.listDocuments);
+
+/**
+ * @swagger
+ * /api/documents:
+ *   post:
+ *     summary: Add a document to the knowledge base
+ *     description: |
+ *       Send the text with `Content-Type: text/markdown` or `text/plain` (title in the query
+ *       string), or JSON. The document is split into passages of about 400 tokens (markdown
+ *       along its headings, PDF text along its pages, separated by form feeds) and each
+ *       passage is embedded with the configured embedding provider. Up to 500,000 characters.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: query
+ *         name: title
+ *         description: Document title (text uploads)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         description: Overrides the format implied by the content type (text uploads)
+ *         schema:
+ *           type: string
+ *           enum: [markdown, text, pdf_text]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/markdown:
+ *           schema:
+ *             type: string
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - content
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Pricing policy 2026
+ *               content:
+ *                 type: string
+ *               format:
+ *                 type: string
+ *                 enum: [markdown, text, pdf_text]
+ *                 default: text
+ *     responses:
+ *       201:
+ *         description: Indexed document with its `chunk_count` and `embedding_model`
+ *       400:
+ *         description: Missing title or content, or unsupported format
+ *       413:
+ *         description: Upload too large
+ *       502:
+ *         description: The embedding provider failed; nothing was stored
+ */
+router.post('/', documentController.createDocument);
+
+/**
+ * @swagger
+ * /api/documents/search:
+ *   get:
+ *     summary: Search the knowledge base
+ *     description: Returns the passages most similar to the query, as a chat message with this text would retrieve them.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 20
+ *     responses:
+ *       200:
+ *         description: Matching passages, best first, with their document and `similarity`
+ *       400:
+ *         description: Missing query or invalid limit
+ *       502:
+ *         description: The embedding provider failed
+ */
+router.get('/search', documentController.searchDocuments);
+
+/**
+ * @swagger
+ * /api/documents/{id}:
+ *   get:
+ *     summary: Get a document with its full text
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The document
+ *       404:
+ *         description: Document not found
+ */
+router.get('/:id', documentController.getDocument);
+
+/**
+ * @swagger
+ * /api/documents/{id}:
+ *   delete:
+ *     summary: Delete a document
+ *     description: Only the uploader and admins can delete a document. Citations in earlier replies keep their excerpt.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Document deleted
+ *       403:
+ *         description: Not the uploader or an admin
+ *       404:
+ *         description: Document not found
+ */
+router.delete('/:id', documentController.deleteDocument);
+
+/**
+ * @swagger
+ * /api/documents/{id}/reindex:
+ *   post:
+ *     summary: Re-chunk and re-embed a document
+ *     description: |
+ *       Needed after changing EMBEDDING_PROVIDER or its model: retrieval only compares
+ *       passages embedded by the active provider. Only the uploader and admins can re-index.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Re-indexed document
+ *       403:
+ *         description: Not the uploader or an admin
+ *       404:
+ *         description: Document not found
+ *       502:
+ *         description: The embedding provider failed; the previous passages are kept
+ */
+router.post('/:id/reindex', documentController.reindexDocument);
+
+/**
+ * @swagger
+ * /api/documents/{id}/chunks/{chunkIndex}:
+ *   get:
+ *     summary: Get one passage of a document
+ *     description: Chat citations point here with their `document_id` and `chunk_index`.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: chunkIndex
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The passage with its heading or page
+ *       400:
+ *         description: Invalid chunk index
+ *       404:
+ *         description: Chunk not found
+ */
+router.get('/:id/chunks/:chunkIndex', documentController.getChunk);
+
+module.exports = router;
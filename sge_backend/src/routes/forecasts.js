@@ -0,0 +1,251 @@
+const express = require('express');
+const router = express.Router();
+const forecastController = require('../controllers/forecastController');
+const enforceChatQuota = require('../middleware/quota');
+
+// Creating a forecast only calls the model when a narrative is requested
+const enforceNarrativeQuota = (req, res, next) =>
+  (req.body?.narrative === true ? enforceChatQuota(req, res, next) : next());
+
+/**
+ * @swagger
+ * tags:
+ *   name: Forecasts
+ *   description: Deterministic growth projections with scenarios, sensitivity tables and an optional narrative
+ */
+
+/**
+ * @swagger
+ * /api/forecasts/drivers:
+ *   get:
+ *     summary: List the forecast drivers
+ *     description: The baseline inputs a forecast takes, with their allowed range and default.
+ *     tags: [Forecasts]
+ *     responses:
+ *       200:
+ *         description: Drivers with `name`, `description`, `min`, `max` and `default`
+ */
+router.get('/drivers', forecastController.listDrivers);
+
+/**
+ * @swagger
+ * /api/forecasts:
+ *   get:
+ *     summary: List the organization's forecasts
+ *     description: Newest first, without results. Paginate with `before`/`after` cursors.
+ *     tags: [Forecasts]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of forecasts with `data` and `next_cursor`
+ */
+router.get('/', forecastController.listForecasts);
+
+/**
+ * @swagger
+ * /api/forecasts:
+ *   post:
+ *     summary: Run and save a growth forecast
+ *     description: |
+ *       Projects customers, monthly recurring revenue (MRR) and marketing spend month by month
+ *       for each scenario. Each month, marketing spend buys `marketing_spend / cac` new
+ *       customers, `churn_rate` of the customers leave, and spend and price grow by
+ *       `spend_growth` and `price_growth` (compounded monthly). All rates are monthly
+ *       fractions (0.03 = 3%). The same input always gives the same results.
+ *
+ *       Scenarios override baseline drivers (`drivers`) or scale them (`multipliers`).
+ *       Without `scenarios`, base, bull (churn x0.8, CAC x0.85, spend x1.1) and bear
+ *       (churn x1.25, CAC x1.2, spend x0.9) are used. `sensitivity` reruns every scenario
+ *       with one driver changed by each of `changes` (fractions, default -20% to +20%) or
+ *       set to each of `values`, and reports one `metric`.
+ *     tags: [Forecasts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - baseline
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 2027 plan
+ *               description:
+ *                 type: string
+ *               months:
+ *                 type: integer
+ *                 default: 12
+ *                 maximum: 60
+ *               start_month:
+ *                 type: string
+ *                 description: First projected month (YYYY-MM); defaults to next month
+ *                 example: 2027-01
+ *               baseline:
+ *                 type: object
+ *                 description: Drivers (see GET /api/forecasts/drivers); customers, churn_rate, cac and price or revenue are required
+ *                 example: { "customers": 400, "revenue": 40000, "churn_rate": 0.03, "cac": 900, "marketing_spend": 30000, "spend_growth": 0.02 }
+ *               scenarios:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     drivers:
+ *                       type: object
+ *                       description: Driver values replacing the baseline
+ *                     multipliers:
+ *                       type: object
+ *                       description: Factors applied to baseline drivers
+ *                 example: [{ "name": "base" }, { "name": "price increase", "drivers": { "price": 120 }, "multipliers": { "churn_rate": 1.1 } }]
+ *               sensitivity:
+ *                 type: object
+ *                 properties:
+ *                   driver:
+ *                     type: string
+ *                     example: churn_rate
+ *                   changes:
+ *                     type: array
+ *                     items:
+ *                       type: number
+ *                     example: [-0.2, -0.1, 0, 0.1, 0.2]
+ *                   values:
+ *                     type: array
+ *                     items:
+ *                       type: number
+ *                   metric:
+ *                     type: string
+ *                     default: ending_mrr
+ *               narrative:
+ *                 type: boolean
+ *                 description: Have the model explain the differences between the scenarios
+ *     responses:
+ *       201:
+ *         description: |
+ *           Saved forecast. `results` has each scenario's drivers, monthly rows and summary,
+ *           a `comparison` of summary metrics across scenarios and the `sensitivity` table.
+ *           If the narrative failed, the forecast is still saved and `narrative_error` says so.
+ *       400:
+ *         description: Invalid input; problems are listed in `details`
+ *       429:
+ *         description: A narrative was requested and a plan quota is used up; see the Retry-After and RateLimit-* headers
+ */
+router.post('/', enforceNarrativeQuota, forecastController.createForecast);
+
+/**
+ * @swagger
+ * /api/forecasts/compare:
+ *   get:
+ *     summary: Compare saved forecasts side by side
+ *     description: One column per scenario of each forecast, one row per summary metric; `change` is relative to the first column.
+ *     tags: [Forecasts]
+ *     parameters:
+ *       - in: query
+ *         name: ids
+ *         required: true
+ *         description: Up to 5 forecast ids, separated by commas
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "`columns` and `rows` of the comparison"
+ *       400:
+ *         description: Missing, malformed or too many ids
+ *       404:
+ *         description: A forecast was not found
+ */
+router.get('/compare', forecastController.compareForecasts);
+
+/**
+ * @swagger
+ * /api/forecasts/{id}:
+ *   get:
+ *     summary: Get a forecast with its results
+ *     tags: [Forecasts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The forecast
+ *       404:
+ *         description: Forecast not found
+ */
+router.get('/:id', forecastController.getForecast);
+
+/**
+ * @swagger
+ * /api/forecasts/{id}:
+ *   delete:
+ *     summary: Delete a forecast
+ *     description: Only the author and admins can delete a forecast.
+ *     tags: [Forecasts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Forecast deleted
+ *       403:
+ *         description: Not the author or an admin
+ *       404:
+ *         description: Forecast not found
+ */
+router.delete('/:id', forecastController.deleteForecast);
+
+/**
+ * @swagger
+ * /api/forecasts/{id}/narrative:
+ *   post:
+ *     summary: Write or rewrite the forecast's narrative
+ *     description: The model explains how the scenarios differ and why, using only the forecast's figures.
+ *     tags: [Forecasts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The forecast with its new `narrative`
+ *       403:
+ *         description: Not the author or an admin
+ *       404:
+ *         description: Forecast not found
+ *       429:
+ *         description: Plan quota exceeded; see the Retry-After and RateLimit-* headers
+ *       502:
+ *         description: The model call failed
+ */
+router.post('/:id/narrative', enforceChatQuota, forecastController.createNarrative);
+
+module.exports = router;
@@ -0,0 +1,434 @@
+const express = require('express');
+const router = express.Router();
+const goalController = require('../controllers/goalController');
+const requireAdmin = require('../middleware/requireAdmin');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Goals
+ *   description: Objectives and key results (OKRs) with progress check-ins
+ */
+
+/**
+ * @swagger
+ * /api/goals:
+ *   get:
+ *     summary: List the organization's goals
+ *     description: |
+ *       Objectives newest first, each with its key results, `progress` (0 to 1) and `health`
+ *       (`on_track`, `at_risk`, `off_track`, or null without a due date). Paginate with
+ *       `before`/`after` cursors.
+ *     tags: [Goals]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [active, achieved, missed, cancelled]
+ *       - in: query
+ *         name: owner_id
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: period
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: 2026-Q4
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of goals with `data` and `next_cursor`
+ *       400:
+ *         description: Invalid filter, limit or cursor
+ */
+router.get('/', goalController.listGoals);
+
+/**
+ * @swagger
+ * /api/goals:
+ *   post:
+ *     summary: Create an objective (admin only)
+ *     tags: [Goals]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Become the leading vendor in the DACH region
+ *               description:
+ *                 type: string
+ *               owner_id:
+ *                 type: string
+ *                 description: Profile id of an organization member
+ *               period:
+ *                 type: string
+ *                 example: 2026-Q4
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *               due_date:
+ *                 type: string
+ *                 format: date
+ *               key_results:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - title
+ *                     - target_value
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                     owner_id:
+ *                       type: string
+ *                     unit:
+ *                       type: string
+ *                       example: customers
+ *                     start_value:
+ *                       type: number
+ *                       default: 0
+ *                     target_value:
+ *                       type: number
+ *                     due_date:
+ *                       type: string
+ *                       format: date
+ *     responses:
+ *       201:
+ *         description: Created goal with its key results
+ *       400:
+ *         description: Invalid fields or an owner outside the organization
+ *       403:
+ *         description: Admin access required
+ */
+router.post('/', requireAdmin, goalController.createGoal);
+
+/**
+ * @swagger
+ * /api/goals/{id}:
+ *   get:
+ *     summary: Get a goal with its key results and progress
+ *     tags: [Goals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The goal
+ *       404:
+ *         description: Goal not found
+ */
+router.get('/:id', goalController.getGoal);
+
+/**
+ * @swagger
+ * /api/goals/{id}:
+ *   patch:
+ *     summary: Update an objective (admin only)
+ *     tags: [Goals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               owner_id:
+ *                 type: string
+ *               period:
+ *                 type: string
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *               due_date:
+ *                 type: string
+ *                 format: date
+ *               status:
+ *                 type: string
+ *                 enum: [active, achieved, missed, cancelled]
+ *     responses:
+ *       200:
+ *         description: Updated goal
+ *       400:
+ *         description: Invalid fields
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Goal not found
+ */
+router.patch('/:id', requireAdmin, goalController.updateGoal);
+
+/**
+ * @swagger
+ * /api/goals/{id}:
+ *   delete:
+ *     summary: Delete an objective with its key results and check-ins (admin only)
+ *     description: Conversations linked to the goal continue without it.
+ *     tags: [Goals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Goal deleted
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Goal not found
+ */
+router.delete('/:id', requireAdmin, goalController.deleteGoal);
+
+/**
+ * @swagger
+ * /api/goals/{id}/key-results:
+ *   post:
+ *     summary: Add a key result to an objective (admin only)
+ *     tags: [Goals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - target_value
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Sign 40 new customers
+ *               owner_id:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *               start_value:
+ *                 type: number
+ *               target_value:
+ *                 type: number
+ *               due_date:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Created key result
+ *       400:
+ *         description: Invalid fields
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Goal not found
+ */
+router.post('/:id/key-results', requireAdmin, goalController.createKeyResult);
+
+/**
+ * @swagger
+ * /api/goals/{id}/key-results/{keyResultId}:
+ *   patch:
+ *     summary: Update a key result (admin only)
+ *     description: Progress is recorded with check-ins, not by editing the key result.
+ *     tags: [Goals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyResultId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               owner_id:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *               start_value:
+ *                 type: number
+ *               target_value:
+ *                 type: number
+ *               due_date:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Updated key result
+ *       400:
+ *         description: Invalid fields
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Key result not found
+ */
+router.patch('/:id/key-results/:keyResultId', requireAdmin, goalController.updateKeyResult);
+
+/**
+ * @swagger
+ * /api/goals/{id}/key-results/{keyResultId}:
+ *   delete:
+ *     summary: Delete a key result and its check-ins (admin only)
+ *     tags: [Goals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyResultId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Key result deleted
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Key result not found
+ */
+router.delete('/:id/key-results/:keyResultId', requireAdmin, goalController.deleteKeyResult);
+
+/**
+ * @swagger
+ * /api/goals/{id}/key-results/{keyResultId}/check-ins:
+ *   get:
+ *     summary: List a key result's check-ins, newest first
+ *     tags: [Goals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyResultId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of check-ins with `data` and `next_cursor`
+ *       404:
+ *         description: Key result not found
+ */
+router.get('/:id/key-results/:keyResultId/check-ins', goalController.listCheckins);
+
+/**
+ * @swagger
+ * /api/goals/{id}/key-results/{keyResultId}/check-ins:
+ *   post:
+ *     summary: Record progress on a key result
+ *     description: Allowed for admins and the owner of the key result or its objective. The value becomes the key result's `current_value`.
+ *     tags: [Goals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyResultId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - value
+ *             properties:
+ *               value:
+ *                 type: number
+ *               confidence:
+ *                 type: string
+ *                 enum: [on_track, at_risk, off_track]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The check-in with the updated `key_result`
+ *       400:
+ *         description: Invalid value, confidence or note
+ *       403:
+ *         description: Not an admin or owner of the goal
+ *       404:
+ *         description: Key result not found
+ */
+router.post('/:id/key-results/:keyResultId/check-ins', goalController.createCheckin);
+
+module.exports = router;
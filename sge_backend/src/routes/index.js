@@ -1,10 +1,19 @@
 const express = require('express');
 const healthController = require('../controllers/health');
 const authMiddleware = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
 const chatRoutes = require('./chat');
 const dashboardRoutes = require('./dashboard');
 const webhookRoutes = require('./webhooks');
 const onboardingRoutes = require('./onboarding');
+const adminRoutes = require('./admin');
+const artifactRoutes = require('./artifacts');
+const goalRoutes = require('./goals');
+const datasetRoutes = require('./datasets');
+const documentRoutes = require('./documents');
+const templateRoutes = require('./templates');
+const forecastRoutes = require('./forecasts');
+const taskRoutes = require('./tasks');
 
 const router = express.Router();
 // Health endpoint
@@ -44,5 +53,13 @@ router.use('/webhooks', webhookRoutes);
 router.use('/api/chat', authMiddleware, chatRoutes);
 router.use('/api/dashboard', authMiddleware, dashboardRoutes);
 router.use('/api/onboarding', authMiddleware, onboardingRoutes);
+router.use('/api/admin', authMiddleware, requireAdmin, adminRoutes);
+router.use('/api/artifacts', authMiddleware, artifactRoutes);
+router.use('/api/goals', authMiddleware, goalRoutes);
+router.use('/api/datasets', authMiddleware, datasetRoutes);
+router.use('/api/documents', authMiddleware, documentRoutes);
+router.use('/api/templates', authMiddleware, templateRoutes);
+router.use('/api/forecasts', authMiddleware, forecastRoutes);
+router.use('/api/tasks', authMiddleware, taskRoutes);
 
 module.exports = router;
@@ -10,4 +10,11 @@ const router = express.Router();
  */
 router.post('/complete', onboardingController.completeOnboarding);
 
+/**
+ * POST /api/onboarding/accept-invite
+ * Join an existing organization with an invitation token
+ * Requires authentication via JWT token
+ */
+router.post('/accept-invite', onboardingController.acceptInvitation);
+
 module.exports = router;
@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const taskController = require('../controllers/taskController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tasks
+ *   description: Action items from conversations (or added by hand), assignable to organization members
+ */
+
+/**
+ * @swagger
+ * /api/tasks:
+ *   get:
+ *     summary: List the organization's tasks
+ *     description: Newest first. Each task has an `overdue` flag. Paginate with `before`/`after` cursors.
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         description: One or more of open, in_progress, done, separated by commas
+ *         schema:
+ *           type: string
+ *           example: open,in_progress
+ *       - in: query
+ *         name: assignee
+ *         required: false
+ *         description: A user id, `me` or `none` (unassigned)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: conversation_id
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: overdue
+ *         required: false
+ *         description: Only tasks that are (or are not) overdue
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: due_before
+ *         required: false
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of tasks with `data` and `next_cursor`
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/', taskController.listTasks);
+
+/**
+ * @swagger
+ * /api/tasks:
+ *   post:
+ *     summary: Add a task by hand
+ *     tags: [Tasks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - description
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 example: Send the revised price list to the sales team
+ *               assignee_id:
+ *                 type: string
+ *                 description: A member of the organization
+ *               due_date:
+ *                 type: string
+ *                 format: date
+ *               status:
+ *                 type: string
+ *                 enum: [open, in_progress, done]
+ *                 default: open
+ *     responses:
+ *       201:
+ *         description: Created task
+ *       400:
+ *         description: Invalid fields, or the assignee is not in the organization
+ */
+router.post('/', taskController.createTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   get:
+ *     summary: Get a task
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The task, with its source conversation and message if it was extracted
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id', taskController.getTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   patch:
+ *     summary: Update, assign or move a task
+ *     description: |
+ *       Tasks move between `open`, `in_progress` and `done`; `completed_at` is set when a
+ *       task is moved to done and cleared when it is reopened. The creator, the assignee
+ *       and admins can update a task.
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               assignee_id:
+ *                 type: string
+ *                 nullable: true
+ *               due_date:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               status:
+ *                 type: string
+ *                 enum: [open, in_progress, done]
+ *     responses:
+ *       200:
+ *         description: Updated task
+ *       400:
+ *         description: Invalid fields, or the assignee is not in the organization
+ *       403:
+ *         description: Not the creator, the assignee or an admin
+ *       404:
+ *         description: Task not found
+ */
+router.patch('/:id', taskController.updateTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   delete:
+ *     summary: Delete a task
+ *     description: Only the creator and admins can delete a task.
+ *     tags: [Tasks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Task deleted
+ *       403:
+ *         description: Not the creator or an admin
+ *       404:
+ *         description: Task not found
+ */
+router.delete('/:id', taskController.deleteTask);
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+const templateController = require('../controllers/templateController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Templates
+ *   description: Reusable prompts with typed variables, shared with the organization or kept personal
+ */
+
+/**
+ * @swagger
+ * /api/templates:
+ *   get:
+ *     summary: List prompt templates
+ *     description: |
+ *       The organization's shared templates and the caller's personal ones, most recently
+ *       updated first. Each template has its `usage_count` and `last_used_at`.
+ *       Paginate with `before`/`after` cursors.
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: query
+ *         name: visibility
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [org, personal]
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: before
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Page of templates with `data` and `next_cursor`
+ */
+router.get('/', templateController.listTemplates);
+
+/**
+ * @swagger
+ * /api/templates:
+ *   post:
+ *     summary: Create a prompt template
+ *     description: |
+ *       `{name}` in the body inserts a variable; write `{{` and `}}` for literal braces.
+ *       Every variable used in the body must be declared in `variables`, and every declared
+ *       variable must be used.
+ *     tags: [Templates]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - body
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Go-to-market plan
+ *               description:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *                 example: Draft a go-to-market plan for {product} in {region}.
+ *               visibility:
+ *                 type: string
+ *                 enum: [org, personal]
+ *                 default: personal
+ *               variables:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: region
+ *                     type:
+ *                       type: string
+ *                       enum: [string, text, number, integer, boolean, date, enum]
+ *                       default: string
+ *                     label:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     required:
+ *                       type: boolean
+ *                       default: true
+ *                     default:
+ *                       description: Used when no value is given
+ *                     options:
+ *                       type: array
+ *                       description: Allowed values (enum variables)
+ *                       items:
+ *                         type: string
+ *     responses:
+ *       201:
+ *         description: Created template
+ *       400:
+ *         description: Invalid fields; variable problems are listed in `details`
+ */
+router.post('/', templateController.createTemplate);
+
+/**
+ * @swagger
+ * /api/templates/{id}:
+ *   get:
+ *     summary: Get a prompt template
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The template
+ *       404:
+ *         description: Template not found
+ */
+router.get('/:id', templateController.getTemplate);
+
+/**
+ * @swagger
+ * /api/templates/{id}:
+ *   patch:
+ *     summary: Update a prompt template
+ *     description: |
+ *       Takes the fields of POST /api/templates. Only the owner can edit a personal
+ *       template; shared templates can also be edited by admins.
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated template
+ *       400:
+ *         description: Invalid fields; variable problems are listed in `details`
+ *       403:
+ *         description: Not the owner or an admin
+ *       404:
+ *         description: Template not found
+ */
+router.patch('/:id', templateController.updateTemplate);
+
+/**
+ * @swagger
+ * /api/templates/{id}:
+ *   delete:
+ *     summary: Delete a prompt template
+ *     description: Messages already sent from the template are kept.
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Template deleted
+ *       403:
+ *         description: Not the owner or an admin
+ *       404:
+ *         description: Template not found
+ */
+router.delete('/:id', templateController.deleteTemplate);
+
+/**
+ * @swagger
+ * /api/templates/{id}/render:
+ *   post:
+ *     summary: Preview a template with variable values
+ *     description: Renders the prompt as POST /api/chat/message would, without sending it or counting a use.
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variables:
+ *                 type: object
+ *                 example: { "product": "Acme Analytics", "region": "DACH" }
+ *     responses:
+ *       200:
+ *         description: The rendered `content` and the `variables` used, defaults included
+ *       400:
+ *         description: Missing, unknown or invalid variables, listed in `details`
+ *       404:
+ *         description: Template not found
+ */
+router.post('/:id/render', templateController.renderTemplate);
+
+module.exports = router;
@@ -15,7 +15,10 @@ const authMiddleware = require('../middleware/auth');
  * /webhooks/auth:
  *   post:
  *     summary: Supabase Auth webhook endpoint
- *     description: Receives webhook events from Supabase Auth (e.g., user.created) to trigger automatic user onboarding including organization and profile creation.
+ *     description: |
+ *       Receives webhook events from Supabase Auth (e.g., user.created) to trigger automatic user onboarding.
+ *       With an `invite_token` in the user metadata the user joins the invitation's organization;
+ *       otherwise a new organization is created with the user as its admin.
  *     tags: [Webhooks]
  *     security: []
  *     requestBody:
@@ -39,7 +42,7 @@ const authMiddleware = require('../middleware/auth');
  *                     type: string
  *                   raw_user_meta_data:
  *                     type: object
- *                     description: User metadata including organization_name
+ *                     description: User metadata including organization_name or invite_token
  *     responses:
  *       200:
  *         description: Webhook processed successfully
@@ -66,7 +69,7 @@ router.post('/auth', webhookController.handleAuthWebhook);
  * /webhooks/onboard:
  *   post:
  *     summary: Manual user onboarding endpoint
- *     description: Manually trigger user onboarding for users who were not automatically onboarded. Requires authentication.
+ *     description: Manually trigger onboarding for a user who was not automatically onboarded. Requires authentication; users can only onboard themselves.
  *     tags: [Webhooks]
  *     requestBody:
  *       required: true
@@ -79,15 +82,20 @@ router.post('/auth', webhookController.handleAuthWebhook);
  *             properties:
  *               userId:
  *                 type: string
- *                 description: User UUID to onboard
+ *                 description: User UUID to onboard; must be the caller's own
  *               organizationName:
  *                 type: string
- *                 description: Organization name (optional)
+ *                 description: Name of the new organization (optional)
+ *               inviteToken:
+ *                 type: string
+ *                 description: Invitation token; joins the invitation's organization instead
  *     responses:
  *       200:
  *         description: User onboarded successfully
  *       400:
  *         description: Invalid request or user already onboarded
+ *       403:
+ *         description: userId is not the caller
  */
 router.post('/onboard', authMiddleware, webhookController.manualOnboard);
 
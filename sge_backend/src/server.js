@@ -1,5 +1,6 @@
 require('dotenv').config();
 const app = require('./app');
+const { startDigestScheduler } = require('./jobs/digestScheduler');
 
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
@@ -9,9 +10,12 @@ const server = app.listen(PORT, HOST, () => {
   console.log(`Swagger UI available at http://${HOST}:${PORT}/docs`);
 });
 
+const digestTimer = process.env.DIGEST_SCHEDULER_ENABLED === 'true' ? startDigestScheduler() : null;
+
   // Graceful shutdown
   process.on('SIGTERM', () => {
     console.log('SIGTERM signal received: closing HTTP server');
+    if (digestTimer) clearInterval(digestTimer);
     server.close(() => {
       console.log('HTTP server closed');
       process.exit(0);
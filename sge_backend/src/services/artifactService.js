@@ -0,0 +1,155 @@
+const { getProvider } = require('./llm');
+const chatService = require('./chatService');
+const usageService = require('./usageService');
+const ARTIFACT_TYPES = require('./artifactTypes');
+const { validate } = require('../utils/jsonSchema');
+const { estimateTokens } = require('../utils/tokens');
+
+const TRANSCRIPT_TOKEN_BUDGET = 12000;
+// One retry with the validation errors fed back to the model
+const MAX_ATTEMPTS = 2;
+
+/**
+ * Service for structured strategy artifacts (SWOT, five forces, lean canvas, executive
+ * summary) generated from a conversation and refined by the team afterwards.
+ *
+ * Artifacts belong to the organization. Every change to title or content bumps
+ * `artifacts.version` and is copied to `artifact_versions` by a database trigger.
+ */
+class ArtifactService {
+  // PUBLIC_INTERFACE
+  isSupportedType(type) {
+    return Object.prototype.hasOwnProperty.call(ARTIFACT_TYPES, type);
+  }
+
+  // PUBLIC_INTERFACE
+  listTypes() {
+    return Object.entries(ARTIFACT_TYPES).map(([type, { name, description, schema }]) => ({
+      type,
+      name,
+      description,
+      schema
+    }));
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Validate artifact content against its type's schema.
+   * @returns {string[]} Validation errors; empty when valid
+   */
+  validateContent(type, content) {
+    return validate(ARTIFACT_TYPES[type].schema, content);
+  }
+
+  // PUBLIC_INTERFACE
+  async getArtifact(supabase, artifactId) {
+    const { data, error } = await supabase
+      .from('artifacts')
+      .select('*')
+      .eq('id', artifactId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  // The conversation's active branch, newest turns kept when it exceeds the budget
+  async buildTranscript(supabase, conversation) {
+    if (!conversation.active_leaf_id) return '';
+
+    const { data, error } = await chatService
+      .branchQuery(supabase, conversation.active_leaf_id, 'role, content, created_at')
+      .order('created_at', { ascending: false });
+    if (error) throw new Error(error.message);
+
+    const lines = [];
+    let used = 0;
+    for (const msg of data) {
+      if (msg.role === 'system') continue;
+      const line = `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${msg.content}`;
+      used += estimateTokens(line);
+      if (used > TRANSCRIPT_TOKEN_BUDGET && lines.length > 0) break;
+      lines.unshift(line);
+    }
+    return lines.join('\n\n');
+  }
+
+  buildPrompt(type, transcript, instructions) {
+    const { name, description, schema } = ARTIFACT_TYPES[type];
+    return [
+      'You turn business strategy conversations into structured artifacts.',
+      `Create a ${name} (${description}) from the conversation below.`,
+      instructions ? `Additional instructions: ${instructions}` : null,
+      'Base it on the conversation. Where it lacks information, stay general instead of inventing figures.',
+      'Respond with a single JSON object that matches this JSON Schema, and nothing else:',
+      JSON.stringify(schema),
+      '',
+      `Conversation:\n${transcript}`
+    ].filter(line => line !== null).join('\n');
+  }
+
+  // Extracts the JSON object from a reply that may wrap it in prose or a code fence
+  parseJson(reply) {
+    const start = (reply || '').indexOf('{');
+    const end = (reply || '').lastIndexOf('}');
+    if (start === -1 || end < start) return { errors: ['The reply did not contain a JSON object'] };
+    try {
+      return { value: JSON.parse(reply.substring(start, end + 1)) };
+    } catch (err) {
+      return { errors: [`The reply was not valid JSON: ${err.message}`] };
+    }
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Ask the model for schema-valid artifact content based on a conversation.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {object} user - req.user
+   * @param {object} conversation - Conversation row
+   * @param {string} type - Artifact type
+   * @param {string} [instructions] - Extra guidance from the user
+   * @param {string} [reservationId] - Quota reservation of the request (see quotaService.reserve)
+   * @returns {Promise<{content?: object, errors?: string[]}>} Content, or the validation errors of the last attempt
+   */
+  async generateContent(supabase, user, conversation, type, instructions, reservationId) {
+    const transcript = await this.buildTranscript(supabase, conversation);
+    if (!transcript) return { errors: ['The conversation has no messages'] };
+
+    const prompt = this.buildPrompt(type, transcript, instructions);
+    const history = [];
+    let message = prompt;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+      const call = usageService.startCall();
+      const usage = {
+        orgId: user.org_id,
+        userId: user.id,
+        conversationId: conversation.id,
+        purpose: 'artifact',
+        input: [...history, { content: message }],
+        // The first attempt replaces the reservation; retries are recorded as calls of their own
+        reservationId
+      };
+
+      let reply;
+      try {
+        reply = await getProvider().generateReply(message, history, { onUsage: call.onUsage });
+        await usageService.record(call, { ...usage, status: 'ok', output: reply });
+      } catch (err) {
+        await usageService.record(call, { ...usage, status: 'error', error: err.message });
+        throw err;
+      }
+
+      const parsed = this.parseJson(reply);
+      errors = parsed.errors || this.validateContent(type, parsed.value);
+      if (errors.length === 0) return { content: parsed.value };
+
+      history.push({ role: 'user', content: message }, { role: 'assistant', content: reply });
+      message = `That JSON does not match the schema:\n- ${errors.join('\n- ')}\nReply with the corrected JSON object only.`;
+    }
+    return { errors };
+  }
+}
+
+module.exports = new ArtifactService();
@@ -0,0 +1,77 @@
+// Structured strategy artifacts the model can produce from a conversation.
+// Each type has a JSON Schema that generated and edited content must satisfy;
+// the schema is also shown to the model as the required output format.
+
+const text = (maxLength = 2000) => ({ type: 'string', minLength: 1, maxLength });
+const list = (maxItems = 10, maxLength = 500) => ({
+  type: 'array',
+  minItems: 1,
+  maxItems,
+  items: text(maxLength)
+});
+const object = (properties) => ({
+  type: 'object',
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false
+});
+
+const force = object({
+  rating: { type: 'string', enum: ['low', 'medium', 'high'] },
+  analysis: text()
+});
+
+const ARTIFACT_TYPES = {
+  swot: {
+    name: 'SWOT analysis',
+    description: 'Internal strengths and weaknesses, external opportunities and threats',
+    schema: object({
+      summary: text(),
+      strengths: list(),
+      weaknesses: list(),
+      opportunities: list(),
+      threats: list()
+    })
+  },
+  porter_five_forces: {
+    name: 'Porter\'s five forces',
+    description: 'Competitive pressure in the industry, each force rated low, medium or high',
+    schema: object({
+      summary: text(),
+      competitive_rivalry: force,
+      threat_of_new_entrants: force,
+      threat_of_substitutes: force,
+      buyer_power: force,
+      supplier_power: force
+    })
+  },
+  lean_canvas: {
+    name: 'Lean canvas',
+    description: 'One-page business model: problem, customers, value proposition, solution and economics',
+    schema: object({
+      problem: list(5),
+      customer_segments: list(5),
+      unique_value_proposition: text(500),
+      solution: list(5),
+      channels: list(5),
+      revenue_streams: list(5),
+      cost_structure: list(5),
+      key_metrics: list(5),
+      unfair_advantage: text(500)
+    })
+  },
+  executive_summary: {
+    name: 'Executive summary',
+    description: 'Situation, findings, recommendations and next steps for leadership',
+    schema: object({
+      headline: text(200),
+      situation: text(),
+      key_findings: list(),
+      recommendations: list(),
+      next_steps: list(),
+      risks: list()
+    })
+  }
+};
+
+module.exports = ARTIFACT_TYPES;
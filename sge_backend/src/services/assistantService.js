@@ -0,0 +1,90 @@
+/**
+ * Service for organization-level assistant configuration: the org-wide system
+ * instruction (company context, tone, forbidden topics) and named personas.
+ * Both are combined into the system prompt sent with every model call.
+ */
+class AssistantService {
+  /**
+   * PUBLIC_INTERFACE
+   * Get the assistant settings for an organization.
+   * @returns {Promise<object|null>} Settings row, or null if never configured
+   */
+  async getSettings(supabase, orgId) {
+    const { data, error } = await supabase
+      .from('assistant_settings')
+      .select('*')
+      .eq('org_id', orgId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  // PUBLIC_INTERFACE
+  async saveSettings(supabase, orgId, userId, settings) {
+    const { data, error } = await supabase
+      .from('assistant_settings')
+      .upsert({
+        org_id: orgId,
+        ...settings,
+        updated_by: userId,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'org_id' })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Get a persona visible to the caller.
+   * @returns {Promise<object|null>}
+   */
+  async getPersona(supabase, personaId) {
+    const { data, error } = await supabase
+      .from('personas')
+      .select('*')
+      .eq('id', personaId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Build the system prompt for a conversation from the org settings and its persona.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {object} conversation - Conversation row (uses org_id and persona_id)
+   * @returns {Promise<string|null>} The system prompt, or null when nothing is configured
+   */
+  async buildSystemPrompt(supabase, conversation) {
+    const [settings, persona] = await Promise.all([
+      this.getSettings(supabase, conversation.org_id),
+      conversation.persona_id ? this.getPersona(supabase, conversation.persona_id) : null
+    ]);
+
+    const sections = [];
+    if (settings?.company_context) {
+      sections.push(`Company context:\n${settings.company_context}`);
+    }
+    if (settings?.tone) {
+      sections.push(`Tone and style: ${settings.tone}`);
+    }
+    if (settings?.forbidden_topics?.length) {
+      sections.push(
+        `Do not discuss the following topics: ${settings.forbidden_topics.join(', ')}. ` +
+        'If asked about them, politely decline and steer back to the business question.'
+      );
+    }
+    if (persona) {
+      sections.push(`You are acting as "${persona.name}".\n${persona.instructions}`);
+    }
+
+    return sections.length ? sections.join('\n\n') : null;
+  }
+}
+
+module.exports = new AssistantService();
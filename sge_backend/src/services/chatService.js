@@ -0,0 +1,171 @@
+/**
+ * Service for conversation and message persistence.
+ *
+ * Messages form a tree: every user/assistant message points at the message it follows
+ * via `parent_id`. Editing a user message or regenerating a reply adds a sibling instead
+ * of overwriting, and `conversations.active_leaf_id` marks the tip of the branch the user
+ * is currently looking at. All methods take the caller's authenticated Supabase client so
+ * RLS applies.
+ */
+
+// Columns returned to clients (leaves out the search_vector column)
+const MESSAGE_COLUMNS = 'id, conversation_id, org_id, user_id, role, content, model, metadata, parent_id, created_at';
+
+class ChatService {
+  /**
+   * PUBLIC_INTERFACE
+   * Fetch a conversation visible to the caller.
+   * @returns {Promise<object|null>} The conversation, or null if missing or not visible
+   */
+  async getConversation(supabase, conversationId) {
+    const { data, error } = await supabase
+      .from('conversations')
+      .select('*')
+      .eq('id', conversationId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Create a conversation owned by `user`.
+   * @param {object} supabase
+   * @param {object} user - req.user
+   * @param {object} fields - Column values such as title and persona_id
+   */
+  async createConversation(supabase, user, fields) {
+    const { data, error } = await supabase
+      .from('conversations')
+      .insert({
+        ...fields,
+        user_id: user.id,
+        org_id: user.org_id
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Fetch a single message visible to the caller.
+   * @returns {Promise<object|null>}
+   */
+  async getMessage(supabase, messageId) {
+    const { data, error } = await supabase
+      .from('messages')
+      .select(MESSAGE_COLUMNS)
+      .eq('id', messageId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  // PUBLIC_INTERFACE
+  async insertMessage(supabase, message) {
+    const { data, error } = await supabase
+      .from('messages')
+      .insert(message)
+      .select(MESSAGE_COLUMNS)
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  // PUBLIC_INTERFACE
+  async setActiveLeaf(supabase, conversationId, messageId) {
+    const { error } = await supabase
+      .from('conversations')
+      .update({ active_leaf_id: messageId, updated_at: new Date().toISOString() })
+      .eq('id', conversationId);
+
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Link a conversation to the goal and/or KPI dataset its replies are grounded in.
+   * @param {object} links - `goal_id` and/or `dataset_id`
+   */
+  async setContextLinks(supabase, conversationId, links) {
+    const { error } = await supabase
+      .from('conversations')
+      .update({ ...links, updated_at: new Date().toISOString() })
+      .eq('id', conversationId);
+
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Query builder for the branch ending at `leafId` (the leaf and all its ancestors).
+   * Filters, ordering and pagination can be chained onto the result.
+   */
+  branchQuery(supabase, leafId, columns = MESSAGE_COLUMNS) {
+    return supabase
+      .rpc('message_branch', { leaf_id: leafId })
+      .select(columns);
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Annotate messages with `sibling_ids`: the ids of all alternatives at the same
+   * position in the tree (same parent), oldest first, including the message itself.
+   * @param {object} supabase
+   * @param {string} conversationId
+   * @param {Array<object>} messages
+   * @returns {Promise<Array<object>>}
+   */
+  async attachSiblings(supabase, conversationId, messages) {
+    if (messages.length === 0) return messages;
+
+    const parentIds = [...new Set(messages.map(msg => msg.parent_id).filter(Boolean))];
+    const hasRoots = messages.some(msg => !msg.parent_id);
+    const conditions = [];
+    if (parentIds.length) conditions.push(`parent_id.in.(${parentIds.join(',')})`);
+    if (hasRoots) conditions.push('parent_id.is.null');
+
+    const { data, error } = await supabase
+      .from('messages')
+      .select('id, parent_id')
+      .eq('conversation_id', conversationId)
+      .in('role', ['user', 'assistant'])
+      .or(conditions.join(','))
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    const byParent = new Map();
+    for (const row of data) {
+      const key = row.parent_id || 'root';
+      if (!byParent.has(key)) byParent.set(key, []);
+      byParent.get(key).push(row.id);
+    }
+
+    return messages.map(msg => ({
+      ...msg,
+      sibling_ids: byParent.get(msg.parent_id || 'root') || [msg.id]
+    }));
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Find the leaf reached by following the newest child from `messageId` downwards.
+   * Used when switching to an alternative branch.
+   * @returns {Promise<string>} Leaf message id
+   */
+  async findLatestLeaf(supabase, messageId) {
+    const { data, error } = await supabase.rpc('latest_leaf', { start_id: messageId });
+
+    if (error) throw new Error(error.message);
+    return data || messageId;
+  }
+}
+
+module.exports = new ChatService();
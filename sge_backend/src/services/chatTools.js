@@ -0,0 +1,204 @@
+// Server-side tools the assistant can call while answering, so figures come from the
+// organization's data instead of the model's imagination. Every tool runs with the
+// caller's Supabase client: RLS limits results to what the caller may see.
+// `parameters` is a JSON Schema shown to the model and checked before the tool runs.
+
+const datasetService = require('./datasetService');
+const goalService = require('./goalService');
+const knowledgeService = require('./knowledgeService');
+const { isUuid } = require('../utils/uuid');
+
+const MAX_LIST_ROWS = 50;
+const MAX_SERIES_PERIODS = 120;
+
+const string = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const date = (description) => string(`${description} (YYYY-MM-DD)`, { format: 'date', maxLength: 10 });
+const limit = (max) => ({ type: 'integer', description: `Maximum number of results (1-${max})`, minimum: 1, maximum: max });
+const object = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  required,
+  additionalProperties: false
+});
+
+const checkDate = (name, value) => {
+  if (value !== undefined && Number.isNaN(Date.parse(value))) {
+    throw new Error(`${name} must be a date (YYYY-MM-DD)`);
+  }
+};
+
+// A dataset of the caller's organization by id or exact name
+const findDataset = async (supabase, user, reference) => {
+  let query = supabase
+    .from('kpi_datasets')
+    .select('*')
+    .eq('org_id', user.org_id);
+  query = isUuid(reference) ? query.eq('id', reference) : query.eq('name', reference);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) throw new Error(error.message);
+  if (!data) throw new Error(`No dataset named "${reference}"; call list_kpi_datasets for the available names`);
+  return data;
+};
+
+const CHAT_TOOLS = {
+  list_kpi_datasets: {
+    description: 'List the organization\'s uploaded KPI datasets with their metrics, label columns and covered period.',
+    parameters: object({}),
+    async run(supabase, user) {
+      const { data, error } = await supabase
+        .from('kpi_datasets')
+        .select('id, name, description, columns, stats, row_count, updated_at')
+        .eq('org_id', user.org_id)
+        .order('updated_at', { ascending: false })
+        .limit(MAX_LIST_ROWS);
+
+      if (error) throw new Error(error.message);
+      return {
+        datasets: data.map(dataset => ({
+          name: dataset.name,
+          description: dataset.description,
+          metrics: dataset.columns
+            .filter(column => column.role === 'metric')
+            .map(column => ({ name: column.name, unit: column.unit })),
+          labels: dataset.columns.filter(column => column.role === 'dimension').map(column => column.name),
+          from: dataset.stats?.from,
+          to: dataset.stats?.to,
+          granularity: dataset.stats?.granularity,
+          updated_at: dataset.updated_at
+        }))
+      };
+    }
+  },
+
+  get_kpi_series: {
+    description: 'Get the values of one metric of a KPI dataset per period, oldest first. ' +
+      'Rows sharing a period are summed (averaged for rates and percentages) unless filtered to one label value.',
+    parameters: object({
+      dataset: string('Dataset name (or id) as returned by list_kpi_datasets', { minLength: 1, maxLength: 200 }),
+      metric: string('Metric column name', { minLength: 1, maxLength: 200 }),
+      from: date('First period to include'),
+      to: date('Only periods before this date'),
+      label_name: string('Label column to filter on, e.g. region', { maxLength: 200 }),
+      label_value: string('Value the label column must have, e.g. EU', { maxLength: 200 })
+    }, ['dataset', 'metric']),
+    async run(supabase, user, args) {
+      checkDate('from', args.from);
+      checkDate('to', args.to);
+      if (!args.label_name !== !args.label_value) {
+        throw new Error('label_name and label_value must be given together');
+      }
+
+      const dataset = await findDataset(supabase, user, args.dataset);
+      const column = dataset.columns.find(col => col.role === 'metric' && col.name === args.metric);
+      if (!column) {
+        const metrics = dataset.columns.filter(col => col.role === 'metric').map(col => col.name);
+        throw new Error(`Dataset "${dataset.name}" has no metric "${args.metric}"; metrics: ${metrics.join(', ')}`);
+      }
+
+      const { series, truncated } = await datasetService.getSeries(supabase, dataset, args.metric, {
+        from: args.from,
+        to: args.to,
+        labels: args.label_name ? { [args.label_name]: args.label_value } : undefined
+      });
+      return {
+        dataset: dataset.name,
+        metric: column.name,
+        unit: column.unit,
+        aggregation: column.aggregation,
+        series: series.slice(-MAX_SERIES_PERIODS),
+        // Older periods were left out; narrow the range with from/to to see them
+        truncated: truncated || series.length > MAX_SERIES_PERIODS
+      };
+    }
+  },
+
+  list_goals: {
+    description: 'List the organization\'s objectives with their key results, progress (0 to 1), health and due dates.',
+    parameters: object({
+      status: string('Only objectives with this status', { enum: ['active', 'achieved', 'missed', 'cancelled'] })
+    }),
+    async run(supabase, user, args) {
+      let query = supabase
+        .from('objectives')
+        .select('*')
+        .eq('org_id', user.org_id);
+      if (args.status) query = query.eq('status', args.status);
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(MAX_LIST_ROWS);
+
+      if (error) throw new Error(error.message);
+      const goals = await goalService.attachKeyResults(supabase, data);
+      return {
+        goals: goals.map(goal => ({
+          title: goal.title,
+          status: goal.status,
+          period: goal.period,
+          due_date: goal.due_date,
+          progress: goal.progress,
+          health: goal.health,
+          key_results: goal.key_results.map(keyResult => ({
+            title: keyResult.title,
+            unit: keyResult.unit,
+            start_value: keyResult.start_value,
+            target_value: keyResult.target_value,
+            current_value: keyResult.current_value,
+            progress: keyResult.progress,
+            health: keyResult.health
+          }))
+        }))
+      };
+    }
+  },
+
+  search_conversations: {
+    description: 'Full-text search over past conversations the user can see. Returns matching message snippets.',
+    parameters: object({
+      query: string('Search terms', { minLength: 2, maxLength: 200 }),
+      limit: limit(10)
+    }, ['query']),
+    async run(supabase, user, args) {
+      const { data, error } = await supabase.rpc('search_messages', {
+        search_query: args.query,
+        result_limit: args.limit || 5,
+        result_offset: 0
+      });
+
+      if (error) throw new Error(error.message);
+      return {
+        matches: data.map(match => ({
+          conversation_id: match.conversation_id,
+          conversation_title: match.conversation_title,
+          role: match.role,
+          snippet: match.snippet,
+          created_at: match.created_at
+        }))
+      };
+    }
+  },
+
+  search_documents: {
+    description: 'Search the organization\'s knowledge base of internal documents. Returns the most relevant passages.',
+    parameters: object({
+      query: string('What to look for', { minLength: 2, maxLength: 500 }),
+      limit: limit(10)
+    }, ['query']),
+    async run(supabase, user, args) {
+      const passages = await knowledgeService.search(supabase, args.query, { limit: args.limit || 5 });
+      return {
+        passages: passages.map(passage => ({
+          document_id: passage.document_id,
+          document_title: passage.document_title,
+          chunk_index: passage.chunk_index,
+          heading: passage.heading,
+          page: passage.page,
+          content: passage.content
+        }))
+      };
+    }
+  }
+};
+
+module.exports = CHAT_TOOLS;
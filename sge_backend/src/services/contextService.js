@@ -0,0 +1,255 @@
+const { getProvider } = require('./llm');
+const usageService = require('./usageService');
+const { supabaseAdmin } = require('../utils/supabase');
+const { estimateTokens, estimateMessagesTokens, truncateToTokens } = require('../utils/tokens');
+
+const SUMMARY_TYPE = 'summary';
+
+/**
+ * Service that builds the model context for a conversation.
+ *
+ * History is the branch of messages leading up to the turn being answered, kept within
+ * a token budget (CHAT_CONTEXT_TOKEN_BUDGET). When a branch outgrows it, the oldest turns
+ * are folded into a running summary stored as a `system` message with
+ * `metadata.type = 'summary'`. A summary records the id of the last message it covers
+ * (`covers_message_id`) and there is one per covered message, so branches that diverge
+ * keep their own summaries: the branch walk stops at the newest covered message on the
+ * branch, and only that message's summary is used.
+ *
+ * A single message longer than half the budget is truncated, and older turns are folded
+ * into the summary in chunks that fit the budget. Summaries are written with the service
+ * role; clients cannot create or change `system` messages.
+ *
+ * The new message and the knowledge base passages added to the system prompt count
+ * against the same budget: the message is cut to a quarter of it (see fitMessage), the
+ * passages may take up to half of it (see fitPassages), and the history gets the rest.
+ */
+class ContextService {
+  constructor() {
+    this.tokenBudget = parseInt(process.env.CHAT_CONTEXT_TOKEN_BUDGET, 10) || 6000;
+  }
+
+  /**
+   * Fetch the running summaries of a conversation (one per covered message).
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {string} conversationId
+   * @returns {Promise<Array<object>>} Summary message rows, newest first
+   */
+  async getSummaries(supabase, conversationId) {
+    const { data, error } = await supabase
+      .from('messages')
+      .select('id, content, metadata, created_at')
+      .eq('conversation_id', conversationId)
+      .eq('role', 'system')
+      .eq('metadata->>type', SUMMARY_TYPE)
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * The new message as sent to the model: cut to a quarter of the token budget, so an
+   * oversized message (e.g. a pasted document) leaves room for the history.
+   * @param {string} content - The message being answered
+   * @returns {string}
+   */
+  fitMessage(content) {
+    return truncateToTokens(content, Math.floor(this.tokenBudget / 4));
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * The knowledge base passages, best first, that fit in half the token budget. Passages
+   * that would overflow it are dropped.
+   * @param {Array<{content: string}>} passages - Matches from knowledgeService.retrieve()
+   * @returns {Array<object>} The passages kept, in their original order
+   */
+  fitPassages(passages) {
+    const budget = Math.floor(this.tokenBudget / 2);
+    let used = 0;
+    return passages.filter(passage => {
+      const tokens = estimateTokens(passage.content);
+      if (used + tokens > budget) return false;
+      used += tokens;
+      return true;
+    });
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Build the history to send to the model for the next turn.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {object} params
+   * @param {string} params.conversationId
+   * @param {string} params.orgId
+   * @param {string} params.userId - Caller, billed for summary refreshes
+   * @param {string|null} params.parentId - Last message before the turn being answered
+   * @param {number} [params.reservedTokens] - Budget already taken by other prompt content
+   *   (the new message and knowledge base passages)
+   * @returns {Promise<Array<{role: string, content: string}>>} History, oldest first
+   */
+  async buildContext(supabase, { conversationId, orgId, userId, parentId, reservedTokens = 0 }) {
+    if (!parentId) return [];
+    const budget = Math.max(this.tokenBudget - reservedTokens, 0);
+
+    const summaries = await this.getSummaries(supabase, conversationId);
+    const coveredIds = summaries.map(row => row.metadata?.covers_message_id).filter(Boolean);
+
+    const { data: branch, error } = await supabase
+      .rpc('message_branch', {
+        leaf_id: parentId,
+        stop_ids: coveredIds.length > 0 ? coveredIds : null
+      })
+      .select('id, role, content, created_at')
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+
+    // The walk stops at the newest covered message on this branch, if any
+    const summary = summaries.find(row => row.metadata?.covers_message_id === branch[0]?.id) || null;
+    // One oversized message (e.g. a pasted document) must not blow the budget on its own
+    const maxMessageTokens = Math.floor(budget / 2);
+    const messages = (summary ? branch.slice(1) : branch).map(msg => ({
+      ...msg,
+      content: truncateToTokens(msg.content, maxMessageTokens)
+    }));
+
+    const summaryTokens = summary ? estimateTokens(summary.content) : 0;
+    if (summaryTokens + estimateMessagesTokens(messages) <= budget) {
+      return this.formatHistory(summary?.content, messages);
+    }
+
+    // Over budget: keep the newest turns within half the budget so the summary is not
+    // refreshed on every message, and fold everything older into the summary.
+    const { older, recent } = this.splitByBudget(messages, maxMessageTokens);
+    if (older.length === 0) {
+      return this.formatHistory(summary?.content, messages);
+    }
+
+    try {
+      // Fold the older turns in chunks so no summary prompt exceeds the budget
+      let summaryText = summary?.content;
+      for (const chunk of this.chunkByBudget(older, this.tokenBudget)) {
+        summaryText = await this.summarize(supabase, { conversationId, orgId, userId }, summaryText, chunk);
+      }
+      await this.saveSummary({
+        conversationId,
+        orgId,
+        content: summaryText,
+        coversMessageId: older[older.length - 1].id
+      });
+      return this.formatHistory(summaryText, recent);
+    } catch (err) {
+      // Still respect the budget; the older turns are simply dropped this time
+      console.error('Failed to refresh conversation summary:', err);
+      return this.formatHistory(summary?.content, recent);
+    }
+  }
+
+  /**
+   * Split messages into the newest ones that fit in `budget` tokens and the older remainder.
+   * The recent window always starts with a user message so providers that require
+   * alternating turns receive a well-formed history.
+   */
+  splitByBudget(messages, budget) {
+    let used = 0;
+    let start = messages.length;
+    while (start > 0) {
+      const tokens = estimateTokens(messages[start - 1].content);
+      if (used + tokens > budget) break;
+      used += tokens;
+      start -= 1;
+    }
+    while (start < messages.length && messages[start].role !== 'user') {
+      start += 1;
+    }
+    return {
+      older: messages.slice(0, start),
+      recent: messages.slice(start)
+    };
+  }
+
+  /**
+   * Split messages, oldest first, into consecutive chunks of at most `budget` tokens
+   * (a chunk always holds at least one message).
+   */
+  chunkByBudget(messages, budget) {
+    const chunks = [];
+    let current = [];
+    let used = 0;
+    for (const msg of messages) {
+      const tokens = estimateTokens(msg.content);
+      if (current.length > 0 && used + tokens > budget) {
+        chunks.push(current);
+        current = [];
+        used = 0;
+      }
+      current.push(msg);
+      used += tokens;
+    }
+    if (current.length > 0) chunks.push(current);
+    return chunks;
+  }
+
+  async summarize(supabase, { conversationId, orgId, userId }, previousSummary, messages) {
+    const transcript = messages
+      .map(msg => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${msg.content}`)
+      .join('\n\n');
+
+    const prompt = [
+      'You maintain a running summary of a business strategy conversation.',
+      'Update the summary with the new transcript below. Keep key facts, figures, decisions,',
+      'open questions and recommendations. Write at most 300 words of plain prose.',
+      '',
+      `Current summary:\n${previousSummary || '(none)'}`,
+      '',
+      `New transcript:\n${transcript}`
+    ].join('\n');
+
+    const call = usageService.startCall();
+    const usage = { orgId, userId, conversationId, purpose: 'summary', input: [{ content: prompt }] };
+    try {
+      const summaryText = await getProvider().generateReply(prompt, [], { onUsage: call.onUsage });
+      await usageService.record(call, { ...usage, status: 'ok', output: summaryText });
+      return summaryText;
+    } catch (err) {
+      await usageService.record(call, { ...usage, status: 'error', error: err.message });
+      throw err;
+    }
+  }
+
+  // Written with the service role: RLS keeps clients from creating or editing system messages.
+  // A new row per covered message leaves the summaries of other branches untouched.
+  async saveSummary({ conversationId, orgId, content, coversMessageId }) {
+    if (!supabaseAdmin) {
+      throw new Error('Supabase admin client is not configured');
+    }
+
+    const { error } = await supabaseAdmin
+      .from('messages')
+      .insert({
+        conversation_id: conversationId,
+        org_id: orgId,
+        role: 'system',
+        content,
+        metadata: { type: SUMMARY_TYPE, covers_message_id: coversMessageId }
+      });
+    // A concurrent turn already summarized up to the same message
+    if (error && error.code !== '23505') throw new Error(error.message);
+  }
+
+  formatHistory(summaryText, messages) {
+    const history = messages.map(({ role, content }) => ({ role, content }));
+    if (summaryText) {
+      history.unshift({
+        role: 'system',
+        content: `Summary of the earlier part of this conversation:\n${summaryText}`
+      });
+    }
+    return history;
+  }
+}
+
+module.exports = new ContextService();
@@ -0,0 +1,396 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ROWS = 10000;
+const MAX_COLUMNS = 30;
+const MAX_POINTS = 50000;
+const MAX_DIMENSIONS = 3;
+const MAX_ERRORS = 10;
+// Share of values that must be dates for a time-named column to count as the time column;
+// the rest are then reported as row errors instead of the column silently becoming text
+const TIME_COLUMN_MIN_DATES = 0.8;
+// Latest values per metric kept in the stats (and shown to the model)
+const RECENT_VALUES = 6;
+// Rows read for one series; PostgREST caps responses at 1000 rows by default
+const MAX_SERIES_ROWS = 1000;
+
+const TIME_NAME = /date|time|day|week|month|quarter|period|year/i;
+const RATE_NAME = /rate|ratio|margin|churn|conversion|percent|pct|%/i;
+const CURRENCIES = { $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+const GRANULARITY_LABELS = { day: 'daily', week: 'weekly', month: 'monthly', quarter: 'quarterly', year: 'yearly' };
+const MONTH_NAME = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\b/i;
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+const round = (value) => Math.round(value * 10000) / 10000;
+const toDay = (date) => date.toISOString().substring(0, 10);
+
+// One value per period for a metric: rows sharing a period (e.g. one per region) are
+// summed, or averaged for rates and percentages. Oldest period first.
+const aggregateByPeriod = (points, metric, aggregation) => {
+  const byPeriod = new Map();
+  for (const point of points) {
+    if (point.metric !== metric) continue;
+    const entry = byPeriod.get(point.ts) || { sum: 0, count: 0 };
+    entry.sum += Number(point.value);
+    entry.count += 1;
+    byPeriod.set(point.ts, entry);
+  }
+  return [...byPeriod]
+    .map(([ts, { sum, count }]) => ({
+      period: toDay(new Date(ts)),
+      value: round(aggregation === 'avg' ? sum / count : sum)
+    }))
+    .sort((a, b) => a.period.localeCompare(b.period));
+};
+
+/**
+ * Parse a period value to the UTC date it starts on. Accepts ISO dates and timestamps,
+ * YYYY-MM, YYYY/MM/DD, quarters (2026-Q1, Q1 2026), month names (Jan 2026) and,
+ * for time-named columns, plain years.
+ * @returns {Date|null}
+ */
+const parsePeriod = (value, allowYear) => {
+  const text = String(value).trim();
+  let match = text.match(/^(\d{4})[-/](\d{1,2})(?:[-/](\d{1,2}))?$/);
+  if (match) {
+    const [year, month, day] = [match[1], match[2], match[3] || 1].map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+  }
+  match = text.match(/^(\d{4})[-\s]?Q([1-4])$/i) || text.match(/^Q([1-4])[-\s]?(\d{4})$/i);
+  if (match) {
+    const [year, quarter] = match[1].length === 4 ? [match[1], match[2]] : [match[2], match[1]];
+    return new Date(Date.UTC(Number(year), (Number(quarter) - 1) * 3, 1));
+  }
+  if (allowYear && /^\d{4}$/.test(text)) {
+    return new Date(Date.UTC(Number(text), 0, 1));
+  }
+  // Timestamps and month names with a full year (Jan 2026, 15 Jan 2026, Jan 15, 2026), truncated to the day
+  const isTimestamp = /^\d{4}-\d{2}-\d{2}T/.test(text);
+  if (isTimestamp || (MONTH_NAME.test(text) && /\b\d{4}\b/.test(text))) {
+    const parsed = Date.parse(isTimestamp ? text : `${text} UTC`);
+    if (Number.isNaN(parsed)) return null;
+    const date = new Date(parsed);
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+  return null;
+};
+
+/**
+ * Parse a number as written in spreadsheets: thousands separators, currency symbols,
+ * percent signs and accounting negatives such as (1,200).
+ * @returns {{value: number, unit: string|null}|null}
+ */
+const parseNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? { value, unit: null } : null;
+  let text = String(value).trim();
+  let sign = 1;
+  let unit = null;
+
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1).trim();
+  }
+  if (text.endsWith('%')) {
+    unit = '%';
+    text = text.slice(0, -1).trim();
+  }
+  const symbol = text.match(/^-?\s*([$€£¥])/) || text.match(/([$€£¥])$/);
+  if (symbol) {
+    unit = CURRENCIES[symbol[1]];
+    text = text.replace(symbol[1], '').trim();
+  }
+  text = text.replace(/,(?=\d{3}(\D|$))/g, '').replace(/\s/g, '');
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return null;
+  return { value: sign * Number(text), unit };
+};
+
+const guessGranularity = (timestamps) => {
+  if (timestamps.length < 2) return null;
+  const gaps = timestamps.slice(1).map((ts, i) => (ts - timestamps[i]) / DAY_MS).sort((a, b) => a - b);
+  const median = gaps[Math.floor(gaps.length / 2)];
+  if (median <= 1) return 'day';
+  if (median <= 7) return 'week';
+  if (median <= 31) return 'month';
+  if (median <= 92) return 'quarter';
+  return 'year';
+};
+
+/**
+ * Service for KPI datasets: spreadsheets of metrics over time uploaded as CSV or JSON.
+ *
+ * Uploads are parsed into typed columns (one time column, numeric metrics and up to
+ * MAX_DIMENSIONS text dimensions such as region) and stored as one point per row and
+ * metric in `kpi_points`. Summary statistics per metric are computed at upload time
+ * and kept on the dataset, so the chat can include them without reading the points.
+ */
+class DatasetService {
+  /**
+   * PUBLIC_INTERFACE
+   * Detect column types and roles from parsed records.
+   * @param {string[]} header - Column names in upload order
+   * @param {Array<object>} records
+   * @param {string} [timeColumn] - Explicit time column; detected when omitted
+   * @returns {{columns: Array<object>, timeColumn: string} | {error: string}}
+   */
+  detectColumns(header, records, timeColumn) {
+    if (header.length > MAX_COLUMNS) return { error: `A dataset can have at most ${MAX_COLUMNS} columns` };
+    if (timeColumn !== undefined && !header.includes(timeColumn)) {
+      return { error: `time_column "${timeColumn}" is not a column of the dataset` };
+    }
+
+    const columns = header.map(name => {
+      const values = records.map(record => record[name]).filter(value => !isBlank(value));
+      const allowYear = TIME_NAME.test(name);
+      const dates = values.filter(value => parsePeriod(value, allowYear)).length;
+      if (values.length > 0 && (dates === values.length || (allowYear && dates >= values.length * TIME_COLUMN_MIN_DATES))) {
+        return { name, type: 'date' };
+      }
+      const numbers = values.map(parseNumber);
+      if (values.length > 0 && numbers.every(Boolean)) {
+        const units = new Set(numbers.map(number => number.unit).filter(Boolean));
+        const unit = units.size === 1 ? [...units][0] : null;
+        return { name, type: 'number', unit, aggregation: unit === '%' || RATE_NAME.test(name) ? 'avg' : 'sum' };
+      }
+      return { name, type: 'string' };
+    });
+
+    const dates = columns.filter(column => column.type === 'date');
+    const time = timeColumn
+      ? columns.find(column => column.name === timeColumn)
+      : dates.find(column => TIME_NAME.test(column.name)) || dates[0];
+    if (!time) return { error: 'No date column found; add one (e.g. "month") or set time_column' };
+    if (time.type !== 'date') return { error: `time_column "${time.name}" does not contain dates` };
+
+    for (const column of columns) {
+      if (column === time) column.role = 'time';
+      else if (column.type === 'number') column.role = 'metric';
+      else column.role = 'dimension';
+    }
+    if (!columns.some(column => column.role === 'metric')) {
+      return { error: 'No numeric columns found' };
+    }
+    if (columns.filter(column => column.role === 'dimension').length > MAX_DIMENSIONS) {
+      return { error: `A dataset can have at most ${MAX_DIMENSIONS} text columns besides the time column` };
+    }
+    return { columns, timeColumn: time.name };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Validate and convert uploaded records into typed points and summary statistics.
+   * @param {string[]} header - Column names
+   * @param {Array<object>} records - One object per row
+   * @param {object} [options]
+   * @param {string} [options.timeColumn] - Explicit time column
+   * @param {number[]} [options.lines] - Line of the source file each record starts on
+   * @returns {{columns: Array<object>, timeColumn: string, points: Array<object>, stats: object, rowCount: number} | {errors: string[]}}
+   */
+  parseRecords(header, records, { timeColumn, lines } = {}) {
+    if (records.length === 0) return { errors: ['The dataset has no rows'] };
+    if (records.length > MAX_ROWS) return { errors: [`A dataset can have at most ${MAX_ROWS} rows`] };
+
+    const detected = this.detectColumns(header, records, timeColumn);
+    if (detected.error) return { errors: [detected.error] };
+
+    const { columns } = detected;
+    const metrics = columns.filter(column => column.role === 'metric');
+    const dimensions = columns.filter(column => column.role === 'dimension');
+    const allowYear = TIME_NAME.test(detected.timeColumn);
+    const errors = [];
+    const points = [];
+
+    records.forEach((record, i) => {
+      // Row numbers as in the file; without them, as in a spreadsheet with the header on row 1
+      const line = lines ? lines[i] : i + 2;
+      const raw = record[detected.timeColumn];
+      const period = isBlank(raw) ? null : parsePeriod(raw, allowYear);
+      if (!period) {
+        errors.push(`Row ${line}: "${detected.timeColumn}" must be a date`);
+        return;
+      }
+      const labels = Object.fromEntries(dimensions
+        .filter(column => !isBlank(record[column.name]))
+        .map(column => [column.name, String(record[column.name]).trim()]));
+
+      for (const metric of metrics) {
+        if (isBlank(record[metric.name])) continue;
+        points.push({
+          ts: period.toISOString(),
+          metric: metric.name,
+          value: parseNumber(record[metric.name]).value,
+          labels
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      return { errors: errors.length > MAX_ERRORS ? [...errors.slice(0, MAX_ERRORS), `...and ${errors.length - MAX_ERRORS} more`] : errors };
+    }
+    if (points.length > MAX_POINTS) {
+      return { errors: [`The dataset has ${points.length} values; the maximum is ${MAX_POINTS}`] };
+    }
+
+    return {
+      columns,
+      timeColumn: detected.timeColumn,
+      points,
+      stats: this.computeStats(columns, points),
+      rowCount: records.length
+    };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Summary statistics per metric over its time series. Rows sharing a period (e.g. one
+   * per region) are combined first: summed, or averaged for rates and percentages.
+   * @returns {object} { from, to, periods, granularity, metrics: [...] }
+   */
+  computeStats(columns, points) {
+    const timestamps = [...new Set(points.map(point => Date.parse(point.ts)))].sort((a, b) => a - b);
+
+    const metrics = columns.filter(column => column.role === 'metric').map(column => {
+      const series = aggregateByPeriod(points, column.name, column.aggregation);
+      if (series.length === 0) {
+        return { metric: column.name, unit: column.unit, aggregation: column.aggregation, count: 0 };
+      }
+
+      const values = series.map(entry => entry.value);
+      const first = series[0];
+      const last = series[series.length - 1];
+      const min = series.reduce((low, entry) => (entry.value < low.value ? entry : low));
+      const max = series.reduce((high, entry) => (entry.value > high.value ? entry : high));
+      return {
+        metric: column.name,
+        unit: column.unit,
+        aggregation: column.aggregation,
+        count: series.length,
+        first,
+        last,
+        min,
+        max,
+        mean: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+        change: round(last.value - first.value),
+        changePct: first.value !== 0 ? round((last.value - first.value) / Math.abs(first.value)) : null,
+        recent: series.slice(-RECENT_VALUES)
+      };
+    });
+
+    return {
+      from: timestamps.length ? toDay(new Date(timestamps[0])) : null,
+      to: timestamps.length ? toDay(new Date(timestamps[timestamps.length - 1])) : null,
+      periods: timestamps.length,
+      granularity: guessGranularity(timestamps),
+      metrics
+    };
+  }
+
+  // PUBLIC_INTERFACE
+  async getDataset(supabase, datasetId) {
+    const { data, error } = await supabase
+      .from('kpi_datasets')
+      .select('*')
+      .eq('id', datasetId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * A metric's values per period, combined across label values like computeStats does.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {object} dataset - Dataset row
+   * @param {string} metric - Metric column name
+   * @param {{from?: string, to?: string, labels?: object}} [filters] - Period range and exact label values
+   * @returns {Promise<{series: Array<{period: string, value: number}>, truncated: boolean}|null>}
+   *   null if the dataset has no such metric; `truncated` when only the most recent MAX_SERIES_ROWS rows were read
+   */
+  async getSeries(supabase, dataset, metric, { from, to, labels } = {}) {
+    const column = dataset.columns.find(col => col.role === 'metric' && col.name === metric);
+    if (!column) return null;
+
+    let query = supabase
+      .from('kpi_points')
+      .select('ts, metric, value')
+      .eq('dataset_id', dataset.id)
+      .eq('metric', metric);
+    if (from) query = query.gte('ts', new Date(from).toISOString());
+    if (to) query = query.lt('ts', new Date(to).toISOString());
+    if (labels && Object.keys(labels).length > 0) query = query.contains('labels', labels);
+
+    const { data, error } = await query
+      .order('ts', { ascending: false })
+      .limit(MAX_SERIES_ROWS);
+
+    if (error) throw new Error(error.message);
+    return {
+      series: aggregateByPeriod(data, metric, column.aggregation),
+      truncated: data.length === MAX_SERIES_ROWS
+    };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Replace a dataset's points and metadata in one transaction.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {string} datasetId
+   * @param {object} parsed - Result of parseRecords
+   * @param {string} format - 'csv' or 'json'
+   * @param {{name?: string, description?: string|null}} [fields] - Changed in the same transaction
+   * @returns {Promise<{duplicateName?: boolean}>} `duplicateName` when another dataset
+   *   already has the new name; nothing was changed then
+   */
+  async replaceData(supabase, datasetId, parsed, format, fields = {}) {
+    const { error } = await supabase.rpc('replace_kpi_dataset', {
+      p_dataset_id: datasetId,
+      p_source_format: format,
+      p_time_column: parsed.timeColumn,
+      p_columns: parsed.columns,
+      p_stats: parsed.stats,
+      p_row_count: parsed.rowCount,
+      p_points: parsed.points,
+      p_fields: fields
+    });
+
+    if (error?.code === '23505') return { duplicateName: true };
+    if (error) throw new Error(error.message);
+    return {};
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * System prompt section with a dataset's summary statistics, so advice in a
+   * conversation linked to it is grounded in the organization's actual numbers.
+   * @returns {Promise<string|null>} null if the dataset no longer exists or is not visible
+   */
+  async describeForPrompt(supabase, datasetId) {
+    const dataset = await this.getDataset(supabase, datasetId);
+    if (!dataset) return null;
+
+    const { stats } = dataset;
+    const format = (value, unit) => {
+      const number = Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+      if (unit === '%') return `${number}%`;
+      return unit ? `${number} ${unit}` : number;
+    };
+    const lines = [
+      `The user shared their KPI dataset "${dataset.name}"${dataset.description ? ` (${dataset.description})` : ''}.`,
+      'Base your advice on these figures, cite them where relevant, and do not invent other numbers.',
+      `Data from ${stats.from} to ${stats.to}, ${stats.periods} ${stats.granularity ? `${GRANULARITY_LABELS[stats.granularity]} ` : ''}periods.`
+    ];
+    for (const metric of stats.metrics) {
+      if (!metric.count) continue;
+      const change = metric.changePct !== null ? ` (${metric.changePct >= 0 ? '+' : ''}${Math.round(metric.changePct * 100)}%)` : '';
+      lines.push(
+        `- ${metric.metric}: latest ${format(metric.last.value, metric.unit)} (${metric.last.period}), ` +
+        `first ${format(metric.first.value, metric.unit)} (${metric.first.period})${change}, ` +
+        `min ${format(metric.min.value, metric.unit)}, max ${format(metric.max.value, metric.unit)}, ` +
+        `mean ${format(metric.mean, metric.unit)}; recent: ` +
+        metric.recent.map(entry => `${entry.period} ${format(entry.value, metric.unit)}`).join(', ')
+      );
+    }
+    return lines.join('\n');
+  }
+}
+
+module.exports = new DatasetService();
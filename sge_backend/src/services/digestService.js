@@ -0,0 +1,190 @@
+const { getProvider } = require('./llm');
+const usageService = require('./usageService');
+const { estimateTokens } = require('../utils/tokens');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Newest messages read per digest, then trimmed to the transcript token budget
+const MAX_MESSAGES = 500;
+const TRANSCRIPT_TOKEN_BUDGET = 12000;
+const MAX_MESSAGE_CHARS = 600;
+
+const formatDate = (date) => new Date(date).toISOString().substring(0, 10);
+
+/**
+ * Service that writes organization digests: an LLM summary of the period's
+ * conversations (themes, recommendations, open action items) followed by usage
+ * stats computed from the database.
+ *
+ * Takes whichever Supabase client the caller has: an org admin's authenticated
+ * client for on-demand digests, or the service-role client for scheduled ones.
+ */
+class DigestService {
+  /**
+   * PUBLIC_INTERFACE
+   * The last complete ISO week (Monday 00:00 UTC to the following Monday) before `now`.
+   * @returns {{from: Date, to: Date}}
+   */
+  lastWeek(now = new Date()) {
+    const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+    const to = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - daysSinceMonday));
+    return { from: new Date(to.getTime() - 7 * DAY_MS), to };
+  }
+
+  // PUBLIC_INTERFACE
+  async hasDigest(supabase, orgId, from, to) {
+    const { data, error } = await supabase
+      .from('org_digests')
+      .select('id')
+      .eq('org_id', orgId)
+      .eq('period_start', from.toISOString())
+      .eq('period_end', to.toISOString())
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return !!data;
+  }
+
+  async getStats(supabase, orgId, from, to) {
+    const { data, error } = await supabase.rpc('digest_stats', {
+      p_org_id: orgId,
+      from_ts: from.toISOString(),
+      to_ts: to.toISOString()
+    });
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  // Conversation excerpts for the period, most recently active conversations first
+  async buildTranscript(supabase, orgId, from, to) {
+    const { data: messages, error } = await supabase
+      .from('messages')
+      .select('conversation_id, role, content, created_at')
+      .eq('org_id', orgId)
+      .in('role', ['user', 'assistant'])
+      .gte('created_at', from.toISOString())
+      .lt('created_at', to.toISOString())
+      .order('created_at', { ascending: false })
+      .limit(MAX_MESSAGES);
+
+    if (error) throw new Error(error.message);
+    if (messages.length === 0) return '';
+
+    // Rows are newest first, so conversations are grouped in order of latest activity
+    const byConversation = new Map();
+    for (const msg of messages) {
+      if (!byConversation.has(msg.conversation_id)) byConversation.set(msg.conversation_id, []);
+      byConversation.get(msg.conversation_id).unshift(msg);
+    }
+
+    const { data: conversations, error: convError } = await supabase
+      .from('conversations')
+      .select('id, title')
+      .in('id', [...byConversation.keys()]);
+    if (convError) throw new Error(convError.message);
+    const titles = new Map(conversations.map(conv => [conv.id, conv.title]));
+
+    const blocks = [];
+    let used = 0;
+    for (const [conversationId, rows] of byConversation) {
+      const lines = rows.map(msg => {
+        const text = msg.content.length > MAX_MESSAGE_CHARS
+          ? `${msg.content.substring(0, MAX_MESSAGE_CHARS)}...`
+          : msg.content;
+        return `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${text}`;
+      });
+      const block = `### ${titles.get(conversationId) || 'Untitled conversation'}\n${lines.join('\n')}`;
+
+      const tokens = estimateTokens(block);
+      if (used + tokens > TRANSCRIPT_TOKEN_BUDGET && blocks.length > 0) break;
+      blocks.push(block);
+      used += tokens;
+    }
+    return blocks.join('\n\n');
+  }
+
+  buildPrompt(transcript, from, to) {
+    return [
+      'You write a digest for the leadership of a company about what their team discussed',
+      'with the Strategic Growth Engine, an AI business strategy assistant.',
+      `Using the conversation excerpts below (${formatDate(from)} to ${formatDate(to - 1)}),`,
+      'write Markdown with exactly these sections:',
+      '## Top themes',
+      '3 to 6 bullets, each naming a theme and the conversations it came up in.',
+      '## Notable recommendations',
+      'Up to 5 bullets with the most significant recommendations the assistant made.',
+      '## Open action items',
+      'Bullets for follow-ups, pending decisions and open questions. Write "None identified." if there are none.',
+      'Be specific and concise, and do not add facts that are not in the excerpts.',
+      '',
+      `Conversations:\n${transcript}`
+    ].join('\n');
+  }
+
+  renderUsage(stats) {
+    return [
+      '## Usage',
+      `- Messages: ${stats.messages} (${stats.user_messages} from users)`,
+      `- Conversations: ${stats.active_conversations} active, ${stats.new_conversations} new`,
+      `- Active users: ${stats.active_users}`,
+      `- Model calls: ${stats.model_calls} (${stats.tokens} tokens, $${Number(stats.cost_usd).toFixed(2)} estimated)`
+    ].join('\n');
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Generate and store the digest for an organization and period. Re-generating a
+   * period replaces the stored digest.
+   * @param {object} supabase - Admin's authenticated client or the service-role client
+   * @param {string} orgId
+   * @param {object} options
+   * @param {Date} options.from - Period start (inclusive)
+   * @param {Date} options.to - Period end (exclusive)
+   * @param {string|null} [options.createdBy] - Requesting admin; null for scheduled digests
+   * @param {boolean} [options.skipEmpty] - Return null instead of storing a digest for a period without messages
+   * @returns {Promise<object|null>} The stored digest
+   */
+  async generate(supabase, orgId, { from, to, createdBy = null, skipEmpty = false }) {
+    const stats = await this.getStats(supabase, orgId, from, to);
+    if (skipEmpty && !stats.messages) return null;
+
+    const heading = `# Digest: ${formatDate(from)} to ${formatDate(to - 1)}`;
+    let summary = 'No conversations took place in this period.';
+    let model = null;
+
+    const transcript = stats.messages ? await this.buildTranscript(supabase, orgId, from, to) : '';
+    if (transcript) {
+      const prompt = this.buildPrompt(transcript, from, to);
+      const call = usageService.startCall();
+      const usage = { orgId, userId: createdBy, purpose: 'digest', input: [{ content: prompt }] };
+      try {
+        summary = await getProvider().generateReply(prompt, [], { onUsage: call.onUsage });
+        await usageService.record(call, { ...usage, status: 'ok', output: summary });
+      } catch (err) {
+        await usageService.record(call, { ...usage, status: 'error', error: err.message });
+        throw err;
+      }
+      model = getProvider().model;
+    }
+
+    const { data, error } = await supabase
+      .from('org_digests')
+      .upsert({
+        org_id: orgId,
+        period_start: from.toISOString(),
+        period_end: to.toISOString(),
+        content: [heading, summary.trim(), this.renderUsage(stats)].join('\n\n'),
+        stats,
+        model,
+        created_by: createdBy,
+        created_at: new Date().toISOString()
+      }, { onConflict: 'org_id,period_start,period_end' })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+}
+
+module.exports = new DigestService();
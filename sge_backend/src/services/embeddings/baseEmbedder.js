@@ -0,0 +1,33 @@
+/**
+ * Base class for embedding providers used by the knowledge base.
+ *
+ * Every provider exposes the same interface so retrieval never depends on a
+ * specific vendor SDK:
+ * - embed(texts) resolves to one vector (array of numbers) per input text, in order
+ *
+ * `id` names the vector space (provider and model). Chunks are stored with it and
+ * only compared with query vectors from the same space, so switching providers
+ * never mixes incompatible embeddings.
+ */
+class Embedder {
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  get id() {
+    return `${this.name}:${this.model}`;
+  }
+
+  // PUBLIC_INTERFACE
+  isConfigured() {
+    return true;
+  }
+
+  // PUBLIC_INTERFACE
+  async embed(texts) {
+    throw new Error(`${this.name} embedder does not implement embed`);
+  }
+}
+
+module.exports = Embedder;
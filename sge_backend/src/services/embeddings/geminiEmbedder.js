@@ -0,0 +1,40 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const Embedder = require('./baseEmbedder');
+
+// Requests per batchEmbedContents call; the API accepts up to 100
+const BATCH_SIZE = 100;
+
+class GeminiEmbedder extends Embedder {
+  constructor() {
+    super('gemini', process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004');
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (apiKey) {
+      this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: this.model });
+    } else {
+      console.warn('GEMINI_API_KEY is not set.');
+    }
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  async embed(texts) {
+    if (!this.client) {
+      throw new Error('Gemini embedder is not initialized');
+    }
+
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const result = await this.client.batchEmbedContents({
+        requests: texts.slice(i, i + BATCH_SIZE).map(text => ({
+          content: { role: 'user', parts: [{ text }] }
+        }))
+      });
+      vectors.push(...result.embeddings.map(embedding => embedding.values));
+    }
+    return vectors;
+  }
+}
+
+module.exports = GeminiEmbedder;
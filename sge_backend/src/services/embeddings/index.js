@@ -0,0 +1,43 @@
+const LocalEmbedder = require('./localEmbedder');
+const OpenAIEmbedder = require('./openaiEmbedder');
+const GeminiEmbedder = require('./geminiEmbedder');
+
+const embedders = {
+  local: LocalEmbedder,
+  openai: OpenAIEmbedder,
+  gemini: GeminiEmbedder
+};
+
+let activeEmbedder = null;
+
+/**
+ * PUBLIC_INTERFACE
+ * Create an embedder instance by name.
+ * @param {string} name - One of 'local', 'openai', 'gemini'
+ * @returns {import('./baseEmbedder')} The embedder instance
+ */
+const createEmbedder = (name) => {
+  const Embedder = embedders[name];
+  if (!Embedder) {
+    throw new Error(`Unknown embedding provider "${name}". Expected one of: ${Object.keys(embedders).join(', ')}`);
+  }
+  return new Embedder();
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Get the embedder selected by the EMBEDDING_PROVIDER environment variable (default: local).
+ * The instance is created once and reused.
+ * @returns {import('./baseEmbedder')} The active embedder
+ */
+const getEmbedder = () => {
+  if (!activeEmbedder) {
+    activeEmbedder = createEmbedder((process.env.EMBEDDING_PROVIDER || 'local').toLowerCase());
+  }
+  return activeEmbedder;
+};
+
+module.exports = {
+  createEmbedder,
+  getEmbedder
+};
@@ -0,0 +1,61 @@
+const Embedder = require('./baseEmbedder');
+
+const DIMENSIONS = 512;
+// Words too common to say anything about what a passage is about
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or',
+  'our', 'so', 'that', 'the', 'their', 'them', 'there', 'these', 'they', 'this', 'to', 'us',
+  'was', 'we', 'were', 'what', 'when', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// 32-bit FNV-1a hash
+const hash = (text) => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+};
+
+// Crude suffix stripping so "forecasts", "forecasting" and "forecast" share a feature
+const stem = (word) => word.length > 4 ? word.replace(/(?:ing|ed|(?<!s)s)$/, '') : word;
+
+/**
+ * Deterministic offline embedder.
+ * Hashes word and word-pair features into a fixed-size vector (the "hashing trick"), so
+ * passages sharing vocabulary with a question score high without any network access or
+ * API key. Much weaker than a neural model, but enough to run the knowledge base locally.
+ */
+class LocalEmbedder extends Embedder {
+  constructor() {
+    super('local', `hash-${DIMENSIONS}`);
+  }
+
+  embedOne(text) {
+    const vector = new Float64Array(DIMENSIONS);
+    const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(word => !STOP_WORDS.has(word))
+      .map(stem);
+
+    const add = (feature, weight) => {
+      const h = hash(feature);
+      // The top bit picks the sign so collisions cancel out instead of piling up
+      vector[h % DIMENSIONS] += h & 0x80000000 ? -weight : weight;
+    };
+    words.forEach((word, i) => {
+      add(word, 1);
+      if (i > 0) add(`${words[i - 1]} ${word}`, 0.5);
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return Array.from(vector, value => norm ? Math.round(value / norm * 1e6) / 1e6 : 0);
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+module.exports = LocalEmbedder;
@@ -0,0 +1,53 @@
+const Embedder = require('./baseEmbedder');
+
+// Inputs per request; the API accepts up to 2048
+const BATCH_SIZE = 100;
+
+/**
+ * Embedder for any OpenAI-compatible Embeddings API (OpenAI, Ollama, vLLM, ...).
+ * Shares OPENAI_API_KEY and OPENAI_BASE_URL with the chat provider.
+ */
+class OpenAIEmbedder extends Embedder {
+  constructor() {
+    super('openai', process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small');
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    if (!this.apiKey) {
+      console.warn('OPENAI_API_KEY is not set.');
+    }
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async embed(texts) {
+    if (!this.apiKey) {
+      throw new Error('OpenAI-compatible embedder is not initialized');
+    }
+
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+      const response = await fetch(`${this.baseUrl}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({ model: this.model, input: texts.slice(i, i + BATCH_SIZE) })
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`OpenAI-compatible embeddings API error ${response.status}: ${detail}`);
+      }
+      const { data } = await response.json();
+      // Results carry their input index; do not rely on response order
+      const batch = [...data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+      vectors.push(...batch);
+    }
+    return vectors;
+  }
+}
+
+module.exports = OpenAIEmbedder;
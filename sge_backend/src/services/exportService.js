@@ -0,0 +1,157 @@
+const chatService = require('./chatService');
+
+const FORMATS = {
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatTimestamp = (value) =>
+  value ? new Date(value).toISOString().replace('T', ' ').substring(0, 16) + ' UTC' : '';
+
+const slugify = (text) => (text || 'conversation')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .substring(0, 50) || 'conversation';
+
+/**
+ * Service for exporting conversations as Markdown, JSON or standalone HTML documents.
+ * Exports contain the conversation's active branch, i.e. what the user currently sees.
+ */
+class ExportService {
+  isSupportedFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+  }
+
+  getFormat(format) {
+    return FORMATS[format];
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Load a conversation with its active branch and participant names.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {object} conversation - Conversation row
+   * @returns {Promise<object>} Export document
+   */
+  async buildDocument(supabase, conversation) {
+    let messages = [];
+    if (conversation.active_leaf_id) {
+      const { data, error } = await chatService
+        .branchQuery(supabase, conversation.active_leaf_id, 'id, role, user_id, content, created_at')
+        .order('created_at', { ascending: true });
+      if (error) throw new Error(error.message);
+      messages = data;
+    }
+
+    const userIds = [...new Set([conversation.user_id, ...messages.map(msg => msg.user_id)].filter(Boolean))];
+    const { data: profiles, error: profileError } = await supabase
+      .from('profiles')
+      .select('id, full_name')
+      .in('id', userIds);
+    if (profileError) throw new Error(profileError.message);
+
+    const names = new Map(profiles.map(profile => [profile.id, profile.full_name || 'User']));
+    const authorName = (msg) => msg.role === 'assistant' ? 'Assistant' : (names.get(msg.user_id) || 'User');
+
+    return {
+      id: conversation.id,
+      title: conversation.title || 'Untitled conversation',
+      created_at: conversation.created_at,
+      exported_at: new Date().toISOString(),
+      participants: [
+        ...userIds.map(id => ({ id, name: names.get(id) || 'User', role: 'user' })),
+        { id: null, name: 'Assistant', role: 'assistant' }
+      ],
+      messages: messages.map(msg => ({
+        id: msg.id,
+        role: msg.role,
+        author: authorName(msg),
+        content: msg.content,
+        created_at: msg.created_at
+      }))
+    };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Render an export document in the given format.
+   * @param {object} doc - Result of buildDocument
+   * @param {'md'|'json'|'html'} format
+   * @returns {string}
+   */
+  render(doc, format) {
+    if (format === 'json') return JSON.stringify(doc, null, 2);
+    if (format === 'html') return this.renderHtml(doc);
+    return this.renderMarkdown(doc);
+  }
+
+  // PUBLIC_INTERFACE
+  fileName(doc, format) {
+    const date = (doc.created_at || doc.exported_at).substring(0, 10);
+    return `${date}-${slugify(doc.title)}-${String(doc.id).substring(0, 8)}.${FORMATS[format].extension}`;
+  }
+
+  renderMarkdown(doc) {
+    const lines = [
+      `# ${doc.title}`,
+      '',
+      `- **Created:** ${formatTimestamp(doc.created_at)}`,
+      `- **Exported:** ${formatTimestamp(doc.exported_at)}`,
+      `- **Participants:** ${doc.participants.map(p => p.name).join(', ')}`,
+      ''
+    ];
+
+    for (const msg of doc.messages) {
+      lines.push('---', '', `### ${msg.author} (${msg.role}) · ${formatTimestamp(msg.created_at)}`, '', msg.content, '');
+    }
+    return lines.join('\n');
+  }
+
+  renderHtml(doc) {
+    const messages = doc.messages.map(msg => `
+    <article class="message ${msg.role}">
+      <header><strong>${escapeHtml(msg.author)}</strong> <span class="role">${msg.role}</span>
+        <time datetime="${msg.created_at}">${formatTimestamp(msg.created_at)}</time></header>
+      <div class="content">${escapeHtml(msg.content)}</div>
+    </article>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(doc.title)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 820px; margin: 2rem auto; padding: 0 1rem; color: #1f2933; }
+    h1 { margin-bottom: 0.25rem; }
+    .meta { color: #616e7c; font-size: 0.9rem; margin-bottom: 2rem; }
+    .message { border-radius: 8px; padding: 0.75rem 1rem; margin-bottom: 1rem; }
+    .message.user { background: #eef2ff; }
+    .message.assistant { background: #f5f7fa; }
+    .message header { font-size: 0.85rem; color: #52606d; margin-bottom: 0.5rem; }
+    .role { text-transform: uppercase; font-size: 0.7rem; letter-spacing: 0.05em; margin-left: 0.25rem; }
+    time { float: right; }
+    .content { white-space: pre-wrap; line-height: 1.5; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(doc.title)}</h1>
+  <div class="meta">
+    Created ${formatTimestamp(doc.created_at)} · Exported ${formatTimestamp(doc.exported_at)}<br>
+    Participants: ${doc.participants.map(p => escapeHtml(p.name)).join(', ')}
+  </div>${messages}
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = new ExportService();
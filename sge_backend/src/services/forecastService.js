@@ -0,0 +1,429 @@
+const { getProvider } = require('./llm');
+const usageService = require('./usageService');
+
+const MAX_MONTHS = 60;
+const DEFAULT_MONTHS = 12;
+const MAX_SCENARIOS = 5;
+const MAX_SCENARIO_NAME_LENGTH = 40;
+const MAX_SENSITIVITY_STEPS = 11;
+const DEFAULT_SENSITIVITY_CHANGES = [-0.2, -0.1, 0, 0.1, 0.2];
+
+// Growth model inputs, all monthly. Rates are fractions (0.03 = 3%).
+const DRIVERS = {
+  customers: { min: 0, description: 'Paying customers at the start' },
+  revenue: { min: 0, description: 'Monthly recurring revenue at the start (defaults to customers x price)' },
+  price: { min: 0, description: 'Monthly price paid by new customers (defaults to revenue / customers)' },
+  churn_rate: { min: 0, max: 1, description: 'Share of customers lost per month' },
+  cac: { min: 0, exclusiveMin: true, description: 'Marketing spend per new customer' },
+  marketing_spend: { min: 0, default: 0, description: 'Marketing spend in the first month' },
+  spend_growth: { min: -1, max: 1, default: 0, description: 'Monthly growth of marketing spend' },
+  price_growth: { min: -1, max: 1, default: 0, description: 'Monthly price change, applied to new and existing customers' },
+  gross_margin: { min: 0, max: 1, default: 1, description: 'Share of revenue left after cost of service' }
+};
+
+// Multipliers applied to the baseline when no scenarios are given
+const PRESET_SCENARIOS = [
+  { name: 'base', multipliers: {} },
+  { name: 'bull', multipliers: { churn_rate: 0.8, cac: 0.85, marketing_spend: 1.1 } },
+  { name: 'bear', multipliers: { churn_rate: 1.25, cac: 1.2, marketing_spend: 0.9 } }
+];
+
+const SUMMARY_METRICS = [
+  'ending_customers',
+  'ending_mrr',
+  'ending_arr',
+  'total_revenue',
+  'total_marketing_spend',
+  'total_new_customers',
+  'total_churned_customers',
+  'total_contribution',
+  'mrr_growth',
+  'ltv',
+  'ltv_to_cac',
+  'cac_payback_months'
+];
+const DEFAULT_SENSITIVITY_METRIC = 'ending_mrr';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+const checkDriver = (name, value) => {
+  const driver = DRIVERS[name];
+  if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+  if (driver.exclusiveMin ? value <= driver.min : value < driver.min) {
+    return `${name} must be ${driver.exclusiveMin ? 'greater than' : 'at least'} ${driver.min}`;
+  }
+  if (driver.max !== undefined && value > driver.max) return `${name} must be at most ${driver.max}`;
+  return null;
+};
+
+// Checks a map of driver names to numbers; `check` validates each value
+const checkDriverMap = (field, map, check, errors) => {
+  if (!isPlainObject(map)) {
+    errors.push(`${field} must be an object`);
+    return;
+  }
+  for (const [name, value] of Object.entries(map)) {
+    if (!DRIVERS[name]) errors.push(`${field}.${name} is not a driver; drivers: ${Object.keys(DRIVERS).join(', ')}`);
+    else {
+      const error = check(name, value);
+      if (error) errors.push(`${field}.${error}`);
+    }
+  }
+};
+
+const checkMultiplier = (name, value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0 ? null : `${name} must be a number >= 0`;
+
+// First day of the next month (UTC) as YYYY-MM
+const nextMonth = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString().substring(0, 7);
+};
+
+const addMonths = (month, count) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthIndex - 1 + count, 1)).toISOString().substring(0, 7);
+};
+
+/**
+ * Project one set of drivers month by month. Marketing spend buys spend / CAC new
+ * customers, churn removes a share of the customers at the start of the month, and
+ * spend and price growth compound monthly.
+ * @returns {{months: Array<object>, summary: object}}
+ */
+const project = (drivers, months, startMonth) => {
+  const rows = [];
+  let customers = drivers.customers;
+  let mrr = drivers.revenue;
+  const totals = { revenue: 0, spend: 0, newCustomers: 0, churned: 0, contribution: 0 };
+
+  for (let i = 0; i < months; i += 1) {
+    const price = drivers.price * (1 + drivers.price_growth) ** i;
+    const spend = drivers.marketing_spend * (1 + drivers.spend_growth) ** i;
+    const newCustomers = spend / drivers.cac;
+    const churned = customers * drivers.churn_rate;
+    // Existing customers keep their (growing) price; the first month starts at the baseline
+    const retainedMrr = mrr * (1 - drivers.churn_rate) * (i > 0 ? 1 + drivers.price_growth : 1);
+
+    const startCustomers = customers;
+    customers = customers - churned + newCustomers;
+    mrr = retainedMrr + newCustomers * price;
+    const contribution = mrr * drivers.gross_margin - spend;
+    totals.revenue += mrr;
+    totals.spend += spend;
+    totals.newCustomers += newCustomers;
+    totals.churned += churned;
+    totals.contribution += contribution;
+
+    rows.push({
+      month: addMonths(startMonth, i),
+      customers_start: round(startCustomers),
+      new_customers: round(newCustomers),
+      churned_customers: round(churned),
+      customers_end: round(customers),
+      price: round(price),
+      mrr: round(mrr),
+      marketing_spend: round(spend),
+      contribution: round(contribution),
+      cumulative_revenue: round(totals.revenue)
+    });
+  }
+
+  const unitMargin = drivers.price * drivers.gross_margin;
+  const ltv = drivers.churn_rate > 0 ? unitMargin / drivers.churn_rate : null;
+  return {
+    months: rows,
+    summary: {
+      ending_customers: round(customers),
+      ending_mrr: round(mrr),
+      ending_arr: round(mrr * 12),
+      total_revenue: round(totals.revenue),
+      total_marketing_spend: round(totals.spend),
+      total_new_customers: round(totals.newCustomers),
+      total_churned_customers: round(totals.churned),
+      total_contribution: round(totals.contribution),
+      mrr_growth: drivers.revenue > 0 ? round(mrr / drivers.revenue - 1, 4) : null,
+      // Lifetime value and payback use the starting price; null when they are unbounded
+      ltv: round(ltv),
+      ltv_to_cac: ltv === null ? null : round(ltv / drivers.cac),
+      cac_payback_months: round(ratio(drivers.cac, unitMargin), 1)
+    }
+  };
+};
+
+const applyScenario = (baseline, scenario) => {
+  const drivers = { ...baseline };
+  for (const [name, factor] of Object.entries(scenario.multipliers || {})) {
+    drivers[name] = baseline[name] * factor;
+  }
+  return { ...drivers, ...scenario.drivers };
+};
+
+/**
+ * Service for growth forecasts: deterministic month-by-month projections of customers,
+ * recurring revenue and marketing spend from a baseline, run for several named
+ * scenarios, with sensitivity tables and an optional model-written narrative.
+ */
+class ForecastService {
+  // PUBLIC_INTERFACE
+  listDrivers() {
+    return Object.entries(DRIVERS).map(([name, { min, max, default: defaultValue, description }]) => ({
+      name,
+      description,
+      min,
+      max: max ?? null,
+      default: defaultValue ?? null
+    }));
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Validate a forecast request and resolve its defaults.
+   * @param {object} input - { baseline, scenarios, months, start_month, sensitivity }
+   *   scenarios: [{ name, drivers: { driver: value }, multipliers: { driver: factor } }],
+   *   base/bull/bear presets when omitted.
+   *   sensitivity: { driver, changes: [fraction] | values: [number], metric }
+   * @returns {{spec: object} | {errors: string[]}} The resolved specification
+   */
+  validateSpec(input) {
+    const { baseline, scenarios, months = DEFAULT_MONTHS, start_month: startMonth = nextMonth(), sensitivity } = input;
+    const errors = [];
+
+    if (!Number.isInteger(months) || months < 1 || months > MAX_MONTHS) {
+      errors.push(`months must be an integer between 1 and ${MAX_MONTHS}`);
+    }
+    if (typeof startMonth !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])$/.test(startMonth)) {
+      errors.push('start_month must be a month (YYYY-MM)');
+    }
+
+    const resolved = {};
+    if (!isPlainObject(baseline)) {
+      errors.push('baseline must be an object');
+    } else {
+      checkDriverMap('baseline', baseline, checkDriver, errors);
+      for (const name of ['customers', 'churn_rate', 'cac']) {
+        if (baseline[name] === undefined) errors.push(`baseline.${name} is required`);
+      }
+      if (baseline.price === undefined && baseline.revenue === undefined) {
+        errors.push('baseline needs price or revenue');
+      }
+      if (baseline.price === undefined && baseline.revenue !== undefined && !(baseline.customers > 0)) {
+        errors.push('baseline.price is required when there are no customers yet');
+      }
+      for (const [name, { default: defaultValue }] of Object.entries(DRIVERS)) {
+        resolved[name] = baseline[name] ?? defaultValue;
+      }
+      resolved.price ??= ratio(resolved.revenue, resolved.customers);
+      resolved.revenue ??= (resolved.customers ?? 0) * (resolved.price ?? 0);
+    }
+
+    let scenarioSpecs = PRESET_SCENARIOS;
+    if (scenarios !== undefined) {
+      if (!Array.isArray(scenarios) || scenarios.length === 0 || scenarios.length > MAX_SCENARIOS) {
+        errors.push(`scenarios must be a list of 1 to ${MAX_SCENARIOS} scenarios`);
+        scenarioSpecs = [];
+      } else {
+        scenarioSpecs = scenarios;
+      }
+    }
+    const names = new Set();
+    const normalizedScenarios = [];
+    for (const [i, scenario] of scenarioSpecs.entries()) {
+      const at = `scenarios[${i}]`;
+      if (!isPlainObject(scenario)) {
+        errors.push(`${at} must be an object`);
+        continue;
+      }
+      const { name, drivers = {}, multipliers = {} } = scenario;
+      if (typeof name !== 'string' || name.trim() === '' || name.length > MAX_SCENARIO_NAME_LENGTH) {
+        errors.push(`${at}.name is required and must be at most ${MAX_SCENARIO_NAME_LENGTH} characters`);
+        continue;
+      }
+      if (names.has(name.trim())) {
+        errors.push(`Scenario ${name} is listed twice`);
+        continue;
+      }
+      names.add(name.trim());
+      checkDriverMap(`${name}.drivers`, drivers, checkDriver, errors);
+      checkDriverMap(`${name}.multipliers`, multipliers, checkMultiplier, errors);
+      normalizedScenarios.push({ name: name.trim(), drivers, multipliers });
+    }
+
+    let sensitivitySpec = null;
+    if (sensitivity !== undefined && sensitivity !== null) {
+      if (!isPlainObject(sensitivity) || !DRIVERS[sensitivity.driver]) {
+        errors.push(`sensitivity.driver must be one of: ${Object.keys(DRIVERS).join(', ')}`);
+      } else {
+        const { driver, values, changes, metric = DEFAULT_SENSITIVITY_METRIC } = sensitivity;
+        const steps = values ?? changes ?? DEFAULT_SENSITIVITY_CHANGES;
+        if (values !== undefined && changes !== undefined) {
+          errors.push('sensitivity takes either values or changes, not both');
+        } else if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_SENSITIVITY_STEPS ||
+            !steps.every(step => typeof step === 'number' && Number.isFinite(step))) {
+          errors.push(`sensitivity.${values !== undefined ? 'values' : 'changes'} must be a list of 1 to ${MAX_SENSITIVITY_STEPS} numbers`);
+        } else if (changes !== undefined && !changes.every(change => change >= -1)) {
+          errors.push('sensitivity.changes must be fractions of at least -1 (-0.1 = 10% lower)');
+        } else if (values !== undefined) {
+          const invalid = values.map(value => checkDriver(driver, value)).find(Boolean);
+          if (invalid) errors.push(`sensitivity.values: ${invalid}`);
+        }
+        if (!SUMMARY_METRICS.includes(metric)) {
+          errors.push(`sensitivity.metric must be one of: ${SUMMARY_METRICS.join(', ')}`);
+        }
+        sensitivitySpec = { driver, mode: values !== undefined ? 'values' : 'changes', steps, metric };
+      }
+    }
+    if (errors.length > 0) return { errors };
+
+    // Scenario values are checked once resolved, e.g. a churn multiplier pushing churn above 100%
+    const resolvedScenarios = normalizedScenarios.map(scenario => ({
+      ...scenario,
+      resolved: applyScenario(resolved, scenario)
+    }));
+    for (const scenario of resolvedScenarios) {
+      for (const [name, value] of Object.entries(scenario.resolved)) {
+        const error = checkDriver(name, value);
+        if (error) errors.push(`Scenario ${scenario.name}: ${error}`);
+      }
+    }
+    if (errors.length > 0) return { errors };
+
+    return {
+      spec: {
+        baseline: resolved,
+        scenarios: resolvedScenarios.map(({ name, drivers, multipliers }) => ({ name, drivers, multipliers })),
+        months,
+        start_month: startMonth,
+        sensitivity: sensitivitySpec
+      }
+    };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Run a validated forecast specification. Deterministic: the same specification always
+   * gives the same results.
+   * @param {object} spec - From validateSpec
+   * @returns {{scenarios: Array<object>, comparison: Array<object>, sensitivity: object|null}}
+   */
+  run(spec) {
+    const scenarios = spec.scenarios.map(scenario => {
+      const drivers = applyScenario(spec.baseline, scenario);
+      return { name: scenario.name, drivers, ...project(drivers, spec.months, spec.start_month) };
+    });
+
+    return {
+      scenarios,
+      comparison: this.compare(scenarios.map(scenario => ({ label: scenario.name, summary: scenario.summary }))),
+      sensitivity: spec.sensitivity ? this.sensitivityTable(spec, scenarios) : null
+    };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Side-by-side table of summary metrics. `change` is relative to the first column.
+   * @param {Array<{label: string, summary: object}>} columns
+   * @returns {Array<{metric: string, values: Array<number|null>, change: Array<number|null>}>}
+   */
+  compare(columns) {
+    return SUMMARY_METRICS.map(metric => {
+      const values = columns.map(column => column.summary[metric] ?? null);
+      const reference = values[0];
+      return {
+        metric,
+        values,
+        change: values.map(value =>
+          value === null || reference === null || reference === 0 ? null : round(value / reference - 1, 4))
+      };
+    });
+  }
+
+  // One row per driver value, one column per scenario, each cell the chosen metric
+  sensitivityTable(spec, scenarios) {
+    const { driver, mode, steps, metric } = spec.sensitivity;
+    return {
+      driver,
+      mode,
+      metric,
+      scenarios: scenarios.map(scenario => scenario.name),
+      rows: steps.map(step => ({
+        [mode === 'values' ? 'value' : 'change']: step,
+        cells: scenarios.map(scenario => {
+          const value = mode === 'values' ? step : scenario.drivers[driver] * (1 + step);
+          // Clamped to the driver's range (e.g. churn above 100%) rather than failing the table
+          const { min, max } = DRIVERS[driver];
+          const clamped = Math.min(max ?? Infinity, Math.max(min, value));
+          const drivers = { ...scenario.drivers, [driver]: clamped };
+          if (driver === 'cac' && clamped === 0) return { driver_value: 0, value: null };
+          return {
+            driver_value: round(clamped, 4),
+            value: project(drivers, spec.months, spec.start_month).summary[metric]
+          };
+        })
+      }))
+    };
+  }
+
+  buildNarrativePrompt(forecast) {
+    const { results } = forecast;
+    const scenarios = results.scenarios.map(scenario => ({
+      name: scenario.name,
+      drivers: scenario.drivers,
+      summary: scenario.summary
+    }));
+    return [
+      'You are a financial analyst explaining a growth forecast to a leadership team.',
+      `Forecast: ${forecast.name}, ${forecast.months} months from ${forecast.start_month}.`,
+      `Scenarios with their monthly drivers (rates are fractions) and results:\n${JSON.stringify(scenarios)}`,
+      `Comparison of summary metrics (values in scenario order; change is relative to ${scenarios[0].name}):`,
+      JSON.stringify(results.comparison),
+      results.sensitivity
+        ? `Sensitivity of ${results.sensitivity.metric} to ${results.sensitivity.driver}:\n${JSON.stringify(results.sensitivity.rows)}`
+        : null,
+      '',
+      'In a few short Markdown paragraphs or bullets, explain how the scenarios differ, which drivers cause the',
+      'differences, and what the team should watch. Only use the figures above; do not invent numbers.'
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Ask the model to explain the differences between a forecast's scenarios.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {object} user - req.user
+   * @param {object} forecast - Stored forecast row (with results)
+   * @param {string} [reservationId] - Quota reservation of the request (see quotaService.reserve)
+   * @returns {Promise<{narrative: string, model: string}>}
+   */
+  async generateNarrative(supabase, user, forecast, reservationId) {
+    const prompt = this.buildNarrativePrompt(forecast);
+    const call = usageService.startCall();
+    const usage = { orgId: user.org_id, userId: user.id, purpose: 'forecast', input: [{ content: prompt }], reservationId };
+
+    let narrative;
+    try {
+      narrative = await getProvider().generateReply(prompt, [], { onUsage: call.onUsage });
+      await usageService.record(call, { ...usage, status: 'ok', output: narrative });
+    } catch (err) {
+      await usageService.record(call, { ...usage, status: 'error', error: err.message });
+      throw err;
+    }
+    return { narrative: narrative.trim(), model: getProvider().model };
+  }
+
+  // PUBLIC_INTERFACE
+  async getForecast(supabase, forecastId) {
+    const { data, error } = await supabase
+      .from('forecasts')
+      .select('*')
+      .eq('id', forecastId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+}
+
+module.exports = new ForecastService();
@@ -1,35 +0,0 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-class GeminiService {
-  constructor() {
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (apiKey) {
-      this.genAI = new GoogleGenerativeAI(apiKey);
-      this.model = this.genAI.getGenerativeModel({ model: 'gemini-pro' });
-    } else {
-      console.warn('GEMINI_API_KEY is not set.');
-    }
-  }
-
-  async generateReply(message, history = []) {
-    if (!this.model) {
-      throw new Error('Gemini AI is not initialized');
-    }
-
-    // Convert history to Gemini format
-    const chatHistory = history.map(msg => ({
-      role: msg.role === 'assistant' ? 'model' : 'user',
-      parts: [{ text: msg.content }]
-    }));
-
-    const chat = this.model.startChat({
-      history: chatHistory,
-    });
-
-    const result = await chat.sendMessage(message);
-    const response = await result.response;
-    return response.text();
-  }
-}
-
-module.exports = new GeminiService();
@@ -0,0 +1,205 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far progress may trail the elapsed share of the timeline before a goal is at risk / off track
+const AT_RISK_GAP = 0.1;
+const OFF_TRACK_GAP = 0.25;
+
+const KEY_RESULT_COLUMNS = 'id, objective_id, title, owner_id, unit, start_value, target_value, current_value, due_date, created_at, updated_at';
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Service for organization goals: objectives, their key results and progress check-ins.
+ *
+ * Progress is derived, never stored: a key result's progress is how far its current
+ * value has moved from start to target (0 to 1), an objective's is the average over its
+ * key results. Health compares progress with the share of the timeline already elapsed.
+ */
+class GoalService {
+  // PUBLIC_INTERFACE
+  async getObjective(supabase, objectiveId) {
+    const { data, error } = await supabase
+      .from('objectives')
+      .select('*')
+      .eq('id', objectiveId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  // PUBLIC_INTERFACE
+  async getKeyResult(supabase, objectiveId, keyResultId) {
+    const { data, error } = await supabase
+      .from('key_results')
+      .select(KEY_RESULT_COLUMNS)
+      .eq('id', keyResultId)
+      .eq('objective_id', objectiveId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Key results of the given objectives, oldest first.
+   * @returns {Promise<Map<string, Array<object>>>} Key results by objective id
+   */
+  async listKeyResults(supabase, objectiveIds) {
+    const byObjective = new Map(objectiveIds.map(id => [id, []]));
+    if (objectiveIds.length === 0) return byObjective;
+
+    const { data, error } = await supabase
+      .from('key_results')
+      .select(KEY_RESULT_COLUMNS)
+      .in('objective_id', objectiveIds)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+    for (const keyResult of data) {
+      byObjective.get(keyResult.objective_id).push(keyResult);
+    }
+    return byObjective;
+  }
+
+  // PUBLIC_INTERFACE
+  keyResultProgress(keyResult) {
+    const start = Number(keyResult.start_value);
+    const target = Number(keyResult.target_value);
+    return round(clamp((Number(keyResult.current_value) - start) / (target - start)));
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Compare progress with the elapsed share of the start..due timeline.
+   * @returns {'on_track'|'at_risk'|'off_track'|null} null when there is no due date or the goal is closed
+   */
+  health(progress, { startDate, dueDate, status = 'active' }, now = new Date()) {
+    if (status !== 'active' || !dueDate || progress === null) return null;
+    const due = new Date(dueDate).getTime() + DAY_MS;
+    const start = new Date(startDate).getTime();
+    if (progress >= 1) return 'on_track';
+    if (now.getTime() >= due) return 'off_track';
+
+    const expected = due > start ? clamp((now.getTime() - start) / (due - start)) : 1;
+    if (progress >= expected - AT_RISK_GAP) return 'on_track';
+    if (progress >= expected - OFF_TRACK_GAP) return 'at_risk';
+    return 'off_track';
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Attach progress and health to an objective and its key results.
+   * @param {object} objective - Objective row
+   * @param {Array<object>} keyResults - Its key result rows
+   * @returns {object} The objective with `progress`, `health` and `key_results`
+   */
+  withProgress(objective, keyResults, now = new Date()) {
+    const startDate = objective.start_date || objective.created_at;
+    const results = keyResults.map(keyResult => {
+      const progress = this.keyResultProgress(keyResult);
+      return {
+        ...keyResult,
+        progress,
+        health: this.health(progress, {
+          startDate,
+          dueDate: keyResult.due_date || objective.due_date,
+          status: objective.status
+        }, now)
+      };
+    });
+
+    const progress = results.length
+      ? round(results.reduce((sum, keyResult) => sum + keyResult.progress, 0) / results.length)
+      : null;
+    return {
+      ...objective,
+      progress,
+      health: this.health(progress, { startDate, dueDate: objective.due_date, status: objective.status }, now),
+      key_results: results
+    };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Objectives with their key results, progress and health.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {Array<object>} objectives - Objective rows
+   */
+  async attachKeyResults(supabase, objectives) {
+    const keyResults = await this.listKeyResults(supabase, objectives.map(objective => objective.id));
+    return objectives.map(objective => this.withProgress(objective, keyResults.get(objective.id)));
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Dashboard roll-up of goals returned by attachKeyResults.
+   * @returns {object} Counts by status, health of active goals, average progress and overdue key results
+   */
+  summarize(goals, now = new Date()) {
+    const today = now.toISOString().substring(0, 10);
+    const byStatus = { active: 0, achieved: 0, missed: 0, cancelled: 0 };
+    const health = { on_track: 0, at_risk: 0, off_track: 0, unscheduled: 0 };
+    let progressSum = 0;
+    let measured = 0;
+    let overdueKeyResults = 0;
+
+    for (const goal of goals) {
+      byStatus[goal.status] += 1;
+      if (goal.status !== 'active') continue;
+
+      health[goal.health || 'unscheduled'] += 1;
+      if (goal.progress !== null) {
+        progressSum += goal.progress;
+        measured += 1;
+      }
+      overdueKeyResults += goal.key_results.filter(keyResult => {
+        const due = keyResult.due_date || goal.due_date;
+        return due && due < today && keyResult.progress < 1;
+      }).length;
+    }
+
+    return {
+      objectives: goals.length,
+      byStatus,
+      active: {
+        averageProgress: measured ? round(progressSum / measured) : null,
+        health,
+        overdueKeyResults
+      }
+    };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * System prompt section describing a goal, so replies in a conversation linked to it
+   * are grounded in its key results and current progress.
+   * @returns {Promise<string|null>} null if the goal no longer exists or is not visible
+   */
+  async describeForPrompt(supabase, objectiveId) {
+    const objective = await this.getObjective(supabase, objectiveId);
+    if (!objective) return null;
+
+    const [goal] = await this.attachKeyResults(supabase, [objective]);
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    const lines = [
+      'This conversation is about the following company goal. Ground your answers in it,',
+      'refer to its key results and current progress where relevant, and suggest concrete next steps.',
+      `Objective: ${goal.title} (status: ${goal.status}${goal.due_date ? `, due ${goal.due_date}` : ''}` +
+        `${goal.progress !== null ? `, ${percent(goal.progress)} complete` : ''})`
+    ];
+    if (goal.description) lines.push(`Description: ${goal.description}`);
+    for (const keyResult of goal.key_results) {
+      const unit = keyResult.unit ? ` ${keyResult.unit}` : '';
+      lines.push(
+        `- Key result: ${keyResult.title}: ${keyResult.current_value}${unit} now, ` +
+        `from ${keyResult.start_value}${unit} to ${keyResult.target_value}${unit} ` +
+        `(${percent(keyResult.progress)}${keyResult.health ? `, ${keyResult.health.replace('_', ' ')}` : ''})`
+      );
+    }
+    return lines.join('\n');
+  }
+}
+
+module.exports = new GoalService();
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../utils/supabase');
+
+const DEFAULT_TTL_DAYS = 7;
+const INVITATION_COLUMNS = 'id, org_id, email, role, invited_by, expires_at, accepted_at, accepted_by, revoked_at, created_at';
+
+const UNUSABLE = {
+  accepted: 'This invitation has already been used',
+  revoked: 'This invitation has been revoked',
+  expired: 'This invitation has expired'
+};
+
+const ttlDays = () => {
+  const days = Number(process.env.INVITATION_TTL_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_TTL_DAYS;
+};
+
+/**
+ * Service for organization invitations: admins invite an email address to their
+ * organization, and the invitee joins it by presenting the invitation's token while
+ * onboarding. Tokens are single use and expire; only their hash is stored.
+ */
+class InvitationService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Status of an invitation row: pending, accepted, revoked or expired.
+   */
+  status(invitation, now = new Date()) {
+    if (invitation.accepted_at) return 'accepted';
+    if (invitation.revoked_at) return 'revoked';
+    if (Date.parse(invitation.expires_at) <= now.getTime()) return 'expired';
+    return 'pending';
+  }
+
+  /**
+   * The link an invitee opens to accept, when INVITATION_ACCEPT_URL is configured.
+   */
+  acceptUrl(token) {
+    const base = process.env.INVITATION_ACCEPT_URL;
+    if (!base) return null;
+    const url = new URL(base);
+    url.searchParams.set('token', token);
+    return url.toString();
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Create an invitation for a (lowercased) email. Earlier pending invitations of the same
+   * email to the organization are revoked, so only the newest token works.
+   * @param {object} supabase - Authenticated Supabase client (an admin's)
+   * @param {object} user - req.user
+   * @param {{email: string, role: string}} invitation
+   * @returns {Promise<{invitation: object, token: string}>} The token is not stored and
+   *   cannot be retrieved again
+   */
+  async create(supabase, user, { email, role }) {
+    const { error: revokeError } = await supabase
+      .from('org_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('org_id', user.org_id)
+      .eq('email', email)
+      .is('accepted_at', null)
+      .is('revoked_at', null);
+    if (revokeError) throw new Error(revokeError.message);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const { data, error } = await supabase
+      .from('org_invitations')
+      .insert({
+        org_id: user.org_id,
+        email,
+        role,
+        token_hash: this.hashToken(token),
+        invited_by: user.id,
+        expires_at: new Date(Date.now() + ttlDays() * 24 * 60 * 60 * 1000).toISOString()
+      })
+      .select(INVITATION_COLUMNS)
+      .single();
+
+    if (error) throw new Error(error.message);
+    return { invitation: data, token };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Query for the organization's pending invitations (not accepted, revoked or expired),
+   * to be ordered and paginated by the caller.
+   */
+  pendingQuery(supabase, orgId, now = new Date()) {
+    return supabase
+      .from('org_invitations')
+      .select(INVITATION_COLUMNS)
+      .eq('org_id', orgId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', now.toISOString());
+  }
+
+  // PUBLIC_INTERFACE
+  async getInvitation(supabase, invitationId) {
+    const { data, error } = await supabase
+      .from('org_invitations')
+      .select(INVITATION_COLUMNS)
+      .eq('id', invitationId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Revoke a pending invitation; its token stops working.
+   * @returns {Promise<object|null>} The revoked invitation, or null if it was no longer pending
+   */
+  async revoke(supabase, invitationId) {
+    const { data, error } = await supabase
+      .from('org_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', invitationId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .select(INVITATION_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Join the invitation's organization: uses up the token and creates the user's profile
+   * with the invited role. The token must be pending and issued to the user's email.
+   * @param {string} userId - The user's auth.users id
+   * @param {string} email - The user's email
+   * @param {string} token - The invitation token
+   * @param {string|null} fullName - Optional full name
+   * @returns {Promise<{organization?: object, profile?: object, reason?: string, error?: string}>}
+   *   `reason` is not_found, accepted, revoked, expired or email_mismatch when the token
+   *   cannot be used, and already_onboarded when the user already has a profile (the token
+   *   is not used up then)
+   */
+  async accept(userId, email, token, fullName = null) {
+    if (!supabaseAdmin) {
+      throw new Error('Supabase admin client is not configured');
+    }
+    const tokenHash = this.hashToken(token);
+
+    const { data: accepted, error } = await supabaseAdmin.rpc('accept_org_invitation', {
+      p_token_hash: tokenHash,
+      p_user_id: userId,
+      p_email: email || '',
+      p_full_name: fullName
+    });
+    if (error?.code === '23505') {
+      return { reason: 'already_onboarded', error: 'User already belongs to an organization' };
+    }
+    if (error) throw new Error(`Failed to accept invitation: ${error.message}`);
+
+    if (accepted.length === 0) {
+      // Nothing was used up; look the token up to say why
+      const { data: invitation, error: lookupError } = await supabaseAdmin
+        .from('org_invitations')
+        .select(INVITATION_COLUMNS)
+        .eq('token_hash', tokenHash)
+        .maybeSingle();
+      if (lookupError) throw new Error(lookupError.message);
+
+      if (!invitation) return { reason: 'not_found', error: 'Invitation not found' };
+      const status = this.status(invitation);
+      if (status !== 'pending') return { reason: status, error: UNUSABLE[status] };
+      return { reason: 'email_mismatch', error: 'This invitation was issued to a different email address' };
+    }
+
+    const invitation = accepted[0];
+    const [{ data: organization, error: orgError }, { data: profile, error: profileError }] = await Promise.all([
+      supabaseAdmin.from('organizations').select('id, name').eq('id', invitation.org_id).single(),
+      supabaseAdmin.from('profiles').select('id, org_id, role, full_name').eq('id', userId).single()
+    ]);
+    if (orgError) throw new Error(orgError.message);
+    if (profileError) throw new Error(profileError.message);
+
+    return { organization, profile };
+  }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,297 @@
+const { getEmbedder } = require('./embeddings');
+const { estimateTokens } = require('../utils/tokens');
+
+// Target chunk size; large enough to keep a passage's context, small enough to retrieve precisely
+const CHUNK_TOKENS = 400;
+// A short trailing paragraph is repeated at the start of the next chunk in the same section
+const OVERLAP_TOKENS = 80;
+const MAX_CHUNK_CHARS = CHUNK_TOKENS * 4;
+const TOP_K = 5;
+const EXCERPT_LENGTH = 200;
+// Similarity floor per embedder; hashed local vectors score much lower than neural ones
+const MIN_SIMILARITY = { local: 0.05 };
+const DEFAULT_MIN_SIMILARITY = 0.25;
+
+const SOURCE_TYPES = ['markdown', 'text', 'pdf_text'];
+
+const splitParagraphs = (text) => text.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+
+// Text extracted from PDFs wraps lines mid-sentence and hyphenates words across lines
+const unwrapPdfText = (text) => text
+  .replace(/(\p{L})-\n(\p{Ll})/gu, '$1$2')
+  .replace(/([^\n])\n(?!\s*\n)/g, '$1 ')
+  .replace(/[ \t]+/g, ' ');
+
+/**
+ * Split a document into sections of paragraphs, each with the heading path (markdown)
+ * or page number (PDF text, pages separated by form feeds) it belongs to.
+ * @returns {Array<{heading: string|null, page: number|null, blocks: string[]}>}
+ */
+const splitSections = (content, sourceType) => {
+  const text = content.replace(/\r\n?/g, '\n');
+
+  if (sourceType === 'pdf_text') {
+    const pages = text.split('\f');
+    return pages.map((page, i) => ({
+      heading: null,
+      page: pages.length > 1 ? i + 1 : null,
+      blocks: splitParagraphs(unwrapPdfText(page))
+    }));
+  }
+  if (sourceType !== 'markdown') {
+    return [{ heading: null, page: null, blocks: splitParagraphs(text) }];
+  }
+
+  const sections = [];
+  const headings = [];
+  let lines = [];
+  let fenced = false;
+  const flush = () => {
+    sections.push({ heading: headings.filter(Boolean).join(' > ') || null, page: null, blocks: splitParagraphs(lines.join('\n')) });
+    lines = [];
+  };
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+    const match = !fenced && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      flush();
+      headings.length = match[1].length - 1;
+      headings.push(match[2]);
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+  return sections;
+};
+
+// Splits a paragraph longer than a chunk at sentence ends, then at word boundaries
+const splitLongBlock = (block) => {
+  if (block.length <= MAX_CHUNK_CHARS) return [block];
+  const pieces = [];
+  let current = '';
+  for (const sentence of block.split(/(?<=[.!?])\s+/)) {
+    let rest = sentence;
+    while (rest.length > MAX_CHUNK_CHARS) {
+      const cut = rest.lastIndexOf(' ', MAX_CHUNK_CHARS) > 0 ? rest.lastIndexOf(' ', MAX_CHUNK_CHARS) : MAX_CHUNK_CHARS;
+      pieces.push(rest.substring(0, cut).trim());
+      rest = rest.substring(cut).trim();
+    }
+    if (current && current.length + rest.length + 1 > MAX_CHUNK_CHARS) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${rest}` : rest;
+  }
+  if (current) pieces.push(current);
+  return pieces.filter(Boolean);
+};
+
+/**
+ * Service for the organization knowledge base: chunking and embedding uploaded documents,
+ * and retrieving the passages most relevant to a chat message.
+ */
+class KnowledgeService {
+  // PUBLIC_INTERFACE
+  isSupportedSourceType(sourceType) {
+    return SOURCE_TYPES.includes(sourceType);
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Split a document into overlapping chunks of about CHUNK_TOKENS tokens that never
+   * cross a markdown section or PDF page.
+   * @param {string} content - Document text
+   * @param {string} sourceType - 'markdown', 'text' or 'pdf_text'
+   * @returns {Array<{chunk_index: number, heading: string|null, page: number|null, content: string, token_count: number}>}
+   */
+  chunk(content, sourceType) {
+    const chunks = [];
+    for (const section of splitSections(content, sourceType)) {
+      let blocks = [];
+      let tokens = 0;
+      const emit = () => {
+        chunks.push({
+          chunk_index: chunks.length,
+          heading: section.heading,
+          page: section.page,
+          content: blocks.join('\n\n'),
+          token_count: tokens
+        });
+      };
+
+      for (const block of section.blocks.flatMap(splitLongBlock)) {
+        const blockTokens = estimateTokens(block);
+        if (blocks.length > 0 && tokens + blockTokens > CHUNK_TOKENS) {
+          emit();
+          const last = blocks[blocks.length - 1];
+          const lastTokens = estimateTokens(last);
+          const overlap = lastTokens <= OVERLAP_TOKENS && lastTokens + blockTokens <= CHUNK_TOKENS;
+          blocks = overlap ? [last] : [];
+          tokens = overlap ? lastTokens : 0;
+        }
+        blocks.push(block);
+        tokens += blockTokens;
+      }
+      if (blocks.length > 0) emit();
+    }
+    return chunks;
+  }
+
+  // PUBLIC_INTERFACE
+  async getDocument(supabase, documentId) {
+    const { data, error } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('id', documentId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Chunk a document and embed its chunks with the active embedder. Each chunk is
+   * embedded together with the document title and its heading, which often carry the
+   * words a question uses.
+   * @param {{title: string, content: string, source_type: string}} document
+   * @returns {Promise<{model: string, chunks: Array<object>}>} Chunks with their `embedding`
+   */
+  async embedDocument(document) {
+    const embedder = getEmbedder();
+    const chunks = this.chunk(document.content, document.source_type);
+    const vectors = await embedder.embed(chunks.map(chunk =>
+      [document.title, chunk.heading, chunk.content].filter(Boolean).join('\n\n')
+    ));
+    return {
+      model: embedder.id,
+      chunks: chunks.map((chunk, i) => ({ ...chunk, embedding: vectors[i] }))
+    };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Replace a document's chunks with the output of embedDocument, in one transaction.
+   */
+  async replaceChunks(supabase, documentId, { model, chunks }) {
+    const { error } = await supabase.rpc('replace_document_chunks', {
+      p_document_id: documentId,
+      p_embedding_model: model,
+      p_chunks: chunks
+    });
+
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * The caller's organization's chunks most similar to a query, best first.
+   * Only chunks embedded by the active embedder are compared.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {string} query - Search text
+   * @param {{limit?: number}} [options]
+   * @returns {Promise<Array<{chunk_id, document_id, document_title, chunk_index, heading, page, content, similarity}>>}
+   */
+  async search(supabase, query, { limit = TOP_K } = {}) {
+    const embedder = getEmbedder();
+    const [embedding] = await embedder.embed([query]);
+    // Queries made only of stop words (or punctuation) have nothing to match on
+    if (!embedding.some(value => value !== 0)) return [];
+
+    const minSimilarity = process.env.KNOWLEDGE_MIN_SIMILARITY !== undefined
+      ? Number(process.env.KNOWLEDGE_MIN_SIMILARITY)
+      : MIN_SIMILARITY[embedder.name] ?? DEFAULT_MIN_SIMILARITY;
+
+    const { data, error } = await supabase.rpc('match_document_chunks', {
+      p_query_embedding: embedding,
+      p_embedding_model: embedder.id,
+      p_match_count: limit,
+      p_min_similarity: minSimilarity
+    });
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Knowledge base passages for a chat message. Skips the embedding call when the
+   * organization has no documents indexed by the active embedder, and never fails the
+   * chat turn: retrieval errors are logged and answered without sources.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {string} orgId - The caller's organization
+   * @param {string} query - The user's message
+   * @returns {Promise<Array<object>>} Matches from search(), possibly empty
+   */
+  async retrieve(supabase, orgId, query) {
+    if (!orgId || !query?.trim()) return [];
+    try {
+      const { data, error } = await supabase
+        .from('documents')
+        .select('id')
+        .eq('org_id', orgId)
+        .eq('embedding_model', getEmbedder().id)
+        .gt('chunk_count', 0)
+        .limit(1);
+      if (error) throw new Error(error.message);
+      if (data.length === 0) return [];
+
+      return await this.search(supabase, query);
+    } catch (err) {
+      console.error('Knowledge base retrieval failed:', err);
+      return [];
+    }
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * System prompt section with retrieved passages, numbered so the reply can cite them.
+   * @param {Array<object>} sources - Matches from retrieve()
+   * @returns {string|null} null when there is nothing to add
+   */
+  describeForPrompt(sources) {
+    if (sources.length === 0) return null;
+    const lines = [
+      'The following excerpts from the organization\'s knowledge base may be relevant to the latest message.',
+      'Use them where they help and cite them inline by number, e.g. [1] or [2, 3]. Only cite excerpts',
+      'you actually relied on, and say so when they do not answer the question.'
+    ];
+    sources.forEach((source, i) => {
+      const location = [source.heading, source.page ? `page ${source.page}` : null].filter(Boolean).join(', ');
+      lines.push('', `[${i + 1}] ${source.document_title}${location ? ` (${location})` : ''}`, source.content);
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Citations for a reply generated with describeForPrompt(sources): one per source, in
+   * prompt order, with `cited` telling whether the reply refers to its number.
+   * @param {Array<object>} sources - Matches from retrieve()
+   * @param {string} reply - Assistant reply text
+   * @returns {Array<object>} { index, document_id, document_title, chunk_id, chunk_index, heading, page, similarity, excerpt, cited }
+   */
+  buildCitations(sources, reply) {
+    const cited = new Set();
+    for (const match of (reply || '').matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+      match[1].split(',').forEach(number => cited.add(Number(number)));
+    }
+    return sources.map((source, i) => ({
+      index: i + 1,
+      document_id: source.document_id,
+      document_title: source.document_title,
+      chunk_id: source.chunk_id,
+      chunk_index: source.chunk_index,
+      heading: source.heading,
+      page: source.page,
+      similarity: Math.round(source.similarity * 1000) / 1000,
+      excerpt: source.content.length > EXCERPT_LENGTH
+        ? `${source.content.substring(0, EXCERPT_LENGTH)}...`
+        : source.content,
+      cited: cited.has(i + 1)
+    }));
+  }
+}
+
+module.exports = new KnowledgeService();
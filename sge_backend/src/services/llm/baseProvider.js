@@ -0,0 +1,60 @@
+/**
+ * Base class for LLM providers.
+ *
+ * Every provider exposes the same interface so controllers never depend on a
+ * specific vendor SDK:
+ * - generateReply(message, history, options) resolves to the full reply text
+ * - streamReply(message, history, options) yields reply text chunks as they arrive
+ *
+ * `history` is an array of `{ role, content }` rows from the `messages` table,
+ * oldest first, not including `message` itself.
+ *
+ * `options.onUsage`, when given, is called once with
+ * `{ prompt_tokens, completion_tokens }` if the vendor reports token usage.
+ *
+ * Providers that support function calling also implement
+ * streamWithTools(message, history, steps, options), one model round of a tool loop:
+ * - `options.tools` is an array of `{ name, description, parameters }` (JSON Schema)
+ * - `options.allowToolCalls === false` asks for a final answer without further calls
+ * - `steps` are the earlier rounds of the same turn, oldest first:
+ *   `{ content, calls: [{ id, name, arguments }], results: [{ id, name, result }] }`
+ * - it yields `{ type: 'text', text }` chunks and, if the model wants to call tools,
+ *   one final `{ type: 'tool_calls', calls: [{ id, name, arguments }] }`
+ */
+class LLMProvider {
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  // PUBLIC_INTERFACE
+  isConfigured() {
+    return true;
+  }
+
+  // PUBLIC_INTERFACE
+  async generateReply(message, history = [], options = {}) {
+    throw new Error(`${this.name} provider does not implement generateReply`);
+  }
+
+  // PUBLIC_INTERFACE
+  supportsTools() {
+    return false;
+  }
+
+  // PUBLIC_INTERFACE
+  async *streamWithTools(message, history = [], steps = [], options = {}) {
+    throw new Error(`${this.name} provider does not support tool calling`);
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Default streaming implementation for providers without native streaming:
+   * yields the whole reply as a single chunk.
+   */
+  async *streamReply(message, history = [], options = {}) {
+    yield await this.generateReply(message, history, options);
+  }
+}
+
+module.exports = LLMProvider;
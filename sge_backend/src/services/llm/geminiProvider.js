@@ -0,0 +1,170 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const LLMProvider = require('./baseProvider');
+
+// JSON Schema keywords understood by Gemini function declarations
+const SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items'];
+
+const toGeminiSchema = (schema) => {
+  const result = {};
+  for (const key of SCHEMA_KEYS) {
+    if (schema[key] === undefined) continue;
+    if (key === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+      );
+    } else {
+      result[key] = key === 'items' ? toGeminiSchema(schema.items) : schema[key];
+    }
+  }
+  return result;
+};
+
+class GeminiProvider extends LLMProvider {
+  constructor() {
+    super('gemini', process.env.GEMINI_MODEL || 'gemini-pro');
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (apiKey) {
+      this.genAI = new GoogleGenerativeAI(apiKey);
+      this.client = this.genAI.getGenerativeModel({ model: this.model });
+    } else {
+      console.warn('GEMINI_API_KEY is not set.');
+    }
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  /**
+   * @param {Array<{role: string, content: string}>} history - Previous messages
+   * @param {object} [params] - `contents` appended to the history in Gemini format, plus `tools` and `toolConfig`
+   */
+  startChat(history = [], { contents = [], ...params } = {}) {
+    if (!this.client) {
+      throw new Error('Gemini AI is not initialized');
+    }
+
+    // Convert history to Gemini format. Gemini chat history only knows user/model turns,
+    // so system messages (e.g. the running summary) are sent as a leading user turn
+    // acknowledged by the model, which keeps the turns alternating.
+    const systemText = history
+      .filter(msg => msg.role === 'system')
+      .map(msg => msg.content)
+      .join('\n\n');
+
+    const chatHistory = history
+      .filter(msg => msg.role !== 'system')
+      .map(msg => ({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }]
+      }));
+
+    if (systemText) {
+      chatHistory.unshift(
+        { role: 'user', parts: [{ text: systemText }] },
+        { role: 'model', parts: [{ text: 'Understood.' }] }
+      );
+    }
+
+    return this.client.startChat({
+      history: [...chatHistory, ...contents],
+      ...params
+    });
+  }
+
+  reportUsage(response, options) {
+    const usage = response.usageMetadata;
+    if (usage && options.onUsage) {
+      options.onUsage({
+        prompt_tokens: usage.promptTokenCount || 0,
+        completion_tokens: usage.candidatesTokenCount || 0
+      });
+    }
+  }
+
+  async generateReply(message, history = [], options = {}) {
+    const chat = this.startChat(history);
+
+    const result = await chat.sendMessage(message);
+    const response = await result.response;
+    this.reportUsage(response, options);
+    return response.text();
+  }
+
+  /**
+   * Streams the reply as text chunks as they are produced by the model.
+   * @param {string} message - The new user message
+   * @param {Array<{role: string, content: string}>} history - Previous messages
+   * @param {object} [options] - See LLMProvider; usage is reported once the stream completes
+   * @returns {AsyncGenerator<string>} Text chunks
+   */
+  async *streamReply(message, history = [], options = {}) {
+    const chat = this.startChat(history);
+
+    const result = await chat.sendMessageStream(message);
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+    this.reportUsage(await result.response, options);
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  async *streamWithTools(message, history = [], steps = [], options = {}) {
+    const tools = options.tools || [];
+    const params = tools.length > 0 ? {
+      tools: [{
+        // Gemini rejects object schemas without properties, so parameterless tools declare none
+        functionDeclarations: tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          ...(Object.keys(tool.parameters.properties || {}).length > 0 && { parameters: toGeminiSchema(tool.parameters) })
+        }))
+      }],
+      toolConfig: { functionCallingConfig: { mode: options.allowToolCalls === false ? 'NONE' : 'AUTO' } }
+    } : {};
+
+    // Earlier rounds become history (model function calls, then their responses); the
+    // newest function responses are sent in place of the user message
+    const rounds = steps.flatMap(step => [
+      {
+        role: 'model',
+        parts: [
+          ...(step.content ? [{ text: step.content }] : []),
+          ...step.calls.map(call => ({ functionCall: { name: call.name, args: call.arguments ?? {} } }))
+        ]
+      },
+      {
+        role: 'function',
+        parts: step.results.map(result => ({
+          functionResponse: { name: result.name, response: { result: result.result } }
+        }))
+      }
+    ]);
+    const request = steps.length > 0 ? rounds.pop().parts : message;
+    const contents = steps.length > 0 ? [{ role: 'user', parts: [{ text: message }] }, ...rounds] : [];
+
+    const chat = this.startChat(history, { contents, ...params });
+    const result = await chat.sendMessageStream(request);
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield { type: 'text', text };
+    }
+
+    const response = await result.response;
+    this.reportUsage(response, options);
+    // Gemini does not assign call ids; number them by round and position
+    const calls = response.functionCalls() || [];
+    if (calls.length > 0) {
+      yield {
+        type: 'tool_calls',
+        calls: calls.map((call, i) => ({ id: `call_${steps.length}_${i}`, name: call.name, arguments: call.args || {} }))
+      };
+    }
+  }
+}
+
+module.exports = GeminiProvider;
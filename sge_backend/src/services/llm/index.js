@@ -0,0 +1,43 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const MockProvider = require('./mockProvider');
+
+const providers = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  mock: MockProvider
+};
+
+let activeProvider = null;
+
+/**
+ * PUBLIC_INTERFACE
+ * Create a provider instance by name.
+ * @param {string} name - One of 'gemini', 'openai', 'mock'
+ * @returns {import('./baseProvider')} The provider instance
+ */
+const createProvider = (name) => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  return new Provider();
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Get the provider selected by the LLM_PROVIDER environment variable (default: gemini).
+ * The instance is created once and reused.
+ * @returns {import('./baseProvider')} The active provider
+ */
+const getProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createProvider((process.env.LLM_PROVIDER || 'gemini').toLowerCase());
+  }
+  return activeProvider;
+};
+
+module.exports = {
+  createProvider,
+  getProvider
+};
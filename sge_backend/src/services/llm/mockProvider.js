@@ -0,0 +1,86 @@
+const LLMProvider = require('./baseProvider');
+const { estimateTokens, estimateMessagesTokens } = require('../../utils/tokens');
+
+// name({...json...}) or name()
+const TOOL_CALL = /\b([a-z_]+)\((\{.*?\})?\)/g;
+
+const parseArguments = (text) => {
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+};
+
+/**
+ * Deterministic offline provider.
+ * Produces the same reply for the same input without any network access or API key,
+ * so the full chat flow can be exercised locally and in tests.
+ */
+class MockProvider extends LLMProvider {
+  constructor() {
+    super('mock', 'mock-1');
+  }
+
+  async generateReply(message, history = [], options = {}) {
+    const preview = message.length > 80 ? `${message.substring(0, 80)}...` : message;
+    const reply = `[mock] You said: "${preview}". ` +
+      `This conversation has ${history.length} previous message${history.length === 1 ? '' : 's'}.`;
+
+    if (options.onUsage) {
+      options.onUsage({
+        prompt_tokens: estimateTokens(message) + estimateMessagesTokens(history),
+        completion_tokens: estimateTokens(reply)
+      });
+    }
+    return reply;
+  }
+
+  async *streamReply(message, history = [], options = {}) {
+    const reply = await this.generateReply(message, history, options);
+    // Split on word boundaries but keep the whitespace so chunks join back to the full reply
+    for (const chunk of reply.match(/\S+\s*/g) || []) {
+      yield chunk;
+    }
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  /**
+   * Calls the tools the message names in call syntax, e.g. `list_goals()` or
+   * `get_kpi_series({"dataset": "Revenue", "metric": "revenue"})`, then answers with a
+   * summary of their outcomes. Messages without such calls get the usual mock reply.
+   */
+  async *streamWithTools(message, history = [], steps = [], options = {}) {
+    const names = new Set((options.tools || []).map(tool => tool.name));
+    if (steps.length === 0 && options.allowToolCalls !== false) {
+      const calls = [...message.matchAll(TOOL_CALL)]
+        .filter(match => names.has(match[1]))
+        .map((match, i) => ({ id: `mock_call_${i}`, name: match[1], arguments: parseArguments(match[2]) }));
+      if (calls.length > 0) {
+        if (options.onUsage) {
+          options.onUsage({
+            prompt_tokens: estimateTokens(message) + estimateMessagesTokens(history),
+            completion_tokens: 0
+          });
+        }
+        yield { type: 'tool_calls', calls };
+        return;
+      }
+    }
+
+    const outcomes = steps.flatMap(step => step.results)
+      .map(result => `${result.name} ${result.result?.error ? 'failed' : 'succeeded'}`);
+    for await (const text of this.streamReply(message, history, options)) {
+      yield { type: 'text', text };
+    }
+    if (outcomes.length > 0) {
+      yield { type: 'text', text: ` Tools used: ${outcomes.join(', ')}.` };
+    }
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,173 @@
+const LLMProvider = require('./baseProvider');
+
+// Tool call arguments as an object; malformed JSON is passed on as the raw string
+const parseArguments = (text) => {
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+};
+
+/**
+ * Provider for any OpenAI-compatible Chat Completions API
+ * (OpenAI, Azure OpenAI proxies, vLLM, Ollama, LM Studio, ...).
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor() {
+    super('openai', process.env.OPENAI_MODEL || 'gpt-4o-mini');
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    if (!this.apiKey) {
+      console.warn('OPENAI_API_KEY is not set.');
+    }
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  buildMessages(message, history = []) {
+    return [
+      ...history.map(msg => ({ role: msg.role, content: msg.content })),
+      { role: 'user', content: message }
+    ];
+  }
+
+  async request(body) {
+    if (!this.apiKey) {
+      throw new Error('OpenAI-compatible provider is not initialized');
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({ model: this.model, ...body })
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`OpenAI-compatible API error ${response.status}: ${detail}`);
+    }
+    return response;
+  }
+
+  reportUsage(usage, options) {
+    if (usage && options.onUsage) {
+      options.onUsage({
+        prompt_tokens: usage.prompt_tokens || 0,
+        completion_tokens: usage.completion_tokens || 0
+      });
+    }
+  }
+
+  // Earlier rounds of a tool loop as assistant tool_calls messages followed by their results
+  buildToolMessages(message, history, steps) {
+    return [
+      ...this.buildMessages(message, history),
+      ...steps.flatMap(step => [
+        {
+          role: 'assistant',
+          content: step.content || null,
+          tool_calls: step.calls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments ?? {}) }
+          }))
+        },
+        ...step.results.map(result => ({
+          role: 'tool',
+          tool_call_id: result.id,
+          content: JSON.stringify(result.result)
+        }))
+      ])
+    ];
+  }
+
+  // The body is itself an SSE stream of `data: {json}` lines ending with `data: [DONE]`
+  async *readStream(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return;
+        yield JSON.parse(payload);
+      }
+    }
+  }
+
+  async generateReply(message, history = [], options = {}) {
+    const response = await this.request({
+      messages: this.buildMessages(message, history)
+    });
+    const data = await response.json();
+    this.reportUsage(data.usage, options);
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  async *streamReply(message, history = [], options = {}) {
+    const response = await this.request({
+      messages: this.buildMessages(message, history),
+      stream: true,
+      // Asks for a final chunk carrying token usage (ignored by servers that do not support it)
+      stream_options: { include_usage: true }
+    });
+
+    for await (const data of this.readStream(response)) {
+      this.reportUsage(data.usage, options);
+      const text = data.choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  async *streamWithTools(message, history = [], steps = [], options = {}) {
+    const tools = options.tools || [];
+    const response = await this.request({
+      messages: this.buildToolMessages(message, history, steps),
+      stream: true,
+      stream_options: { include_usage: true },
+      ...(tools.length > 0 && {
+        tools: tools.map(tool => ({ type: 'function', function: tool })),
+        tool_choice: options.allowToolCalls === false ? 'none' : 'auto'
+      })
+    });
+
+    // Tool calls arrive in fragments keyed by index; arguments are a JSON string split across chunks
+    const calls = [];
+    for await (const data of this.readStream(response)) {
+      this.reportUsage(data.usage, options);
+      const delta = data.choices?.[0]?.delta;
+      if (delta?.content) yield { type: 'text', text: delta.content };
+      for (const fragment of delta?.tool_calls || []) {
+        const call = calls[fragment.index] || (calls[fragment.index] = { id: '', name: '', arguments: '' });
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+      }
+    }
+
+    if (calls.length > 0) {
+      yield {
+        type: 'tool_calls',
+        calls: calls.filter(Boolean).map(call => ({ ...call, arguments: parseArguments(call.arguments) }))
+      };
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
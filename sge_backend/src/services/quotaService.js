@@ -0,0 +1,146 @@
+const { getProvider } = require('./llm');
+const { supabaseAdmin } = require('../utils/supabase');
+
+// Limits per plan; null means unlimited. Individual organizations can override
+// any of these through `org_plans.overrides`.
+const PLANS = {
+  free: {
+    user_messages_per_minute: 5,
+    user_messages_per_day: 100,
+    org_messages_per_day: 500,
+    org_tokens_per_month: 1000000
+  },
+  pro: {
+    user_messages_per_minute: 20,
+    user_messages_per_day: 1000,
+    org_messages_per_day: 10000,
+    org_tokens_per_month: 20000000
+  },
+  enterprise: {
+    user_messages_per_minute: 60,
+    user_messages_per_day: null,
+    org_messages_per_day: null,
+    org_tokens_per_month: null
+  }
+};
+
+// Each quota, the usage counter reported by quota_usage(), its fixed UTC window and
+// whether it counts model calls (a reservation takes one) or tokens
+const QUOTAS = [
+  { name: 'user_messages_per_minute', scope: 'user', window: 'minute', usageKey: 'user_messages_minute', countsCalls: true },
+  { name: 'user_messages_per_day', scope: 'user', window: 'day', usageKey: 'user_messages_day', countsCalls: true },
+  { name: 'org_messages_per_day', scope: 'org', window: 'day', usageKey: 'org_messages_day', countsCalls: true },
+  { name: 'org_tokens_per_month', scope: 'org', window: 'month', usageKey: 'org_tokens_month', countsCalls: false }
+];
+
+const WINDOW_SECONDS = { minute: 60, day: 86400, month: 2592000 };
+
+// Start of the next fixed UTC window
+const windowReset = (window, now) => {
+  if (window === 'minute') {
+    return new Date(Math.floor(now.getTime() / 60000) * 60000 + 60000);
+  }
+  if (window === 'day') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  }
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+};
+
+/**
+ * Service for plan-based chat quotas.
+ *
+ * Usage is counted from `llm_usage` in fixed UTC windows (minute, day, month), so
+ * every call that reaches the model counts, including regenerations and edits.
+ * Before a model call, reserve() checks the quotas and reserves the call in one
+ * transaction (see reserve_chat_quota), so concurrent requests cannot all pass the
+ * check. The reservation is replaced by the call's usage once it is recorded, or
+ * released when no call was made.
+ */
+class QuotaService {
+  /**
+   * PUBLIC_INTERFACE
+   * Get the caller's plan and the state of every quota.
+   * @param {object} supabase - Authenticated Supabase client
+   * @returns {Promise<object|null>} `{ plan, quotas }`, or null if the caller has no organization
+   */
+  async getStatus(supabase) {
+    const { data, error } = await supabase.rpc('quota_usage');
+    if (error) throw new Error(error.message);
+    return data ? this.describe(data) : null;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Check the user's quotas and, unless one is used up, reserve a model call against them.
+   * Pass the reservation to usageService.record() with the call's usage, or release() it.
+   * @param {object} user - req.user
+   * @returns {Promise<object|null>} `{ plan, quotas, reservationId }`; `reservationId` is
+   *   null when a quota is used up, otherwise the quotas include the reserved call. Null if
+   *   the user has no organization
+   */
+  async reserve(user) {
+    if (!supabaseAdmin) {
+      throw new Error('Supabase admin client is not configured');
+    }
+    const provider = getProvider();
+    const { data, error } = await supabaseAdmin.rpc('reserve_chat_quota', {
+      p_user_id: user.id,
+      p_plans: PLANS,
+      p_provider: provider.name,
+      p_model: provider.model
+    });
+    if (error) throw new Error(error.message);
+    if (!data) return null;
+    // reserve_chat_quota reports usage from before the reservation it just made
+    return { ...this.describe(data, data.reservation_id ? 1 : 0), reservationId: data.reservation_id };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Drop a reservation that was not used up by a recorded call. Never throws.
+   * @param {string} reservationId
+   */
+  async release(reservationId) {
+    try {
+      const { error } = await supabaseAdmin
+        .from('llm_usage')
+        .delete()
+        .eq('id', reservationId)
+        .eq('status', 'pending');
+      if (error) throw new Error(error.message);
+    } catch (err) {
+      console.error('Failed to release quota reservation:', err);
+    }
+  }
+
+  // Plan limits and the state of every quota, from quota_usage()/reserve_chat_quota() output,
+  // plus `reservedCalls` calls not yet included in that output
+  describe(data, reservedCalls = 0) {
+    const limits = { ...(PLANS[data.plan] || PLANS.free), ...data.overrides };
+    const now = new Date();
+
+    return {
+      plan: data.plan,
+      quotas: QUOTAS.map(({ name, scope, window, usageKey, countsCalls }) => {
+        const limit = limits[name] ?? null;
+        const used = (Number(data[usageKey]) || 0) + (countsCalls ? reservedCalls : 0);
+        return {
+          name,
+          scope,
+          window,
+          limit,
+          used,
+          remaining: limit === null ? null : Math.max(limit - used, 0),
+          reset_at: windowReset(window, now).toISOString()
+        };
+      })
+    };
+  }
+
+  // PUBLIC_INTERFACE
+  windowSeconds(window) {
+    return WINDOW_SECONDS[window];
+  }
+}
+
+module.exports = new QuotaService();
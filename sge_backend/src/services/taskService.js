@@ -0,0 +1,277 @@
+const { getProvider } = require('./llm');
+const chatService = require('./chatService');
+const usageService = require('./usageService');
+const artifactService = require('./artifactService');
+const { validate } = require('../utils/jsonSchema');
+const { estimateTokens } = require('../utils/tokens');
+
+const TRANSCRIPT_TOKEN_BUDGET = 12000;
+// One retry with the validation errors fed back to the model
+const MAX_ATTEMPTS = 2;
+const MAX_ACTION_ITEMS = 20;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_MEMBERS_IN_PROMPT = 100;
+
+const ACTION_ITEMS_SCHEMA = {
+  type: 'object',
+  required: ['action_items'],
+  additionalProperties: false,
+  properties: {
+    action_items: {
+      type: 'array',
+      maxItems: MAX_ACTION_ITEMS,
+      items: {
+        type: 'object',
+        required: ['description'],
+        additionalProperties: false,
+        properties: {
+          description: { type: 'string', minLength: 3, maxLength: MAX_DESCRIPTION_LENGTH },
+          owner: { type: 'string', nullable: true },
+          due_date: { type: 'string', nullable: true },
+          source: { type: 'string', nullable: true }
+        }
+      }
+    }
+  }
+};
+
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Service for tasks: action items extracted from conversations by the model (or added by
+ * hand), assignable to members of the organization and tracked through open, in_progress
+ * and done.
+ */
+class TaskService {
+  // PUBLIC_INTERFACE
+  async getTask(supabase, taskId) {
+    const { data, error } = await supabase
+      .from('tasks')
+      .select('*')
+      .eq('id', taskId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * The profile of an organization member, or null when the user is not in the organization.
+   */
+  async getMember(supabase, orgId, userId) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id, full_name, role')
+      .eq('org_id', orgId)
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async listMembers(supabase, orgId) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('id, full_name')
+      .eq('org_id', orgId)
+      .limit(MAX_MEMBERS_IN_PROMPT);
+
+    if (error) throw new Error(error.message);
+    return data.filter(member => member.full_name);
+  }
+
+  /**
+   * The member a suggested owner name refers to: an exact full-name match, or a unique
+   * first-name match ("Dana" for "Dana Levi"). Null when ambiguous or unknown.
+   */
+  matchMember(members, owner) {
+    if (!owner) return null;
+    const name = normalize(owner);
+    const exact = members.filter(member => normalize(member.full_name) === name);
+    if (exact.length === 1) return exact[0];
+    const first = members.filter(member => normalize(member.full_name).split(' ')[0] === name);
+    return first.length === 1 ? first[0] : null;
+  }
+
+  /**
+   * The conversation's active branch with each message labelled [M1], [M2], ... so the
+   * model can point at the message an action item comes from. Newest turns are kept
+   * when it exceeds the budget.
+   * @returns {Promise<{transcript: string, refs: Map<string, string>}>} refs maps labels to message ids
+   */
+  async buildTranscript(supabase, conversation) {
+    const refs = new Map();
+    if (!conversation.active_leaf_id) return { transcript: '', refs };
+
+    const { data, error } = await chatService
+      .branchQuery(supabase, conversation.active_leaf_id, 'id, role, content, created_at')
+      .order('created_at', { ascending: false });
+    if (error) throw new Error(error.message);
+
+    const messages = [];
+    let used = 0;
+    for (const msg of data) {
+      if (msg.role === 'system') continue;
+      used += estimateTokens(msg.content);
+      if (used > TRANSCRIPT_TOKEN_BUDGET && messages.length > 0) break;
+      messages.unshift(msg);
+    }
+    const lines = messages.map((msg, i) => {
+      refs.set(`M${i + 1}`, msg.id);
+      return `[M${i + 1}] ${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${msg.content}`;
+    });
+    return { transcript: lines.join('\n\n'), refs };
+  }
+
+  buildPrompt(transcript, members, today) {
+    return [
+      'You extract action items from business strategy conversations.',
+      `Today is ${today}.`,
+      'List the concrete follow-up tasks the conversation agreed on or clearly implies. Skip general advice',
+      'that nobody has to act on, and do not repeat the same task twice.',
+      'For each task give:',
+      '- description: what has to be done, as a short imperative sentence',
+      `- owner: the person who should do it, only if the conversation names or clearly implies them${members.length > 0 ? ', using a name from the team list' : ''}; otherwise null`,
+      '- due_date: YYYY-MM-DD if the conversation gives a deadline (resolve relative dates like "next Friday" from today); otherwise null',
+      '- source: the label of the message the task comes from, e.g. "M3"',
+      members.length > 0 ? `Team: ${members.map(member => member.full_name).join(', ')}` : null,
+      'Respond with a single JSON object that matches this JSON Schema, and nothing else:',
+      JSON.stringify(ACTION_ITEMS_SCHEMA),
+      'If there are no action items, respond with {"action_items": []}.',
+      '',
+      `Conversation:\n${transcript}`
+    ].filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Ask the model for the action items of a conversation.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {object} user - req.user
+   * @param {object} conversation - Conversation row
+   * @param {string} [reservationId] - Quota reservation of the request (see quotaService.reserve)
+   * @param {Date} [now]
+   * @returns {Promise<{items?: Array<object>, errors?: string[]}>} Items with `description`,
+   *   `suggested_owner`, `assignee_id`, `due_date` and `source_message_id`, or the
+   *   validation errors of the last attempt
+   */
+  async extractActionItems(supabase, user, conversation, reservationId, now = new Date()) {
+    const { transcript, refs } = await this.buildTranscript(supabase, conversation);
+    if (!transcript) return { errors: ['The conversation has no messages'] };
+
+    const members = await this.listMembers(supabase, user.org_id);
+    const today = now.toISOString().substring(0, 10);
+    const history = [];
+    let message = this.buildPrompt(transcript, members, today);
+    let errors = [];
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt += 1) {
+      const call = usageService.startCall();
+      const usage = {
+        orgId: user.org_id,
+        userId: user.id,
+        conversationId: conversation.id,
+        purpose: 'action_items',
+        input: [...history, { content: message }],
+        // The first attempt replaces the reservation; retries are recorded as calls of their own
+        reservationId
+      };
+
+      let reply;
+      try {
+        reply = await getProvider().generateReply(message, history, { onUsage: call.onUsage });
+        await usageService.record(call, { ...usage, status: 'ok', output: reply });
+      } catch (err) {
+        await usageService.record(call, { ...usage, status: 'error', error: err.message });
+        throw err;
+      }
+
+      const parsed = artifactService.parseJson(reply);
+      errors = parsed.errors || validate(ACTION_ITEMS_SCHEMA, parsed.value);
+      if (errors.length === 0) {
+        return {
+          items: parsed.value.action_items.map(item => {
+            const member = this.matchMember(members, item.owner);
+            const dueDate = /^\d{4}-\d{2}-\d{2}$/.test(item.due_date || '') && !Number.isNaN(Date.parse(item.due_date))
+              ? item.due_date
+              : null;
+            return {
+              description: item.description.trim(),
+              suggested_owner: item.owner?.trim() || null,
+              assignee_id: member ? member.id : null,
+              due_date: dueDate,
+              // Labels the model made up are dropped rather than linked to the wrong message
+              source_message_id: refs.get(item.source) || null
+            };
+          })
+        };
+      }
+
+      history.push({ role: 'user', content: message }, { role: 'assistant', content: reply });
+      message = `That JSON does not match the schema:\n- ${errors.join('\n- ')}\nReply with the corrected JSON object only.`;
+    }
+    return { errors };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Task counts for the dashboard. A task is overdue when it is not done and its due date
+   * is before `date`.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {string} orgId
+   * @param {string} userId - The caller, for their own overdue count
+   * @param {string} date - Today (YYYY-MM-DD)
+   * @returns {Promise<object>} { byStatus, overdue, overdueAssignedToMe, dueNextWeek }
+   */
+  async summarize(supabase, orgId, userId, date) {
+    const count = async (filter) => {
+      const { count: total, error } = await filter(supabase
+        .from('tasks')
+        .select('id', { count: 'exact', head: true })
+        .eq('org_id', orgId));
+      if (error) throw new Error(error.message);
+      return total;
+    };
+    const weekAhead = new Date(Date.parse(date) + 7 * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+    const [open, inProgress, done, overdue, overdueAssignedToMe, dueNextWeek] = await Promise.all([
+      count(query => query.eq('status', 'open')),
+      count(query => query.eq('status', 'in_progress')),
+      count(query => query.eq('status', 'done')),
+      count(query => query.neq('status', 'done').lt('due_date', date)),
+      count(query => query.neq('status', 'done').lt('due_date', date).eq('assignee_id', userId)),
+      count(query => query.neq('status', 'done').gte('due_date', date).lt('due_date', weekAhead))
+    ]);
+    return {
+      byStatus: { open, in_progress: inProgress, done },
+      overdue,
+      overdueAssignedToMe,
+      dueNextWeek
+    };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Drop items already tracked as tasks of the conversation (same description), so
+   * extracting twice does not duplicate them.
+   */
+  async filterNew(supabase, conversationId, items) {
+    const { data, error } = await supabase
+      .from('tasks')
+      .select('description')
+      .eq('conversation_id', conversationId);
+
+    if (error) throw new Error(error.message);
+    const seen = new Set(data.map(task => normalize(task.description)));
+    return items.filter(item => {
+      const key = normalize(item.description);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+module.exports = new TaskService();
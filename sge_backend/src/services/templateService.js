@@ -0,0 +1,206 @@
+const MAX_VARIABLES = 20;
+const MAX_LABEL_LENGTH = 200;
+const MAX_OPTIONS = 50;
+const MAX_VALUE_LENGTH = 4000;
+
+const VARIABLE_TYPES = ['string', 'text', 'number', 'integer', 'boolean', 'date', 'enum'];
+const VARIABLE_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+// `{name}` inserts a variable; `{{` and `}}` are literal braces
+const TOKEN = /\{\{|\}\}|\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a value against a variable's type.
+ * @returns {{value: *} | {error: string}} The normalized value: numbers given as numeric
+ *   strings are converted, dates are kept as YYYY-MM-DD
+ */
+const coerceValue = (variable, raw) => {
+  const { name, type } = variable;
+  switch (type) {
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value) || (type === 'integer' && !Number.isInteger(value))) {
+        return { error: `${name} must be ${type === 'integer' ? 'an integer' : 'a number'}` };
+      }
+      return { value };
+    }
+    case 'boolean':
+      if (typeof raw !== 'boolean') return { error: `${name} must be true or false` };
+      return { value: raw };
+    case 'date':
+      if (typeof raw !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(raw) || Number.isNaN(Date.parse(raw))) {
+        return { error: `${name} must be a date (YYYY-MM-DD)` };
+      }
+      return { value: raw };
+    case 'enum':
+      if (!variable.options.includes(raw)) return { error: `${name} must be one of: ${variable.options.join(', ')}` };
+      return { value: raw };
+    default:
+      if (typeof raw !== 'string' || raw.trim() === '') return { error: `${name} must be a non-empty string` };
+      if (raw.length > MAX_VALUE_LENGTH) return { error: `${name} must be at most ${MAX_VALUE_LENGTH} characters` };
+      // Single-line strings are inlined; multi-line input belongs in a `text` variable
+      return { value: type === 'string' ? raw.trim().replace(/\s*\n\s*/g, ' ') : raw.trim() };
+  }
+};
+
+const formatValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+};
+
+/**
+ * Service for prompt templates: reusable prompts with typed `{variables}`, shared with
+ * the organization or kept personal, rendered server-side when a message is sent.
+ */
+class TemplateService {
+  /**
+   * PUBLIC_INTERFACE
+   * Names of the variables a template body uses, in order of first use.
+   */
+  placeholders(body) {
+    const names = [];
+    for (const match of body.matchAll(TOKEN)) {
+      if (match[1] && !names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Validate variable definitions against a template body. Every `{name}` in the body
+   * must be declared, and every declared variable must be used.
+   * @param {string} body - Template text
+   * @param {Array<object>} variables - [{ name, type, label, description, required, default, options }]
+   * @returns {{variables: Array<object>} | {errors: string[]}} Normalized definitions
+   */
+  validateDefinition(body, variables) {
+    if (!Array.isArray(variables)) return { errors: ['variables must be an array'] };
+    if (variables.length > MAX_VARIABLES) return { errors: [`A template can have at most ${MAX_VARIABLES} variables`] };
+
+    const errors = [];
+    const normalized = [];
+    // Names declared with a valid name, even if the rest of the definition is invalid
+    const declared = new Set();
+    for (const [i, variable] of variables.entries()) {
+      const at = `variables[${i}]`;
+      if (!isPlainObject(variable)) {
+        errors.push(`${at} must be an object`);
+        continue;
+      }
+      const { name, type = 'string', label, description, required = true, options } = variable;
+      if (typeof name !== 'string' || !VARIABLE_NAME.test(name)) {
+        errors.push(`${at}.name must be a letter or underscore followed by letters, digits or underscores`);
+        continue;
+      }
+      declared.add(name);
+      if (normalized.some(other => other.name === name)) {
+        errors.push(`Variable ${name} is declared twice`);
+        continue;
+      }
+      if (!VARIABLE_TYPES.includes(type)) {
+        errors.push(`${name}.type must be one of: ${VARIABLE_TYPES.join(', ')}`);
+        continue;
+      }
+      for (const [field, value] of [['label', label], ['description', description]]) {
+        if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > MAX_LABEL_LENGTH)) {
+          errors.push(`${name}.${field} must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+        }
+      }
+      if (typeof required !== 'boolean') errors.push(`${name}.required must be true or false`);
+
+      const definition = { name, type, label: label || null, description: description || null, required };
+      if (type === 'enum') {
+        if (!Array.isArray(options) || options.length === 0 || options.length > MAX_OPTIONS ||
+            !options.every(option => typeof option === 'string' && option.trim() !== '')) {
+          errors.push(`${name}.options must be a list of 1 to ${MAX_OPTIONS} non-empty strings`);
+          continue;
+        }
+        definition.options = options;
+      } else if (options !== undefined) {
+        errors.push(`${name}.options is only allowed for enum variables`);
+      }
+      if (variable.default !== undefined && variable.default !== null) {
+        const coerced = coerceValue(definition, variable.default);
+        if (coerced.error) errors.push(`Default of ${coerced.error}`);
+        else definition.default = coerced.value;
+      }
+      normalized.push(definition);
+    }
+
+    const used = this.placeholders(body);
+    for (const name of used) {
+      if (!declared.has(name)) {
+        errors.push(`{${name}} is used in the body but not declared`);
+      }
+    }
+    for (const variable of normalized) {
+      if (!used.includes(variable.name)) errors.push(`Variable ${variable.name} is not used in the body`);
+    }
+    return errors.length > 0 ? { errors } : { variables: normalized };
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Render a template with the given values. Missing optional variables use their
+   * default, or render as empty text.
+   * @param {object} template - Template row ({ body, variables })
+   * @param {object} [values] - Values by variable name
+   * @returns {{content: string, values: object} | {errors: string[]}} The prompt and the values used
+   */
+  render(template, values = {}) {
+    if (!isPlainObject(values)) return { errors: ['variables must be an object'] };
+
+    const errors = [];
+    const resolved = {};
+    for (const name of Object.keys(values)) {
+      if (!template.variables.some(variable => variable.name === name)) {
+        errors.push(`Unknown variable ${name}`);
+      }
+    }
+    for (const variable of template.variables) {
+      const raw = values[variable.name];
+      if (raw === undefined || raw === null || raw === '') {
+        if (variable.default !== undefined) resolved[variable.name] = variable.default;
+        else if (variable.required) errors.push(`${variable.name} is required`);
+        continue;
+      }
+      const coerced = coerceValue(variable, raw);
+      if (coerced.error) errors.push(coerced.error);
+      else resolved[variable.name] = coerced.value;
+    }
+    if (errors.length > 0) return { errors };
+
+    const content = template.body.replace(TOKEN, (token, name) => {
+      if (token === '{{') return '{';
+      if (token === '}}') return '}';
+      return name in resolved ? formatValue(resolved[name]) : '';
+    });
+    return { content: content.trim(), values: resolved };
+  }
+
+  // PUBLIC_INTERFACE
+  async getTemplate(supabase, templateId) {
+    const { data, error } = await supabase
+      .from('prompt_templates')
+      .select('*')
+      .eq('id', templateId)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Count a use of a template. Never throws: a failed counter update must not fail the
+   * message that used the template.
+   */
+  async recordUse(supabase, templateId) {
+    const { error } = await supabase.rpc('record_template_use', { p_template_id: templateId });
+    if (error) console.error('Failed to count template use:', error.message);
+  }
+}
+
+module.exports = new TemplateService();
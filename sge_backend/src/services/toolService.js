@@ -0,0 +1,203 @@
+const { getProvider } = require('./llm');
+const { supabaseAdmin } = require('../utils/supabase');
+const { validate } = require('../utils/jsonSchema');
+const CHAT_TOOLS = require('./chatTools');
+
+// Model rounds that may call tools before the model must answer with what it has
+const MAX_ROUNDS = 4;
+const MAX_CALLS_PER_ROUND = 5;
+// Results above this size are not sent back; the model is asked to narrow the request
+const MAX_RESULT_CHARS = 20000;
+// Attempts at storing a reply's tool calls before giving up
+const SAVE_ATTEMPTS = 2;
+const CALL_COLUMNS = 'id, message_id, call_id, round, call_index, tool_name, arguments, result, status, error, duration_ms, created_at';
+
+const TOOL_GUIDANCE = 'You can call tools to look up the organization\'s KPI datasets, goals, past conversations ' +
+  'and internal documents. Whenever an answer depends on the organization\'s own figures, look them up instead ' +
+  'of estimating, and say so plainly when the data is not available.';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Service for model tool calling in chat replies.
+ *
+ * streamReply() runs the loop: the model answers or asks for tool calls, the server runs
+ * them with the caller's permissions (see chatTools) and sends the results back, until the
+ * model gives its final answer. Each call is stored in `message_tool_calls` next to the
+ * assistant message it produced, so answers can be audited.
+ */
+class ToolService {
+  /**
+   * PUBLIC_INTERFACE
+   * Tools are used unless CHAT_TOOLS_ENABLED=false or the provider cannot call functions.
+   */
+  isEnabled() {
+    return process.env.CHAT_TOOLS_ENABLED !== 'false' && getProvider().supportsTools();
+  }
+
+  // PUBLIC_INTERFACE
+  listTools() {
+    return Object.entries(CHAT_TOOLS).map(([name, tool]) => ({
+      name,
+      description: tool.description,
+      parameters: tool.parameters
+    }));
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Run one tool call. Never throws: invalid arguments and failures become an `error`
+   * result, which is sent back to the model so it can correct itself.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {object} user - The caller ({ id, org_id, role })
+   * @param {{id: string, name: string, arguments: *}} call
+   * @returns {Promise<object>} { id, name, arguments, status: 'ok'|'error', result, error, duration_ms }
+   */
+  async execute(supabase, user, call) {
+    const startedAt = Date.now();
+    const record = { id: call.id, name: call.name, arguments: call.arguments, status: 'ok', result: null, error: null };
+    try {
+      const tool = CHAT_TOOLS[call.name];
+      if (!tool) throw new Error(`Unknown tool "${call.name}"`);
+      if (!isPlainObject(call.arguments)) throw new Error('Arguments must be a JSON object');
+      const errors = validate(tool.parameters, call.arguments);
+      if (errors.length > 0) throw new Error(`Invalid arguments: ${errors.join('; ')}`);
+
+      const result = await tool.run(supabase, user, call.arguments);
+      if (JSON.stringify(result).length > MAX_RESULT_CHARS) {
+        throw new Error('The result is too large; narrow the request');
+      }
+      record.result = result;
+    } catch (err) {
+      record.status = 'error';
+      record.error = err.message;
+      record.result = { error: err.message };
+    }
+    record.duration_ms = Date.now() - startedAt;
+    return record;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Generate a reply, calling tools as the model requests them. Without tool support this
+   * streams the provider's plain reply.
+   * @param {object} supabase - Authenticated Supabase client
+   * @param {object} user - The caller
+   * @param {string} message - The user message
+   * @param {Array<object>} history - Model context (system prompt and branch history)
+   * @param {object} [options] - Passed to the provider (e.g. onUsage, called once per round)
+   * @returns {AsyncGenerator<object>} `{ type: 'text', text }` chunks of the reply,
+   *   `{ type: 'tool_call', call }` before and `{ type: 'tool_result', call }` after each call
+   */
+  async *streamReply(supabase, user, message, history = [], options = {}) {
+    const provider = getProvider();
+    if (!this.isEnabled()) {
+      for await (const text of provider.streamReply(message, history, options)) {
+        yield { type: 'text', text };
+      }
+      return;
+    }
+
+    const tools = this.listTools();
+    const context = [{ role: 'system', content: TOOL_GUIDANCE }, ...history];
+    const steps = [];
+    for (let round = 0; ; round += 1) {
+      const allowToolCalls = round < MAX_ROUNDS;
+      let content = '';
+      let calls = [];
+      for await (const event of provider.streamWithTools(message, context, steps, { ...options, tools, allowToolCalls })) {
+        if (event.type === 'text') {
+          content += event.text;
+          yield event;
+        } else if (event.type === 'tool_calls') {
+          calls = event.calls;
+        }
+      }
+      if (calls.length === 0 || !allowToolCalls) return;
+
+      const step = { content, calls: [], results: [] };
+      for (const [index, call] of calls.entries()) {
+        const request = { ...call, id: call.id || `call_${round}_${index}` };
+        yield { type: 'tool_call', call: { id: request.id, name: request.name, arguments: request.arguments } };
+
+        const record = index < MAX_CALLS_PER_ROUND
+          ? await this.execute(supabase, user, request)
+          : {
+            ...request,
+            status: 'error',
+            error: `At most ${MAX_CALLS_PER_ROUND} tool calls per step`,
+            result: { error: `At most ${MAX_CALLS_PER_ROUND} tool calls per step` },
+            duration_ms: 0
+          };
+        yield { type: 'tool_result', call: { ...record, round, call_index: index } };
+
+        step.calls.push(request);
+        step.results.push({ id: record.id, name: record.name, result: record.result });
+      }
+      steps.push(step);
+    }
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Store the tool calls behind an assistant message, with the service role so users
+   * cannot write their own audit trail. A failed write is retried once (writes are
+   * idempotent per message, round and call index), then thrown.
+   * @param {object} message - The stored assistant message
+   * @param {string} userId - The caller
+   * @param {Array<object>} calls - `call` payloads of streamReply's tool_result events
+   * @returns {Promise<Array<object>>} The stored rows
+   */
+  async saveCalls(message, userId, calls) {
+    if (calls.length === 0) return [];
+    if (!supabaseAdmin) {
+      throw new Error('Supabase admin client is not configured');
+    }
+
+    const rows = calls.map(call => ({
+      message_id: message.id,
+      conversation_id: message.conversation_id,
+      org_id: message.org_id,
+      user_id: userId,
+      call_id: call.id,
+      round: call.round,
+      call_index: call.call_index,
+      tool_name: call.name,
+      arguments: call.arguments ?? {},
+      result: call.result,
+      status: call.status,
+      error: call.error,
+      duration_ms: call.duration_ms
+    }));
+
+    let lastError;
+    for (let attempt = 1; attempt <= SAVE_ATTEMPTS; attempt += 1) {
+      const { data, error } = await supabaseAdmin
+        .from('message_tool_calls')
+        .upsert(rows, { onConflict: 'message_id,round,call_index' })
+        .select(CALL_COLUMNS);
+      if (!error) return data;
+      lastError = error;
+      console.error(`Failed to store tool calls (attempt ${attempt}):`, error.message);
+    }
+    throw new Error(`Failed to store tool calls: ${lastError.message}`);
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Tool calls behind an assistant message, in the order they were made.
+   */
+  async listCalls(supabase, messageId) {
+    const { data, error } = await supabase
+      .from('message_tool_calls')
+      .select(CALL_COLUMNS)
+      .eq('message_id', messageId)
+      .order('round', { ascending: true })
+      .order('call_index', { ascending: true });
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+}
+
+module.exports = new ToolService();
@@ -0,0 +1,193 @@
+const { getProvider } = require('./llm');
+const usageService = require('./usageService');
+
+const BUILT_IN_TOPICS = [
+  { slug: 'pricing', name: 'Pricing', description: 'Pricing models, discounts, packaging and monetization' },
+  { slug: 'hiring', name: 'Hiring', description: 'Recruiting, team structure, compensation and talent' },
+  { slug: 'fundraising', name: 'Fundraising', description: 'Investors, funding rounds, valuation and financing' },
+  { slug: 'marketing', name: 'Marketing', description: 'Positioning, campaigns, channels, brand and demand generation' },
+  { slug: 'operations', name: 'Operations', description: 'Processes, supply chain, tooling, cost control and execution' }
+];
+
+// Conversations are classified once, after this many user messages
+const CLASSIFY_AFTER_EXCHANGES = 3;
+// Messages (oldest first) shown to the classifier
+const CLASSIFY_MESSAGE_LIMIT = 10;
+const MAX_MESSAGE_CHARS = 800;
+// A classification claim older than this is assumed abandoned (e.g. the server restarted)
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+const slugify = (text) => text
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .substring(0, 40);
+
+/**
+ * Service for conversation topics: the built-in set plus each organization's custom
+ * topic tags, and LLM classification of conversations into them. Topics are stored
+ * as slugs in `conversations.topics`.
+ */
+class TopicService {
+  // PUBLIC_INTERFACE
+  isBuiltIn(slug) {
+    return BUILT_IN_TOPICS.some(topic => topic.slug === slug);
+  }
+
+  // PUBLIC_INTERFACE
+  slugify(name) {
+    return slugify(name);
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * All topics available to an organization, built-in first.
+   * @returns {Promise<Array<{slug: string, name: string, description: string|null, builtin: boolean, id?: string}>>}
+   */
+  async listTopics(supabase, orgId) {
+    const { data, error } = await supabase
+      .from('topic_tags')
+      .select('id, slug, name, description')
+      .eq('org_id', orgId)
+      .order('name', { ascending: true });
+
+    if (error) throw new Error(error.message);
+    return [
+      ...BUILT_IN_TOPICS.map(topic => ({ ...topic, builtin: true })),
+      ...data.map(tag => ({ ...tag, builtin: false }))
+    ];
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Classify a conversation once it has reached CLASSIFY_AFTER_EXCHANGES user messages
+   * and has not been classified yet. Meant to run after the reply has been sent;
+   * failures are logged, never thrown. The conversation is claimed first, so replies
+   * finishing at the same time classify it only once.
+   * @param {object} supabase - Authenticated Supabase client of the conversation owner
+   * @param {object} user - req.user
+   * @param {string} conversationId
+   * @returns {Promise<string[]|null>} Assigned topics, or null if nothing was done
+   */
+  async classifyIfDue(supabase, user, conversationId) {
+    try {
+      const { data: conversation, error } = await supabase
+        .from('conversations')
+        .select('id, topics_classified_at')
+        .eq('id', conversationId)
+        .maybeSingle();
+      if (error) throw new Error(error.message);
+      if (!conversation || conversation.topics_classified_at) return null;
+
+      const { count, error: countError } = await supabase
+        .from('messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('conversation_id', conversationId)
+        .eq('role', 'user');
+      if (countError) throw new Error(countError.message);
+      if (count < CLASSIFY_AFTER_EXCHANGES) return null;
+
+      if (!(await this.claim(supabase, conversationId))) return null;
+      try {
+        return await this.classify(supabase, user, conversationId);
+      } catch (err) {
+        // Let a later reply try again
+        await supabase
+          .from('conversations')
+          .update({ topics_claimed_at: null })
+          .eq('id', conversationId);
+        throw err;
+      }
+    } catch (err) {
+      console.error(`Topic classification failed for conversation ${conversationId}:`, err);
+      return null;
+    }
+  }
+
+  // Marks an unclassified conversation as being classified; false if it is already
+  // classified or another classification is in progress
+  async claim(supabase, conversationId) {
+    const staleBefore = new Date(Date.now() - CLAIM_TIMEOUT_MS).toISOString();
+    const { data, error } = await supabase
+      .from('conversations')
+      .update({ topics_claimed_at: new Date().toISOString() })
+      .eq('id', conversationId)
+      .is('topics_classified_at', null)
+      .or(`topics_claimed_at.is.null,topics_claimed_at.lt.${staleBefore}`)
+      .select('id')
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    return !!data;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Ask the model which topics a conversation covers and store them.
+   * @returns {Promise<string[]>} Assigned topic slugs (possibly empty)
+   */
+  async classify(supabase, user, conversationId) {
+    const [topics, { data: messages, error }] = await Promise.all([
+      this.listTopics(supabase, user.org_id),
+      supabase
+        .from('messages')
+        .select('role, content')
+        .eq('conversation_id', conversationId)
+        .in('role', ['user', 'assistant'])
+        .order('created_at', { ascending: true })
+        .limit(CLASSIFY_MESSAGE_LIMIT)
+    ]);
+    if (error) throw new Error(error.message);
+
+    const transcript = messages
+      .map(msg => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${msg.content.substring(0, MAX_MESSAGE_CHARS)}`)
+      .join('\n\n');
+    const prompt = [
+      'Classify the business conversation below into the topics it substantially covers.',
+      'Choose only from these topics (slug: description):',
+      ...topics.map(topic => `- ${topic.slug}: ${topic.description || topic.name}`),
+      '',
+      'Answer with a JSON array of at most 3 slugs, e.g. ["pricing", "marketing"], or [] if none apply.',
+      'Answer with the JSON array only.',
+      '',
+      `Conversation:\n${transcript}`
+    ].join('\n');
+
+    const call = usageService.startCall();
+    const usage = { orgId: user.org_id, userId: user.id, conversationId, purpose: 'topics', input: [{ content: prompt }] };
+    let reply;
+    try {
+      reply = await getProvider().generateReply(prompt, [], { onUsage: call.onUsage });
+      await usageService.record(call, { ...usage, status: 'ok', output: reply });
+    } catch (err) {
+      await usageService.record(call, { ...usage, status: 'error', error: err.message });
+      throw err;
+    }
+
+    const allowed = new Set(topics.map(topic => topic.slug));
+    const assigned = this.parseTopics(reply).filter(slug => allowed.has(slug)).slice(0, 3);
+
+    const { error: updateError } = await supabase
+      .from('conversations')
+      .update({ topics: assigned, topics_classified_at: new Date().toISOString() })
+      .eq('id', conversationId);
+    if (updateError) throw new Error(updateError.message);
+
+    return assigned;
+  }
+
+  // Extracts the first JSON array of strings from a model reply (which may wrap it in prose or a code fence)
+  parseTopics(reply) {
+    const match = (reply || '').match(/\[[^\]]*\]/);
+    if (!match) return [];
+    try {
+      const parsed = JSON.parse(match[0]);
+      return Array.isArray(parsed)
+        ? [...new Set(parsed.filter(item => typeof item === 'string').map(item => item.trim().toLowerCase()))]
+        : [];
+    } catch {
+      return [];
+    }
+  }
+}
+
+module.exports = new TopicService();
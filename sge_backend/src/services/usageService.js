@@ -0,0 +1,155 @@
+const { getProvider } = require('./llm');
+const { supabaseAdmin } = require('../utils/supabase');
+const { estimateTokens, estimateMessagesTokens } = require('../utils/tokens');
+
+// USD per million tokens. Override or extend with LLM_PRICING, e.g.
+// LLM_PRICING={"gpt-4o-mini":{"input":0.15,"output":0.6}}
+const DEFAULT_PRICES = {
+  'gemini-pro': { input: 0.5, output: 1.5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'mock-1': { input: 0, output: 0 }
+};
+
+const loadPrices = () => {
+  if (!process.env.LLM_PRICING) return DEFAULT_PRICES;
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICING) };
+  } catch (err) {
+    console.warn('LLM_PRICING is not valid JSON; using default prices.');
+    return DEFAULT_PRICES;
+  }
+};
+
+/**
+ * Service for recording model calls (tokens, latency, outcome and estimated cost)
+ * in the `llm_usage` table.
+ *
+ * Usage: create a call with startCall(), pass `call.onUsage` to the provider, then
+ * record() it once the reply is stored. Recording never throws, so a usage write
+ * failure cannot break a chat reply.
+ *
+ * Rows are written with the service role: usage feeds quotas and billing, so clients
+ * cannot insert it themselves.
+ */
+class UsageService {
+  constructor() {
+    this.prices = loadPrices();
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Estimate the cost of a call in USD.
+   * @returns {number|null} Cost, or null when the model has no configured price
+   */
+  estimateCost(model, promptTokens, completionTokens) {
+    const price = this.prices[model];
+    if (!price) return null;
+    const cost = (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+    return Number(cost.toFixed(6));
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Start timing a model call. A reply that takes several model rounds (tool calls)
+   * reports usage once per round; the counts are summed.
+   * @returns {{ startedAt: number, usage: object|null, onUsage: Function }}
+   */
+  startCall() {
+    const call = { startedAt: Date.now(), usage: null };
+    call.onUsage = (usage) => {
+      call.usage = call.usage
+        ? {
+          prompt_tokens: call.usage.prompt_tokens + usage.prompt_tokens,
+          completion_tokens: call.usage.completion_tokens + usage.completion_tokens
+        }
+        : usage;
+    };
+    return call;
+  }
+
+  /**
+   * PUBLIC_INTERFACE
+   * Store a finished model call. Falls back to estimated token counts when the
+   * provider did not report usage.
+   * @param {object} call - Result of startCall
+   * @param {object} details
+   * @param {string} details.orgId
+   * @param {string} details.userId
+   * @param {string} [details.conversationId]
+   * @param {string} [details.messageId] - Stored assistant message, if any
+   * @param {'reply'|'summary'} details.purpose
+   * @param {'ok'|'error'|'aborted'} details.status
+   * @param {string} [details.error] - Error message for failed calls
+   * @param {Array<{content: string}>} details.input - Messages sent to the model
+   * @param {string} [details.output] - Generated text
+   * @param {string} [details.reservationId] - Quota reservation the call used (see quotaService.reserve)
+   * @returns {Promise<object|null>} The stored row, or null if recording failed
+   */
+  async record(call, details) {
+    const provider = getProvider();
+    // A call that failed before producing any output is not billed
+    const estimated = !call.usage && !!details.output;
+    let promptTokens = 0;
+    let completionTokens = 0;
+    if (call.usage) {
+      promptTokens = call.usage.prompt_tokens;
+      completionTokens = call.usage.completion_tokens;
+    } else if (estimated) {
+      promptTokens = estimateMessagesTokens(details.input);
+      completionTokens = estimateTokens(details.output);
+    }
+
+    try {
+      if (!supabaseAdmin) {
+        throw new Error('Supabase admin client is not configured');
+      }
+      const row = {
+        org_id: details.orgId,
+        user_id: details.userId,
+        conversation_id: details.conversationId || null,
+        message_id: details.messageId || null,
+        purpose: details.purpose,
+        provider: provider.name,
+        model: provider.model,
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        tokens_estimated: estimated,
+        latency_ms: Date.now() - call.startedAt,
+        status: details.status,
+        error: details.error ? String(details.error).substring(0, 1000) : null,
+        cost_usd: this.estimateCost(provider.model, promptTokens, completionTokens)
+      };
+
+      // The reservation becomes the call's row, unless it has already been released
+      if (details.reservationId) {
+        const { data, error } = await supabaseAdmin
+          .from('llm_usage')
+          .update(row)
+          .eq('id', details.reservationId)
+          .eq('status', 'pending')
+          .select()
+          .maybeSingle();
+        if (error) throw new Error(error.message);
+        if (data) return data;
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from('llm_usage')
+        .insert(row)
+        .select()
+        .single();
+
+      if (error) throw new Error(error.message);
+      return data;
+    } catch (err) {
+      console.error('Failed to record LLM usage:', err);
+      return null;
+    }
+  }
+}
+
+module.exports = new UsageService();
@@ -1,4 +1,5 @@
 const { supabaseAdmin } = require('../utils/supabase');
+const invitationService = require('./invitationService');
 
 /**
  * Service for handling user onboarding operations
@@ -6,12 +7,13 @@ const { supabaseAdmin } = require('../utils/supabase');
  */
 class UserOnboardingService {
   /**
-   * Find or create an organization by name
+   * Create a new organization. Organizations are never looked up by name: a user only
+   * joins an existing organization through an invitation.
    * @param {string} orgName - The organization name
    * @returns {Promise<{id: string, name: string}>} The organization record
    */
-  async findOrCreateOrganization(orgName) {
-    console.log('[UserOnboardingService] findOrCreateOrganization called');
+  async createOrganization(orgName) {
+    console.log('[UserOnboardingService] createOrganization called');
     console.log(`[UserOnboardingService] Input orgName: "${orgName}"`);
     
     if (!supabaseAdmin) {
@@ -19,38 +21,10 @@ class UserOnboardingService {
       throw new Error('Supabase admin client is not configured');
     }
 
-    console.log('[UserOnboardingService] Supabase admin client is available');
-
     // Normalize the organization name
     const normalizedName = orgName?.trim() || 'Default Organization';
-    console.log(`[UserOnboardingService] Normalized name: "${normalizedName}"`);
-
-    // First, try to find existing organization with this name
-    console.log('[UserOnboardingService] Searching for existing organization...');
-    const { data: existingOrg, error: searchError } = await supabaseAdmin
-      .from('organizations')
-      .select('id, name')
-      .ilike('name', normalizedName)
-      .limit(1)
-      .single();
-
-    console.log('[UserOnboardingService] Search result:', { existingOrg, searchError });
+    console.log(`[UserOnboardingService] Creating new organization: ${normalizedName}`);
 
-    if (existingOrg) {
-      console.log(`[UserOnboardingService] Found existing organization: ${existingOrg.name} (${existingOrg.id})`);
-      return existingOrg;
-    }
-
-    // If not found and error is not "no rows", throw the error
-    if (searchError && searchError.code !== 'PGRST116') {
-      console.error('[UserOnboardingService] Error searching for organization:', searchError);
-      console.error('[UserOnboardingService] Error code:', searchError.code);
-      console.error('[UserOnboardingService] Error details:', searchError.details);
-      throw new Error(`Failed to search for organization: ${searchError.message}`);
-    }
-
-    // Create new organization
-    console.log(`[UserOnboardingService] No existing org found, creating new organization: ${normalizedName}`);
     const { data: newOrg, error: createError } = await supabaseAdmin
       .from('organizations')
       .insert({ name: normalizedName })
@@ -76,11 +50,12 @@ class UserOnboardingService {
    * @param {string} userId - The user's auth.users id
    * @param {string} orgId - The organization id
    * @param {string|null} fullName - Optional full name
+   * @param {string} role - 'admin' or 'member'
    * @returns {Promise<object>} The created profile
    */
-  async createProfile(userId, orgId, fullName = null) {
+  async createProfile(userId, orgId, fullName = null, role = 'member') {
     console.log('[UserOnboardingService] createProfile called');
-    console.log(`[UserOnboardingService] userId: ${userId}, orgId: ${orgId}, fullName: ${fullName}`);
+    console.log(`[UserOnboardingService] userId: ${userId}, orgId: ${orgId}, fullName: ${fullName}, role: ${role}`);
     
     if (!supabaseAdmin) {
       console.error('[UserOnboardingService] Supabase admin client is not configured!');
@@ -90,7 +65,7 @@ class UserOnboardingService {
     const profileData = {
       id: userId,
       org_id: orgId,
-      role: 'member',
+      role,
       full_name: fullName
     };
 
@@ -116,31 +91,70 @@ class UserOnboardingService {
     return profile;
   }
 
+  /**
+   * The user's email from Supabase Auth. Invitations are bound to it, so it is never taken
+   * from a request, and only used once the user has confirmed it.
+   * @param {string} userId - The user's auth.users id
+   * @returns {Promise<string|null>} The email, or null while it is unconfirmed
+   */
+  async getConfirmedEmail(userId) {
+    if (!supabaseAdmin) {
+      throw new Error('Supabase admin client is not configured');
+    }
+
+    const { data, error } = await supabaseAdmin.auth.admin.getUserById(userId);
+    if (error || !data?.user) {
+      throw new Error(`Failed to fetch user: ${error?.message || 'user not found'}`);
+    }
+    return data.user.email_confirmed_at ? data.user.email : null;
+  }
+
   /**
    * PUBLIC_INTERFACE
-   * Handle complete user onboarding flow
+   * Handle complete user onboarding flow. With an `invite_token` the user joins the
+   * invitation's organization with the invited role; otherwise a new organization is
+   * created and the user becomes its admin.
    * @param {string} userId - The user's auth.users id
-   * @param {object} metadata - User metadata containing organization_name
+   * @param {object} metadata - User metadata containing organization_name or invite_token
    * @returns {Promise<{organization: object, profile: object}>} The created records
    */
   async onboardUser(userId, metadata = {}) {
     console.log('[UserOnboardingService] onboardUser called');
     console.log(`[UserOnboardingService] userId: ${userId}`);
-    console.log('[UserOnboardingService] metadata:', metadata);
+    // Invitation tokens are secrets and stay out of the logs
+    const inviteToken = metadata.invite_token || metadata.inviteToken;
+    console.log('[UserOnboardingService] metadata:', Object.fromEntries(
+      Object.entries(metadata).filter(([key]) => key !== 'invite_token' && key !== 'inviteToken')
+    ));
+    console.log(`[UserOnboardingService] Invitation token present: ${!!inviteToken}`);
     
     try {
+      if (inviteToken) {
+        console.log('[UserOnboardingService] Accepting invitation...');
+        const email = await this.getConfirmedEmail(userId);
+        if (!email) {
+          throw new Error('Confirm your email address before joining an organization by invitation');
+        }
+        const result = await invitationService.accept(userId, email, inviteToken, metadata.full_name || null);
+        if (result.error) {
+          throw new Error(result.error);
+        }
+        console.log(`[UserOnboardingService] User ${userId} joined organization ${result.organization.id} by invitation`);
+        return result;
+      }
+
       // Extract organization name from metadata
       const orgName = metadata.organization_name || metadata.organizationName;
       console.log(`[UserOnboardingService] Extracted orgName: "${orgName}"`);
 
-      // Step 1: Find or create organization
-      console.log('[UserOnboardingService] Step 1: Finding or creating organization...');
-      const organization = await this.findOrCreateOrganization(orgName);
+      // Step 1: Create organization
+      console.log('[UserOnboardingService] Step 1: Creating organization...');
+      const organization = await this.createOrganization(orgName);
       console.log('[UserOnboardingService] Organization result:', organization);
 
-      // Step 2: Create profile
+      // Step 2: Create profile; whoever creates an organization administers it
       console.log('[UserOnboardingService] Step 2: Creating profile...');
-      const profile = await this.createProfile(userId, organization.id, metadata.full_name || null);
+      const profile = await this.createProfile(userId, organization.id, metadata.full_name || null, 'admin');
       console.log('[UserOnboardingService] Profile result:', profile);
 
       console.log(`[UserOnboardingService] Successfully onboarded user ${userId}`);
@@ -0,0 +1,94 @@
+// Minimal RFC 4180 CSV parsing for uploaded spreadsheets: quoted fields, escaped quotes,
+// CRLF line endings, and a comma, semicolon or tab delimiter detected from the header.
+
+const DELIMITERS = [',', ';', '\t'];
+
+// The delimiter that occurs most often outside quotes on the first line
+const detectDelimiter = (text) => {
+  const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && (char === '\n' || char === '\r')) break;
+    else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Parse CSV text into records keyed by the header row.
+ * @param {string} text - CSV content; the first row is the header
+ * @returns {{header: string[], records: Array<object>, lines: number[]} | {error: string}}
+ *   `lines[i]` is the line of the file that `records[i]` starts on
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  // Each row keeps the line it starts on, for error messages
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        // Line breaks inside quoted fields still count as lines
+        if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) line += 1;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push({ cells: row, line: rowLine });
+      row = [];
+      field = '';
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) return { error: 'Unterminated quoted field' };
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ cells: row, line: rowLine });
+  }
+
+  // Blank lines (e.g. a trailing newline) are not records
+  const nonEmpty = rows.filter(({ cells }) => cells.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) return { error: 'The file is empty' };
+
+  const header = nonEmpty[0].cells.map(name => name.trim());
+  if (header.some(name => name === '')) return { error: 'Every column needs a header' };
+  if (new Set(header).size !== header.length) return { error: 'Column headers must be unique' };
+
+  const records = [];
+  const lines = [];
+  for (const { cells, line: number } of nonEmpty.slice(1)) {
+    if (cells.length > header.length) {
+      return { error: `Row ${number} has ${cells.length} fields, the header has ${header.length}` };
+    }
+    records.push(Object.fromEntries(header.map((name, j) => [name, cells[j] ?? ''])));
+    lines.push(number);
+  }
+  return { header, records, lines };
+};
+
+module.exports = {
+  parseCsv
+};
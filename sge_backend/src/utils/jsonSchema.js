@@ -0,0 +1,85 @@
+// Minimal JSON Schema validation for model output.
+// Supports the subset the artifact schemas use: type (object, array, string, number,
+// integer, boolean), properties, required, additionalProperties: false, items,
+// minItems, maxItems, minLength, maxLength, enum, minimum, maximum and nullable
+// (OpenAPI style: `{ type: 'string', nullable: true }` also accepts null).
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (expected, value) => {
+  const actual = typeOf(value);
+  if (expected === 'number') return actual === 'number' || actual === 'integer';
+  return actual === expected;
+};
+
+const check = (schema, value, path, errors) => {
+  if (value === null && schema.nullable) return;
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(`${path} must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        check(properties[key], item, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Validate a value against a schema.
+ * @param {object} schema - JSON Schema (supported subset, see above)
+ * @param {*} value
+ * @returns {string[]} Error messages; empty when the value is valid
+ */
+const validate = (schema, value) => {
+  const errors = [];
+  check(schema, value, '$', errors);
+  return errors;
+};
+
+module.exports = {
+  validate
+};
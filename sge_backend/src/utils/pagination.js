@@ -0,0 +1,121 @@
+// Keyset (cursor) pagination helpers for Supabase queries.
+//
+// Listings are ordered descending on a tuple of sort keys, e.g. (created_at, id).
+// A cursor is the opaque, base64url-encoded tuple of the last row a client saw:
+// - `before=<cursor>` continues down the listing (rows that sort after the cursor, i.e. older)
+// - `after=<cursor>` goes back up the listing (rows that sort before the cursor, i.e. newer)
+// `next_cursor` in the response continues in the same direction and is null once exhausted.
+
+const { isUuid } = require('./uuid');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+const isTimestamp = (value) => typeof value === 'string' && TIMESTAMP.test(value) && !Number.isNaN(Date.parse(value));
+
+// Valid cursor values per sort key. Cursors come from clients and end up in a filter,
+// so a value of the wrong type is rejected as an invalid cursor rather than sent to Postgres.
+// Every sort key a listing uses needs an entry here.
+const KEY_FORMATS = {
+  id: isUuid,
+  created_at: isTimestamp,
+  updated_at: isTimestamp,
+  ts: isTimestamp,
+  pinned: (value) => typeof value === 'boolean',
+  version: (value) => Number.isInteger(value)
+};
+
+const encodeCursor = (row, keys) =>
+  Buffer.from(JSON.stringify(keys.map(key => row[key]))).toString('base64url');
+
+const decodeCursor = (cursor, keys) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(values) && values.length === keys.length &&
+        values.every((value, i) => KEY_FORMATS[keys[i]](value))) {
+      return values;
+    }
+  } catch {
+    // Fall through to the invalid cursor result
+  }
+  return null;
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Parse `limit`, `before` and `after` from the query string.
+ * @param {object} query - req.query
+ * @param {string[]} keys - Sort key columns, most significant first
+ * @returns {{limit: number, cursor: Array|null, direction: 'before'|'after'} | {error: string}}
+ */
+const parsePageParams = (query, keys) => {
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+  }
+
+  if (query.before && query.after) {
+    return { error: 'Use either before or after, not both' };
+  }
+
+  const direction = query.after ? 'after' : 'before';
+  const raw = query.after || query.before;
+  if (!raw) return { limit, cursor: null, direction };
+
+  const cursor = decodeCursor(raw, keys);
+  if (!cursor) return { error: 'Invalid cursor' };
+  return { limit, cursor, direction };
+};
+
+// Build a PostgREST `or` filter for a lexicographic tuple comparison (keys op values)
+const tupleFilter = (keys, values, op) => {
+  const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  return keys.map((key, i) => {
+    const equals = keys.slice(0, i).map((prev, j) => `${prev}.eq.${quote(values[j])}`);
+    const clause = `${key}.${op}.${quote(values[i])}`;
+    return equals.length ? `and(${[...equals, clause].join(',')})` : clause;
+  }).join(',');
+};
+
+/**
+ * PUBLIC_INTERFACE
+ * Apply keyset pagination to a Supabase query and run it.
+ * Rows are always returned in descending key order.
+ * @param {object} query - Supabase query builder (filters already applied, no ordering)
+ * @param {string[]} keys - Sort key columns, most significant first
+ * @param {object} page - Result of parsePageParams
+ * @returns {Promise<{data: Array, next_cursor: string|null}>}
+ */
+const fetchPage = async (query, keys, { limit, cursor, direction }) => {
+  const ascending = direction === 'after';
+
+  if (cursor) {
+    query = query.or(tupleFilter(keys, cursor, ascending ? 'gt' : 'lt'));
+  }
+  for (const key of keys) {
+    query = query.order(key, { ascending });
+  }
+
+  // Fetch one extra row to know whether another page exists
+  const { data, error } = await query.limit(limit + 1);
+  if (error) throw new Error(error.message);
+
+  const hasMore = data.length > limit;
+  const rows = data.slice(0, limit);
+  const nextCursor = hasMore ? encodeCursor(rows[rows.length - 1], keys) : null;
+
+  return {
+    data: ascending ? rows.reverse() : rows,
+    next_cursor: nextCursor
+  };
+};
+
+module.exports = {
+  parsePageParams,
+  fetchPage,
+  encodeCursor
+};
@@ -0,0 +1,48 @@
+// Helpers for writing Server-Sent Events responses
+
+/**
+ * Returns true when the client asked for a streamed (SSE) response,
+ * either via `?stream=true` or an `Accept: text/event-stream` header.
+ * @param {object} req - Express request object
+ * @returns {boolean}
+ */
+const wantsEventStream = (req) => {
+  if (req.query.stream === 'true' || req.query.stream === '1') return true;
+  const accept = req.get('accept') || '';
+  return accept.includes('text/event-stream');
+};
+
+/**
+ * Sets SSE headers on the response and flushes them immediately
+ * so the client can start reading events.
+ * @param {object} res - Express response object
+ */
+const openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Disable proxy buffering (nginx) so tokens reach the client as they arrive
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+};
+
+/**
+ * Writes a single named event with a JSON payload.
+ * No-op if the connection has already been closed.
+ * @param {object} res - Express response object
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serialisable payload
+ */
+const sendEvent = (res, event, data) => {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+module.exports = {
+  wantsEventStream,
+  openEventStream,
+  sendEvent
+};
@@ -0,0 +1,37 @@
+// Rough token estimation used for context budgeting.
+// Most LLM tokenizers average about four characters per token for English text,
+// which is close enough for trimming history without pulling in a tokenizer.
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the token count of a piece of text.
+ * @param {string} text
+ * @returns {number}
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+/**
+ * Estimate the total token count of a list of `{ content }` messages.
+ * @param {Array<{content: string}>} messages
+ * @returns {number}
+ */
+const estimateMessagesTokens = (messages) =>
+  messages.reduce((total, msg) => total + estimateTokens(msg.content), 0);
+
+/**
+ * Cut text down to roughly `maxTokens`, keeping the beginning and noting the cut.
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+const truncateToTokens = (text, maxTokens) => {
+  if (estimateTokens(text) <= maxTokens) return text;
+  const marker = '\n[...truncated]';
+  return text.substring(0, Math.max(0, maxTokens * CHARS_PER_TOKEN - marker.length)) + marker;
+};
+
+module.exports = {
+  estimateTokens,
+  estimateMessagesTokens,
+  truncateToTokens
+};
@@ -0,0 +1,16 @@
+// UUID checks for ids taken from requests. Postgres rejects malformed uuids with an error,
+// so ids are validated up front to answer 400 instead of 500.
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * PUBLIC_INTERFACE
+ * Whether a value is a UUID string.
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isUuid = (value) => typeof value === 'string' && UUID.test(value);
+
+module.exports = {
+  isUuid
+};
@@ -6,7 +6,7 @@ const options = {
     info: {
       title: 'Strategic Growth Engine (SGE) Backend API',
       version: '1.0.0',
-      description: 'Express.js backend API that powers the Strategic Growth Engine with authenticated chat endpoints backed by Google Gemini AI and Supabase-based analytics and storage.',
+      description: 'Express.js backend API that powers the Strategic Growth Engine with authenticated chat endpoints backed by a pluggable LLM provider (Google Gemini, OpenAI-compatible or mock) and Supabase-based analytics and storage.',
       contact: {
         name: 'API Support'
       }
@@ -41,6 +41,10 @@ const options = {
         name: 'Dashboard',
         description: 'Dashboard analytics'
       },
+      {
+        name: 'Admin',
+        description: 'Organization administration (admins only)'
+      },
       {
         name: 'Onboarding',
         description: 'User onboarding and organization setup'
@@ -0,0 +1,76 @@
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/utils/supabase', () => require('./helpers/fakeSupabase').supabaseModule);
+jest.mock('../src/middleware/auth', () => require('./helpers/api').authMiddleware);
+
+const fake = require('./helpers/fakeSupabase');
+const { setUser, startServer } = require('./helpers/api');
+const { getProvider } = require('../src/services/llm');
+
+const user = { id: '11111111-1111-4111-8111-111111111111', org_id: '22222222-2222-4222-8222-222222222222', role: 'member' };
+const reservationId = '55555555-5555-4555-8555-555555555555';
+
+const swot = {
+  summary: 'Strong product, thin sales team',
+  strengths: ['Product'],
+  weaknesses: ['Sales capacity'],
+  opportunities: ['Mid-market'],
+  threats: ['New entrants']
+};
+
+let server;
+
+beforeAll(async () => {
+  server = await startServer();
+});
+
+afterAll(() => server.close());
+
+beforeEach(() => {
+  fake.reset();
+  setUser(user);
+  // Reserves like the database function: a pending reply row
+  fake.rpcs.reserve_chat_quota = () => {
+    fake.tables.llm_usage = [
+      ...(fake.tables.llm_usage || []),
+      { id: reservationId, org_id: user.org_id, user_id: user.id, purpose: 'reply', status: 'pending' }
+    ];
+    return { plan: 'free', reservation_id: reservationId };
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('records the generation against the request\'s quota reservation', async () => {
+  const { body: first } = await server.request('POST', '/api/chat/message', { content: 'Where do we stand?' });
+  jest.spyOn(getProvider(), 'generateReply')
+    .mockResolvedValueOnce('Here you go: {"summary": ""}')
+    .mockResolvedValueOnce(`\`\`\`json\n${JSON.stringify(swot)}\n\`\`\``);
+
+  const { status, body } = await server.request('POST', `/api/chat/conversations/${first.conversation_id}/artifacts`, { type: 'swot' });
+
+  expect(status).toBe(201);
+  expect(body).toMatchObject({ type: 'swot', content: swot, created_by: user.id });
+
+  // The first attempt takes over the reservation, the retry counts as a call of its own
+  const calls = fake.tables.llm_usage.filter(row => row.purpose === 'artifact');
+  expect(calls).toEqual([
+    expect.objectContaining({ id: reservationId, status: 'ok', conversation_id: first.conversation_id }),
+    expect.objectContaining({ status: 'ok', conversation_id: first.conversation_id })
+  ]);
+  expect(calls[1].id).not.toBe(reservationId);
+  expect(fake.tables.llm_usage.some(row => row.status === 'pending')).toBe(false);
+});
+
+test('answers 502 with the validation errors of the last attempt', async () => {
+  const { body: first } = await server.request('POST', '/api/chat/message', { content: 'Where do we stand?' });
+
+  const { status, body } = await server.request('POST', `/api/chat/conversations/${first.conversation_id}/artifacts`, { type: 'swot' });
+
+  expect(status).toBe(502);
+  expect(body).toEqual({ error: 'The model did not produce a valid artifact', details: ['The reply did not contain a JSON object'] });
+  expect(fake.tables.llm_usage.filter(row => row.purpose === 'artifact')).toHaveLength(2);
+  expect(fake.tables.artifacts).toBeUndefined();
+});
@@ -0,0 +1,136 @@
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/utils/supabase', () => require('./helpers/fakeSupabase').supabaseModule);
+jest.mock('../src/middleware/auth', () => require('./helpers/api').authMiddleware);
+
+const fake = require('./helpers/fakeSupabase');
+const { setUser, startServer } = require('./helpers/api');
+
+const orgId = '22222222-2222-4222-8222-222222222222';
+const member = { id: '11111111-1111-4111-8111-111111111111', org_id: orgId, role: 'member' };
+const admin = { id: '44444444-4444-4444-8444-444444444444', org_id: orgId, role: 'admin' };
+
+let server;
+
+beforeAll(async () => {
+  server = await startServer();
+});
+
+afterAll(() => server.close());
+
+beforeEach(() => {
+  fake.reset();
+  setUser(member);
+});
+
+// Sends a first message and returns the JSON reply
+const startConversation = async () => (await server.request('POST', '/api/chat/message', { content: 'Original question' })).body;
+
+const activeBranch = async (conversationId) =>
+  (await server.request('GET', `/api/chat/conversations/${conversationId}/messages`)).body.data;
+
+describe('editing a message', () => {
+  test('adds a sibling branch and makes it active', async () => {
+    const first = await startConversation();
+
+    const { status, body } = await server.request('POST', `/api/chat/messages/${first.userMessage.id}/edit`, { content: 'Edited question' });
+    expect(status).toBe(200);
+    expect(body.userMessage).toMatchObject({ content: 'Edited question', parent_id: null });
+    expect(body.assistantMessage.parent_id).toBe(body.userMessage.id);
+
+    // Newest first: the edited exchange, with the original as an alternative
+    const branch = await activeBranch(first.conversation_id);
+    expect(branch.map(message => message.content)).toEqual([body.assistantMessage.content, 'Edited question']);
+    expect(branch[1].sibling_ids).toEqual([first.userMessage.id, body.userMessage.id]);
+    expect(fake.tables.messages.find(message => message.id === first.userMessage.id).content).toBe('Original question');
+  });
+
+  test('is limited to the author\'s own user messages', async () => {
+    const first = await startConversation();
+
+    const reply = await server.request('POST', `/api/chat/messages/${first.assistantMessage.id}/edit`, { content: 'x' });
+    expect(reply.status).toBe(400);
+
+    setUser(admin);
+    const other = await server.request('POST', `/api/chat/messages/${first.userMessage.id}/edit`, { content: 'x' });
+    expect(other).toMatchObject({ status: 403, body: { error: 'Only the author of a message can edit it' } });
+  });
+});
+
+describe('regenerating a reply', () => {
+  test('adds a sibling reply built from the history before it', async () => {
+    const first = await startConversation();
+
+    const { status, body } = await server.request('POST', `/api/chat/conversations/${first.conversation_id}/regenerate`);
+    expect(status).toBe(200);
+    expect(body.userMessage.id).toBe(first.userMessage.id);
+    expect(body.assistantMessage.id).not.toBe(first.assistantMessage.id);
+    expect(body.assistantMessage.parent_id).toBe(first.userMessage.id);
+    // Only the tool guidance precedes the question; the replaced reply is not part of the context
+    expect(body.assistantMessage.content).toMatch(/has 1 previous message\.$/);
+
+    const branch = await activeBranch(first.conversation_id);
+    expect(branch[0].id).toBe(body.assistantMessage.id);
+    expect(branch[0].sibling_ids).toEqual([first.assistantMessage.id, body.assistantMessage.id]);
+  });
+
+  test('is limited to the author of the user message', async () => {
+    const first = await startConversation();
+    setUser(admin);
+
+    const { status, body } = await server.request('POST', `/api/chat/conversations/${first.conversation_id}/regenerate`);
+    expect(status).toBe(403);
+    expect(body).toEqual({ error: 'Only the author of a message can regenerate its reply' });
+    expect(fake.tables.conversations[0].active_leaf_id).toBe(first.assistantMessage.id);
+  });
+
+  test('answers 404 when the latest message is gone', async () => {
+    const first = await startConversation();
+    fake.tables.conversations[0].active_leaf_id = '99999999-9999-4999-8999-999999999999';
+
+    const { status, body } = await server.request('POST', `/api/chat/conversations/${first.conversation_id}/regenerate`);
+    expect(status).toBe(404);
+    expect(body).toEqual({ error: 'Latest message not found' });
+  });
+
+  test('needs a message to answer', async () => {
+    const { body: conversation } = await server.request('POST', '/api/chat/conversations', { title: 'Empty' });
+    const { status } = await server.request('POST', `/api/chat/conversations/${conversation.id}/regenerate`);
+    expect(status).toBe(400);
+  });
+});
+
+describe('switching branches', () => {
+  test('moves to the newest continuation of the chosen message', async () => {
+    const first = await startConversation();
+    const edited = (await server.request('POST', `/api/chat/messages/${first.userMessage.id}/edit`, { content: 'Edited question' })).body;
+
+    const { status, body } = await server.request('POST', `/api/chat/conversations/${first.conversation_id}/active-branch`, {
+      message_id: first.userMessage.id
+    });
+    expect(status).toBe(200);
+    expect(body).toEqual({ conversation_id: first.conversation_id, active_leaf_id: first.assistantMessage.id });
+    expect((await activeBranch(first.conversation_id)).map(message => message.content)[1]).toBe('Original question');
+
+    const back = await server.request('POST', `/api/chat/conversations/${first.conversation_id}/active-branch`, {
+      message_id: edited.userMessage.id
+    });
+    expect(back.body.active_leaf_id).toBe(edited.assistantMessage.id);
+  });
+
+  test('validates message_id', async () => {
+    const first = await startConversation();
+    const path = `/api/chat/conversations/${first.conversation_id}/active-branch`;
+
+    expect((await server.request('POST', path, {})).body).toEqual({ error: 'message_id is required' });
+    for (const messageId of ['not-a-uuid', 42]) {
+      const { status, body } = await server.request('POST', path, { message_id: messageId });
+      expect(status).toBe(400);
+      expect(body).toEqual({ error: 'message_id must be a valid id' });
+    }
+
+    const other = await startConversation();
+    const { status } = await server.request('POST', path, { message_id: other.userMessage.id });
+    expect(status).toBe(404);
+  });
+});
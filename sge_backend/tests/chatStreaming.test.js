@@ -0,0 +1,136 @@
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/utils/supabase', () => require('./helpers/fakeSupabase').supabaseModule);
+jest.mock('../src/middleware/auth', () => require('./helpers/api').authMiddleware);
+
+const fake = require('./helpers/fakeSupabase');
+const { setUser, startServer, parseEvents } = require('./helpers/api');
+const chatService = require('../src/services/chatService');
+const toolService = require('../src/services/toolService');
+const { wantsEventStream } = require('../src/utils/sse');
+
+const user = { id: '11111111-1111-4111-8111-111111111111', org_id: '22222222-2222-4222-8222-222222222222', role: 'member' };
+
+let server;
+
+beforeAll(async () => {
+  server = await startServer();
+});
+
+afterAll(() => server.close());
+
+beforeEach(() => {
+  fake.reset();
+  setUser(user);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('wantsEventStream', () => {
+  const request = (query, accept) => ({ query, get: () => accept });
+
+  test('is true for ?stream=true, ?stream=1 or an event-stream Accept header', () => {
+    expect(wantsEventStream(request({ stream: 'true' }))).toBe(true);
+    expect(wantsEventStream(request({ stream: '1' }))).toBe(true);
+    expect(wantsEventStream(request({}, 'text/event-stream'))).toBe(true);
+    expect(wantsEventStream(request({ stream: 'false' }, 'application/json'))).toBe(false);
+  });
+});
+
+describe('POST /api/chat/message', () => {
+  test('streams the reply as start, token and done events', async () => {
+    const { status, headers, body } = await server.request('POST', '/api/chat/message?stream=true', { content: 'Plan our launch' });
+
+    expect(status).toBe(200);
+    expect(headers.get('content-type')).toMatch(/^text\/event-stream/);
+    expect(headers.get('cache-control')).toBe('no-cache');
+
+    const events = parseEvents(body);
+    const names = events.map(event => event.event);
+    expect(names[0]).toBe('start');
+    expect(names[names.length - 1]).toBe('done');
+    expect(names.slice(1, -1).every(name => name === 'token')).toBe(true);
+    expect(names.length).toBeGreaterThan(3);
+
+    const [start] = events;
+    const done = events[events.length - 1].data;
+    expect(start.data.userMessage.content).toBe('Plan our launch');
+    expect(done.conversation_id).toBe(start.data.conversation_id);
+
+    // Tokens join back to the stored reply; the only earlier message is the tool guidance
+    const streamed = events.filter(event => event.event === 'token').map(event => event.data.text).join('');
+    expect(streamed).toBe('[mock] You said: "Plan our launch". This conversation has 1 previous message.');
+    expect(done.assistantMessage).toMatchObject({ role: 'assistant', content: streamed, parent_id: start.data.userMessage.id });
+
+    const conversation = fake.tables.conversations[0];
+    expect(conversation.active_leaf_id).toBe(done.assistantMessage.id);
+    expect(fake.tables.llm_usage).toEqual([
+      expect.objectContaining({ purpose: 'reply', status: 'ok', message_id: done.assistantMessage.id })
+    ]);
+  });
+
+  test('streams when the client accepts text/event-stream', async () => {
+    const { body } = await server.request('POST', '/api/chat/message', { content: 'Hello' }, { accept: 'text/event-stream' });
+    expect(parseEvents(body).map(event => event.event)).toContain('done');
+  });
+
+  test('answers with JSON without streaming', async () => {
+    const { status, body } = await server.request('POST', '/api/chat/message', { content: 'Hello' });
+    expect(status).toBe(200);
+    expect(body.assistantMessage.content).toMatch(/^\[mock\] You said: "Hello"/);
+  });
+
+  test('continues the conversation with its history', async () => {
+    const first = await server.request('POST', '/api/chat/message', { content: 'First' });
+    const { body } = await server.request('POST', '/api/chat/message?stream=true', {
+      content: 'Second',
+      conversation_id: first.body.conversation_id
+    });
+    const done = parseEvents(body).pop().data;
+    // The first exchange follows the tool guidance
+    expect(done.assistantMessage.content).toMatch(/This conversation has 3 previous messages\.$/);
+    expect(done.userMessage.parent_id).toBe(first.body.assistantMessage.id);
+  });
+
+  test('stores what was generated and reports an error when the model fails mid-stream', async () => {
+    jest.spyOn(toolService, 'streamReply').mockImplementation(async function* () {
+      yield { type: 'text', text: 'Partial ' };
+      throw new Error('upstream closed');
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { body } = await server.request('POST', '/api/chat/message?stream=true', { content: 'Hello' });
+    const events = parseEvents(body);
+
+    expect(events.map(event => event.event)).toEqual(['start', 'token', 'error', 'done']);
+    expect(events[2].data).toEqual({ error: 'Reply generation was interrupted' });
+    expect(events[3].data.assistantMessage.content).toBe('Partial ');
+    expect(fake.tables.llm_usage[0]).toMatchObject({ status: 'error', error: 'upstream closed' });
+  });
+
+  test('records the model call when the reply cannot be stored', async () => {
+    const insertMessage = chatService.insertMessage.bind(chatService);
+    jest.spyOn(chatService, 'insertMessage').mockImplementation((supabase, message) =>
+      (message.role === 'assistant' ? Promise.reject(new Error('insert failed')) : insertMessage(supabase, message)));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const json = await server.request('POST', '/api/chat/message', { content: 'Hello' });
+    expect(json.status).toBe(500);
+
+    const stream = await server.request('POST', '/api/chat/message?stream=true', { content: 'Hello' });
+    expect(parseEvents(stream.body).pop()).toEqual({ event: 'error', data: { error: 'Failed to store assistant reply' } });
+
+    expect(fake.tables.llm_usage).toEqual([
+      expect.objectContaining({ purpose: 'reply', status: 'ok', message_id: null }),
+      expect.objectContaining({ purpose: 'reply', status: 'ok', message_id: null })
+    ]);
+  });
+
+  test('validates the request before opening the stream', async () => {
+    const { status, body } = await server.request('POST', '/api/chat/message?stream=true', { content: '  ' });
+    expect(status).toBe(400);
+    expect(body).toEqual({ error: 'content is required and must be a non-empty string' });
+  });
+});
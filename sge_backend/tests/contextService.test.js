@@ -0,0 +1,185 @@
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/utils/supabase', () => require('./helpers/fakeSupabase').supabaseModule);
+jest.mock('../src/middleware/auth', () => require('./helpers/api').authMiddleware);
+
+const fake = require('./helpers/fakeSupabase');
+const { setUser, startServer } = require('./helpers/api');
+const contextService = require('../src/services/contextService');
+const toolService = require('../src/services/toolService');
+const { estimateTokens } = require('../src/utils/tokens');
+
+const user = { id: '11111111-1111-4111-8111-111111111111', org_id: '22222222-2222-4222-8222-222222222222', role: 'member' };
+const conversationId = '33333333-3333-4333-8333-333333333333';
+const params = (parentId, extra = {}) => ({ conversationId, orgId: user.org_id, userId: user.id, parentId, ...extra });
+
+// Stores a chain of alternating user/assistant messages and returns them, oldest first
+const storeThread = (contents) => {
+  const messages = [];
+  contents.forEach((content, i) => {
+    messages.push({
+      id: `m${i}`,
+      conversation_id: conversationId,
+      role: i % 2 === 0 ? 'user' : 'assistant',
+      content,
+      parent_id: i > 0 ? `m${i - 1}` : null,
+      created_at: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString()
+    });
+  });
+  fake.tables.messages = messages;
+  return messages;
+};
+
+const budget = contextService.tokenBudget;
+
+beforeEach(() => {
+  fake.reset();
+  contextService.tokenBudget = 100;
+});
+
+afterAll(() => {
+  contextService.tokenBudget = budget;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('contextService.fitMessage', () => {
+  test('keeps messages within a quarter of the budget and cuts longer ones', () => {
+    expect(contextService.fitMessage('short')).toBe('short');
+
+    const cut = contextService.fitMessage('x'.repeat(1000));
+    expect(cut).toMatch(/\n\[\.\.\.truncated\]$/);
+    expect(estimateTokens(cut)).toBeLessThanOrEqual(25);
+  });
+});
+
+describe('contextService.fitPassages', () => {
+  test('keeps the passages that fit in half the budget, in order', () => {
+    const passages = [{ content: 'a'.repeat(80) }, { content: 'b'.repeat(160) }, { content: 'c'.repeat(80) }];
+    // 20 + 40 tokens would overflow the 50 token half; the third still fits
+    expect(contextService.fitPassages(passages)).toEqual([passages[0], passages[2]]);
+  });
+});
+
+describe('contextService.buildContext', () => {
+  test('is empty for the first message of a conversation', async () => {
+    expect(await contextService.buildContext(fake.client, params(null))).toEqual([]);
+  });
+
+  test('returns the branch, oldest first, when it fits the budget', async () => {
+    storeThread(['Hi', 'Hello', 'How are sales?', 'Up 5%']);
+    // A sibling reply on another branch is not part of the history
+    fake.tables.messages.push({ id: 'other', conversation_id: conversationId, role: 'assistant', content: 'Other', parent_id: 'm0' });
+
+    expect(await contextService.buildContext(fake.client, params('m3'))).toEqual([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello' },
+      { role: 'user', content: 'How are sales?' },
+      { role: 'assistant', content: 'Up 5%' }
+    ]);
+  });
+
+  test('truncates a single oversized message to half the budget', async () => {
+    storeThread(['y'.repeat(1000)]);
+    const [message] = await contextService.buildContext(fake.client, params('m0'));
+    expect(message.content).toMatch(/\[\.\.\.truncated\]$/);
+    expect(estimateTokens(message.content)).toBeLessThanOrEqual(50);
+  });
+
+  test('folds older turns into a stored summary once the budget is exceeded', async () => {
+    // Six 20-token messages: 120 tokens against a budget of 100
+    storeThread(Array.from({ length: 6 }, (_, i) => `${i}`.repeat(80)));
+
+    const history = await contextService.buildContext(fake.client, params('m5'));
+
+    expect(history[0].role).toBe('system');
+    expect(history[0].content).toMatch(/^Summary of the earlier part of this conversation:\n\[mock\]/);
+    // The newest turns that fit in half the budget, starting with a user message
+    expect(history.slice(1).map(message => message.content)).toEqual(['4'.repeat(80), '5'.repeat(80)]);
+
+    const summaries = fake.tables.messages.filter(message => message.role === 'system');
+    expect(summaries).toEqual([expect.objectContaining({
+      conversation_id: conversationId,
+      org_id: user.org_id,
+      metadata: { type: 'summary', covers_message_id: 'm3' }
+    })]);
+    expect(fake.tables.llm_usage).toEqual([expect.objectContaining({ purpose: 'summary', status: 'ok' })]);
+  });
+
+  test('continues from the summary that covers the branch', async () => {
+    storeThread(Array.from({ length: 6 }, (_, i) => `${i}`.repeat(80)));
+    fake.tables.messages.push(
+      {
+        id: 's1',
+        conversation_id: conversationId,
+        role: 'system',
+        content: 'Summary up to m3',
+        metadata: { type: 'summary', covers_message_id: 'm3' },
+        created_at: '2026-01-02T00:00:00Z'
+      },
+      // Another branch's summary is ignored
+      {
+        id: 's2',
+        conversation_id: conversationId,
+        role: 'system',
+        content: 'Summary of another branch',
+        metadata: { type: 'summary', covers_message_id: 'elsewhere' },
+        created_at: '2026-01-03T00:00:00Z'
+      }
+    );
+
+    const history = await contextService.buildContext(fake.client, params('m5'));
+    expect(history).toEqual([
+      { role: 'system', content: 'Summary of the earlier part of this conversation:\nSummary up to m3' },
+      { role: 'user', content: '4'.repeat(80) },
+      { role: 'assistant', content: '5'.repeat(80) }
+    ]);
+    expect(fake.tables.llm_usage).toBeUndefined();
+  });
+
+  test('leaves room for reserved tokens', async () => {
+    storeThread(['a'.repeat(80), 'b'.repeat(80), 'c'.repeat(80)]);
+    expect(await contextService.buildContext(fake.client, params('m2'))).toHaveLength(3);
+
+    // 30 tokens left: messages are cut to 15 tokens and only the newest turn is kept
+    const history = await contextService.buildContext(fake.client, params('m2', { reservedTokens: 70 }));
+    expect(history.map(message => message.role)).toEqual(['system', 'user']);
+    expect(history[1].content).toMatch(/^c+\n\[\.\.\.truncated\]$/);
+    expect(estimateTokens(history[1].content)).toBeLessThanOrEqual(15);
+  });
+
+  test('drops the older turns when the summary cannot be written', async () => {
+    storeThread(Array.from({ length: 6 }, (_, i) => `${i}`.repeat(80)));
+    jest.spyOn(contextService, 'saveSummary').mockRejectedValue(new Error('write failed'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const history = await contextService.buildContext(fake.client, params('m5'));
+    expect(history.map(message => message.content)).toEqual(['4'.repeat(80), '5'.repeat(80)]);
+  });
+});
+
+describe('model context of a chat turn', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startServer();
+  });
+
+  afterAll(() => server.close());
+
+  test('sends an oversized message cut to its share of the budget and stores it in full', async () => {
+    setUser(user);
+    const streamReply = jest.spyOn(toolService, 'streamReply');
+    const content = 'z'.repeat(2000);
+
+    const { status, body } = await server.request('POST', '/api/chat/message', { content });
+
+    expect(status).toBe(200);
+    expect(body.userMessage.content).toBe(content);
+    const [, , prompt] = streamReply.mock.calls[0];
+    expect(prompt).toMatch(/\[\.\.\.truncated\]$/);
+    expect(estimateTokens(prompt)).toBeLessThanOrEqual(25);
+  });
+});
@@ -0,0 +1,55 @@
+const { parseCsv } = require('../src/utils/csv');
+const datasetService = require('../src/services/datasetService');
+
+describe('parseCsv', () => {
+  test('strips a byte order mark from the first header', () => {
+    const result = parseCsv('\uFEFFmonth,mrr\n2026-01,100\n');
+    expect(result.header).toEqual(['month', 'mrr']);
+    expect(result.records).toEqual([{ month: '2026-01', mrr: '100' }]);
+  });
+
+  test('handles quoted fields, escaped quotes, embedded line breaks and CRLF', () => {
+    const result = parseCsv('name,note\r\n"Acme, Inc.","said ""hi"""\r\nBeta,"two\r\nlines"\r\n');
+    expect(result.records).toEqual([
+      { name: 'Acme, Inc.', note: 'said "hi"' },
+      { name: 'Beta', note: 'two\r\nlines' }
+    ]);
+  });
+
+  test('detects semicolon and tab delimiters from the header', () => {
+    expect(parseCsv('a;b\n1,5;2\n').records).toEqual([{ a: '1,5', b: '2' }]);
+    expect(parseCsv('a\tb\n1\t2\n').records).toEqual([{ a: '1', b: '2' }]);
+  });
+
+  test('reports the file line each record starts on', () => {
+    const result = parseCsv('month,note\n\n2026-01,"multi\nline"\n2026-02,x\n\n2026-03,y');
+    expect(result.records).toHaveLength(3);
+    expect(result.lines).toEqual([3, 5, 7]);
+  });
+
+  test('fills missing trailing fields and rejects extra ones with the file line', () => {
+    expect(parseCsv('a,b,c\n1\n').records).toEqual([{ a: '1', b: '', c: '' }]);
+    expect(parseCsv('a,b\n1,2\n\n"x\ny",2,3\n')).toEqual({ error: 'Row 4 has 3 fields, the header has 2' });
+  });
+
+  test('rejects malformed files', () => {
+    expect(parseCsv('\n \n')).toEqual({ error: 'The file is empty' });
+    expect(parseCsv('a,"b\n1,2')).toEqual({ error: 'Unterminated quoted field' });
+    expect(parseCsv('a,,c\n1,2,3')).toEqual({ error: 'Every column needs a header' });
+    expect(parseCsv('a,a\n1,2')).toEqual({ error: 'Column headers must be unique' });
+  });
+});
+
+describe('datasetService.parseRecords', () => {
+  test('reports row errors by the line of the uploaded file', () => {
+    const { header, records, lines } = parseCsv('month,revenue\n2026-01,10\n\n"soon\n",20\n2026-02,30\n2026-03,40\n2026-04,50\n');
+    expect(datasetService.parseRecords(header, records, { lines })).toEqual({
+      errors: ['Row 4: "month" must be a date']
+    });
+  });
+
+  test('numbers rows as in a spreadsheet without source lines', () => {
+    const records = ['2026-01', '2026-02', '2026-03', '2026-04', 'soon'].map(month => ({ month, revenue: '10' }));
+    expect(datasetService.parseRecords(['month', 'revenue'], records).errors).toEqual(['Row 6: "month" must be a date']);
+  });
+});
@@ -0,0 +1,159 @@
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/utils/supabase', () => require('./helpers/fakeSupabase').supabaseModule);
+jest.mock('../src/middleware/auth', () => require('./helpers/api').authMiddleware);
+
+const fake = require('./helpers/fakeSupabase');
+const { setUser, startServer } = require('./helpers/api');
+const exportService = require('../src/services/exportService');
+
+const orgId = '22222222-2222-4222-8222-222222222222';
+const member = { id: '11111111-1111-4111-8111-111111111111', org_id: orgId, role: 'member' };
+const colleague = { id: '44444444-4444-4444-8444-444444444444', org_id: orgId, role: 'member' };
+
+const doc = {
+  id: '33333333-3333-4333-8333-333333333333',
+  title: 'Q3 <Revenue> & "Costs"',
+  created_at: '2026-01-05T09:30:00.000Z',
+  exported_at: '2026-02-01T12:00:00.000Z',
+  participants: [
+    { id: member.id, name: 'Ada', role: 'user' },
+    { id: null, name: 'Assistant', role: 'assistant' }
+  ],
+  messages: [
+    { id: 'm0', role: 'user', author: 'Ada', content: 'Is <b>revenue</b> up?', created_at: '2026-01-05T09:30:00.000Z' },
+    { id: 'm1', role: 'assistant', author: 'Assistant', content: 'Yes, by 5%.', created_at: '2026-01-05T09:31:00.000Z' }
+  ]
+};
+
+describe('exportService.render', () => {
+  test('renders Markdown with metadata and role-labelled messages', () => {
+    expect(exportService.render(doc, 'md')).toBe([
+      '# Q3 <Revenue> & "Costs"',
+      '',
+      '- **Created:** 2026-01-05 09:30 UTC',
+      '- **Exported:** 2026-02-01 12:00 UTC',
+      '- **Participants:** Ada, Assistant',
+      '',
+      '---',
+      '',
+      '### Ada (user) · 2026-01-05 09:30 UTC',
+      '',
+      'Is <b>revenue</b> up?',
+      '',
+      '---',
+      '',
+      '### Assistant (assistant) · 2026-01-05 09:31 UTC',
+      '',
+      'Yes, by 5%.',
+      ''
+    ].join('\n'));
+  });
+
+  test('renders a standalone HTML page with escaped content', () => {
+    const html = exportService.render(doc, 'html');
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>Q3 &lt;Revenue&gt; &amp; &quot;Costs&quot;</title>');
+    expect(html).toContain('<div class="content">Is &lt;b&gt;revenue&lt;/b&gt; up?</div>');
+    expect(html).toContain('<article class="message assistant">');
+    expect(html).toContain('<time datetime="2026-01-05T09:31:00.000Z">2026-01-05 09:31 UTC</time>');
+    expect(html).not.toContain('<b>');
+  });
+
+  test('renders the document itself as JSON', () => {
+    expect(JSON.parse(exportService.render(doc, 'json'))).toEqual(doc);
+  });
+});
+
+describe('exportService.fileName', () => {
+  test('combines the creation date, a slug of the title and the short id', () => {
+    expect(exportService.fileName(doc, 'md')).toBe('2026-01-05-q3-revenue-costs-33333333.md');
+    expect(exportService.fileName({ ...doc, title: '***' }, 'html')).toBe('2026-01-05-conversation-33333333.html');
+    expect(exportService.fileName({ ...doc, created_at: null, title: 'x'.repeat(80) }, 'json'))
+      .toBe(`2026-02-01-${'x'.repeat(50)}-33333333.json`);
+  });
+});
+
+describe('export routes', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startServer();
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    fake.reset();
+    setUser(member);
+    fake.tables.profiles = [
+      { id: member.id, org_id: orgId, full_name: 'Ada' },
+      { id: colleague.id, org_id: orgId, full_name: null }
+    ];
+  });
+
+  test('downloads the active branch with participant names', async () => {
+    const { body: first } = await server.request('POST', '/api/chat/message', { content: 'First question' });
+    await server.request('POST', `/api/chat/messages/${first.userMessage.id}/edit`, { content: 'Edited question' });
+
+    const { status, headers, body } = await server.request('GET', `/api/chat/conversations/${first.conversation_id}/export?format=json`);
+
+    expect(status).toBe(200);
+    expect(headers.get('content-type')).toBe('application/json; charset=utf-8');
+    expect(headers.get('content-disposition')).toMatch(new RegExp(`^attachment; filename=".*-${first.conversation_id.substring(0, 8)}\\.json"$`));
+    expect(body.participants).toEqual([
+      { id: member.id, name: 'Ada', role: 'user' },
+      { id: null, name: 'Assistant', role: 'assistant' }
+    ]);
+    expect(body.messages.map(msg => [msg.author, msg.role])).toEqual([['Ada', 'user'], ['Assistant', 'assistant']]);
+    expect(body.messages[0].content).toBe('Edited question');
+  });
+
+  test('names members without a profile name "User"', async () => {
+    const { body: first } = await server.request('POST', '/api/chat/message', { content: 'Hello' });
+    setUser(colleague);
+    fake.tables.conversations[0].user_id = colleague.id;
+    fake.tables.messages.find(msg => msg.role === 'user').user_id = colleague.id;
+
+    const { headers, body } = await server.request('GET', `/api/chat/conversations/${first.conversation_id}/export`);
+    expect(headers.get('content-type')).toBe('text/markdown; charset=utf-8');
+    expect(body).toContain('- **Participants:** User, Assistant');
+    expect(body).toContain('### User (user) · ');
+  });
+
+  test('rejects unknown formats and conversations', async () => {
+    const { body: first } = await server.request('POST', '/api/chat/message', { content: 'Hello' });
+
+    const format = await server.request('GET', `/api/chat/conversations/${first.conversation_id}/export?format=pdf`);
+    expect(format).toMatchObject({ status: 400, body: { error: 'format must be one of: md, json, html' } });
+
+    const missing = await server.request('GET', '/api/chat/conversations/99999999-9999-4999-8999-999999999999/export');
+    expect(missing.status).toBe(404);
+  });
+
+  test('zips one file per conversation of the caller', async () => {
+    await server.request('POST', '/api/chat/message', { content: 'First' });
+    await server.request('POST', '/api/chat/message', { content: 'Second' });
+
+    const { status, headers, body } = await server.request('GET', '/api/chat/export?format=html');
+
+    expect(status).toBe(200);
+    expect(headers.get('content-type')).toBe('application/zip');
+    expect(headers.get('content-disposition')).toMatch(/^attachment; filename="conversations-mine-\d{4}-\d{2}-\d{2}\.zip"$/);
+    expect(body.startsWith('PK')).toBe(true);
+    // File names are stored uncompressed in the archive
+    for (const conversation of fake.tables.conversations) {
+      expect(body).toContain(`-${conversation.id.substring(0, 8)}.html`);
+    }
+  });
+
+  test('limits the organization-wide export to admins', async () => {
+    const scope = await server.request('GET', '/api/chat/export?scope=team');
+    expect(scope.status).toBe(400);
+
+    const { status, body } = await server.request('GET', '/api/chat/export?scope=org');
+    expect(status).toBe(403);
+    expect(body).toEqual({ error: 'Only organization admins can export all conversations' });
+  });
+});
@@ -0,0 +1,147 @@
+// No Supabase project in tests; these code paths never reach the database client
+jest.mock('../src/utils/supabase', () => ({ supabase: null, supabaseAdmin: null, getAuthenticatedSupabase: jest.fn() }));
+
+const forecastService = require('../src/services/forecastService');
+
+// 10 new customers a month replace the 10% that churn, so the business stays flat
+const steadyBaseline = { customers: 100, price: 50, churn_rate: 0.1, cac: 100, marketing_spend: 1000 };
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const runSpec = (input) => {
+  const { spec, errors } = forecastService.validateSpec({ start_month: '2026-01', ...input });
+  expect(errors).toBeUndefined();
+  return forecastService.run(spec);
+};
+
+describe('forecastService.validateSpec', () => {
+  test('resolves defaults and the base, bull and bear presets', () => {
+    const { spec } = forecastService.validateSpec({ baseline: { customers: 10, revenue: 1000, churn_rate: 0.05, cac: 200 } });
+    expect(spec.months).toBe(12);
+    expect(spec.start_month).toMatch(/^\d{4}-\d{2}$/);
+    expect(spec.baseline).toMatchObject({ price: 100, revenue: 1000, marketing_spend: 0, gross_margin: 1 });
+    expect(spec.scenarios.map(scenario => scenario.name)).toEqual(['base', 'bull', 'bear']);
+    expect(spec.sensitivity).toBeNull();
+  });
+
+  test('reports invalid input', () => {
+    expect(forecastService.validateSpec({ baseline: { customers: -1, churn_rate: 2, foo: 1 }, months: 0 }).errors).toEqual([
+      'months must be an integer between 1 and 60',
+      'baseline.customers must be at least 0',
+      'baseline.churn_rate must be at most 1',
+      expect.stringMatching(/^baseline\.foo is not a driver/),
+      'baseline.cac is required',
+      'baseline needs price or revenue'
+    ]);
+  });
+
+  test('checks scenarios once applied to the baseline', () => {
+    const result = forecastService.validateSpec({
+      baseline: steadyBaseline,
+      scenarios: [{ name: 'churny', multipliers: { churn_rate: 20 } }, { name: 'churny' }]
+    });
+    expect(result.errors).toEqual(['Scenario churny is listed twice']);
+
+    const applied = forecastService.validateSpec({
+      baseline: steadyBaseline,
+      scenarios: [{ name: 'churny', multipliers: { churn_rate: 20 } }]
+    });
+    expect(applied.errors).toEqual(['Scenario churny: churn_rate must be at most 1']);
+  });
+});
+
+describe('forecastService.run', () => {
+  test('projects a steady state month by month', () => {
+    const result = runSpec({ baseline: steadyBaseline, months: 3, scenarios: [{ name: 'base' }] });
+    const [base] = result.scenarios;
+
+    expect(base.months.map(month => month.month)).toEqual(['2026-01', '2026-02', '2026-03']);
+    expect(base.months[0]).toEqual({
+      month: '2026-01',
+      customers_start: 100,
+      new_customers: 10,
+      churned_customers: 10,
+      customers_end: 100,
+      price: 50,
+      mrr: 5000,
+      marketing_spend: 1000,
+      contribution: 4000,
+      cumulative_revenue: 5000
+    });
+    expect(base.summary).toMatchObject({
+      ending_customers: 100,
+      ending_mrr: 5000,
+      ending_arr: 60000,
+      total_revenue: 15000,
+      total_marketing_spend: 3000,
+      total_contribution: 12000,
+      mrr_growth: 0,
+      ltv: 500,
+      ltv_to_cac: 5,
+      cac_payback_months: 2
+    });
+  });
+
+  test('compounds spend and price growth', () => {
+    const result = runSpec({
+      baseline: { ...steadyBaseline, churn_rate: 0, spend_growth: 0.1, price_growth: 0.1 },
+      months: 2,
+      scenarios: [{ name: 'growth' }]
+    });
+    const [first, second] = result.scenarios[0].months;
+    expect(second.marketing_spend).toBe(1100);
+    expect(second.price).toBe(55);
+    expect(second.new_customers).toBe(11);
+    // Existing revenue grows with the price, new customers pay the new price
+    expect(second.mrr).toBe(round(first.mrr * 1.1 + 11 * 55, 2));
+  });
+
+  test('applies scenario drivers and multipliers and compares them to the first scenario', () => {
+    const result = runSpec({
+      baseline: steadyBaseline,
+      months: 12,
+      scenarios: [
+        { name: 'base' },
+        { name: 'cheaper', multipliers: { cac: 0.5 } },
+        { name: 'pricier', drivers: { price: 60 }, multipliers: { price: 2 } }
+      ]
+    });
+
+    const [base, cheaper, pricier] = result.scenarios;
+    expect(cheaper.drivers.cac).toBe(50);
+    // Explicit drivers win over multipliers
+    expect(pricier.drivers.price).toBe(60);
+    expect(cheaper.summary.ending_customers).toBeGreaterThan(base.summary.ending_customers);
+
+    const endingMrr = result.comparison.find(row => row.metric === 'ending_mrr');
+    expect(endingMrr.values).toEqual([base.summary.ending_mrr, cheaper.summary.ending_mrr, pricier.summary.ending_mrr]);
+    expect(endingMrr.change[0]).toBe(0);
+    expect(endingMrr.change[1]).toBe(round(cheaper.summary.ending_mrr / base.summary.ending_mrr - 1, 4));
+  });
+
+  test('is deterministic', () => {
+    const input = { baseline: steadyBaseline, months: 24 };
+    expect(runSpec(input)).toEqual(runSpec(input));
+  });
+
+  test('builds a sensitivity table per scenario, clamped to the driver range', () => {
+    const result = runSpec({
+      baseline: steadyBaseline,
+      months: 6,
+      scenarios: [{ name: 'base' }],
+      sensitivity: { driver: 'churn_rate', values: [0, 0.1, 1], metric: 'ending_customers' }
+    });
+    expect(result.sensitivity).toMatchObject({ driver: 'churn_rate', mode: 'values', metric: 'ending_customers', scenarios: ['base'] });
+    expect(result.sensitivity.rows.map(row => row.value)).toEqual([0, 0.1, 1]);
+    expect(result.sensitivity.rows.map(row => row.cells[0].value)).toEqual([160, 100, 10]);
+
+    const changes = runSpec({
+      baseline: steadyBaseline,
+      months: 6,
+      scenarios: [{ name: 'base' }],
+      sensitivity: { driver: 'churn_rate', changes: [20] }
+    });
+    expect(changes.sensitivity.rows[0].cells[0].driver_value).toBe(1);
+  });
+});
+
@@ -0,0 +1,57 @@
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/utils/supabase', () => require('./helpers/fakeSupabase').supabaseModule);
+jest.mock('../src/middleware/auth', () => require('./helpers/api').authMiddleware);
+
+const fake = require('./helpers/fakeSupabase');
+const { setUser, startServer } = require('./helpers/api');
+
+const user = { id: '11111111-1111-4111-8111-111111111111', org_id: '22222222-2222-4222-8222-222222222222', role: 'member' };
+const reservationId = '55555555-5555-4555-8555-555555555555';
+
+const forecast = {
+  name: 'Plan',
+  start_month: '2026-01',
+  baseline: { customers: 100, price: 50, churn_rate: 0.1, cac: 100, marketing_spend: 1000 }
+};
+
+let server;
+
+beforeAll(async () => {
+  server = await startServer();
+});
+
+afterAll(() => server.close());
+
+beforeEach(() => {
+  fake.reset();
+  setUser(user);
+  // Reserves like the database function: a pending reply row
+  fake.rpcs.reserve_chat_quota = () => {
+    fake.tables.llm_usage = [{ id: reservationId, org_id: user.org_id, user_id: user.id, purpose: 'reply', status: 'pending' }];
+    return { plan: 'free', reservation_id: reservationId };
+  };
+});
+
+test('a narrative requested with the forecast takes over the quota reservation', async () => {
+  const { status, body } = await server.request('POST', '/api/forecasts', { ...forecast, narrative: true });
+
+  expect(status).toBe(201);
+  expect(body.narrative).toMatch(/^\[mock\]/);
+  expect(fake.tables.llm_usage).toEqual([
+    expect.objectContaining({ id: reservationId, purpose: 'forecast', status: 'ok' })
+  ]);
+});
+
+test('a narrative of a saved forecast takes over the quota reservation', async () => {
+  const { body: saved } = await server.request('POST', '/api/forecasts', forecast);
+  expect(fake.tables.llm_usage).toBeUndefined();
+
+  const { status, body } = await server.request('POST', `/api/forecasts/${saved.id}/narrative`);
+
+  expect(status).toBe(200);
+  expect(body.narrative).toMatch(/^\[mock\]/);
+  expect(fake.tables.llm_usage).toEqual([
+    expect.objectContaining({ id: reservationId, purpose: 'forecast', status: 'ok' })
+  ]);
+});
@@ -0,0 +1,65 @@
+// Runs the API in-process for route tests. Test files replace the auth middleware with
+// `authMiddleware` below, which signs every request in as the user given to setUser(),
+// and the Supabase clients with the in-memory fake (see fakeSupabase.js).
+
+let currentUser = null;
+
+const setUser = (user) => {
+  currentUser = user;
+};
+
+const authMiddleware = (req, res, next) => {
+  if (!currentUser) {
+    return res.status(401).json({ error: 'No authorization header provided' });
+  }
+  req.user = { email_confirmed: true, ...currentUser };
+  req.token = 'test-token';
+  next();
+};
+
+/**
+ * Start the app on a free port.
+ * @returns {Promise<{request: Function, close: Function}>}
+ */
+const startServer = () => new Promise(resolve => {
+  const app = require('../../src/app');
+  const server = app.listen(0, '127.0.0.1', () => {
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Sends a JSON request; `body` is parsed as JSON unless the response is an event stream
+    const request = async (method, path, payload, headers = {}) => {
+      const response = await fetch(baseUrl + path, {
+        method,
+        headers: { 'content-type': 'application/json', ...headers },
+        body: payload === undefined ? undefined : JSON.stringify(payload)
+      });
+      const text = await response.text();
+      const isJson = (response.headers.get('content-type') || '').includes('application/json');
+      return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+    };
+
+    const close = () => new Promise(done => {
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    resolve({ request, close });
+  });
+});
+
+/**
+ * Parse a Server-Sent Events body into `{ event, data }` pairs.
+ */
+const parseEvents = (text) =>
+  text.split('\n\n').filter(Boolean).map(block => {
+    const lines = block.split('\n');
+    const field = (name) => lines.find(line => line.startsWith(`${name}: `))?.substring(name.length + 2);
+    return { event: field('event'), data: JSON.parse(field('data')) };
+  });
+
+module.exports = {
+  setUser,
+  authMiddleware,
+  startServer,
+  parseEvents
+};
@@ -0,0 +1,280 @@
+const { randomUUID } = require('crypto');
+
+// In-memory stand-in for the Supabase client, covering the query builder calls the API
+// makes. RLS is not modelled: every row is visible to every caller.
+//
+// Tables are plain arrays in `tables`. RPCs are functions in `rpcs` that receive the
+// arguments and return the result (rows can be filtered and ordered like a table);
+// unregistered RPCs return null. message_branch and latest_leaf mirror the schema's
+// functions and are registered by reset().
+
+const tables = {};
+const rpcs = {};
+let clock = 0;
+
+const nextTimestamp = () => {
+  clock += 1000;
+  return new Date(Date.parse('2026-01-01T00:00:00Z') + clock).toISOString();
+};
+
+const valueOf = (row, column) => {
+  const [name, key] = column.split('->>');
+  const value = key === undefined ? row[name] : row[name]?.[key];
+  if (value === undefined || value === null) return null;
+  return key === undefined ? value : String(value);
+};
+
+// Filter values arrive as strings from `or` filters; compare them as the column's type
+const coerce = (actual, expected) => {
+  if (typeof actual === 'number') return Number(expected);
+  if (typeof actual === 'boolean' && typeof expected === 'string') return expected === 'true';
+  return expected;
+};
+
+const OPERATORS = {
+  eq: (actual, expected) => actual !== null && String(actual) === String(expected),
+  neq: (actual, expected) => actual === null || String(actual) !== String(expected),
+  gt: (actual, expected) => actual !== null && actual > coerce(actual, expected),
+  gte: (actual, expected) => actual !== null && actual >= coerce(actual, expected),
+  lt: (actual, expected) => actual !== null && actual < coerce(actual, expected),
+  lte: (actual, expected) => actual !== null && actual <= coerce(actual, expected),
+  in: (actual, expected) => actual !== null && expected.map(String).includes(String(actual)),
+  is: (actual, expected) => actual === expected
+};
+
+// Split a PostgREST filter list on the commas that are not inside parentheses or quotes
+const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let start = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '\\') i += 1;
+      else if (char === '"') quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+    } else if (char === ',' && depth === 0) {
+      parts.push(text.substring(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.substring(start));
+  return parts;
+};
+
+const unquote = (value) =>
+  (value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1).replace(/\\(.)/g, '$1') : value);
+
+// Compile one condition of an `or` filter, e.g. `created_at.lt."2026-01-01"` or `and(...)`
+const parseCondition = (text) => {
+  for (const [prefix, combine] of [['and(', 'every'], ['or(', 'some']]) {
+    if (text.startsWith(prefix)) {
+      const parts = splitTopLevel(text.slice(prefix.length, -1)).map(parseCondition);
+      return row => parts[combine](part => part(row));
+    }
+  }
+  const [column, op, ...rest] = text.split('.');
+  const raw = rest.join('.');
+  if (!OPERATORS[op]) throw new Error(`Unsupported filter operator in "${text}"`);
+  let expected;
+  if (op === 'in') expected = splitTopLevel(raw.slice(1, -1)).map(unquote);
+  else if (op === 'is') expected = raw === 'null' ? null : raw === 'true';
+  else expected = unquote(raw);
+  return row => OPERATORS[op](valueOf(row, column), expected);
+};
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a < b ? -1 : 1;
+};
+
+// Query builder over a table, or over the rows an RPC returned (`source`)
+const query = (table, source) => {
+  const state = { action: 'select', payload: null, options: {}, filters: [], orders: [], limit: null, single: null, count: false, head: false };
+  const where = (test) => {
+    state.filters.push(test);
+    return builder;
+  };
+
+  const builder = {
+    select(columns, options = {}) {
+      state.count = !!options.count;
+      state.head = !!options.head;
+      return builder;
+    },
+    insert(payload) {
+      Object.assign(state, { action: 'insert', payload });
+      return builder;
+    },
+    upsert(payload, options = {}) {
+      Object.assign(state, { action: 'upsert', payload, options });
+      return builder;
+    },
+    update(payload) {
+      Object.assign(state, { action: 'update', payload });
+      return builder;
+    },
+    delete() {
+      state.action = 'delete';
+      return builder;
+    },
+    eq: (column, value) => where(row => OPERATORS.eq(valueOf(row, column), value)),
+    neq: (column, value) => where(row => OPERATORS.neq(valueOf(row, column), value)),
+    gt: (column, value) => where(row => OPERATORS.gt(valueOf(row, column), value)),
+    gte: (column, value) => where(row => OPERATORS.gte(valueOf(row, column), value)),
+    lt: (column, value) => where(row => OPERATORS.lt(valueOf(row, column), value)),
+    lte: (column, value) => where(row => OPERATORS.lte(valueOf(row, column), value)),
+    in: (column, values) => where(row => OPERATORS.in(valueOf(row, column), values)),
+    is: (column, value) => where(row => OPERATORS.is(valueOf(row, column), value)),
+    not: (column, op, value) => where(row => !OPERATORS[op](valueOf(row, column), value)),
+    contains: (column, values) => where(row => values.every(value => (row[column] || []).includes(value))),
+    or(filter) {
+      const conditions = splitTopLevel(filter).map(parseCondition);
+      return where(row => conditions.some(condition => condition(row)));
+    },
+    order(column, { ascending = true } = {}) {
+      state.orders.push({ column, ascending });
+      return builder;
+    },
+    limit(count) {
+      state.limit = count;
+      return builder;
+    },
+    range(from, to) {
+      state.offset = from;
+      state.limit = to - from + 1;
+      return builder;
+    },
+    single() {
+      state.single = 'single';
+      return builder;
+    },
+    maybeSingle() {
+      state.single = 'maybe';
+      return builder;
+    },
+    then(resolve, reject) {
+      return Promise.resolve().then(run).then(resolve, reject);
+    }
+  };
+
+  const result = (rows, count) => {
+    if (state.single) {
+      if (rows.length === 1) return { data: rows[0], error: null };
+      if (rows.length === 0 && state.single === 'maybe') return { data: null, error: null };
+      return { data: null, error: { code: 'PGRST116', message: `Expected one row, got ${rows.length}` } };
+    }
+    return { data: state.head ? null : rows, error: null, count };
+  };
+
+  const insertRows = (payload) => {
+    const rows = (Array.isArray(payload) ? payload : [payload])
+      .map(row => ({ id: randomUUID(), created_at: nextTimestamp(), ...row }));
+    tables[table].push(...rows);
+    return rows;
+  };
+
+  const run = () => {
+    if (source !== undefined && !Array.isArray(source)) return { data: source, error: null };
+    const rows = source || (tables[table] ||= []);
+
+    if (state.action === 'insert') return result(insertRows(state.payload));
+    if (state.action === 'upsert') {
+      const keys = (state.options.onConflict || 'id').split(',');
+      const stored = (Array.isArray(state.payload) ? state.payload : [state.payload]).map(row => {
+        const existing = rows.find(other => keys.every(key => String(other[key]) === String(row[key])));
+        return existing ? Object.assign(existing, row) : insertRows(row)[0];
+      });
+      return result(stored);
+    }
+
+    let matched = rows.filter(row => state.filters.every(test => test(row)));
+    if (state.action === 'update') {
+      matched.forEach(row => Object.assign(row, state.payload));
+      return result(matched);
+    }
+    if (state.action === 'delete') {
+      tables[table] = rows.filter(row => !matched.includes(row));
+      return result(matched);
+    }
+
+    for (const { column, ascending } of [...state.orders].reverse()) {
+      matched = [...matched].sort((a, b) => compareValues(valueOf(a, column), valueOf(b, column)) * (ascending ? 1 : -1));
+    }
+    const count = matched.length;
+    const offset = state.offset || 0;
+    matched = matched.slice(offset, state.limit === null ? undefined : offset + state.limit);
+    return result(matched.map(row => ({ ...row })), state.count ? count : null);
+  };
+
+  return builder;
+};
+
+const client = {
+  from: (table) => query(table),
+  rpc: (name, args) => {
+    const result = rpcs[name] ? rpcs[name](args) : null;
+    return query(`rpc:${name}`, result ?? null);
+  }
+};
+
+const messagesOf = () => tables.messages || [];
+
+const defaultRpcs = {
+  // The message and its ancestors, stopping at the first of `stop_ids` on the way up
+  message_branch: ({ leaf_id: leafId, stop_ids: stopIds }) => {
+    const branch = [];
+    let message = messagesOf().find(row => row.id === leafId);
+    while (message) {
+      branch.push(message);
+      if (stopIds?.includes(message.id)) break;
+      const parentId = message.parent_id;
+      message = parentId ? messagesOf().find(row => row.id === parentId) : null;
+    }
+    return branch;
+  },
+  // Follows the newest user or assistant child down from `start_id`
+  latest_leaf: ({ start_id: startId }) => {
+    let leafId = startId;
+    for (;;) {
+      const children = messagesOf()
+        .filter(row => row.parent_id === leafId && ['user', 'assistant'].includes(row.role))
+        .sort((a, b) => compareValues(b.created_at, a.created_at));
+      if (children.length === 0) return leafId;
+      leafId = children[0].id;
+    }
+  }
+};
+
+/**
+ * Empty every table and restore the default RPCs.
+ */
+const reset = () => {
+  for (const name of Object.keys(tables)) delete tables[name];
+  for (const name of Object.keys(rpcs)) delete rpcs[name];
+  Object.assign(rpcs, defaultRpcs);
+  clock = 0;
+};
+
+reset();
+
+module.exports = {
+  tables,
+  rpcs,
+  client,
+  reset,
+  // Replacement for src/utils/supabase: every client, including the service role one, is the fake
+  supabaseModule: {
+    supabase: client,
+    supabaseAdmin: client,
+    getAuthenticatedSupabase: () => client
+  }
+};
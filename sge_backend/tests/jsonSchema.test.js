@@ -0,0 +1,64 @@
+const { validate } = require('../src/utils/jsonSchema');
+
+const schema = {
+  type: 'object',
+  required: ['title', 'items'],
+  additionalProperties: false,
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 10 },
+    owner: { type: 'string', nullable: true },
+    score: { type: 'number', minimum: 0, maximum: 1 },
+    count: { type: 'integer' },
+    status: { type: 'string', enum: ['open', 'done'] },
+    items: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 2,
+      items: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+    }
+  }
+};
+
+describe('validate', () => {
+  test('accepts a valid value', () => {
+    expect(validate(schema, {
+      title: 'Plan',
+      owner: 'Ada',
+      score: 0.5,
+      count: 3,
+      status: 'open',
+      items: [{ name: 'a' }]
+    })).toEqual([]);
+  });
+
+  test('accepts null only for nullable properties', () => {
+    expect(validate(schema, { title: 'Plan', owner: null, items: [{ name: 'a' }] })).toEqual([]);
+    expect(validate(schema, { title: null, items: [{ name: 'a' }] })).toEqual(['$.title must be a string']);
+  });
+
+  test('reports every problem with its path', () => {
+    expect(validate(schema, {
+      title: ' ',
+      score: 2,
+      count: 1.5,
+      status: 'closed',
+      items: [{}, { name: 1 }, { name: 'c' }],
+      extra: true
+    })).toEqual([
+      '$.title must be at least 1 characters',
+      '$.score must be <= 1',
+      '$.count must be a integer',
+      '$.status must be one of: open, done',
+      '$.items must have at most 2 items',
+      '$.items[0].name is required',
+      '$.items[1].name must be a string',
+      '$.extra is not allowed'
+    ]);
+  });
+
+  test('checks required properties and the root type', () => {
+    expect(validate(schema, {})).toEqual(['$.title is required', '$.items is required']);
+    expect(validate(schema, [])).toEqual(['$ must be an object']);
+    expect(validate({ type: 'number' }, 3)).toEqual([]);
+  });
+});
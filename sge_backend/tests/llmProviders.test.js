@@ -0,0 +1,86 @@
+const { createProvider } = require('../src/services/llm');
+const MockProvider = require('../src/services/llm/mockProvider');
+
+const collect = async (stream) => {
+  const items = [];
+  for await (const item of stream) items.push(item);
+  return items;
+};
+
+const tools = [{ name: 'list_goals' }, { name: 'get_kpi_series' }];
+
+describe('createProvider', () => {
+  test('creates providers by name', () => {
+    expect(createProvider('mock')).toBeInstanceOf(MockProvider);
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => createProvider('nope')).toThrow('Unknown LLM provider "nope". Expected one of: gemini, openai, mock');
+  });
+});
+
+describe('MockProvider', () => {
+  const provider = new MockProvider();
+
+  test('replies deterministically and reports usage', async () => {
+    const usage = jest.fn();
+    const history = [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }];
+
+    const reply = await provider.generateReply('How are we doing?', history, { onUsage: usage });
+    expect(reply).toBe('[mock] You said: "How are we doing?". This conversation has 2 previous messages.');
+    expect(await provider.generateReply('How are we doing?', history)).toBe(reply);
+    expect(usage).toHaveBeenCalledWith({ prompt_tokens: expect.any(Number), completion_tokens: expect.any(Number) });
+    expect(usage.mock.calls[0][0].prompt_tokens).toBeGreaterThan(0);
+  });
+
+  test('shortens long messages in the reply', async () => {
+    const reply = await provider.generateReply('x'.repeat(100));
+    expect(reply).toBe(`[mock] You said: "${'x'.repeat(80)}...". This conversation has 0 previous messages.`);
+  });
+
+  test('streams the reply word by word', async () => {
+    const chunks = await collect(provider.streamReply('Stream this', []));
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe(await provider.generateReply('Stream this', []));
+  });
+
+  test('asks for the tools named in call syntax on the first step', async () => {
+    const usage = jest.fn();
+    const events = await collect(provider.streamWithTools(
+      'Check list_goals() and get_kpi_series({"dataset": "Revenue"}) but not delete_all() or get_kpi_series({bad})',
+      [],
+      [],
+      { tools, onUsage: usage }
+    ));
+
+    expect(events).toEqual([{
+      type: 'tool_calls',
+      calls: [
+        { id: 'mock_call_0', name: 'list_goals', arguments: {} },
+        { id: 'mock_call_1', name: 'get_kpi_series', arguments: { dataset: 'Revenue' } },
+        { id: 'mock_call_2', name: 'get_kpi_series', arguments: '{bad}' }
+      ]
+    }]);
+    expect(usage).toHaveBeenCalledWith({ prompt_tokens: expect.any(Number), completion_tokens: 0 });
+  });
+
+  test('answers with the outcome of earlier steps', async () => {
+    const steps = [{
+      content: '',
+      calls: [],
+      results: [
+        { id: 'a', name: 'list_goals', result: { goals: [] } },
+        { id: 'b', name: 'get_kpi_series', result: { error: 'No dataset' } }
+      ]
+    }];
+    const events = await collect(provider.streamWithTools('Check list_goals()', [], steps, { tools }));
+
+    expect(events.every(event => event.type === 'text')).toBe(true);
+    expect(events.map(event => event.text).join('')).toMatch(/ Tools used: list_goals succeeded, get_kpi_series failed\.$/);
+  });
+
+  test('answers without calls when tool calls are not allowed', async () => {
+    const events = await collect(provider.streamWithTools('list_goals()', [], [], { tools, allowToolCalls: false }));
+    expect(events.map(event => event.type)).not.toContain('tool_calls');
+  });
+});
@@ -0,0 +1,122 @@
+jest.mock('../src/utils/supabase', () => require('./helpers/fakeSupabase').supabaseModule);
+jest.mock('../src/middleware/auth', () => require('./helpers/api').authMiddleware);
+
+const fake = require('./helpers/fakeSupabase');
+const { setUser, startServer } = require('./helpers/api');
+const invitationService = require('../src/services/invitationService');
+
+const orgId = '22222222-2222-4222-8222-222222222222';
+const user = { id: '11111111-1111-4111-8111-111111111111', email: 'ada@example.com' };
+const token = 'invite-token';
+
+const invitation = (fields = {}) => ({
+  id: '66666666-6666-4666-8666-666666666666',
+  org_id: orgId,
+  email: user.email,
+  role: 'member',
+  token_hash: invitationService.hashToken(token),
+  expires_at: '2999-01-01T00:00:00Z',
+  accepted_at: null,
+  revoked_at: null,
+  ...fields
+});
+
+let server;
+
+beforeAll(async () => {
+  server = await startServer();
+});
+
+afterAll(() => server.close());
+
+beforeEach(() => {
+  fake.reset();
+  setUser(user);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  fake.tables.organizations = [{ id: orgId, name: 'Acme' }];
+  // Like the database function for a token that cannot be used: no rows
+  fake.rpcs.accept_org_invitation = () => [];
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const accept = (body = { token }) => server.request('POST', '/api/onboarding/accept-invite', body);
+
+describe('POST /api/onboarding/accept-invite', () => {
+  test('joins the invitation\'s organization with the invited role', async () => {
+    fake.rpcs.accept_org_invitation = ({ p_token_hash: tokenHash, p_user_id: userId, p_email: email, p_full_name: fullName }) => {
+      expect({ tokenHash, email }).toEqual({ tokenHash: invitationService.hashToken(token), email: user.email });
+      fake.tables.profiles = [{ id: userId, org_id: orgId, role: 'member', full_name: fullName }];
+      return [invitation({ accepted_at: '2026-01-02T00:00:00Z' })];
+    };
+
+    const { status, body } = await accept({ token: ` ${token} `, full_name: ' Ada ' });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      success: true,
+      org: { id: orgId, name: 'Acme' },
+      profile: { id: user.id, org_id: orgId, role: 'member', full_name: 'Ada' }
+    });
+  });
+
+  test('requires a confirmed email address', async () => {
+    setUser({ ...user, email_confirmed: false });
+    const { status, body } = await accept();
+    expect(status).toBe(403);
+    expect(body).toEqual({ error: 'Confirm your email address before accepting the invitation' });
+  });
+
+  test('answers 409 for users who already have a profile', async () => {
+    fake.tables.profiles = [{ id: user.id, org_id: orgId, role: 'admin' }];
+    const { status } = await accept();
+    expect(status).toBe(409);
+  });
+
+  test('explains why an invitation could not be used', async () => {
+    const cases = [
+      [[], 404, 'Invitation not found'],
+      [[invitation({ accepted_at: '2026-01-02T00:00:00Z' })], 410, 'This invitation has already been used'],
+      [[invitation({ revoked_at: '2026-01-02T00:00:00Z' })], 410, 'This invitation has been revoked'],
+      [[invitation({ expires_at: '2026-01-02T00:00:00Z' })], 410, 'This invitation has expired'],
+      [[invitation({ email: 'someone@example.com' })], 403, 'This invitation was issued to a different email address']
+    ];
+    for (const [invitations, expectedStatus, error] of cases) {
+      fake.tables.org_invitations = invitations;
+      const { status, body } = await accept();
+      expect({ status, body }).toEqual({ status: expectedStatus, body: { error } });
+    }
+  });
+
+  test('answers 409 when a profile was created concurrently', async () => {
+    jest.spyOn(fake.client, 'rpc').mockResolvedValueOnce({ data: null, error: { code: '23505', message: 'duplicate key' } });
+    const { status, body } = await accept();
+    expect(status).toBe(409);
+    expect(body).toEqual({ error: 'User already belongs to an organization' });
+  });
+
+  test('validates the request', async () => {
+    expect((await accept({})).status).toBe(400);
+    expect((await accept({ token, full_name: 42 })).status).toBe(400);
+  });
+});
+
+describe('POST /webhooks/onboard', () => {
+  test('only onboards the caller', async () => {
+    const { status, body } = await server.request('POST', '/webhooks/onboard', {
+      userId: '77777777-7777-4777-8777-777777777777',
+      organizationName: 'Elsewhere'
+    });
+    expect(status).toBe(403);
+    expect(body).toEqual({ error: 'Users can only onboard themselves' });
+    expect(fake.tables.profiles).toBeUndefined();
+  });
+
+  test('reports callers who are already onboarded', async () => {
+    fake.tables.profiles = [{ id: user.id, org_id: orgId, role: 'member' }];
+    const { status } = await server.request('POST', '/webhooks/onboard', { userId: user.id });
+    expect(status).toBe(400);
+  });
+});
@@ -0,0 +1,174 @@
+jest.mock('../src/utils/supabase', () => require('./helpers/fakeSupabase').supabaseModule);
+jest.mock('../src/middleware/auth', () => require('./helpers/api').authMiddleware);
+
+const fake = require('./helpers/fakeSupabase');
+const { setUser, startServer } = require('./helpers/api');
+const { parsePageParams, fetchPage, encodeCursor } = require('../src/utils/pagination');
+
+const KEYS = ['created_at', 'id'];
+const ID = '0a4e1c1e-5b7e-4c9a-9d55-1f3b2a6c7d8e';
+
+const cursorOf = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+// Records the calls fetchPage makes and answers with the given rows
+const fakeQuery = (rows) => {
+  const calls = { or: [], order: [], limit: null };
+  const query = {
+    or(filter) {
+      calls.or.push(filter);
+      return query;
+    },
+    order(key, options) {
+      calls.order.push([key, options.ascending]);
+      return query;
+    },
+    async limit(count) {
+      calls.limit = count;
+      return { data: rows.slice(0, count), error: null };
+    }
+  };
+  return { query, calls };
+};
+
+const rowsOf = (count) => Array.from({ length: count }, (_, i) => ({
+  id: `id-${i}`,
+  created_at: `2026-01-${String(28 - i).padStart(2, '0')}T00:00:00Z`
+}));
+
+describe('parsePageParams', () => {
+  test('defaults to 20 rows from the top of the listing', () => {
+    expect(parsePageParams({}, KEYS)).toEqual({ limit: 20, cursor: null, direction: 'before' });
+  });
+
+  test('rejects limits outside 1 to 100', () => {
+    for (const limit of ['0', '101', 'abc']) {
+      expect(parsePageParams({ limit }, KEYS)).toEqual({ error: 'limit must be an integer between 1 and 100' });
+    }
+    expect(parsePageParams({ limit: '100' }, KEYS).limit).toBe(100);
+  });
+
+  test('decodes cursors in either direction', () => {
+    const cursor = encodeCursor({ created_at: '2026-01-01T00:00:00.123456+00:00', id: ID }, KEYS);
+    expect(parsePageParams({ before: cursor }, KEYS)).toEqual({
+      limit: 20,
+      cursor: ['2026-01-01T00:00:00.123456+00:00', ID],
+      direction: 'before'
+    });
+    expect(parsePageParams({ after: cursor, limit: '5' }, KEYS).direction).toBe('after');
+  });
+
+  test('checks each cursor value against its sort key', () => {
+    expect(parsePageParams({ before: cursorOf([true, '2026-01-01T00:00:00Z', ID]) }, ['pinned', 'created_at', 'id']).cursor)
+      .toEqual([true, '2026-01-01T00:00:00Z', ID]);
+    expect(parsePageParams({ before: cursorOf([3]) }, ['version']).cursor).toEqual([3]);
+
+    for (const values of [
+      ['2026-01-01T00:00:00Z', 'x\\"'],
+      ['not a date', ID],
+      ['2026-13-45T00:00:00Z', ID],
+      [1, ID],
+      ['2026-01-01T00:00:00Z', { id: ID }]
+    ]) {
+      expect(parsePageParams({ before: cursorOf(values) }, KEYS)).toEqual({ error: 'Invalid cursor' });
+    }
+    expect(parsePageParams({ before: cursorOf(['true']) }, ['pinned'])).toEqual({ error: 'Invalid cursor' });
+    expect(parsePageParams({ before: cursorOf([1.5]) }, ['version'])).toEqual({ error: 'Invalid cursor' });
+  });
+
+  test('rejects malformed cursors and both directions at once', () => {
+    expect(parsePageParams({ before: 'not-a-cursor' }, KEYS)).toEqual({ error: 'Invalid cursor' });
+    const wrongLength = cursorOf([ID]);
+    expect(parsePageParams({ before: wrongLength }, KEYS)).toEqual({ error: 'Invalid cursor' });
+    expect(parsePageParams({ before: wrongLength, after: wrongLength }, KEYS))
+      .toEqual({ error: 'Use either before or after, not both' });
+  });
+});
+
+describe('fetchPage', () => {
+  test('returns a cursor to the last row when another page exists', async () => {
+    const rows = rowsOf(4);
+    const { query, calls } = fakeQuery(rows);
+    const page = await fetchPage(query, KEYS, { limit: 3, cursor: null, direction: 'before' });
+
+    expect(calls.or).toEqual([]);
+    expect(calls.order).toEqual([['created_at', false], ['id', false]]);
+    expect(calls.limit).toBe(4);
+    expect(page.data).toEqual(rows.slice(0, 3));
+    expect(page.next_cursor).toBe(encodeCursor(rows[2], KEYS));
+  });
+
+  test('has no next cursor on the last page', async () => {
+    const { query } = fakeQuery(rowsOf(2));
+    const page = await fetchPage(query, KEYS, { limit: 3, cursor: null, direction: 'before' });
+    expect(page.data).toHaveLength(2);
+    expect(page.next_cursor).toBeNull();
+  });
+
+  test('filters on the cursor tuple, escaping backslashes and quotes', async () => {
+    const { query, calls } = fakeQuery([]);
+    await fetchPage(query, KEYS, { limit: 3, cursor: ['2026-01-01', 'b\\"c'], direction: 'before' });
+    expect(calls.or).toEqual([
+      'created_at.lt."2026-01-01",and(created_at.eq."2026-01-01",id.lt."b\\\\\\"c")'
+    ]);
+  });
+
+  test('pages back up the listing in ascending order and returns rows descending', async () => {
+    const ascending = rowsOf(4).reverse();
+    const { query, calls } = fakeQuery(ascending);
+    const page = await fetchPage(query, KEYS, { limit: 3, cursor: ['2026-01-01', 'a'], direction: 'after' });
+
+    expect(calls.or[0]).toMatch(/^created_at\.gt\./);
+    expect(calls.order).toEqual([['created_at', true], ['id', true]]);
+    expect(page.data.map(row => row.id)).toEqual(['id-1', 'id-2', 'id-3']);
+    expect(page.next_cursor).toBe(encodeCursor(ascending[2], KEYS));
+  });
+
+  test('raises query errors', async () => {
+    const query = { order: () => query, limit: async () => ({ data: null, error: { message: 'boom' } }) };
+    await expect(fetchPage(query, KEYS, { limit: 1, cursor: null, direction: 'before' })).rejects.toThrow('boom');
+  });
+});
+
+describe('GET /api/chat/conversations', () => {
+  const user = { id: '11111111-1111-4111-8111-111111111111', org_id: '22222222-2222-4222-8222-222222222222', role: 'member' };
+  let server;
+
+  beforeAll(async () => {
+    server = await startServer();
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    fake.reset();
+    setUser(user);
+    // Five conversations, the third pinned
+    fake.tables.conversations = Array.from({ length: 5 }, (_, i) => ({
+      id: `0000000${i}-0000-4000-8000-000000000000`,
+      title: `Conversation ${i}`,
+      archived: false,
+      pinned: i === 2,
+      created_at: `2026-01-0${i + 1}T00:00:00.000Z`
+    }));
+  });
+
+  test('pages through the listing, pinned first, and back up again', async () => {
+    const first = await server.request('GET', '/api/chat/conversations?limit=2');
+    expect(first.body.data.map(row => row.title)).toEqual(['Conversation 2', 'Conversation 4']);
+
+    const second = await server.request('GET', `/api/chat/conversations?limit=2&before=${first.body.next_cursor}`);
+    expect(second.body.data.map(row => row.title)).toEqual(['Conversation 3', 'Conversation 1']);
+
+    const last = await server.request('GET', `/api/chat/conversations?limit=2&before=${second.body.next_cursor}`);
+    expect(last.body).toEqual({ data: [expect.objectContaining({ title: 'Conversation 0' })], next_cursor: null });
+
+    const back = await server.request('GET', `/api/chat/conversations?limit=2&after=${encodeCursor(last.body.data[0], ['pinned', 'created_at', 'id'])}`);
+    expect(back.body.data.map(row => row.title)).toEqual(['Conversation 3', 'Conversation 1']);
+  });
+
+  test('answers 400 for a hand-made cursor', async () => {
+    const { status, body } = await server.request('GET', `/api/chat/conversations?before=${cursorOf([false, '2026-01-01T00:00:00Z', 'x\\"'])}`);
+    expect(status).toBe(400);
+    expect(body).toEqual({ error: 'Invalid cursor' });
+  });
+});
@@ -0,0 +1,139 @@
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/utils/supabase', () => require('./helpers/fakeSupabase').supabaseModule);
+jest.mock('../src/middleware/auth', () => require('./helpers/api').authMiddleware);
+
+const fake = require('./helpers/fakeSupabase');
+const { setUser, startServer } = require('./helpers/api');
+const quotaService = require('../src/services/quotaService');
+
+const user = { id: '11111111-1111-4111-8111-111111111111', org_id: '22222222-2222-4222-8222-222222222222', role: 'member' };
+const reservationId = '55555555-5555-4555-8555-555555555555';
+
+const byName = (status) => Object.fromEntries(status.quotas.map(quota => [quota.name, quota]));
+
+describe('quotaService.describe', () => {
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(new Date('2026-12-31T23:59:30.500Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('resets each quota at the start of the next UTC window', () => {
+    const quotas = byName(quotaService.describe({ plan: 'free' }));
+    expect(quotas.user_messages_per_minute.reset_at).toBe('2027-01-01T00:00:00.000Z');
+    expect(quotas.user_messages_per_day.reset_at).toBe('2027-01-01T00:00:00.000Z');
+    expect(quotas.org_tokens_per_month.reset_at).toBe('2027-01-01T00:00:00.000Z');
+
+    jest.setSystemTime(new Date('2026-02-14T10:15:45Z'));
+    const later = byName(quotaService.describe({ plan: 'free' }));
+    expect(later.user_messages_per_minute.reset_at).toBe('2026-02-14T10:16:00.000Z');
+    expect(later.org_messages_per_day.reset_at).toBe('2026-02-15T00:00:00.000Z');
+    expect(later.org_tokens_per_month.reset_at).toBe('2026-03-01T00:00:00.000Z');
+  });
+
+  test('counts usage against the plan limits', () => {
+    const quotas = byName(quotaService.describe({
+      plan: 'free',
+      user_messages_minute: 2,
+      user_messages_day: '150',
+      org_tokens_month: 1000
+    }));
+    expect(quotas.user_messages_per_minute).toMatchObject({ scope: 'user', window: 'minute', limit: 5, used: 2, remaining: 3 });
+    expect(quotas.user_messages_per_day).toMatchObject({ limit: 100, used: 150, remaining: 0 });
+    expect(quotas.org_messages_per_day).toMatchObject({ scope: 'org', limit: 500, used: 0, remaining: 500 });
+    expect(quotas.org_tokens_per_month).toMatchObject({ limit: 1000000, remaining: 999000 });
+  });
+
+  test('applies organization overrides and unlimited quotas', () => {
+    const status = quotaService.describe({
+      plan: 'enterprise',
+      overrides: { user_messages_per_minute: 10, org_messages_per_day: 50 },
+      org_messages_day: 20
+    });
+    const quotas = byName(status);
+    expect(status.plan).toBe('enterprise');
+    expect(quotas.user_messages_per_minute.limit).toBe(10);
+    expect(quotas.org_messages_per_day).toMatchObject({ limit: 50, remaining: 30 });
+    expect(quotas.user_messages_per_day).toMatchObject({ limit: null, remaining: null });
+  });
+
+  test('falls back to the free plan for unknown plans', () => {
+    const quotas = byName(quotaService.describe({ plan: 'legacy' }));
+    expect(quotas.user_messages_per_minute.limit).toBe(5);
+  });
+
+  test('reports window lengths', () => {
+    expect(quotaService.windowSeconds('minute')).toBe(60);
+    expect(quotaService.windowSeconds('day')).toBe(86400);
+  });
+});
+
+describe('quotaService.reserve', () => {
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  test('counts the reserved call against the message quotas', async () => {
+    fake.rpcs.reserve_chat_quota = () => ({ plan: 'free', user_messages_minute: 4, org_tokens_month: 10, reservation_id: reservationId });
+
+    const status = await quotaService.reserve(user);
+    const quotas = byName(status);
+    expect(status.reservationId).toBe(reservationId);
+    expect(quotas.user_messages_per_minute).toMatchObject({ used: 5, remaining: 0 });
+    expect(quotas.org_messages_per_day.used).toBe(1);
+    expect(quotas.org_tokens_per_month.used).toBe(10);
+  });
+
+  test('reports usage as is when nothing was reserved', async () => {
+    fake.rpcs.reserve_chat_quota = () => ({ plan: 'free', user_messages_minute: 5, reservation_id: null });
+
+    const status = await quotaService.reserve(user);
+    expect(status.reservationId).toBeNull();
+    expect(byName(status).user_messages_per_minute).toMatchObject({ used: 5, remaining: 0 });
+  });
+});
+
+describe('enforceChatQuota', () => {
+  let server;
+  let conversationId;
+
+  beforeAll(async () => {
+    server = await startServer();
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(async () => {
+    fake.reset();
+    setUser(user);
+    const { body } = await server.request('POST', '/api/chat/conversations', { title: 'Quota' });
+    conversationId = body.id;
+    await server.request('POST', '/api/chat/message', { conversation_id: conversationId, content: 'Hello' });
+  });
+
+  const regenerate = () => server.request('POST', `/api/chat/conversations/${conversationId}/regenerate`);
+
+  test('admits the last call of a quota and reports nothing left', async () => {
+    fake.rpcs.reserve_chat_quota = () => ({ plan: 'free', user_messages_minute: 4, reservation_id: reservationId });
+
+    const { status, headers } = await regenerate();
+    expect(status).toBe(200);
+    expect(headers.get('ratelimit-limit')).toBe('5');
+    expect(headers.get('ratelimit-remaining')).toBe('0');
+    expect(headers.get('ratelimit-policy')).toBe('5;w=60, 100;w=86400, 500;w=86400, 1000000;w=2592000');
+    expect(headers.get('retry-after')).toBeNull();
+  });
+
+  test('rejects calls once a quota is used up', async () => {
+    fake.rpcs.reserve_chat_quota = () => ({ plan: 'free', user_messages_minute: 5, reservation_id: null });
+
+    const { status, headers, body } = await regenerate();
+    expect(status).toBe(429);
+    expect(body).toMatchObject({ error: 'Quota exceeded: user_messages_per_minute (limit 5, free plan)', quota: 'user_messages_per_minute' });
+    expect(headers.get('ratelimit-remaining')).toBe('0');
+    expect(Number(headers.get('retry-after'))).toBeGreaterThan(0);
+  });
+});
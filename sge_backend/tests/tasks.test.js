@@ -0,0 +1,52 @@
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('../src/utils/supabase', () => require('./helpers/fakeSupabase').supabaseModule);
+jest.mock('../src/middleware/auth', () => require('./helpers/api').authMiddleware);
+
+const fake = require('./helpers/fakeSupabase');
+const { setUser, startServer } = require('./helpers/api');
+const { getProvider } = require('../src/services/llm');
+
+const user = { id: '11111111-1111-4111-8111-111111111111', org_id: '22222222-2222-4222-8222-222222222222', role: 'member' };
+const reservationId = '55555555-5555-4555-8555-555555555555';
+
+let server;
+
+beforeAll(async () => {
+  server = await startServer();
+});
+
+afterAll(() => server.close());
+
+beforeEach(() => {
+  fake.reset();
+  setUser(user);
+  fake.tables.profiles = [{ id: user.id, org_id: user.org_id, full_name: 'Ada Lovelace' }];
+  // Reserves like the database function: a pending reply row
+  fake.rpcs.reserve_chat_quota = () => {
+    fake.tables.llm_usage = [
+      ...(fake.tables.llm_usage || []),
+      { id: reservationId, org_id: user.org_id, user_id: user.id, purpose: 'reply', status: 'pending' }
+    ];
+    return { plan: 'free', reservation_id: reservationId };
+  };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('extracting action items takes over the quota reservation', async () => {
+  const { body: first } = await server.request('POST', '/api/chat/message', { content: 'Ada will draft the pricing page' });
+  jest.spyOn(getProvider(), 'generateReply').mockResolvedValueOnce(JSON.stringify({
+    action_items: [{ description: 'Draft the pricing page', owner: 'Ada', due_date: null, source: null }]
+  }));
+
+  const { status, body } = await server.request('POST', `/api/chat/conversations/${first.conversation_id}/action-items`);
+
+  expect(status).toBe(201);
+  expect(body.tasks).toEqual([expect.objectContaining({ description: 'Draft the pricing page', assignee_id: user.id })]);
+  expect(fake.tables.llm_usage.filter(row => row.purpose === 'action_items')).toEqual([
+    expect.objectContaining({ id: reservationId, status: 'ok', conversation_id: first.conversation_id })
+  ]);
+});
@@ -0,0 +1,84 @@
+const templateService = require('../src/services/templateService');
+
+const body = 'Plan for {company} in {quarter} ({{draft}}).\n{notes}\nBudget: {budget}. Public: {public}.';
+
+const variables = [
+  { name: 'company' },
+  { name: 'quarter', type: 'enum', options: ['Q1', 'Q2'], default: 'Q1' },
+  { name: 'notes', type: 'text', required: false },
+  { name: 'budget', type: 'number' },
+  { name: 'public', type: 'boolean', required: false, default: false }
+];
+
+describe('templateService.validateDefinition', () => {
+  test('normalizes valid definitions', () => {
+    const result = templateService.validateDefinition(body, variables);
+    expect(result.errors).toBeUndefined();
+    expect(result.variables[0]).toEqual({ name: 'company', type: 'string', label: null, description: null, required: true });
+    expect(result.variables[1]).toMatchObject({ type: 'enum', options: ['Q1', 'Q2'], default: 'Q1' });
+  });
+
+  test('lists placeholders in order of first use, ignoring escaped braces', () => {
+    expect(templateService.placeholders('{a} {{b}} {c} {a}')).toEqual(['a', 'c']);
+  });
+
+  test('requires every placeholder to be declared and every variable to be used', () => {
+    expect(templateService.validateDefinition('Hi {name} {other}', [{ name: 'name' }, { name: 'unused' }]).errors).toEqual([
+      '{other} is used in the body but not declared',
+      'Variable unused is not used in the body'
+    ]);
+  });
+
+  test('reports invalid definitions once each', () => {
+    const result = templateService.validateDefinition('{a} {b} {c} {d}', [
+      { name: 'a', type: 'color' },
+      { name: 'b' },
+      { name: 'b' },
+      { name: 'c', type: 'enum', options: [] },
+      { name: 'd', type: 'integer', default: 1.5 },
+      { name: '1x' }
+    ]);
+    expect(result.errors).toEqual([
+      expect.stringMatching(/^a\.type must be one of: /),
+      'Variable b is declared twice',
+      'c.options must be a list of 1 to 50 non-empty strings',
+      'Default of d must be an integer',
+      'variables[5].name must be a letter or underscore followed by letters, digits or underscores'
+    ]);
+  });
+});
+
+describe('templateService.render', () => {
+  const { variables: definitions } = templateService.validateDefinition(body, variables);
+  const template = { body, variables: definitions };
+
+  test('fills values, defaults and escaped braces', () => {
+    const result = templateService.render(template, { company: '  Acme\n Corp ', budget: '2500' });
+    expect(result).toEqual({
+      content: 'Plan for Acme Corp in Q1 ({draft}).\n\nBudget: 2500. Public: no.',
+      values: { company: 'Acme Corp', quarter: 'Q1', budget: 2500, public: false }
+    });
+  });
+
+  test('keeps multi-line text and formats booleans', () => {
+    const result = templateService.render(template, {
+      company: 'Acme',
+      quarter: 'Q2',
+      notes: 'line one\nline two',
+      budget: 10,
+      public: true
+    });
+    expect(result.content).toBe('Plan for Acme in Q2 ({draft}).\nline one\nline two\nBudget: 10. Public: yes.');
+  });
+
+  test('reports missing, invalid and unknown values', () => {
+    expect(templateService.render(template, { quarter: 'Q3', budget: 'lots', public: 'yes', extra: 1 }).errors).toEqual([
+      'Unknown variable extra',
+      'company is required',
+      'quarter must be one of: Q1, Q2',
+      'budget must be a number',
+      'public must be true or false'
+    ]);
+    expect(templateService.render(template, []).errors).toEqual(['variables must be an object']);
+  });
+});
@@ -0,0 +1,126 @@
+process.env.LLM_PROVIDER = 'mock';
+
+// No Supabase project in tests; tools get a fake client instead
+jest.mock('../src/utils/supabase', () => ({ supabase: null, supabaseAdmin: null, getAuthenticatedSupabase: jest.fn() }));
+
+const toolService = require('../src/services/toolService');
+
+const user = { id: 'user-1', org_id: 'org-1', role: 'member' };
+
+const datasets = [{
+  id: 'dataset-1',
+  name: 'Revenue',
+  description: null,
+  columns: [
+    { name: 'month', role: 'time' },
+    { name: 'mrr', role: 'metric', unit: 'currency' },
+    { name: 'region', role: 'dimension' }
+  ],
+  stats: { from: '2026-01-01', to: '2026-03-01', granularity: 'month' },
+  row_count: 3,
+  updated_at: '2026-03-02T00:00:00Z'
+}];
+
+// Answers kpi_datasets queries for the caller's organization
+const fakeSupabase = () => {
+  const filters = [];
+  const query = {
+    select: () => query,
+    eq: (column, value) => {
+      filters.push([column, value]);
+      return query;
+    },
+    order: () => query,
+    limit: async () => ({ data: datasets.filter(() => filters.every(([column, value]) => column !== 'org_id' || value === user.org_id)), error: null })
+  };
+  return { from: jest.fn(() => query), filters };
+};
+
+const collect = async (stream) => {
+  const events = [];
+  for await (const event of stream) events.push(event);
+  return events;
+};
+
+describe('toolService.streamReply', () => {
+  test('runs the tool calls the model asks for, then streams its answer', async () => {
+    const supabase = fakeSupabase();
+    const usage = [];
+    const events = await collect(toolService.streamReply(
+      supabase,
+      user,
+      'What do we track? list_kpi_datasets() and list_kpi_datasets({"x": 1})',
+      [],
+      { onUsage: (tokens) => usage.push(tokens) }
+    ));
+
+    const calls = events.filter(event => event.type === 'tool_call');
+    const results = events.filter(event => event.type === 'tool_result').map(event => event.call);
+    expect(calls.map(event => event.call)).toEqual([
+      { id: 'mock_call_0', name: 'list_kpi_datasets', arguments: {} },
+      { id: 'mock_call_1', name: 'list_kpi_datasets', arguments: { x: 1 } }
+    ]);
+
+    expect(results[0]).toMatchObject({ status: 'ok', round: 0, call_index: 0, error: null });
+    expect(results[0].result.datasets).toEqual([{
+      name: 'Revenue',
+      description: null,
+      metrics: [{ name: 'mrr', unit: 'currency' }],
+      labels: ['region'],
+      from: '2026-01-01',
+      to: '2026-03-01',
+      granularity: 'month',
+      updated_at: '2026-03-02T00:00:00Z'
+    }]);
+    expect(supabase.filters).toContainEqual(['org_id', 'org-1']);
+
+    expect(results[1]).toMatchObject({ status: 'error', round: 0, call_index: 1 });
+    expect(results[1].error).toMatch(/^Invalid arguments: \$\.x is not allowed/);
+
+    const text = events.filter(event => event.type === 'text').map(event => event.text).join('');
+    expect(text).toMatch(/^\[mock\] You said: /);
+    expect(text).toMatch(/Tools used: list_kpi_datasets succeeded, list_kpi_datasets failed\.$/);
+    // One usage report for the tool-calling step and one for the answer
+    expect(usage).toHaveLength(2);
+  });
+
+  test('caps the number of calls per step', async () => {
+    const message = Array.from({ length: 6 }, () => 'list_kpi_datasets()').join(' ');
+    const events = await collect(toolService.streamReply(fakeSupabase(), user, message));
+    const results = events.filter(event => event.type === 'tool_result').map(event => event.call);
+
+    expect(results).toHaveLength(6);
+    expect(results.slice(0, 5).every(call => call.status === 'ok')).toBe(true);
+    expect(results[5]).toMatchObject({ status: 'error', error: 'At most 5 tool calls per step', call_index: 5 });
+  });
+
+  test('answers directly when the message asks for no tools', async () => {
+    const supabase = fakeSupabase();
+    const events = await collect(toolService.streamReply(supabase, user, 'hello', [{ role: 'user', content: 'hi' }]));
+
+    expect(events.every(event => event.type === 'text')).toBe(true);
+    // The tool guidance is sent as a system message ahead of the history
+    expect(events.map(event => event.text).join('')).toBe('[mock] You said: "hello". This conversation has 2 previous messages.');
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  test('streams a plain reply when tools are disabled', async () => {
+    process.env.CHAT_TOOLS_ENABLED = 'false';
+    try {
+      const events = await collect(toolService.streamReply(fakeSupabase(), user, 'list_kpi_datasets()'));
+      expect(events.some(event => event.type !== 'text')).toBe(false);
+    } finally {
+      delete process.env.CHAT_TOOLS_ENABLED;
+    }
+  });
+});
+
+describe('toolService.execute', () => {
+  test('turns unknown tools and bad arguments into error results', async () => {
+    const unknown = await toolService.execute(fakeSupabase(), user, { id: 'c1', name: 'bogus', arguments: {} });
+    expect(unknown).toMatchObject({ status: 'error', error: 'Unknown tool "bogus"', result: { error: 'Unknown tool "bogus"' } });
+
+    const notAnObject = await toolService.execute(fakeSupabase(), user, { id: 'c2', name: 'list_kpi_datasets', arguments: 'x' });
+    expect(notAnObject.error).toBe('Arguments must be a JSON object');
+  });
+});